@@ -0,0 +1,179 @@
+/**
+ * Tests for auto-reply and bounce detection
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Analyzer = require('../src/analyzer');
+const Drafter = require('../src/drafter');
+const FollowUp = require('../src/followup');
+const Ingestor = require('../src/ingestor');
+const { parseRawMessage } = require('../src/mime');
+const { detectAutoReply, parseBounce } = require('../src/automail');
+
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+};
+
+const b64 = (s) => Buffer.from(s).toString('base64');
+
+const DSN = [
+  'From: Mail Delivery Subsystem <mailer-daemon@googlemail.com>',
+  'To: hello@mdx.so',
+  'Subject: Delivery Status Notification (Failure)',
+  'Content-Type: multipart/report; report-type=delivery-status; boundary="b1"',
+  '',
+  '--b1',
+  'Content-Type: text/plain; charset=UTF-8',
+  '',
+  "Your message wasn't delivered to ana@acme.com because the address couldn't be found.",
+  '',
+  '--b1',
+  'Content-Type: message/delivery-status',
+  '',
+  'Reporting-MTA: dns; googlemail.com',
+  '',
+  'Final-Recipient: rfc822; Ana@Acme.com',
+  'Action: failed',
+  'Status: 5.1.1',
+  'Diagnostic-Code: smtp; 550-5.1.1 The email account that you tried to reach',
+  '    does not exist.',
+  '',
+  '--b1',
+  'Content-Type: message/rfc822',
+  '',
+  'From: hello@mdx.so',
+  'To: ana@acme.com',
+  'Subject: Re: Cotización',
+  '',
+  'Hola Ana',
+  '--b1--',
+  ''
+].join('\r\n');
+
+describe('detectAutoReply', () => {
+  test.each([
+    [{ headers: [{ name: 'Auto-Submitted', value: 'auto-replied' }], subject: 'Re: Propuesta' }, 'header:auto-submitted'],
+    [{ headers: [{ name: 'X-Autoreply', value: 'yes' }], subject: 'Re: Propuesta' }, 'header:x-autoreply'],
+    [{ headers: [{ name: 'Precedence', value: 'auto_reply' }] }, 'header:precedence'],
+    [{ subject: 'Automatic reply: Quote' }, 'subject'],
+    [{ subject: 'Respuesta automática: Cotización' }, 'subject']
+  ])('flags %j', (input, reason) => {
+    expect(detectAutoReply(input)).toMatchObject({ auto: true, reason });
+  });
+
+  test.each([
+    ['Estoy fuera de la oficina hasta el lunes 3 de noviembre.', 'es'],
+    ["I'm currently out of the office with limited access to email.", 'en'],
+    ['Estou de férias até dia 10.', 'pt'],
+    ['Je suis absente du bureau jusqu\'au 4 novembre.', 'fr'],
+    ['Ich bin bis 5. November nicht im Büro.', 'de'],
+    ['Sono fuori ufficio fino a lunedì.', 'it']
+  ])('recognizes out-of-office notices: %s (%s)', (body) => {
+    expect(detectAutoReply({ subject: 'Re: Propuesta', body })).toMatchObject({ auto: true, kind: 'out_of_office', reason: 'body' });
+  });
+
+  test('leaves real leads alone', () => {
+    expect(detectAutoReply({ headers: [{ name: 'Auto-Submitted', value: 'no' }, { name: 'Precedence', value: 'list' }], subject: 'Automation project' }).auto).toBe(false);
+    expect(detectAutoReply({ subject: 'Absence management app', body: 'Hola, queremos una app. La próxima semana estoy de vacaciones.' }).auto).toBe(false);
+  });
+
+  test('auto-replies are ineligible and never drafted', async () => {
+    const analyzer = new Analyzer({}, mockLogger);
+    const drafter = new Drafter({}, mockLogger);
+    const autoReply = { auto: true, kind: 'out_of_office', reason: 'header:auto-submitted' };
+
+    expect(analyzer.checkEligibility({ isLatest: true, autoReply }).issues).toEqual(['auto_response']);
+    expect(analyzer.checkEligibility({ isLatest: true, subject: 'Automation project' }).eligible).toBe(true);
+
+    const callModelRouter = jest.spyOn(drafter, 'callModelRouter');
+    await expect(drafter.generate({ email: 'ana@acme.com', message: 'Hola', autoReply })).rejects.toMatchObject({ code: 'AUTO_REPLY' });
+    expect(callModelRouter).not.toHaveBeenCalled();
+  });
+});
+
+describe('parseBounce', () => {
+  test('reads the failed recipient from the delivery status report', () => {
+    expect(parseBounce(parseRawMessage(DSN))).toEqual({
+      recipient: 'ana@acme.com',
+      status: '5.1.1',
+      action: 'failed',
+      diagnostic: '550-5.1.1 The email account that you tried to reach does not exist.',
+      permanent: true
+    });
+  });
+
+  test('falls back to X-Failed-Recipients and the notice text', () => {
+    const exim = parseRawMessage([
+      'From: Mail Delivery System <Mailer-Daemon@mx.example.net>',
+      'Subject: Mail delivery failed: returning message to sender',
+      'X-Failed-Recipients: bo@northwind.com',
+      '',
+      'This message was created automatically by mail delivery software.',
+      ''
+    ].join('\r\n'));
+    expect(parseBounce(exim)).toMatchObject({ recipient: 'bo@northwind.com', permanent: true });
+
+    const delayed = parseRawMessage([
+      'From: postmaster@mx.example.net',
+      'Subject: Delivery Status Notification (Delay)',
+      '',
+      'Delivery to the following recipient has been delayed: bo@northwind.com',
+      'The server will retry for 2 more days.',
+      ''
+    ].join('\r\n'));
+    expect(parseBounce(delayed)).toMatchObject({ recipient: 'bo@northwind.com', permanent: false });
+  });
+
+  test('ignores ordinary mail', () => {
+    expect(parseBounce(parseRawMessage('From: ana@acme.com\r\nSubject: Returned mail question\r\n\r\nHola'))).toBeNull();
+  });
+});
+
+describe('Bounces during ingestion', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'emailbot-automail-'));
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('a permanent bounce marks the address and stops its follow-ups', async () => {
+    const config = { statePath: path.join(dir, 'state'), draftsPath: path.join(dir, 'drafts') };
+    const followup = new FollowUp(config, mockLogger);
+    const sentAt = new Date(Date.now() - 10 * 24 * 60 * 60 * 1000).toISOString();
+    await followup.saveDraft({ id: 'd1', status: 'sent', sentAt, client: { email: 'ana@acme.com' }, emailData: { threadId: 't1' }, followups: {} });
+    await followup.saveDraft({ id: 'f1', status: 'pending_review', client: { email: 'ana@acme.com' }, followups: { isFollowup: true, parentDraftId: 'd1', followupNumber: 1 } });
+    expect(await followup.checkDueFollowups()).toHaveLength(3);
+
+    const bounce = parseRawMessage(DSN);
+    const lead = {
+      threadId: 't2',
+      internalDate: String(Date.UTC(2026, 0, 1)),
+      payload: { headers: [{ name: 'From', value: 'Bo <bo@northwind.com>' }, { name: 'Subject', value: 'Proyecto' }], body: { data: b64('Hola, queremos una tienda en línea.') } }
+    };
+    const ingestor = new Ingestor(config, mockLogger);
+    Object.assign(ingestor.provider, {
+      getCheckpoint: jest.fn().mockResolvedValue('1'),
+      listMessages: jest.fn().mockResolvedValue({ messages: [{ id: 'dsn' }, { id: 'lead' }] }),
+      getMessages: jest.fn().mockResolvedValue([{ id: 'dsn', message: { id: 'dsn', ...bounce } }, { id: 'lead', message: { id: 'lead', ...lead } }]),
+      close: jest.fn()
+    });
+    jest.spyOn(ingestor.threads, 'inspect').mockResolvedValue({ isLatest: true, alreadyReplied: false, draftExists: false });
+
+    const result = await ingestor.run({ full: true });
+
+    expect(result.processed.map(e => e.email)).toEqual(['bo@northwind.com']);
+    expect(result.skipped).toEqual([{ gmailId: 'dsn', reason: 'bounce', email: 'ana@acme.com', status: '5.1.1', permanent: true }]);
+    expect(await ingestor.bounces.has('ANA@acme.com')).toBe(true);
+    expect(await followup.checkDueFollowups()).toEqual([]);
+    expect((await followup.loadAllDrafts()).find(d => d.id === 'f1')).toMatchObject({ status: 'archived', followups: { cancelled: { reason: 'bounce' } } });
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Tests for quoted-reply, signature and disclaimer stripping
+ */
+
+const { cleanBody } = require('../src/body-cleaner');
+
+describe('cleanBody()', () => {
+  test('strips an English quoted reply', () => {
+    const body = [
+      'Sounds good, can we talk on Friday?',
+      '',
+      'On Mon, Feb 2, 2026 at 10:15 AM MDX <hello@mdx.so> wrote:',
+      '> Thanks for reaching out.',
+      '> When would be a good time?'
+    ].join('\n');
+
+    const result = cleanBody(body);
+
+    expect(result.text).toBe('Sounds good, can we talk on Friday?');
+    expect(result.quoted).toMatch(/^On Mon, Feb 2/);
+    expect(result.quoted).toContain('> When would be a good time?');
+  });
+
+  test('strips a Spanish quoted reply wrapped over two lines', () => {
+    const body = [
+      'Perfecto, les envío los detalles mañana.',
+      '',
+      'El lun, 2 feb 2026 a las 10:15, MDX (<hello@mdx.so>)',
+      'escribió:',
+      '> Hola Ana, gracias por escribir.'
+    ].join('\n');
+
+    const result = cleanBody(body);
+
+    expect(result.text).toBe('Perfecto, les envío los detalles mañana.');
+    expect(result.quoted).toContain('escribió:');
+  });
+
+  test('strips Outlook headers, signatures and legal footers', () => {
+    const body = [
+      'Hola equipo,',
+      '',
+      'Necesitamos rediseñar nuestro sitio web antes de marzo.',
+      '',
+      'Saludos,',
+      'Carlos Ruiz',
+      'Director Comercial | Acme SpA',
+      '+56 2 2345 6789',
+      '',
+      'AVISO DE CONFIDENCIALIDAD: Este correo es confidencial y para uso exclusivo del destinatario.',
+      '________________________________',
+      'De: MDX <hello@mdx.so>',
+      'Enviado: lunes, 2 de febrero de 2026 10:15',
+      'Para: Carlos Ruiz',
+      'Asunto: Re: Sitio web'
+    ].join('\n');
+
+    const result = cleanBody(body);
+
+    expect(result.text).toBe('Hola equipo,\n\nNecesitamos rediseñar nuestro sitio web antes de marzo.\n\nSaludos,');
+    expect(result.signature).toBe('Carlos Ruiz\nDirector Comercial | Acme SpA\n+56 2 2345 6789');
+    expect(result.disclaimer).toMatch(/^AVISO DE CONFIDENCIALIDAD/);
+    expect(result.quoted).toMatch(/^_{10,}\nDe: MDX/);
+  });
+
+  test('handles "-- " delimiters and mobile signatures', () => {
+    expect(cleanBody('Need a quote.\n-- \nJohn\nACME').signature).toBe('John\nACME');
+    expect(cleanBody('Call me tomorrow.\n\nEnviado desde mi iPhone')).toEqual({
+      text: 'Call me tomorrow.',
+      quoted: null,
+      signature: 'Enviado desde mi iPhone',
+      disclaimer: null
+    });
+  });
+
+  test('does not treat a mid-message thanks as a signature', () => {
+    const body = 'Hello,\nThanks\nWe need an app for our store.\nHow much would it cost?';
+    expect(cleanBody(body).text).toBe(body);
+  });
+
+  test('keeps the original text when everything would be removed', () => {
+    const body = '---------- Forwarded message ---------\nFrom: a@b.com\nHello';
+    expect(cleanBody(body).text).toBe(body);
+  });
+});
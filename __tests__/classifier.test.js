@@ -0,0 +1,91 @@
+/**
+ * Tests for the classification rules engine (config/classification-rules.json)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Classifier = require('../src/classifier');
+const Analyzer = require('../src/analyzer');
+const Drafter = require('../src/drafter');
+
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+};
+
+const longMessage = 'We are a logistics company looking to rebuild our customer portal with tracking and invoices.';
+
+describe('Classifier with the default rules', () => {
+  const classifier = new Classifier({}, mockLogger);
+
+  test.each([
+    [{ email: 'no-reply@stripe.com', subject: 'Your receipt', message: 'Thanks for your payment' }, 'non_actionable', 'automated-notification'],
+    [{ email: 'ana@uni.edu', company: 'UNAM', message: 'Soy estudiante y necesito ayuda con mi tarea de diseño web para la clase.' }, 'student', 'student'],
+    [{ email: 'bo@acme.com', company: 'Acme', message: 'Can you send me an example of a landing page you built for a logistics client?' }, 'sample_request', 'sample-request'],
+    [{ email: 'bo@acme.com', message: longMessage }, 'vague', 'vague'],
+    [{ email: 'bo@acme.com', company: 'Acme', message: `${longMessage} What would the budget be?` }, 'budget_inquiry', 'budget-inquiry'],
+    [{ email: 'bo@acme.com', company: 'Acme', message: `${longMessage} We need it ASAP.` }, 'urgent', 'urgent'],
+    [{ email: 'bo@acme.com', company: 'Acme', message: longMessage }, 'lead', 'lead']
+  ])('classifies %#', (emailData, type, rule) => {
+    expect(classifier.classify(emailData)).toMatchObject({ type, rule });
+  });
+
+  test('Analyzer and Drafter agree', () => {
+    const analyzer = new Analyzer({}, mockLogger);
+    const drafter = new Drafter({}, mockLogger);
+    const emailData = { email: 'no-reply@tool.io', subject: 'Your trial is ending', message: 'Upgrade now' };
+
+    expect(analyzer.classifyEmail(emailData).type).toBe('non_actionable');
+    expect(drafter.classifyMessageType(emailData)).toBe('non_actionable');
+  });
+});
+
+describe('Classifier rule files', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'emailbot-rules-'));
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const load = (rules) => {
+    const rulesPath = path.join(dir, 'rules.json');
+    fs.writeFileSync(rulesPath, JSON.stringify({ rules }));
+    return new Classifier({ CLASSIFICATION_RULES_PATH: rulesPath }, mockLogger);
+  };
+
+  test('supports fields, missing/present, bodyLength and not', () => {
+    const classifier = load([
+      { id: 'partner', type: 'partnership', match: { fields: { service: 'partner' }, present: ['company'] } },
+      { id: 'tiny', type: 'short', match: { bodyLength: { lt: 10 }, not: { sender: '@vip\\.com$' } } },
+      { id: 'no-company', type: 'vague', match: { missing: ['company', 'service'] } },
+      { id: 'default', type: 'lead', priority: 'high' }
+    ]);
+
+    expect(classifier.classify({ service: 'Partnership', company: 'Acme', message: 'Hi' }).rule).toBe('partner');
+    expect(classifier.classify({ service: 'Partnership', message: 'Hi' }).rule).toBe('tiny');
+    expect(classifier.classify({ email: 'ceo@vip.com', message: 'Hi' }).rule).toBe('no-company');
+    expect(classifier.classify({ email: 'ceo@vip.com', service: 'SEO', message: 'Hi' })).toEqual({
+      type: 'lead', priority: 'high', description: 'lead', rule: 'default'
+    });
+  });
+
+  test('skips invalid rules and falls back to lead when nothing matches', () => {
+    const classifier = load([
+      { id: 'broken', type: 'x', match: { color: 'red' } },
+      { type: 'no-id' },
+      { id: 'spam', type: 'spam', match: { subject: 'viagra' } }
+    ]);
+
+    expect(classifier.rules.map(r => r.id)).toEqual(['spam']);
+    expect(mockLogger.warn).toHaveBeenCalledWith('Skipping invalid classification rule',
+      { rule: 'broken', error: 'Unknown condition: color' });
+    expect(classifier.classify({ subject: 'Hello' })).toMatchObject({ type: 'lead', rule: null });
+  });
+});
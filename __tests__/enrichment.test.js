@@ -0,0 +1,114 @@
+/**
+ * Tests for company enrichment from the sender domain (config/enrichment.json providers)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Enricher = require('../src/enrichment');
+const Analyzer = require('../src/analyzer');
+const Drafter = require('../src/drafter');
+const { companyFromDomain } = require('../src/enrichment');
+const { registrableDomain } = require('../src/domains');
+
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+};
+
+const message = 'We are rebuilding our customer portal with tracking and invoices and would like a proposal.';
+
+describe('Domain helpers', () => {
+  test('derives registrable domains and company names', () => {
+    expect(registrableDomain('mail.acme-industrial.com.mx')).toBe('acme-industrial.com.mx');
+    expect(registrableDomain('eu.shop.example.co.uk')).toBe('example.co.uk');
+    expect(companyFromDomain('acme-industrial.com.mx')).toBe('Acme Industrial');
+    expect(companyFromDomain('ibm.com')).toBe('IBM');
+  });
+});
+
+describe('Enricher', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'emailbot-enrichment-'));
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const load = (providers) => {
+    const configPath = path.join(dir, 'enrichment.json');
+    fs.writeFileSync(configPath, JSON.stringify({ providers }));
+    return new Enricher({ ENRICHMENT_CONFIG_PATH: configPath }, mockLogger);
+  };
+
+  test('derives company and website for corporate domains only', async () => {
+    const enricher = new Enricher({}, mockLogger);
+
+    expect(await enricher.enrich({ email: 'maria@sales.acme-industrial.com' })).toMatchObject({
+      domain: 'sales.acme-industrial.com',
+      freeMail: false,
+      company: 'Acme Industrial',
+      website: 'https://acme-industrial.com',
+      sources: { company: 'domain', website: 'domain' }
+    });
+
+    const free = await enricher.enrich({ email: 'someone@gmail.com' });
+    expect(free).toMatchObject({ domain: 'gmail.com', freeMail: true, sources: {} });
+    expect(free.company).toBeUndefined();
+  });
+
+  test('earlier providers win per field; unknown and failing providers are skipped', async () => {
+    const directoryPath = path.join(dir, 'companies.json');
+    fs.writeFileSync(directoryPath, JSON.stringify({ 'acme.com': { company: 'ACME Corporation', industry: 'Logistics' } }));
+    Enricher.registerProvider('broken', () => ({ enrich: () => { throw new Error('offline'); } }));
+
+    const enricher = load([{ id: 'broken' }, { id: 'clearbit' }, { id: 'directory', path: directoryPath }, { id: 'domain' }]);
+    const result = await enricher.enrich({ email: 'bo@acme.com' });
+
+    expect(result).toMatchObject({
+      company: 'ACME Corporation',
+      industry: 'Logistics',
+      website: 'https://acme.com',
+      sources: { company: 'directory', industry: 'directory', website: 'domain' }
+    });
+    expect(mockLogger.warn).toHaveBeenCalledWith('Skipping unknown enrichment provider', { provider: 'clearbit' });
+    expect(mockLogger.warn).toHaveBeenCalledWith('Enrichment provider failed',
+      { provider: 'broken', domain: 'acme.com', error: 'offline' });
+  });
+});
+
+describe('Enrichment in classification and drafting', () => {
+  test('a corporate sender without a typed company is not vague', async () => {
+    const analyzer = new Analyzer({}, mockLogger);
+
+    const corporate = await analyzer.run({ email: 'bo@northwind-traders.com', company: null, message });
+    expect(corporate.company).toBeNull();
+    expect(corporate.enrichment.company).toBe('Northwind Traders');
+    expect(corporate.classification.type).toBe('lead');
+
+    const free = await analyzer.run({ email: 'bo@gmail.com', company: null, message });
+    expect(free.classification.type).toBe('vague');
+  });
+
+  test('the draft prompt carries the inferred company and the draft stores it apart', async () => {
+    const draftsPath = fs.mkdtempSync(path.join(os.tmpdir(), 'emailbot-drafts-'));
+    try {
+      const drafter = new Drafter({ draftsPath }, mockLogger);
+      const generate = jest.spyOn(drafter.llm, 'generate').mockResolvedValue({ text: 'Hi Bo, thanks for reaching out.', finishReason: 'STOP' });
+      const enrichment = { domain: 'northwind-traders.com', company: 'Northwind Traders', website: 'https://northwind-traders.com' };
+
+      const draft = await drafter.generate({ email: 'bo@northwind-traders.com', company: null, message, enrichment });
+
+      expect(generate.mock.calls[0][1].prompt).toContain('- Company: Northwind Traders');
+      expect(draft.client.company).toBeNull();
+      expect(draft.enrichment).toEqual(enrichment);
+    } finally {
+      fs.rmSync(draftsPath, { recursive: true, force: true });
+    }
+  });
+});
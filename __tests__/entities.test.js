@@ -0,0 +1,115 @@
+/**
+ * Tests for typed entity extraction (budgets, deadlines, phones, websites)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Analyzer = require('../src/analyzer');
+const Ingestor = require('../src/ingestor');
+const {
+  parseBudget, parseDeadline, normalizePhone, extractPhones, extractWebsites
+} = require('../src/entities');
+
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+};
+
+const b64 = (s) => Buffer.from(s).toString('base64');
+
+describe('Budgets', () => {
+  test.each([
+    ['Nuestro presupuesto es de 5.000', { min: 5000, max: 5000, currency: null }],
+    ['Tenemos un presupuesto de 5k', { min: 5000, max: 5000, currency: null }],
+    ['USD 3,000–5,000', { min: 3000, max: 5000, currency: 'USD' }],
+    ['Budget: between $10,000 and $15,000', { min: 10000, max: 15000, currency: null }],
+    ['entre 50 y 80 mil pesos mexicanos', { min: 50000, max: 80000, currency: 'MXN' }],
+    ['Podemos invertir 1.250.000,50 COP', { min: 1250000.5, max: 1250000.5, currency: 'COP' }],
+    ['hasta 2 millones de pesos', { min: null, max: 2000000, currency: null }],
+    ['más de 1.500 euros', { min: 1500, max: null, currency: 'EUR' }],
+    ['USD 3-5k', { min: 3000, max: 5000, currency: 'USD' }]
+  ])('parses %s', (text, expected) => {
+    expect(parseBudget(text)).toMatchObject(expected);
+  });
+
+  test('ignores numbers that are not money', () => {
+    expect(parseBudget('Somos 12 personas y abrimos 3 tiendas')).toBeNull();
+    expect(parseBudget('El presupuesto para 2026 todavía no está definido')).toBeNull();
+  });
+});
+
+describe('Deadlines', () => {
+  const now = new Date('2026-10-19T12:00:00Z');
+
+  test.each([
+    ['Lo necesitamos para el 15 de marzo', '2027-03-15', false],
+    ['deadline: 2026-12-01', '2026-12-01', false],
+    ['fecha de entrega 20/11', '2026-11-20', false],
+    ['Lo queremos listo para marzo', '2027-03-31', false],
+    ['Necesitamos lanzar en 2 semanas', '2026-11-02', true],
+    ['We want to launch in three months', '2027-01-19', true],
+    ['Ready by next Friday', '2026-10-23', true],
+    ['a fin de mes', '2026-10-31', true]
+  ])('resolves %s', (text, date, relative) => {
+    expect(parseDeadline(text, now)).toMatchObject({ date, relative });
+  });
+
+  test('needs a deadline word before absolute dates', () => {
+    expect(parseDeadline('Nos conocimos el 3 de mayo en la feria', now)).toBeNull();
+  });
+});
+
+describe('Phones and websites', () => {
+  test('normalizes phone numbers to E.164', () => {
+    expect(normalizePhone('55 1234 5678')).toBe('+525512345678');
+    expect(normalizePhone('+52 1 55 1234 5678')).toBe('+525512345678');
+    expect(normalizePhone('0034 612 345 678')).toBe('+34612345678');
+    expect(normalizePhone('612 345 678', 'ES')).toBe('+34612345678');
+    expect(normalizePhone('12345')).toBeNull();
+  });
+
+  test('finds phones but not dates or amounts', () => {
+    expect(extractPhones('WhatsApp +1 415-555-0100, oficina 81 8123 4567. Presupuesto 1.250.000, fecha 2026-03-15'))
+      .toEqual(['+14155550100', '+528181234567']);
+  });
+
+  test('extracts and normalizes website URLs', () => {
+    expect(extractWebsites('Visita www.Acme.com/ o https://acme.com/servicios. Escríbenos a ana@acme.com'))
+      .toEqual(['https://www.acme.com', 'https://acme.com/servicios']);
+  });
+});
+
+describe('Entities in analysis and ingestion', () => {
+  test('Analyzer resolves the deadline against the received date', () => {
+    const analyzer = new Analyzer({}, mockLogger);
+    const data = analyzer.extractData({
+      receivedAt: '2026-01-10T09:00:00Z',
+      message: 'Presupuesto: USD 3,000–5,000. Lo necesitamos en 2 semanas.'
+    });
+
+    expect(data.budget).toMatchObject({ mentioned: true, min: 3000, max: 5000, currency: 'USD', amount: 5000 });
+    expect(data.timeline).toEqual({ mentioned: true, value: 'en 2 semanas', deadline: '2026-01-24' });
+  });
+
+  test('Ingestor fills phone and website from the signature', () => {
+    const statePath = fs.mkdtempSync(path.join(os.tmpdir(), 'emailbot-state-'));
+    try {
+      const ingestor = new Ingestor({ statePath }, mockLogger);
+      const emailData = ingestor.buildEmailData({
+        id: 'm1',
+        threadId: 't1',
+        internalDate: String(Date.UTC(2026, 0, 1)),
+        payload: {
+          headers: [{ name: 'From', value: 'Ana Ruiz <ana@acme.com>' }, { name: 'Subject', value: 'Proyecto' }],
+          body: { data: b64('Hola, queremos rediseñar nuestra tienda.\n\n--\nAna Ruiz\nTel. (55) 1234-5678\nwww.acme.com\n') }
+        }
+      });
+
+      expect(emailData).toMatchObject({ phone: '+525512345678', website: 'https://www.acme.com' });
+    } finally {
+      fs.rmSync(statePath, { recursive: true, force: true });
+    }
+  });
+});
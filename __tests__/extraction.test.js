@@ -0,0 +1,115 @@
+/**
+ * Tests for structured extraction (LLM with regex fallback)
+ */
+
+const Analyzer = require('../src/analyzer');
+const Drafter = require('../src/drafter');
+const { validate, parseJson } = require('../src/extraction');
+
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+};
+
+const emailData = {
+  gmailId: 'msg-1',
+  email: 'maria@acme-industrial.com',
+  company: 'Acme Industrial',
+  message: 'Necesitamos una tienda online urgente. Presupuesto: 5.000 EUR. ¿Cuánto tardarían en entregarla?'
+};
+
+describe('Extraction schema', () => {
+  test('keeps valid fields and reports invalid ones', () => {
+    const { fields, errors } = validate({
+      intent: 'quote_request',
+      services: ['ecommerce', 'ecommerce'],
+      budget: { amount: 5000, currency: 'eur' },
+      deadline: '2026-13-40',
+      urgency: 'high',
+      questions: []
+    });
+
+    expect(fields).toEqual({ intent: 'quote_request', services: ['ecommerce'], urgency: 'high', questions: [] });
+    expect(errors).toEqual(['budget', 'deadline']);
+    expect(validate('nope').errors).toHaveLength(6);
+  });
+
+  test('accepts null for fields that were not mentioned', () => {
+    expect(validate({ budget: null, deadline: null }).fields).toEqual({ budget: null, deadline: null });
+  });
+
+  test('parses JSON wrapped in code fences or prose', () => {
+    expect(parseJson('```json\n{"intent":"spam"}\n```')).toEqual({ intent: 'spam' });
+    expect(parseJson('Here it is: {"urgency":"low"} thanks')).toEqual({ urgency: 'low' });
+    expect(() => parseJson('no json')).toThrow('Model reply is not JSON');
+  });
+});
+
+describe('Analyzer extraction', () => {
+  beforeEach(() => jest.clearAllMocks());
+
+  test('uses the regex extractors when ANALYSIS_MODE is not llm', async () => {
+    const analyzer = new Analyzer({}, mockLogger);
+    analyzer.extractor.callModel = jest.fn();
+
+    const data = await analyzer.extract(emailData);
+
+    expect(analyzer.extractor.callModel).not.toHaveBeenCalled();
+    expect(data.method).toBe('rules');
+    expect(data.budget).toMatchObject({ mentioned: true, amount: 5000, currency: 'EUR' });
+    expect(data.urgency).toBe('high');
+    expect(data.questions).toEqual(['Cuánto tardarían en entregarla?']);
+    expect(Object.values(data.sources).every(s => s === 'rules')).toBe(true);
+  });
+
+  test('merges valid model fields and fills the rest from the rules', async () => {
+    const analyzer = new Analyzer({ ANALYSIS_MODE: 'llm' }, mockLogger);
+    analyzer.extractor.callModel = jest.fn().mockResolvedValue(JSON.stringify({
+      intent: 'quote_request',
+      services: ['online store'],
+      budget: { amount: 5000, currency: 'EUR' },
+      deadline: '2026-12-01',
+      urgency: 'very',
+      questions: ['¿Cuánto tardarían en entregarla?']
+    }));
+
+    const data = await analyzer.extract(emailData);
+
+    expect(data.method).toBe('mixed');
+    expect(data.sources).toEqual({
+      intent: 'llm', services: 'llm', budget: 'llm', deadline: 'llm', urgency: 'rules', questions: 'llm'
+    });
+    expect(data.intent).toBe('quote_request');
+    expect(data.timeline).toMatchObject({ mentioned: true, deadline: '2026-12-01' });
+    expect(data.urgency).toBe('high');
+    expect(mockLogger.warn).toHaveBeenCalledWith('Model extraction has invalid fields', { gmailId: 'msg-1', fields: ['urgency'] });
+  });
+
+  test('resolves relative deadlines against when the email was received', () => {
+    const { extractor } = new Analyzer({ ANALYSIS_MODE: 'llm' }, mockLogger);
+
+    expect(extractor.buildPrompt({ ...emailData, receivedAt: '2025-11-03T09:00:00.000Z' }))
+      .toContain('against the date the email was received: 2025-11-03.');
+    expect(extractor.buildPrompt(emailData)).toContain(`received: ${new Date().toISOString().slice(0, 10)}.`);
+  });
+
+  test('falls back to the rules when the model call fails', async () => {
+    const analyzer = new Analyzer({ ANALYSIS_MODE: 'llm' }, mockLogger);
+    analyzer.extractor.callModel = jest.fn().mockRejectedValue(new Error('timeout of 20000ms exceeded'));
+
+    const analysis = await analyzer.run(emailData);
+
+    expect(analysis.extractedData.method).toBe('rules');
+    expect(analysis.extractedData.budget.mentioned).toBe(true);
+    expect(mockLogger.warn).toHaveBeenCalledWith('Model extraction failed, using rules',
+      { gmailId: 'msg-1', error: 'timeout of 20000ms exceeded' });
+
+    const draftAnalysis = new Drafter({}, mockLogger).analyzeDraft(analysis);
+    expect(draftAnalysis.extraction).toMatchObject({
+      budget: { amount: 5000, currency: 'EUR' },
+      method: 'rules',
+      sources: { intent: 'rules', budget: 'rules' }
+    });
+  });
+});
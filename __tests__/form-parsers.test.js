@@ -0,0 +1,151 @@
+/**
+ * Tests for the contact-form parser registry
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FormParserRegistry = require('../src/form-parsers');
+const Ingestor = require('../src/ingestor');
+
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+};
+
+describe('FormParserRegistry', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new FormParserRegistry({}, mockLogger);
+  });
+
+  test('parses the website contact form', () => {
+    const body = [
+      'You have received a new message from your website contact form.',
+      '',
+      'Name: Ana Pérez',
+      'Company: Tienda Sol',
+      'Email: ana@tiendasol.cl',
+      'Phone: +56 9 1234 5678',
+      'Interested in: E-commerce',
+      'Message: Necesitamos una tienda online.',
+      'Con pasarela de pago.',
+      '--',
+      'Sent by the website'
+    ].join('\n');
+
+    const { parser, fields } = registry.parse({ body, from: 'forms@mdx.so', subject: 'New message' });
+
+    expect(parser.id).toBe('website-contact-form');
+    expect(fields).toEqual({
+      name: 'Ana Pérez',
+      company: 'Tienda Sol',
+      email: 'ana@tiendasol.cl',
+      phone: '+56 9 1234 5678',
+      service: 'E-commerce',
+      message: 'Necesitamos una tienda online.\nCon pasarela de pago.'
+    });
+  });
+
+  test('parses a WordPress CF7 notification', () => {
+    const body = [
+      'From: John Smith <john@acme.com>',
+      'Subject: Website redesign',
+      '',
+      'Message Body:',
+      'We want to redesign our site.',
+      '',
+      '-- ',
+      'This e-mail was sent from a contact form on Acme (https://acme.com)'
+    ].join('\n');
+
+    const { parser, fields } = registry.parse({ body, from: 'WordPress <wordpress@acme.com>' });
+
+    expect(parser.id).toBe('wordpress-cf7');
+    expect(fields.name).toBe('John Smith');
+    expect(fields.email).toBe('john@acme.com');
+    expect(fields.service).toBe('Website redesign');
+    expect(fields.message).toBe('We want to redesign our site.');
+  });
+
+  test('parses stacked Typeform answers', () => {
+    const body = [
+      "What's your name?",
+      'Laura Costa',
+      '',
+      "What's your email?",
+      'laura@costa.pt',
+      '',
+      'Tell us about your project',
+      'A booking app for our clinic.',
+      'Launch in Q3.'
+    ].join('\n');
+
+    const { parser, fields } = registry.parse({ body, from: 'Typeform <notifications@typeform.com>', subject: 'New response' });
+
+    expect(parser.id).toBe('typeform');
+    expect(fields.name).toBe('Laura Costa');
+    expect(fields.email).toBe('laura@costa.pt');
+    expect(fields.message).toBe('A booking app for our clinic.\nLaunch in Q3.');
+  });
+
+  test('joins HubSpot first and last name', () => {
+    const body = 'First Name: Max\nLast Name: Müller\nEmail: max@firma.de\nCompany Name: Firma GmbH\nMessage: Hallo';
+
+    const { parser, fields } = registry.parse({ body, from: 'HubSpot <noreply@hubspot.com>', subject: 'New form submission' });
+
+    expect(parser.id).toBe('hubspot');
+    expect(fields.name).toBe('Max Müller');
+    expect(fields.company).toBe('Firma GmbH');
+  });
+
+  test('falls back to the generic parser', () => {
+    const { parser } = registry.parse({ body: 'Hello, do you build apps?', from: 'a@b.com' });
+    expect(parser.id).toBe('generic');
+  });
+
+  test('loads parsers from a custom config file', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'emailbot-parsers-'));
+    const configPath = path.join(dir, 'parsers.json');
+    fs.writeFileSync(configPath, JSON.stringify({
+      parsers: [{ id: 'jotform', match: { from: '@jotform\\.com' }, senderIsPlatform: true, fields: { email: ['E-mail'] } }]
+    }));
+
+    const custom = new FormParserRegistry({ FORM_PARSERS_PATH: configPath }, mockLogger);
+    const { parser, fields } = custom.parse({ body: 'E-mail: x@y.io', from: 'noreply@jotform.com' });
+
+    expect(parser.id).toBe('jotform');
+    expect(fields.email).toBe('x@y.io');
+    expect(custom.parsers.map(p => p.id)).toEqual(['jotform', 'generic']);
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+});
+
+describe('Ingestor.parseLeadForm()', () => {
+  test('records the parser and ignores the platform sender', () => {
+    const ingestor = new Ingestor({}, mockLogger);
+    const lead = ingestor.parseLeadForm(
+      'Name: Ana\nEmail: ana@x.com\nMessage: Hola',
+      'Webflow <no-reply-forms@webflow.com>',
+      'New form submission on mdx.so'
+    );
+
+    expect(lead.formParser).toBe('webflow');
+    expect(lead.email).toBe('ana@x.com');
+    expect(lead.name).toBe('Ana');
+  });
+
+  test('keeps header name/email for plain emails', () => {
+    const ingestor = new Ingestor({}, mockLogger);
+    const lead = ingestor.parseLeadForm('Hi, I need a quote.', '"Bob Lee" <bob@lee.com>');
+
+    expect(lead).toEqual(expect.objectContaining({
+      formParser: 'generic',
+      name: 'Bob Lee',
+      email: 'bob@lee.com',
+      message: 'Hi, I need a quote.'
+    }));
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Tests for the Gmail call wrapper (retry/backoff, concurrency pool, metrics)
+ * and the Gmail batch request helpers
+ */
+
+const { callGmail, mapLimit, retryDelay, CallMetrics } = require('../src/gmail-call');
+const GmailProvider = require('../src/providers/gmail');
+
+const httpError = (status, extra = {}) =>
+  Object.assign(new Error(`HTTP ${status}`), { response: { status, headers: {} }, ...extra });
+
+describe('callGmail', () => {
+  let metrics;
+  let sleep;
+
+  beforeEach(() => {
+    metrics = new CallMetrics();
+    sleep = jest.fn().mockResolvedValue();
+  });
+
+  test('retries 429 and 5xx with backoff and records the retries', async () => {
+    const fn = jest.fn()
+      .mockRejectedValueOnce(httpError(429))
+      .mockRejectedValueOnce(httpError(503))
+      .mockResolvedValue({ data: 'ok' });
+
+    const result = await callGmail('messages.get', fn, { metrics, sleep, random: () => 1, baseMs: 100 });
+
+    expect(result).toEqual({ data: 'ok' });
+    expect(fn).toHaveBeenCalledTimes(3);
+    expect(sleep.mock.calls.map(c => c[0])).toEqual([100, 200]);
+    expect(metrics.snapshot().methods['messages.get']).toMatchObject({
+      calls: 1, succeeded: 1, failed: 0, retries: 2, rateLimited: 1
+    });
+  });
+
+  test('does not retry client errors and gives up after maxRetries', async () => {
+    const notFound = jest.fn().mockRejectedValue(httpError(404));
+    await expect(callGmail('messages.get', notFound, { metrics, sleep })).rejects.toThrow('HTTP 404');
+    expect(notFound).toHaveBeenCalledTimes(1);
+
+    const down = jest.fn().mockRejectedValue(httpError(500));
+    await expect(callGmail('messages.get', down, { metrics, sleep, maxRetries: 2 })).rejects.toThrow('HTTP 500');
+    expect(down).toHaveBeenCalledTimes(3);
+    expect(metrics.snapshot().totals).toMatchObject({ calls: 2, failed: 2, retries: 2 });
+  });
+
+  test('retries non-idempotent calls on rate limits only', async () => {
+    const send = jest.fn().mockRejectedValue(httpError(502));
+    await expect(callGmail('messages.send', send, { metrics, sleep, idempotent: false })).rejects.toThrow();
+    expect(send).toHaveBeenCalledTimes(1);
+
+    const quota = httpError(403, { errors: [{ reason: 'userRateLimitExceeded' }] });
+    const limited = jest.fn().mockRejectedValueOnce(quota).mockResolvedValue({ data: {} });
+    await callGmail('messages.send', limited, { metrics, sleep, idempotent: false });
+    expect(limited).toHaveBeenCalledTimes(2);
+  });
+
+  test('honours Retry-After when it is longer than the backoff', () => {
+    const error = httpError(429);
+    error.response.headers['retry-after'] = '3';
+    expect(retryDelay(0, error, { baseMs: 100, random: () => 1 })).toBe(3000);
+    expect(retryDelay(20, httpError(503), { baseMs: 100, random: () => 1 })).toBe(32000);
+  });
+});
+
+describe('mapLimit', () => {
+  test('keeps order and never exceeds the limit', async () => {
+    let inFlight = 0;
+    let peak = 0;
+
+    const results = await mapLimit([5, 1, 4, 2, 3], 2, async (n) => {
+      inFlight++;
+      peak = Math.max(peak, inFlight);
+      await new Promise(resolve => setTimeout(resolve, n));
+      inFlight--;
+      return n * 10;
+    });
+
+    expect(results).toEqual([50, 10, 40, 20, 30]);
+    expect(peak).toBe(2);
+  });
+});
+
+describe('Gmail batch requests', () => {
+  test('parses multipart responses by Content-ID', () => {
+    const text = [
+      '--batch_abc',
+      'Content-Type: application/http',
+      'Content-ID: <response-item-1>',
+      '',
+      'HTTP/1.1 429 Too Many Requests',
+      'Content-Type: application/json',
+      '',
+      '{"error":{"code":429,"message":"Rate Limit Exceeded"}}',
+      '--batch_abc',
+      'Content-Type: application/http',
+      'Content-ID: <response-item-0>',
+      '',
+      'HTTP/1.1 200 OK',
+      'Content-Type: application/json; charset=UTF-8',
+      '',
+      '{"id":"m1","threadId":"t1","payload":{"headers":[]}}',
+      '--batch_abc--'
+    ].join('\r\n');
+
+    const parts = GmailProvider.parseBatchResponse(text, 'multipart/mixed; boundary=batch_abc');
+
+    expect(parts.get(0)).toEqual({ status: 200, body: { id: 'm1', threadId: 't1', payload: { headers: [] } } });
+    expect(parts.get(1).status).toBe(429);
+  });
+
+  test('refetches retryable parts one by one', async () => {
+    const provider = new GmailProvider({ GMAIL_BATCH_REQUESTS: true, GMAIL_RETRY_BASE_MS: 0 }, {
+      info: jest.fn(), warn: jest.fn(), error: jest.fn()
+    });
+    provider.auth = {
+      request: jest.fn(async ({ data }) => {
+        const boundary = /^--(\S+)/.exec(data)[1];
+        return {
+          headers: { 'content-type': `multipart/mixed; boundary=${boundary}` },
+          data: [
+            `--${boundary}`, 'Content-ID: <response-item-0>', '', 'HTTP/1.1 200 OK', '', '{"id":"a"}',
+            `--${boundary}`, 'Content-ID: <response-item-1>', '', 'HTTP/1.1 503 Service Unavailable', '', '{}',
+            `--${boundary}`, 'Content-ID: <response-item-2>', '', 'HTTP/1.1 404 Not Found', '',
+            '{"error":{"message":"Not Found"}}',
+            `--${boundary}--`
+          ].join('\r\n')
+        };
+      })
+    };
+    provider.client = { users: { messages: { get: jest.fn(async ({ id }) => ({ data: { id, refetched: true } })) } } };
+
+    const results = await provider.getMessages(['a', 'b', 'c']);
+
+    expect(provider.auth.request).toHaveBeenCalledTimes(1);
+    expect(results[0]).toEqual({ id: 'a', message: { id: 'a' } });
+    expect(results[1]).toEqual({ id: 'b', message: { id: 'b', refetched: true } });
+    expect(results[2].error.message).toBe('Not Found');
+    expect(provider.client.users.messages.get).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * Tests for the IMAP/SMTP mailbox provider
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ImapProvider = require('../src/providers/imap');
+const { createProvider } = require('../src/providers');
+const Ingestor = require('../src/ingestor');
+
+const { toSearch } = ImapProvider;
+
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+};
+
+const IMAP_CONFIG = {
+  MAIL_PROVIDER: 'imap',
+  IMAP_HOST: 'localhost',
+  IMAP_USER: 'hello@mdx.so',
+  IMAP_PASSWORD: 'secret',
+  IMAP_SENT_MAILBOX: 'Sent'
+};
+
+function rawEmail({ from, subject, messageId, references, body }) {
+  return Buffer.from([
+    `From: ${from}`,
+    'To: hello@mdx.so',
+    `Subject: ${subject}`,
+    `Message-ID: ${messageId}`,
+    ...(references ? [`References: ${references}`, `In-Reply-To: ${references.split(' ').pop()}`] : []),
+    'Date: Mon, 02 Feb 2026 10:00:00 +0000',
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    body
+  ].join('\r\n'));
+}
+
+function fakeClient(messages) {
+  return {
+    usable: true,
+    mailbox: { uidValidity: 7n, uidNext: 13 },
+    getMailboxLock: jest.fn().mockResolvedValue({ release: jest.fn() }),
+    search: jest.fn(async () => messages.map(m => m.uid)),
+    fetchOne: jest.fn(async (uid) => messages.find(m => String(m.uid) === String(uid))),
+    fetchAll: jest.fn(async (uids) => messages.filter(m => uids.includes(m.uid))),
+    status: jest.fn(async () => ({ uidValidity: 7n, uidNext: 13, unseen: 1 })),
+    messageFlagsAdd: jest.fn().mockResolvedValue(true),
+    messageFlagsRemove: jest.fn().mockResolvedValue(true),
+    append: jest.fn().mockResolvedValue({ uid: 99 }),
+    logout: jest.fn().mockResolvedValue()
+  };
+}
+
+const inbox = [
+  {
+    uid: 11,
+    flags: new Set(['\\Seen']),
+    internalDate: new Date('2026-02-02T10:00:00Z'),
+    source: rawEmail({
+      from: 'Ana Pérez <ana@tiendasol.cl>',
+      subject: 'Cotización tienda online',
+      messageId: '<root-1@tiendasol.cl>',
+      body: 'Hola, necesitamos una tienda online.'
+    })
+  },
+  {
+    uid: 12,
+    flags: new Set(['emailbot-processed']),
+    internalDate: new Date('2026-02-03T10:00:00Z'),
+    source: rawEmail({
+      from: 'Ana Pérez <ana@tiendasol.cl>',
+      subject: 'Re: Cotización tienda online',
+      messageId: '<reply-2@tiendasol.cl>',
+      references: '<root-1@tiendasol.cl> <ours-1@mdx.so>',
+      body: '¿Cuándo podemos hablar?'
+    })
+  }
+];
+
+describe('IMAP query translation', () => {
+  test('maps the supported Gmail search operators', () => {
+    const search = toSearch('(subject:"Nuevo cliente potencial") -label:EmailBot/Processed is:unread after:1767225600 -from:noreply');
+
+    expect(search).toEqual({
+      subject: 'Nuevo cliente potencial',
+      unKeyword: 'emailbot-processed',
+      seen: false,
+      since: new Date(1767225600 * 1000),
+      not: { from: 'noreply' }
+    });
+  });
+
+  test('ANDs repeated terms through a nested group', () => {
+    expect(toSearch('web design')).toEqual({ text: 'web', or: [{ text: 'design' }] });
+    expect(toSearch('')).toEqual({ all: true });
+  });
+});
+
+describe('ImapProvider', () => {
+  let provider;
+  let client;
+
+  beforeEach(() => {
+    provider = createProvider(IMAP_CONFIG, mockLogger);
+    client = fakeClient(inbox);
+    jest.spyOn(provider, 'getClient').mockResolvedValue(client);
+  });
+
+  test('is selected by MAIL_PROVIDER', () => {
+    expect(provider).toBeInstanceOf(ImapProvider);
+    expect(() => createProvider({ MAIL_PROVIDER: 'pop3' }, mockLogger)).toThrow(/Unknown mail provider/);
+  });
+
+  test('returns Gmail-shaped messages keyed by the thread root', async () => {
+    const first = await provider.getMessage('11');
+    const reply = await provider.getMessage('12');
+
+    expect(client.fetchOne).toHaveBeenCalledWith('11', expect.objectContaining({ source: true }), { uid: true });
+    expect(first.labelIds).toEqual(['INBOX']);
+    expect(reply.labelIds).toEqual(['INBOX', 'UNREAD', 'emailbot-processed']);
+    expect(first.internalDate).toBe(String(Date.parse('2026-02-02T10:00:00Z')));
+    expect(reply.threadId).toBe(first.threadId);
+    expect(Buffer.from(first.threadId, 'base64url').toString()).toBe('<root-1@tiendasol.cl>');
+  });
+
+  test('lists changes since a UID checkpoint and detects UIDVALIDITY changes', async () => {
+    expect(await provider.getCheckpoint()).toBe('7:13');
+
+    client.search.mockResolvedValueOnce([12]);
+    expect(await provider.listChangesSince('7:12', { limit: 10 })).toEqual({
+      messages: [{ id: '12' }],
+      checkpoint: '7:13'
+    });
+
+    // "n:*" returns the highest UID even when nothing is newer
+    client.search.mockResolvedValueOnce([12]);
+    expect((await provider.listChangesSince('7:13')).messages).toEqual([]);
+
+    expect(await provider.listChangesSince('6:13')).toBeNull();
+    expect(await provider.listChangesSince('4512')).toBeNull();
+  });
+
+  test('maps labels to IMAP flags', async () => {
+    await provider.modifyMessage('11', {
+      addLabelIds: ['UNREAD', 'STARRED', await provider.ensureLabel('EmailBot/Processed'), 'INBOX'],
+      removeLabelIds: ['Follow Up']
+    });
+
+    expect(client.messageFlagsAdd).toHaveBeenCalledWith('11', ['\\Flagged', 'emailbot-processed'], { uid: true });
+    expect(client.messageFlagsRemove).toHaveBeenCalledWith('11', ['\\Seen', 'follow-up'], { uid: true });
+  });
+
+  test('sends over SMTP and keeps a copy in the sent folder', async () => {
+    const sendMail = jest.fn().mockResolvedValue({});
+    jest.spyOn(provider, 'getTransport').mockReturnValue({ sendMail, close: jest.fn() });
+
+    const result = await provider.sendMessage({
+      from: 'MDX <hello@mdx.so>',
+      to: 'ana@tiendasol.cl',
+      subject: 'Re: Cotización tienda online',
+      text: 'Hola Ana',
+      threadId: 'thread-1',
+      inReplyTo: '<root-1@tiendasol.cl>',
+      references: '<root-1@tiendasol.cl>'
+    });
+
+    const { envelope, raw } = sendMail.mock.calls[0][0];
+    expect(envelope).toEqual({ from: 'hello@mdx.so', to: ['ana@tiendasol.cl'] });
+    expect(raw.toString()).toMatch(/In-Reply-To: <root-1@tiendasol\.cl>/);
+    expect(client.append).toHaveBeenCalledWith('Sent', raw, ['\\Seen']);
+    expect(result).toEqual({ id: 'sent:99', threadId: 'thread-1' });
+  });
+});
+
+describe('Ingestor with the IMAP provider', () => {
+  let statePath;
+
+  beforeEach(() => {
+    statePath = fs.mkdtempSync(path.join(os.tmpdir(), 'emailbot-state-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(statePath, { recursive: true, force: true });
+  });
+
+  test('ingests leads and stores the UID checkpoint', async () => {
+    const ingestor = new Ingestor({ ...IMAP_CONFIG, statePath }, mockLogger);
+    const client = fakeClient(inbox);
+    jest.spyOn(ingestor.provider, 'getClient').mockResolvedValue(client);
+    ingestor.provider.client = client;
+
+    const result = await ingestor.run({ limit: 10 });
+
+    expect(result.mode).toBe('full');
+    expect(result.processed.map(e => [e.gmailId, e.email])).toEqual([
+      ['12', 'ana@tiendasol.cl']
+    ]);
+    // 11 started the thread Ana followed up on in 12
+    expect(result.skipped).toEqual([expect.objectContaining({ gmailId: '11', reason: 'not_latest_in_thread' })]);
+    expect(ingestor.loadCheckpoint().historyId).toBe('7:13');
+    expect(client.logout).toHaveBeenCalled();
+  });
+});
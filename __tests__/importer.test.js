@@ -0,0 +1,125 @@
+/**
+ * Tests for offline .eml / mbox import
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Importer = require('../src/importer');
+const Ingestor = require('../src/ingestor');
+const Analyzer = require('../src/analyzer');
+
+const { splitMbox } = Importer;
+
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+};
+
+const eml = (from, subject, body) =>
+  `From: ${from}\nSubject: ${subject}\nDate: Mon, 02 Feb 2026 10:00:00 +0000\nContent-Type: text/plain; charset=utf-8\n\n${body}\n`;
+
+describe('splitMbox()', () => {
+  test('splits on "From " lines and unescapes quoted ones', () => {
+    const mbox = [
+      'From ana@acme.cl Mon Feb  2 10:00:00 2026',
+      'Subject: One',
+      '',
+      '>From the start we wanted a shop.',
+      '',
+      'From bob@lee.com Tue Feb  3 10:00:00 2026',
+      'Subject: Two',
+      '',
+      'Hello'
+    ].join('\n');
+
+    const messages = splitMbox(Buffer.from(mbox)).map(b => b.toString());
+
+    expect(messages).toEqual([
+      'Subject: One\n\nFrom the start we wanted a shop.',
+      'Subject: Two\n\nHello'
+    ]);
+  });
+});
+
+describe('Importer', () => {
+  let dir;
+  let importer;
+  let deps;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'emailbot-import-'));
+    fs.mkdirSync(path.join(dir, 'export', 'nested'), { recursive: true });
+
+    fs.writeFileSync(
+      path.join(dir, 'export', 'lead.eml'),
+      eml('"Ana Pérez" <ana@tiendasol.cl>', 'Cotización', 'Hola, necesitamos una tienda online.')
+    );
+    fs.writeFileSync(
+      path.join(dir, 'export', 'nested', 'archive.mbox'),
+      [
+        'From forms@mdx.so Mon Feb  2 10:00:00 2026',
+        eml('Website <forms@mdx.so>', 'New message', 'You have received a new message from your website contact form.\n\nName: Bob Lee\nEmail: bob@lee.com\nMessage: Need an app'),
+        'From nobody Mon Feb  2 11:00:00 2026',
+        'Subject: No sender\n\nJust text\n'
+      ].join('\n')
+    );
+    fs.writeFileSync(path.join(dir, 'export', 'notes.txt'), 'ignored');
+
+    const config = { statePath: path.join(dir, 'state') };
+    const ingestor = new Ingestor(config, mockLogger);
+    deps = {
+      ingestor,
+      analyzer: new Analyzer(config, mockLogger),
+      drafter: { generate: jest.fn(async (analysis) => ({ id: `draft-${analysis.email}` })) },
+      ledger: ingestor.ledger,
+      leads: { enabled: true, saveIngested: jest.fn().mockResolvedValue(1) },
+      drafts: { enabled: false, upsert: jest.fn() }
+    };
+    importer = new Importer(config, mockLogger, deps);
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('dry run reports leads without storing anything', async () => {
+    const result = await importer.run(path.join(dir, 'export'), { dryRun: true, drafts: true });
+
+    expect(result.files).toBe(2);
+    expect(result.messages).toBe(3);
+    expect(result.leads.map(l => [l.lead.email, l.lead.formParser])).toEqual([
+      ['ana@tiendasol.cl', 'generic'],
+      ['bob@lee.com', 'website-contact-form']
+    ]);
+    expect(result.leads[0].classification.type).toBeDefined();
+    expect(result.skipped).toEqual([expect.objectContaining({ reason: 'no_email', source: expect.stringMatching(/archive\.mbox#2$/) })]);
+    expect(deps.leads.saveIngested).not.toHaveBeenCalled();
+    expect(deps.drafter.generate).not.toHaveBeenCalled();
+    expect(fs.existsSync(path.join(dir, 'state', 'processed_messages.json'))).toBe(false);
+  });
+
+  test('stores leads and drafts once, then skips on re-import', async () => {
+    const file = path.join(dir, 'export', 'lead.eml');
+
+    const first = await importer.run(file, { drafts: true });
+    const second = await importer.run(file, { drafts: true });
+
+    expect(first.leads).toHaveLength(1);
+    expect(first.drafts).toEqual([{ source: file, draftId: 'draft-ana@tiendasol.cl', email: 'ana@tiendasol.cl' }]);
+    expect(deps.leads.saveIngested).toHaveBeenCalledWith([expect.objectContaining({
+      gmailId: expect.stringMatching(/^import-[0-9a-f]{20}$/),
+      name: 'Ana Pérez',
+      receivedAt: '2026-02-02T10:00:00.000Z'
+    })], 'import');
+
+    expect(second.leads).toHaveLength(0);
+    expect(second.skipped).toEqual([expect.objectContaining({ reason: 'already_processed' })]);
+    expect(deps.drafter.generate).toHaveBeenCalledTimes(1);
+  });
+
+  test('rejects a missing path', async () => {
+    await expect(importer.run(path.join(dir, 'missing'))).rejects.toThrow(/Path not found/);
+  });
+});
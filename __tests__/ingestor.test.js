@@ -0,0 +1,347 @@
+/**
+ * Tests for incremental Gmail ingestion (History API + checkpoint)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Ingestor = require('../src/ingestor');
+
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+};
+
+const b64 = (s) => Buffer.from(s).toString('base64');
+
+function fakeMessage(id) {
+  return {
+    data: {
+      id,
+      threadId: `t-${id}`,
+      internalDate: String(Date.UTC(2026, 0, 1)),
+      payload: {
+        headers: [
+          { name: 'From', value: `Lead ${id} <lead-${id}@example.com>` },
+          { name: 'Subject', value: 'Nuevo cliente potencial' }
+        ],
+        body: { data: b64('Hello, I need a website.') }
+      }
+    }
+  };
+}
+
+function fakeGmail(overrides = {}) {
+  return {
+    users: {
+      getProfile: jest.fn().mockResolvedValue({ data: { historyId: '500' } }),
+      messages: {
+        list: jest.fn().mockResolvedValue({ data: { messages: [{ id: 'a' }, { id: 'b' }] } }),
+        get: jest.fn(({ id }) => Promise.resolve(fakeMessage(id)))
+      },
+      threads: {
+        get: jest.fn(({ id }) => Promise.resolve({
+          data: { id, messages: [fakeMessage(id.replace(/^t-/, '')).data] }
+        }))
+      },
+      history: {
+        list: jest.fn().mockResolvedValue({
+          data: {
+            historyId: '620',
+            history: [
+              { id: '610', messagesAdded: [{ message: { id: 'c', labelIds: ['INBOX'] } }] },
+              { id: '615', messagesAdded: [{ message: { id: 'sent-1', labelIds: ['SENT'] } }] }
+            ]
+          }
+        })
+      },
+      ...overrides
+    }
+  };
+}
+
+describe('Ingestor incremental ingestion', () => {
+  let statePath;
+  let ingestor;
+
+  beforeEach(() => {
+    statePath = fs.mkdtempSync(path.join(os.tmpdir(), 'emailbot-state-'));
+    ingestor = new Ingestor({ statePath }, mockLogger);
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    fs.rmSync(statePath, { recursive: true, force: true });
+  });
+
+  test('does a full list and stores the checkpoint on first run', async () => {
+    const gmail = fakeGmail();
+    jest.spyOn(ingestor.provider, 'getClient').mockResolvedValue(gmail);
+
+    const result = await ingestor.run({ limit: 10 });
+
+    expect(result.mode).toBe('full');
+    expect(result.processed.map(e => e.gmailId)).toEqual(['a', 'b']);
+    expect(gmail.users.history.list).not.toHaveBeenCalled();
+    expect(ingestor.loadCheckpoint().historyId).toBe('500');
+  });
+
+  test('uses history.list when a checkpoint exists and skips sent mail', async () => {
+    ingestor.saveCheckpoint('500');
+    const gmail = fakeGmail();
+    jest.spyOn(ingestor.provider, 'getClient').mockResolvedValue(gmail);
+
+    const result = await ingestor.run({ limit: 10 });
+
+    expect(result.mode).toBe('incremental');
+    expect(gmail.users.history.list).toHaveBeenCalledWith(expect.objectContaining({ startHistoryId: '500' }));
+    expect(gmail.users.messages.list).not.toHaveBeenCalled();
+    expect(result.processed.map(e => e.gmailId)).toEqual(['c']);
+    expect(ingestor.loadCheckpoint().historyId).toBe('620');
+  });
+
+  test('falls back to a full list when the checkpoint is too old', async () => {
+    ingestor.saveCheckpoint('1');
+    const expired = Object.assign(new Error('Requested entity was not found.'), { code: 404 });
+    const gmail = fakeGmail();
+    gmail.users.history.list.mockRejectedValue(expired);
+    jest.spyOn(ingestor.provider, 'getClient').mockResolvedValue(gmail);
+
+    const result = await ingestor.run({ limit: 10 });
+
+    expect(result.mode).toBe('full');
+    expect(gmail.users.messages.list).toHaveBeenCalled();
+    expect(ingestor.loadCheckpoint().historyId).toBe('500');
+  });
+
+  test('keeps the checkpoint when a message fails so the next run ingests it', async () => {
+    ingestor.saveCheckpoint('500');
+    const gmail = fakeGmail();
+    gmail.users.messages.get.mockRejectedValueOnce(new Error('Backend Error'));
+    jest.spyOn(ingestor.provider, 'getClient').mockResolvedValue(gmail);
+
+    const first = await ingestor.run({ limit: 10 });
+    expect(first).toMatchObject({ mode: 'incremental', processed: [], skipped: [{ gmailId: 'c', reason: 'error' }] });
+    expect(ingestor.loadCheckpoint().historyId).toBe('500');
+
+    const second = await ingestor.run({ limit: 10 });
+    expect(gmail.users.history.list).toHaveBeenLastCalledWith(expect.objectContaining({ startHistoryId: '500' }));
+    expect(second.processed.map(e => e.gmailId)).toEqual(['c']);
+    expect(ingestor.loadCheckpoint().historyId).toBe('620');
+  });
+
+  test('intersects history with the filter query', async () => {
+    ingestor.saveCheckpoint('500');
+    const gmail = fakeGmail();
+    gmail.users.messages.list.mockResolvedValue({ data: { messages: [{ id: 'zzz' }] } });
+    jest.spyOn(ingestor.provider, 'getClient').mockResolvedValue(gmail);
+
+    const result = await ingestor.run({ filter: 'subject:"Nuevo cliente potencial"', limit: 10 });
+
+    expect(result.mode).toBe('incremental');
+    expect(gmail.users.messages.list.mock.calls[0][0].q).toMatch(/^\(subject:"Nuevo cliente potencial"\) after:\d+$/);
+    expect(result.processed).toEqual([]);
+  });
+});
+
+describe('Ingestor idempotency', () => {
+  let statePath;
+
+  beforeEach(() => {
+    statePath = fs.mkdtempSync(path.join(os.tmpdir(), 'emailbot-state-'));
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    fs.rmSync(statePath, { recursive: true, force: true });
+  });
+
+  test('skips messages already in the ledger on re-run', async () => {
+    const ingestor = new Ingestor({ statePath }, mockLogger);
+    const gmail = fakeGmail();
+    jest.spyOn(ingestor.provider, 'getClient').mockResolvedValue(gmail);
+
+    await ingestor.run({ limit: 10, full: true });
+    const second = await ingestor.run({ limit: 10, full: true });
+
+    expect(second.processed).toEqual([]);
+    expect(second.skipped).toEqual([
+      { gmailId: 'a', reason: 'already_processed' },
+      { gmailId: 'b', reason: 'already_processed' }
+    ]);
+    expect(gmail.users.messages.get).toHaveBeenCalledTimes(2);
+    expect(await ingestor.ledger.has('a')).toBe(true);
+  });
+
+  test('leaves failed messages out of the ledger so they are retried', async () => {
+    const ingestor = new Ingestor({ statePath }, mockLogger);
+    const gmail = fakeGmail();
+    gmail.users.messages.get.mockRejectedValueOnce(new Error('Backend Error'));
+    jest.spyOn(ingestor.provider, 'getClient').mockResolvedValue(gmail);
+
+    const result = await ingestor.run({ limit: 10, full: true });
+
+    expect(result.processed.map(e => e.gmailId)).toEqual(['b']);
+    expect(result.skipped).toEqual([{ gmailId: 'a', reason: 'error', error: 'Backend Error' }]);
+    expect(await ingestor.ledger.has('a')).toBe(false);
+
+    const retry = await ingestor.run({ limit: 10 });
+    expect(retry.processed.map(e => e.gmailId)).toEqual(['a']);
+    expect(retry.skipped).toEqual([{ gmailId: 'b', reason: 'already_processed' }]);
+    expect(await ingestor.ledger.has('a')).toBe(true);
+  });
+
+  test('stores the leads before recording them; a failed save leaves them for the next run', async () => {
+    const leads = { saveIngested: jest.fn().mockRejectedValueOnce(new Error('connection refused')).mockResolvedValue(2) };
+    const ingestor = new Ingestor({ statePath }, mockLogger, { leads });
+    jest.spyOn(ingestor.provider, 'getClient').mockResolvedValue(fakeGmail());
+
+    await expect(ingestor.run({ limit: 10 })).rejects.toThrow('connection refused');
+    expect(await ingestor.ledger.has('a')).toBe(false);
+    expect(ingestor.loadCheckpoint()).toBeNull();
+
+    const retry = await ingestor.run({ limit: 10 });
+    expect(retry).toMatchObject({ stored: 2, skipped: [] });
+    expect(leads.saveIngested).toHaveBeenLastCalledWith([expect.objectContaining({ gmailId: 'a' }), expect.objectContaining({ gmailId: 'b' })]);
+    expect(await ingestor.ledger.has('a')).toBe(true);
+    expect(ingestor.loadCheckpoint().historyId).toBe('500');
+  });
+
+  test('retries rate-limited fetches instead of dropping the message', async () => {
+    const ingestor = new Ingestor({ statePath, GMAIL_RETRY_BASE_MS: 0 }, mockLogger);
+    const gmail = fakeGmail();
+    const rateLimited = Object.assign(new Error('Rate Limit Exceeded'), { response: { status: 429, headers: {} } });
+    gmail.users.messages.get.mockRejectedValueOnce(rateLimited);
+    jest.spyOn(ingestor.provider, 'getClient').mockResolvedValue(gmail);
+
+    const result = await ingestor.run({ limit: 10, full: true });
+
+    expect(result.processed.map(e => e.gmailId)).toEqual(['a', 'b']);
+    expect(result.skipped).toEqual([]);
+    expect(gmail.users.messages.get).toHaveBeenCalledTimes(3);
+  });
+
+  test('applies the processed label and excludes it from the query', async () => {
+    const ingestor = new Ingestor({ statePath, GMAIL_PROCESSED_LABEL: 'EmailBot/Processed' }, mockLogger);
+    const gmail = fakeGmail();
+    gmail.users.labels = {
+      list: jest.fn().mockResolvedValue({ data: { labels: [{ id: 'INBOX', name: 'INBOX' }] } }),
+      create: jest.fn().mockResolvedValue({ data: { id: 'Label_7' } })
+    };
+    gmail.users.messages.modify = jest.fn().mockResolvedValue({});
+    jest.spyOn(ingestor.provider, 'getClient').mockResolvedValue(gmail);
+
+    await ingestor.run({ filter: 'in:inbox', limit: 10 });
+
+    expect(gmail.users.messages.list.mock.calls[0][0].q).toBe('(in:inbox) -label:emailbot-processed');
+    expect(gmail.users.labels.create).toHaveBeenCalledTimes(1);
+    expect(gmail.users.messages.modify).toHaveBeenCalledWith({
+      userId: 'me',
+      id: 'a',
+      requestBody: { addLabelIds: ['Label_7'] }
+    });
+  });
+});
+
+describe('Ingestor thread awareness', () => {
+  let statePath;
+
+  beforeEach(() => {
+    statePath = fs.mkdtempSync(path.join(os.tmpdir(), 'emailbot-state-'));
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    fs.rmSync(statePath, { recursive: true, force: true });
+  });
+
+  test('marks lone messages eligible and skips replied threads with the reason', async () => {
+    const ingestor = new Ingestor({ statePath, draftsPath: path.join(statePath, 'drafts'), GMAIL_USER: 'hello@mdx.so' }, mockLogger);
+    const gmail = fakeGmail();
+    const reply = {
+      id: 'r1',
+      threadId: 't-b',
+      internalDate: String(Date.UTC(2026, 0, 2)),
+      labelIds: ['SENT'],
+      payload: {
+        headers: [
+          { name: 'From', value: 'MDX <hello@mdx.so>' },
+          { name: 'To', value: 'Lead b <lead-b@example.com>' }
+        ]
+      }
+    };
+    gmail.users.threads.get.mockImplementation(({ id }) => Promise.resolve({
+      data: { id, messages: id === 't-b' ? [fakeMessage('b').data, reply] : [fakeMessage('a').data] }
+    }));
+    jest.spyOn(ingestor.provider, 'getClient').mockResolvedValue(gmail);
+
+    const result = await ingestor.run({ limit: 10 });
+
+    expect(result.processed.map(e => e.gmailId)).toEqual(['a']);
+    expect(result.processed[0]).toMatchObject({ isLatest: true, alreadyReplied: false, draftExists: false });
+    expect(result.processed[0].eligibility.eligible).toBe(true);
+    expect(result.skipped).toEqual([{
+      gmailId: 'b',
+      threadId: 't-b',
+      email: 'lead-b@example.com',
+      reason: 'already_replied',
+      issues: ['already_replied']
+    }]);
+    expect(await ingestor.ledger.has('b')).toBe(true);
+  });
+});
+
+describe('Ingestor run history', () => {
+  let statePath;
+
+  beforeEach(() => {
+    statePath = fs.mkdtempSync(path.join(os.tmpdir(), 'emailbot-state-'));
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    fs.rmSync(statePath, { recursive: true, force: true });
+  });
+
+  test('stores each run with its counts, skips and errors', async () => {
+    const ingestor = new Ingestor({ statePath }, mockLogger);
+    const gmail = fakeGmail();
+    gmail.users.messages.get.mockRejectedValueOnce(new Error('Backend Error'));
+    jest.spyOn(ingestor.provider, 'getClient').mockResolvedValue(gmail);
+
+    const first = await ingestor.run({ limit: 10, full: true, trigger: 'cli', filter: 'in:inbox' });
+    await ingestor.run({ limit: 10, full: true, trigger: 'api' });
+
+    const runs = await ingestor.runs.list();
+    expect(runs.map(r => r.trigger)).toEqual(['api', 'cli']);
+    expect(runs[1]).toMatchObject({
+      id: first.runId,
+      status: 'success',
+      filter: 'in:inbox',
+      scanned: 2,
+      leads: 1,
+      skipCounts: { error: 1 }
+    });
+    expect(runs[1].skipped).toBeUndefined();
+
+    const detail = await ingestor.runs.get(first.runId);
+    expect(detail.processed).toEqual([{ gmailId: 'b', threadId: 't-b', email: 'lead-b@example.com' }]);
+    expect(detail.errors).toEqual([{ gmailId: 'a', error: 'Backend Error' }]);
+
+    expect((await ingestor.runs.list({ gmailId: 'a' })).length).toBe(2);
+    expect((await ingestor.runs.list({ trigger: 'cli' })).length).toBe(1);
+  });
+
+  test('stores failed runs', async () => {
+    const ingestor = new Ingestor({ statePath }, mockLogger);
+    const gmail = fakeGmail();
+    gmail.users.messages.list.mockRejectedValue(Object.assign(new Error('Invalid query'), { code: 400 }));
+    jest.spyOn(ingestor.provider, 'getClient').mockResolvedValue(gmail);
+
+    await expect(ingestor.run({ full: true, trigger: 'scheduler' })).rejects.toThrow('Invalid query');
+
+    const [run] = await ingestor.runs.list();
+    expect(run).toMatchObject({ trigger: 'scheduler', status: 'failed', error: 'Invalid query', scanned: 0 });
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Tests for the knowledge base (BM25 retrieval into draft prompts)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const KnowledgeBase = require('../src/knowledge');
+const Drafter = require('../src/drafter');
+const { parseMarkdown, parseJson } = KnowledgeBase;
+
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+};
+
+const SERVICES = `# Servicios
+
+Somos un estudio de diseño y desarrollo en Ciudad de México.
+
+## Tiendas en línea
+
+Tiendas en Shopify o WooCommerce desde USD 4,000; entrega en 6 a 8 semanas, con pasarela de pago y catálogo.
+
+## Apps móviles
+
+Apps iOS y Android en React Native desde USD 15,000; primer MVP en 10 semanas.
+
+## Sitios web
+
+Sitios corporativos de 5 a 10 páginas desde USD 2,500, listos en 4 semanas.
+`;
+
+const CASES = [
+  { id: 'moda-mx', title: 'Tienda de moda', text: 'Migramos una tienda de ropa a Shopify y las ventas en línea crecieron 40% en 3 meses.', tags: ['ecommerce', 'shopify'] },
+  { id: 'clinica', title: 'App de citas', text: 'App móvil para agendar citas médicas con recordatorios.', tags: ['salud'] }
+];
+
+describe('KnowledgeBase', () => {
+  let dir;
+  let knowledge;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'emailbot-knowledge-'));
+    fs.mkdirSync(path.join(dir, 'kb', 'casos'), { recursive: true });
+    fs.writeFileSync(path.join(dir, 'kb', 'servicios.md'), SERVICES);
+    fs.writeFileSync(path.join(dir, 'kb', 'casos', 'clientes.json'), JSON.stringify({ title: 'Casos', entries: CASES }));
+    knowledge = new KnowledgeBase({ KNOWLEDGE_PATH: path.join(dir, 'kb'), statePath: path.join(dir, 'state') }, mockLogger);
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('splits markdown by section and JSON by entry, with stable ids', () => {
+    expect(parseMarkdown('servicios', SERVICES).map(s => [s.id, s.title])).toEqual([
+      ['servicios#intro', 'Servicios'],
+      ['servicios#tiendas-en-linea', 'Servicios › Tiendas en línea'],
+      ['servicios#apps-moviles', 'Servicios › Apps móviles'],
+      ['servicios#sitios-web', 'Servicios › Sitios web']
+    ]);
+    expect(parseJson('casos/clientes', { title: 'Casos', entries: CASES }).map(s => s.id))
+      .toEqual(['casos/clientes#moda-mx', 'casos/clientes#clinica']);
+    expect(parseJson('faq', ['Respondemos en 24 horas.'])).toEqual([{ id: 'faq#1', title: 'faq', text: 'Respondemos en 24 horas.', tags: [] }]);
+  });
+
+  test('ranks the snippets that match the lead', () => {
+    const results = knowledge.search('Hola, queremos vender ropa en línea con Shopify. ¿Cuánto cuesta una tienda?');
+
+    // The case study shares "ropa", "Shopify" and "tienda en línea" with the message
+    expect(results.map(r => r.id)).toEqual(['casos/clientes#moda-mx', 'servicios#tiendas-en-linea']);
+    expect(results[0].score).toBeGreaterThan(results[1].score);
+    expect(knowledge.search('Hola, gracias')).toEqual([]);
+    expect(knowledge.search('constructor toString')).toEqual([]);
+  });
+
+  test('the index is saved and rebuilt when a document changes', () => {
+    knowledge.index();
+    expect(fs.existsSync(path.join(dir, 'state', 'knowledge-index.json'))).toBe(true);
+    expect(mockLogger.info).toHaveBeenCalledTimes(1);
+
+    // A fresh instance reuses the saved index
+    const other = new KnowledgeBase({ KNOWLEDGE_PATH: path.join(dir, 'kb'), statePath: path.join(dir, 'state') }, mockLogger);
+    expect(other.index().snippets).toHaveLength(6);
+    expect(mockLogger.info).toHaveBeenCalledTimes(1);
+
+    fs.writeFileSync(path.join(dir, 'kb', 'soporte.md'), '# Soporte\n\nMantenimiento mensual desde USD 300.');
+    expect(other.search('mantenimiento mensual').map(r => r.id)).toEqual(['soporte#intro']);
+  });
+
+  test('documents can be added as markdown or JSON; bad input is rejected', () => {
+    expect(knowledge.addDocument('servicios/branding', '# Branding\n\nIdentidad visual desde USD 3,000.'))
+      .toEqual({ id: 'servicios/branding', snippets: 1 });
+    expect(fs.readFileSync(path.join(dir, 'kb', 'servicios', 'branding.md'), 'utf8')).toContain('Identidad visual');
+
+    expect(knowledge.addDocument('plazos', [{ id: 'soporte', text: 'Respondemos tickets en 24 horas hábiles.' }]))
+      .toEqual({ id: 'plazos', snippets: 1 });
+    expect(knowledge.search('identidad visual branding')[0].id).toBe('servicios/branding#intro');
+
+    expect(() => knowledge.addDocument('../secrets', 'x')).toThrow(expect.objectContaining({ status: 400 }));
+    expect(() => knowledge.addDocument('precios.json', '{ nope')).toThrow(/Invalid JSON document/);
+    expect(() => knowledge.addDocument('vacio', '  ')).toThrow('content is required');
+  });
+
+  test('KNOWLEDGE_MAX_SNIPPETS limits retrieval (0 turns it off)', () => {
+    const lead = { subject: 'Cotización', message: 'Queremos una tienda en Shopify y una app móvil' };
+    const config = { KNOWLEDGE_PATH: path.join(dir, 'kb') };
+
+    expect(new KnowledgeBase({ ...config, KNOWLEDGE_MAX_SNIPPETS: 1 }, mockLogger).retrieve(lead)).toHaveLength(1);
+    expect(new KnowledgeBase({ ...config, KNOWLEDGE_MAX_SNIPPETS: 0 }, mockLogger).retrieve(lead)).toEqual([]);
+  });
+});
+
+describe('Knowledge in drafts', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'emailbot-knowledge-'));
+    fs.mkdirSync(path.join(dir, 'kb'));
+    fs.writeFileSync(path.join(dir, 'kb', 'servicios.md'), SERVICES);
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('retrieved snippets go into the prompt and their ids onto the draft', async () => {
+    const drafter = new Drafter({ KNOWLEDGE_PATH: path.join(dir, 'kb'), draftsPath: path.join(dir, 'drafts') }, mockLogger);
+    const generate = jest.spyOn(drafter.llm, 'generate').mockResolvedValue({ text: 'Hola Ana, una tienda en Shopify parte de USD 4,000.', finishReason: 'STOP' });
+
+    const draft = await drafter.generate({ email: 'ana@acme.com', subject: 'Tienda en línea', message: 'Hola, necesitamos una tienda en línea para vender ropa.' });
+    const { prompt } = generate.mock.calls[0][1];
+
+    expect(prompt).toContain('[servicios#tiendas-en-linea] Servicios › Tiendas en línea\nTiendas en Shopify o WooCommerce desde USD 4,000');
+    expect(prompt).not.toContain('Apps iOS');
+    expect(draft.knowledge).toEqual([{ id: 'servicios#tiendas-en-linea', title: 'Servicios › Tiendas en línea', score: expect.any(Number) }]);
+
+    const regenerated = await drafter.regenerate(draft, 'expand');
+    expect(generate.mock.calls[1][1].prompt).toContain('[servicios#tiendas-en-linea]');
+    expect(regenerated.knowledge.map(k => k.id)).toEqual(['servicios#tiendas-en-linea']);
+  });
+
+  test('without documents the prompt is unchanged', async () => {
+    const drafter = new Drafter({ KNOWLEDGE_PATH: path.join(dir, 'empty'), draftsPath: path.join(dir, 'drafts') }, mockLogger);
+    const generate = jest.spyOn(drafter.llm, 'generate').mockResolvedValue({ text: 'Hola Ana', finishReason: 'STOP' });
+
+    const draft = await drafter.generate({ email: 'ana@acme.com', message: 'Hola, necesitamos una tienda en línea.' });
+
+    expect(generate.mock.calls[0][1].prompt).not.toContain('knowledge base');
+    expect(draft.knowledge).toEqual([]);
+  });
+});
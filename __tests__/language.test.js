@@ -0,0 +1,66 @@
+/**
+ * Tests for the shared language identification module
+ */
+
+const Analyzer = require('../src/analyzer');
+const Drafter = require('../src/drafter');
+const FollowUp = require('../src/followup');
+const { detectLanguage, languageName } = require('../src/language');
+
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+};
+
+describe('detectLanguage', () => {
+  test.each([
+    ['Olá, gostaria de saber quanto custa um site para a minha empresa. Obrigado!', 'pt'],
+    ['Bom dia, precisamos de um orçamento para desenvolvimento de aplicativo.', 'pt'],
+    ['Bonjour, nous aimerions avoir un devis pour la refonte de notre site web. Merci !', 'fr'],
+    ['Guten Tag, wir möchten gerne ein Angebot für eine neue Webseite. Vielen Dank!', 'de'],
+    ['Buongiorno, vorrei un preventivo per il sito della nostra azienda. Grazie!', 'it'],
+    ['Hola, necesitamos un presupuesto para nuestra tienda en línea.', 'es'],
+    ['Hi, we need a quote for our online store.', 'en']
+  ])('identifies %s', (text, language) => {
+    const result = detectLanguage(text);
+    expect(result.language).toBe(language);
+    expect(result.confidence).toBeGreaterThan(0.5);
+  });
+
+  test('falls back to English with zero confidence when there is no signal', () => {
+    expect(detectLanguage('12345')).toMatchObject({ language: 'en', confidence: 0 });
+    expect(detectLanguage('')).toMatchObject({ language: 'en', confidence: 0 });
+  });
+
+  test('gives short texts less confidence', () => {
+    expect(detectLanguage('Grazie').confidence).toBeLessThan(detectLanguage('Grazie mille, vorrei sapere quanto costa il servizio').confidence);
+  });
+
+  test('names languages for prompts', () => {
+    expect(languageName('de')).toBe('German');
+    expect(languageName('xx')).toBe('English');
+  });
+});
+
+describe('Language across analysis, drafting and follow-ups', () => {
+  const message = 'Bonjour, je voudrais savoir combien coûte une application mobile pour notre entreprise.';
+
+  test('Analyzer and Drafter agree', () => {
+    const analyzer = new Analyzer({}, mockLogger);
+    const drafter = new Drafter({}, mockLogger);
+
+    expect(analyzer.extractData({ message })).toMatchObject({ language: 'fr' });
+    expect(drafter.analyzeDraft({ message })).toMatchObject({ language: 'fr' });
+    expect(drafter.generateFallbackDraft({}, 'fr')).toContain('Merci pour votre message');
+  });
+
+  test('follow-ups are written in the lead\'s language', async () => {
+    const followup = new FollowUp({}, mockLogger);
+    const draft = { client: { company: 'Acme' }, emailData: { originalMessage: message }, analysis: {} };
+
+    expect(followup.languageOf(draft)).toBe('fr');
+    expect(await followup.generateFollowupContent(draft, 2)).toMatch(/^Bonjour Acme,/);
+    expect(followup.languageOf({ ...draft, analysis: { language: 'pt' } })).toBe('pt');
+  });
+});
@@ -0,0 +1,206 @@
+/**
+ * Tests for the LLM fallback chain, circuit breakers and continuation of cut-off answers
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LlmClient = require('../src/llm');
+const CircuitBreaker = require('../src/llm/breaker');
+const Drafter = require('../src/drafter');
+
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+};
+
+// Answers from a queue shared by name: an Error is thrown, anything else is returned
+const scripts = {};
+class ScriptedProvider {
+  constructor(config, logger, settings = {}) {
+    this.settings = settings;
+    this.calls = [];
+  }
+
+  get defaultModel() {
+    return this.settings.model || 'scripted';
+  }
+
+  async generate(request) {
+    this.calls.push(request);
+    const next = scripts[this.settings.script].shift();
+    if (next instanceof Error) throw next;
+    return next;
+  }
+}
+LlmClient.registerProvider('scripted', ScriptedProvider);
+
+describe('LLM fallback chain', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'emailbot-llm-'));
+    LlmClient.BREAKERS.clear();
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const load = (tasks, circuitBreaker) => {
+    const configPath = path.join(dir, 'llm.json');
+    fs.writeFileSync(configPath, JSON.stringify({
+      tasks,
+      circuitBreaker,
+      providers: {
+        primary: { type: 'scripted', script: 'primary', model: 'big' },
+        backup: { type: 'scripted', script: 'backup', model: 'small' }
+      }
+    }));
+    return new LlmClient({ LLM_CONFIG_PATH: configPath }, mockLogger);
+  };
+
+  const ok = (text, finishReason = 'STOP') => ({ text, finishReason });
+
+  test('falls back in order and reports the attempts', async () => {
+    scripts.primary = [Object.assign(new Error('Gemini API error: timeout of 300000ms exceeded'), { status: 504 })];
+    scripts.backup = [ok('Hola Ana')];
+    const llm = load({ draft: { provider: 'primary', fallbacks: ['azure', { provider: 'backup', model: 'tiny' }] } });
+
+    const result = await llm.generate('draft', { prompt: 'Escribe' });
+
+    expect(result).toMatchObject({
+      text: 'Hola Ana',
+      provider: 'backup',
+      model: 'tiny',
+      attempts: 2,
+      continuations: 0,
+      failures: [{ provider: 'primary', model: 'big', error: 'Gemini API error: timeout of 300000ms exceeded' }]
+    });
+    expect(mockLogger.warn).toHaveBeenCalledWith('Skipping unknown LLM fallback provider', { provider: 'azure' });
+  });
+
+  test('empty answers move on to the next provider; failing everywhere throws', async () => {
+    scripts.primary = [ok('', 'SAFETY')];
+    scripts.backup = [new Error('backup API error: 503')];
+    const llm = load({ draft: { provider: 'primary', fallbacks: ['backup'] } });
+
+    await expect(llm.generate('draft', { prompt: 'Escribe' })).rejects.toMatchObject({
+      message: 'No LLM provider could complete task draft (primary/big: Empty response (finishReason SAFETY); backup/small: backup API error: 503)',
+      failures: [{ provider: 'primary' }, { provider: 'backup' }]
+    });
+  });
+
+  test('an open circuit skips the provider until the cooldown passes', async () => {
+    const llm = load({ draft: { provider: 'primary', fallbacks: ['backup'] } }, { failureThreshold: 2, cooldownMs: 1000 });
+    const now = jest.spyOn(Date, 'now').mockReturnValue(1000);
+    try {
+      scripts.primary = [new Error('down'), new Error('down')];
+      scripts.backup = [ok('uno'), ok('dos'), ok('tres')];
+      await llm.generate('draft', { prompt: 'a' });
+      await llm.generate('draft', { prompt: 'b' });
+      expect(mockLogger.warn).toHaveBeenCalledWith('LLM circuit opened', { provider: 'primary', model: 'big', failures: 2, cooldownMs: 1000 });
+
+      // Shared across clients: a new one skips the provider too
+      const third = await load({ draft: { provider: 'primary', fallbacks: ['backup'] } }).generate('draft', { prompt: 'c' });
+      expect(third).toMatchObject({ text: 'tres', provider: 'backup', attempts: 1 });
+      expect(mockLogger.warn).toHaveBeenCalledWith('Skipping LLM provider with open circuit', { task: 'draft', provider: 'primary', model: 'big' });
+
+      now.mockReturnValue(2000);
+      scripts.primary = [ok('de vuelta')];
+      expect(await llm.generate('draft', { prompt: 'd' })).toMatchObject({ provider: 'primary', attempts: 1 });
+      expect(LlmClient.BREAKERS.get('primary:big').state).toBe('closed');
+    } finally {
+      now.mockRestore();
+    }
+  });
+
+  test('a fallback to another model of the same provider has its own circuit', async () => {
+    const llm = load({ draft: { provider: 'primary', fallbacks: [{ provider: 'primary', model: 'lite' }] } }, { failureThreshold: 1, cooldownMs: 60000 });
+    scripts.primary = [new Error('big is down'), ok('uno'), ok('dos')];
+
+    expect(await llm.generate('draft', { prompt: 'a' })).toMatchObject({ text: 'uno', model: 'lite', attempts: 2 });
+    expect(LlmClient.BREAKERS.get('primary:big').state).toBe('open');
+    expect(LlmClient.BREAKERS.get('primary:lite').state).toBe('closed');
+
+    // The primary's circuit is open: the fallback is still called
+    expect(await llm.generate('draft', { prompt: 'b' })).toMatchObject({ text: 'dos', model: 'lite', attempts: 1 });
+    expect(mockLogger.warn).toHaveBeenCalledWith('Skipping LLM provider with open circuit', { task: 'draft', provider: 'primary', model: 'big' });
+  });
+
+  test('answers cut off at the token limit are continued', async () => {
+    scripts.primary = [ok('Hola Ana, gracias por escribir. Podemos', 'MAX_TOKENS'), ok(' empezar el lunes.', 'STOP')];
+    const llm = load({ draft: { provider: 'primary', maxContinuations: 2 } });
+
+    const result = await llm.generate('draft', { prompt: 'Escribe' });
+
+    expect(result).toMatchObject({ text: 'Hola Ana, gracias por escribir. Podemos empezar el lunes.', finishReason: 'STOP', continuations: 1, attempts: 1 });
+    const [, continuation] = llm.providers.primary.calls;
+    expect(continuation.prompt).toContain('Escribe');
+    expect(continuation.prompt).toContain('Hola Ana, gracias por escribir. Podemos\n>>>');
+  });
+
+  test('continuations stop at the limit and never apply to JSON answers', async () => {
+    scripts.primary = [ok('uno', 'MAX_TOKENS'), ok(' dos', 'MAX_TOKENS'), ok('{"intent":', 'MAX_TOKENS')];
+    const llm = load({ draft: { provider: 'primary', maxContinuations: 1 }, classification: { provider: 'primary' } });
+
+    expect(await llm.generate('draft', { prompt: 'x' })).toMatchObject({ text: 'uno dos', finishReason: 'MAX_TOKENS', continuations: 1 });
+    expect(await llm.generate('classification', { prompt: 'x', json: true })).toMatchObject({ text: '{"intent":', continuations: 0 });
+  });
+});
+
+describe('CircuitBreaker', () => {
+  test('opens after consecutive failures and re-opens on a failed trial', () => {
+    const now = jest.spyOn(Date, 'now').mockReturnValue(0);
+    try {
+      const breaker = new CircuitBreaker({ failureThreshold: 2, cooldownMs: 100 });
+      expect(breaker.recordFailure()).toBe(false);
+      breaker.recordSuccess();
+      expect(breaker.recordFailure()).toBe(false);
+      expect(breaker.recordFailure()).toBe(true);
+      expect(breaker.canRequest()).toBe(false);
+
+      now.mockReturnValue(100);
+      expect(breaker.state).toBe('half_open');
+      expect(breaker.recordFailure()).toBe(true);
+      expect(breaker.state).toBe('open');
+    } finally {
+      now.mockRestore();
+    }
+  });
+});
+
+describe('Drafts record how they were generated', () => {
+  test('provider, model and attempts are stored on the draft', async () => {
+    const draftsPath = fs.mkdtempSync(path.join(os.tmpdir(), 'emailbot-drafts-'));
+    try {
+      const drafter = new Drafter({ draftsPath }, mockLogger);
+      jest.spyOn(drafter.llm, 'generate').mockResolvedValue({
+        text: 'Hola Ana, gracias por escribir. ¿Cuántas páginas necesita el sitio?',
+        finishReason: 'STOP',
+        task: 'draft',
+        provider: 'gemini',
+        model: 'gemini-2.5-flash-lite',
+        attempts: 2,
+        continuations: 1,
+        failures: [{ provider: 'gemini', model: 'gemini-2.5-flash', error: 'Gemini API error: 503' }]
+      });
+
+      const draft = await drafter.generate({ email: 'ana@acme.com', message: 'Hola, necesitamos un sitio web.' });
+
+      expect(draft.generation).toEqual({
+        task: 'draft',
+        provider: 'gemini',
+        model: 'gemini-2.5-flash-lite',
+        finishReason: 'STOP',
+        attempts: 2,
+        continuations: 1,
+        failures: [{ provider: 'gemini', model: 'gemini-2.5-flash', error: 'Gemini API error: 503' }]
+      });
+    } finally {
+      fs.rmSync(draftsPath, { recursive: true, force: true });
+    }
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * Tests for the provider-agnostic LLM client (config/llm.json)
+ */
+
+jest.mock('axios');
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const LlmClient = require('../src/llm');
+const Drafter = require('../src/drafter');
+const FollowUp = require('../src/followup');
+const LlmExtractor = require('../src/extraction');
+
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+};
+
+describe('LlmClient', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'emailbot-llm-'));
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const load = (settings, config = {}) => {
+    const configPath = path.join(dir, 'llm.json');
+    fs.writeFileSync(configPath, JSON.stringify(settings));
+    return new LlmClient({ LLM_CONFIG_PATH: configPath, ...config }, mockLogger);
+  };
+
+  test('resolves the provider and model per task', () => {
+    const llm = load({
+      default: { provider: 'gemini' },
+      tasks: { classification: { provider: 'local', temperature: 0 }, followup: { model: 'gemini-2.5-pro' } },
+      providers: { local: { type: 'openai', baseUrl: 'http://localhost:11434/v1', model: 'llama3.1' } }
+    }, { GEMINI_MODEL: 'gemini-2.5-flash' });
+
+    expect(llm.resolve('draft')).toMatchObject({ provider: 'gemini', model: 'gemini-2.5-flash', temperature: 0.4 });
+    expect(llm.resolve('followup')).toMatchObject({ provider: 'gemini', model: 'gemini-2.5-pro' });
+    expect(llm.resolve('classification')).toMatchObject({ provider: 'local', model: 'llama3.1', temperature: 0 });
+    expect(() => llm.resolve('summary')).toThrow('Unknown LLM task: summary');
+  });
+
+  test('LLM_PROVIDER and LLM_MODEL override every task', () => {
+    const settings = { tasks: { draft: { provider: 'openai', model: 'gpt-4o' } } };
+
+    expect(load(settings, { LLM_PROVIDER: 'mock' }).resolve('draft')).toMatchObject({ provider: 'mock', model: 'mock' });
+    expect(load(settings, { LLM_MODEL: 'gpt-4.1' }).resolve('draft')).toMatchObject({ provider: 'openai', model: 'gpt-4.1' });
+    expect(() => load(settings, { LLM_PROVIDER: 'claude' }).resolve('draft')).toThrow('Unknown LLM provider: claude');
+  });
+
+  test('unknown provider types and tasks are skipped with a warning', () => {
+    const llm = load({ tasks: { summary: {} }, providers: { azure: { type: 'azure' } } });
+
+    expect(llm.providers.azure).toBeUndefined();
+    expect(mockLogger.warn).toHaveBeenCalledWith('Skipping unknown LLM provider', { provider: 'azure', type: 'azure' });
+    expect(mockLogger.warn).toHaveBeenCalledWith('Skipping unknown LLM task', { task: 'summary' });
+  });
+
+  test('the mock provider is deterministic and works offline', async () => {
+    const llm = load({ providers: { mock: { responses: { classification: '{"intent":"quote_request"}' } } } }, { LLM_PROVIDER: 'mock' });
+
+    const first = await llm.generate('draft', { prompt: 'Hola' });
+    expect(first).toMatchObject({ provider: 'mock', model: 'mock', task: 'draft', finishReason: 'STOP' });
+    expect(await llm.generate('draft', { prompt: 'Hola' })).toEqual(first);
+    expect((await llm.generate('draft', { prompt: 'Hello' })).text).not.toBe(first.text);
+    expect((await llm.generate('classification', { prompt: 'Hola', json: true })).text).toBe('{"intent":"quote_request"}');
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  test('OpenAI-compatible endpoints get chat completions', async () => {
+    axios.post.mockResolvedValue({
+      data: { model: 'llama3.1:8b', choices: [{ message: { content: '{"intent":"support"}' }, finish_reason: 'length' }] }
+    });
+    const llm = load({ tasks: { classification: { provider: 'ollama' } }, providers: { ollama: { type: 'openai', baseUrl: 'http://localhost:11434/v1/', model: 'llama3.1' } } });
+
+    const result = await llm.generate('classification', { prompt: 'Read this', system: 'Be terse', json: true });
+
+    expect(axios.post).toHaveBeenCalledWith('http://localhost:11434/v1/chat/completions', expect.objectContaining({
+      model: 'llama3.1',
+      messages: [{ role: 'system', content: 'Be terse' }, { role: 'user', content: 'Read this' }],
+      temperature: 0,
+      max_tokens: 1024,
+      response_format: { type: 'json_object' }
+    }), expect.objectContaining({ headers: {} }));
+    expect(result).toMatchObject({ text: '{"intent":"support"}', finishReason: 'MAX_TOKENS', provider: 'ollama', model: 'llama3.1:8b' });
+  });
+
+  test('the model router receives the task name', async () => {
+    axios.post.mockResolvedValue({ data: { choices: [{ message: { content: 'Hola' }, finish_reason: 'stop' }] } });
+    const llm = load({ default: { provider: 'router' } }, { MODEL_ROUTER_URL: 'http://router:8080' });
+
+    await llm.generate('followup', { prompt: 'Escribe' });
+
+    expect(axios.post).toHaveBeenCalledWith('http://router:8080/v1/chat/completions',
+      expect.objectContaining({ model: 'auto', metadata: { task: 'followup' } }), expect.anything());
+  });
+});
+
+describe('Pipeline with LLM_PROVIDER=mock', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'emailbot-llm-'));
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('drafts, follow-ups and extraction run without network access', async () => {
+    const config = { LLM_PROVIDER: 'mock', FOLLOWUP_MODE: 'llm', ANALYSIS_MODE: 'llm', draftsPath: path.join(dir, 'drafts'), statePath: path.join(dir, 'state') };
+
+    const draft = await new Drafter(config, mockLogger).generate({ email: 'ana@acme.com', name: 'Ana', threadId: 't1', message: 'Hola, necesitamos una tienda en línea.' });
+    expect(draft.draft).toContain('mock LLM provider (task draft');
+    expect(draft.generation).toEqual({ task: 'draft', provider: 'mock', model: 'mock', finishReason: 'STOP', attempts: 1, continuations: 0, failures: [] });
+
+    const regenerated = await new Drafter(config, mockLogger).regenerate(draft, 'shorten');
+    expect(regenerated.generation).toMatchObject({ task: 'regenerate', provider: 'mock' });
+
+    const followup = await new FollowUp(config, mockLogger).generate('t1', 1);
+    expect(followup.draft).toContain('task followup');
+    expect(followup.generation).toMatchObject({ task: 'followup', provider: 'mock' });
+
+    expect((await new LlmExtractor(config, mockLogger).extract({ message: 'Hola' })).fields).toEqual({});
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  test('follow-ups fall back to the template when the model fails', async () => {
+    const config = { FOLLOWUP_MODE: 'llm', draftsPath: path.join(dir, 'drafts'), statePath: path.join(dir, 'state') };
+    const followups = new FollowUp(config, mockLogger);
+    await followups.saveDraft({ id: 'd1', status: 'sent', draft: 'Hola Ana', client: { email: 'ana@acme.com', company: 'Acme' }, emailData: { threadId: 't1', originalMessage: 'Hola, necesitamos una tienda en línea.' }, analysis: { language: 'es' }, followups: {} });
+    jest.spyOn(followups.llm, 'generate').mockRejectedValue(new Error('Gemini API error: 503'));
+
+    const followup = await followups.generate('t1', 1);
+
+    expect(followup.draft).toBe(await followups.generateFollowupContent({ client: { company: 'Acme' } }, 1, 'es'));
+    expect(followup.generation).toBeNull();
+    expect(mockLogger.warn).toHaveBeenCalledWith('Follow-up model failed; using the template', expect.objectContaining({ draftId: 'd1' }));
+  });
+});
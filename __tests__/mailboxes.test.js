@@ -0,0 +1,134 @@
+/**
+ * Tests for the mailbox registry and mailbox-scoped modules
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const MailboxRegistry = require('../src/mailboxes');
+const ProcessedLedger = require('../src/ledger');
+const Sender = require('../src/sender');
+const Drafter = require('../src/drafter');
+
+const { belongsTo } = MailboxRegistry;
+
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+};
+
+describe('MailboxRegistry', () => {
+  let dir;
+  let base;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'emailbot-mailboxes-'));
+    base = {
+      statePath: path.join(dir, 'state'),
+      MAILBOXES_PATH: path.join(dir, 'mailboxes.json'),
+      MAIL_PROVIDER: 'gmail',
+      GMAIL_USER: 'hello@mdx.so',
+      GMAIL_DELEGATED_USER: 'hello@mdx.so',
+      NOTION_LEADS_DB_ID: 'notion-main',
+      IMAP_HOST: 'imap.mdx.so'
+    };
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+    delete process.env.TEST_SALES_IMAP_PASSWORD;
+  });
+
+  const writeMailboxes = (mailboxes) =>
+    fs.writeFileSync(base.MAILBOXES_PATH, JSON.stringify({ mailboxes }));
+
+  test('falls back to a single default mailbox from env config', () => {
+    const registry = new MailboxRegistry(base, mockLogger);
+
+    expect(registry.list().map(m => m.id)).toEqual(['default']);
+    expect(registry.configFor()).toMatchObject({
+      MAILBOX_ID: 'default',
+      MAILBOX_DEFAULT: true,
+      GMAIL_USER: 'hello@mdx.so',
+      MAIL_FROM: 'hello@mdx.so',
+      statePath: base.statePath
+    });
+  });
+
+  test('overlays each mailbox on the base config', () => {
+    process.env.TEST_SALES_IMAP_PASSWORD = 's3cret';
+    writeMailboxes([
+      { id: 'hello', address: 'hello@mdx.so', filter: 'in:inbox', signature: '— MDX' },
+      {
+        id: 'sales',
+        address: 'sales@brand.com',
+        provider: 'imap',
+        systemPrompt: 'You sell.',
+        notionLeadsDbId: 'notion-sales',
+        imap: { passwordEnv: 'TEST_SALES_IMAP_PASSWORD' }
+      },
+      { id: 'bad id!' },
+      { id: 'hello', address: 'dup@mdx.so' }
+    ]);
+    const registry = new MailboxRegistry(base, mockLogger);
+
+    expect(registry.list().map(m => m.id)).toEqual(['hello', 'sales']);
+    expect(registry.defaultId).toBe('hello');
+    expect(registry.findByAddress('SALES@brand.com').id).toBe('sales');
+    expect(() => registry.get('nope')).toThrow(/Unknown mailbox/);
+
+    expect(registry.configFor('hello')).toMatchObject({
+      INGEST_FILTER: 'in:inbox',
+      DRAFT_SIGNATURE: '— MDX',
+      NOTION_LEADS_DB_ID: 'notion-main',
+      statePath: base.statePath
+    });
+    expect(registry.configFor('sales')).toMatchObject({
+      MAILBOX_ID: 'sales',
+      MAILBOX_DEFAULT: false,
+      MAIL_PROVIDER: 'imap',
+      MAIL_FROM: 'sales@brand.com',
+      SYSTEM_PROMPT: 'You sell.',
+      NOTION_LEADS_DB_ID: 'notion-sales',
+      IMAP_HOST: 'imap.mdx.so',
+      IMAP_USER: 'sales@brand.com',
+      IMAP_PASSWORD: 's3cret',
+      statePath: path.join(base.statePath, 'mailboxes', 'sales')
+    });
+  });
+
+  test('records without a mailbox belong to the default one', () => {
+    writeMailboxes([{ id: 'hello', address: 'hello@mdx.so' }, { id: 'sales', address: 'sales@mdx.so' }]);
+    const registry = new MailboxRegistry(base, mockLogger);
+
+    expect(belongsTo({}, registry.configFor('hello'))).toBe(true);
+    expect(belongsTo({}, registry.configFor('sales'))).toBe(false);
+    expect(belongsTo({ mailbox: 'sales' }, registry.configFor('sales'))).toBe(true);
+  });
+
+  test('scopes ledger keys, sender address and drafter signature by mailbox', async () => {
+    writeMailboxes([
+      { id: 'hello', address: 'hello@mdx.so' },
+      { id: 'sales', address: 'sales@brand.com', from: 'Brand Sales <sales@brand.com>', signature: 'Brand Sales Team' }
+    ]);
+    const registry = new MailboxRegistry(base, mockLogger);
+    const sales = registry.configFor('sales');
+
+    const hello = new ProcessedLedger(registry.configFor('hello'), mockLogger);
+    const salesLedger = new ProcessedLedger({ ...sales, statePath: base.statePath }, mockLogger);
+    await hello.record('11');
+    expect(await hello.has('11')).toBe(true);
+    expect(await salesLedger.has('11')).toBe(false);
+
+    const sender = new Sender(base, mockLogger);
+    const draft = { mailbox: 'sales', client: { email: 'ana@acme.cl' }, emailData: { subject: 'Hola' }, draft: 'Hi' };
+    expect(sender.buildEmail(draft).from).toBe('Brand Sales <sales@brand.com>');
+    expect(sender.buildEmail({ ...draft, mailbox: undefined }).from).toBe('hello@mdx.so');
+
+    const drafter = new Drafter(sales, mockLogger);
+    expect(drafter.withSignature('Hola Ana')).toBe('Hola Ana\n\nBrand Sales Team');
+    expect(drafter.withSignature('Hola Ana\n\nBrand Sales Team')).toBe('Hola Ana\n\nBrand Sales Team');
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Tests for the shared MIME decoder
+ */
+
+const {
+  htmlToText,
+  decodeEntities,
+  decodeEncodedWords,
+  decodeQuotedPrintable,
+  extractText,
+  parseRawMessage
+} = require('../src/mime');
+
+const b64url = (buf) => Buffer.from(buf).toString('base64').replace(/\+/g, '-').replace(/\//g, '_');
+
+describe('MIME decoding', () => {
+  test('honours ISO-8859-1 and Windows-1252 charsets', () => {
+    const latin1 = Buffer.from('Cotización: ¿cuánto cuesta?', 'latin1');
+    const cp1252 = Buffer.from([0x93, 0x48, 0x6f, 0x6c, 0x61, 0x94, 0x20, 0x96, 0x20, 0x80, 0x35]);
+
+    const message = {
+      payload: {
+        mimeType: 'multipart/alternative',
+        parts: [
+          {
+            mimeType: 'text/plain',
+            headers: [{ name: 'Content-Type', value: 'text/plain; charset="ISO-8859-1"' }],
+            body: { data: b64url(latin1) }
+          }
+        ]
+      }
+    };
+    expect(extractText(message)).toBe('Cotización: ¿cuánto cuesta?');
+
+    message.payload.parts[0].headers[0].value = 'text/plain; charset=windows-1252';
+    message.payload.parts[0].body.data = b64url(cp1252);
+    expect(extractText(message)).toBe('“Hola” – €5');
+  });
+
+  test('falls back to Windows-1252 for mislabelled UTF-8', () => {
+    const message = {
+      payload: { mimeType: 'text/plain', body: { data: b64url(Buffer.from('Año', 'latin1')) } }
+    };
+    expect(extractText(message)).toBe('Año');
+  });
+
+  test('prefers text/plain and skips attachments', () => {
+    const message = {
+      payload: {
+        mimeType: 'multipart/mixed',
+        parts: [
+          { mimeType: 'text/plain', filename: 'notes.txt', body: { data: b64url('attachment') } },
+          { mimeType: 'text/html', body: { data: b64url('<p>html</p>') } },
+          { mimeType: 'text/plain', body: { data: b64url('plain') } }
+        ]
+      }
+    };
+    expect(extractText(message)).toBe('plain');
+  });
+
+  test('converts HTML keeping links, lists and entities', () => {
+    const html = `
+      <html><head><style>p { color: red }</style></head><body>
+        <p>Hola&nbsp;equipo &mdash; necesitamos:</p>
+        <ul><li>Dise&ntilde;o</li><li>Tienda &amp; pagos</li></ul>
+        <p>Ver <a href="https://acme.cl/brief">el brief</a> o <a href="mailto:ana@acme.cl">ana@acme.cl</a> &#8364;5&#x2019;</p>
+      </body></html>`;
+
+    expect(htmlToText(html)).toBe(
+      'Hola equipo — necesitamos:\n\n- Diseño\n- Tienda & pagos\n\nVer el brief (https://acme.cl/brief) o ana@acme.cl €5’'
+    );
+  });
+
+  test('decodes entities and encoded-word headers', () => {
+    expect(decodeEntities('&lt;b&gt; &quot;caf&eacute;&quot; &#150; &unknown;')).toBe('<b> "café" – &unknown;');
+    expect(decodeEncodedWords('=?ISO-8859-1?Q?Jos=E9_P=E9rez?= <jose@x.com>')).toBe('José Pérez <jose@x.com>');
+    expect(decodeEncodedWords('=?UTF-8?B?wr9Db3RpemFjacOzbj8=?= =?UTF-8?Q?_web?=')).toBe('¿Cotización? web');
+  });
+
+  test('decodes quoted-printable with soft line breaks', () => {
+    expect(decodeQuotedPrintable('Informaci=F3n del proyecto =\r\ncompleta').toString('latin1'))
+      .toBe('Información del proyecto completa');
+  });
+});
+
+describe('parseRawMessage()', () => {
+  test('parses a multipart message with quoted-printable Latin-1 text', () => {
+    const raw = [
+      'From: =?iso-8859-1?Q?Mar=EDa?= <maria@empresa.mx>',
+      'Subject: Consulta',
+      'Date: Mon, 02 Feb 2026 10:00:00 -0600',
+      'MIME-Version: 1.0',
+      'Content-Type: multipart/alternative; boundary="b1"',
+      '',
+      '--b1',
+      'Content-Type: text/plain; charset=iso-8859-1',
+      'Content-Transfer-Encoding: quoted-printable',
+      '',
+      'Necesito una p=E1gina web =',
+      'para mi cl=EDnica.',
+      '--b1',
+      'Content-Type: text/html; charset=utf-8',
+      'Content-Transfer-Encoding: base64',
+      '',
+      Buffer.from('<p>Necesito una página web</p>').toString('base64'),
+      '--b1--',
+      ''
+    ].join('\r\n');
+
+    const message = parseRawMessage(raw);
+    const from = message.payload.headers.find(h => h.name === 'From').value;
+
+    expect(from).toBe('María <maria@empresa.mx>');
+    expect(message.internalDate).toBe(String(Date.parse('Mon, 02 Feb 2026 10:00:00 -0600')));
+    expect(message.payload.parts).toHaveLength(2);
+    expect(extractText(message)).toBe('Necesito una página web para mi clínica.\r\n');
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Tests for the versioned prompt library and per-draft prompt provenance
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PromptLibrary = require('../src/prompts');
+const Drafter = require('../src/drafter');
+const { render, approvalStats } = PromptLibrary;
+
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+};
+
+const TEMPLATE = '{{systemPrompt}}\nReply in {{language}} to:\n{{message}}';
+
+describe('PromptLibrary', () => {
+  let dir;
+  let library;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'emailbot-prompts-'));
+    library = new PromptLibrary({ statePath: dir }, mockLogger);
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('renders variables and leaves missing ones empty', () => {
+    expect(render('Hola {{ name }}, {{company}}.', { name: 'Ana' })).toBe('Hola Ana, .');
+  });
+
+  test('version 1 is built in and new versions are numbered and stored', async () => {
+    expect(await library.select('draft', 't1')).toMatchObject({ name: 'draft', version: 1, variant: null });
+
+    const created = await library.create('draft', { template: TEMPLATE, description: 'Shorter' });
+    expect(created).toMatchObject({ version: 2, description: 'Shorter', builtIn: false });
+    expect(await library.select('draft', 't1')).toMatchObject({ version: 1 });
+
+    await library.create('draft', { template: `${TEMPLATE}\nBe brief.`, activate: true });
+    const reloaded = new PromptLibrary({ statePath: dir }, mockLogger);
+    expect(await reloaded.select('draft', 't1')).toMatchObject({ version: 3, template: `${TEMPLATE}\nBe brief.` });
+
+    const [draft] = await reloaded.list();
+    expect(draft).toMatchObject({ name: 'draft', activeVersion: 3, abTest: null });
+    expect(draft.versions.map(v => v.version)).toEqual([1, 2, 3]);
+    expect(draft.versions[0].template).toBeUndefined();
+  });
+
+  test('rejects unknown prompts, unknown variables and templates without the required ones', async () => {
+    await expect(library.create('summary', { template: TEMPLATE })).rejects.toMatchObject({ status: 404 });
+    await expect(library.create('draft', { template: '{{message}} {{budget}}' }))
+      .rejects.toMatchObject({ status: 400, message: expect.stringContaining('Unknown variables in draft template: budget') });
+    await expect(library.create('draft', { template: 'Write a reply.' }))
+      .rejects.toMatchObject({ status: 400, message: 'The draft template must use: {{message}}' });
+    await expect(library.configure('draft', { activeVersion: 7 })).rejects.toMatchObject({ status: 400 });
+  });
+
+  test('an A/B test splits leads between two versions and keeps each lead on its arm', async () => {
+    await library.create('draft', { template: TEMPLATE });
+    await library.configure('draft', { abTest: { versions: [1, 2] } });
+
+    const picks = [];
+    for (let i = 0; i < 200; i++) picks.push(await library.select('draft', `thread-${i}`));
+    const versionA = picks.filter(p => p.variant === 'A');
+
+    expect(versionA.every(p => p.version === 1)).toBe(true);
+    expect(picks.filter(p => p.variant === 'B').every(p => p.version === 2)).toBe(true);
+    expect(versionA.length).toBeGreaterThan(70);
+    expect(versionA.length).toBeLessThan(130);
+    expect(await library.select('draft', 'thread-7')).toEqual(picks[7]);
+
+    await expect(library.configure('draft', { abTest: { versions: [1, 1] } })).rejects.toMatchObject({ status: 400 });
+    await library.configure('draft', { abTest: null });
+    expect((await library.select('draft', 'thread-7')).variant).toBeNull();
+  });
+
+  test('approval rate per version', () => {
+    const drafts = [
+      { status: 'approved', prompt: { name: 'draft', version: 1 } },
+      { status: 'sent', prompt: { name: 'draft', version: 1 } },
+      { status: 'rejected', prompt: { name: 'draft', version: 1 } },
+      { status: 'rejected', prompt: { name: 'draft', version: 2 } },
+      { status: 'pending_review', prompt: { name: 'draft', version: 2 } },
+      { status: 'approved', prompt: { name: 'regenerate', version: 1 } },
+      { status: 'approved' }
+    ];
+
+    expect(approvalStats(drafts, 'draft')).toEqual([
+      { version: 1, drafts: 3, approved: 2, rejected: 1, pending: 0, approvalRate: 0.667 },
+      { version: 2, drafts: 2, approved: 0, rejected: 1, pending: 1, approvalRate: 0 }
+    ]);
+  });
+});
+
+describe('Drafts record their prompt', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'emailbot-prompts-'));
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('generation and regeneration both use the system prompt and store the version', async () => {
+    const config = { statePath: path.join(dir, 'state'), draftsPath: path.join(dir, 'drafts'), SYSTEM_PROMPT: 'You write for Acme Studio.' };
+    const drafter = new Drafter(config, mockLogger);
+    await drafter.prompts.create('draft', { template: TEMPLATE, activate: true });
+    const generate = jest.spyOn(drafter.llm, 'generate').mockResolvedValue({ text: 'Hola Ana, gracias por escribir.', finishReason: 'STOP' });
+
+    const draft = await drafter.generate({ email: 'ana@acme.com', threadId: 't1', message: 'Hola, queremos una tienda en línea.' });
+
+    expect(generate.mock.calls[0][1].prompt).toBe('You write for Acme Studio.\nReply in Spanish to:\nHola, queremos una tienda en línea.');
+    expect(draft.prompt).toEqual({ name: 'draft', version: 2, variant: null });
+
+    const regenerated = await drafter.regenerate(draft, 'shorten');
+    expect(generate.mock.calls[1][1].prompt).toMatch(/^You write for Acme Studio\.\n\nWrite the reply in Spanish\./);
+    expect(generate.mock.calls[1][1].prompt).toContain('Task: Make it shorter.');
+    expect(regenerated.prompt).toEqual({ name: 'regenerate', version: 1, variant: null });
+  });
+
+  test('falls back to the built-in version when the store is unreadable', async () => {
+    const drafter = new Drafter({ draftsPath: dir }, mockLogger);
+    jest.spyOn(drafter.prompts, 'select').mockRejectedValue(new Error('relation "prompt_settings" does not exist'));
+    jest.spyOn(drafter.llm, 'generate').mockResolvedValue({ text: 'Hola Ana', finishReason: 'STOP' });
+
+    const draft = await drafter.generate({ email: 'ana@acme.com', message: 'Hola, queremos una tienda en línea.' });
+
+    expect(draft.prompt).toEqual({ name: 'draft', version: 1, variant: null });
+    expect(mockLogger.warn).toHaveBeenCalledWith('Prompt store unavailable; using the built-in prompt', expect.objectContaining({ name: 'draft' }));
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Tests for PII redaction before model calls (config/redaction.json)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Redactor = require('../src/redaction');
+const Drafter = require('../src/drafter');
+const LlmExtractor = require('../src/extraction');
+
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+};
+
+const message = [
+  'Hola, soy Ana (ana@acme.com). Mi celular es 55 1234 5678.',
+  'Pago con la tarjeta 4111 1111 1111 1111, CURP GODE561231HDFRRN09.',
+  'Oficina: Av. Reforma 222 int. 5, Col. Juárez, C.P. 06600.',
+  'Presupuesto 1.250.000 para el 2026-03-15. Escríbeme a ana@acme.com.'
+].join('\n');
+
+describe('Redactor', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'emailbot-redaction-'));
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const load = (settings) => {
+    const configPath = path.join(dir, 'redaction.json');
+    fs.writeFileSync(configPath, JSON.stringify(settings));
+    return new Redactor({ REDACTION_CONFIG_PATH: configPath }, mockLogger);
+  };
+
+  test('replaces each value with a stable placeholder and restores it', () => {
+    const session = new Redactor({}, mockLogger).session();
+    const redacted = session.redact(message);
+
+    expect(redacted).toBe([
+      'Hola, soy Ana ([EMAIL_1]). Mi celular es [PHONE_1].',
+      'Pago con la tarjeta [CARD_1], CURP [ID_1].',
+      'Oficina: [ADDRESS_1].',
+      'Presupuesto 1.250.000 para el 2026-03-15. Escríbeme a [EMAIL_1].'
+    ].join('\n'));
+    expect(session.counts).toEqual({ email: 1, phone: 1, card: 1, id: 1, address: 1 });
+    expect(session.redact('Llámame al 55-1234-5678')).toBe('Llámame al [PHONE_1]');
+    expect(session.restore(redacted)).toBe(message);
+    expect(session.restore({ questions: ['¿Llamo al [ phone_1 ]?'], other: '[EMAIL_9]' }))
+      .toEqual({ questions: ['¿Llamo al 55 1234 5678?'], other: '[EMAIL_9]' });
+  });
+
+  test('leaves numbers that are not personal data alone', () => {
+    const session = new Redactor({}, mockLogger).session();
+    expect(session.redact('Tarjeta 4111 1111 1111 1112, pedido 20261015, 3 sucursales')).toBe('Tarjeta 4111 1111 1111 1112, pedido 20261015, 3 sucursales');
+    expect(session.size).toBe(0);
+  });
+
+  test('entity types can be switched off; unknown ones are skipped', () => {
+    const session = load({ entities: { phone: false, address: false, passport: true } }).session();
+
+    expect(session.redact('Tel. 55 1234 5678, Av. Reforma 222, ana@acme.com')).toBe('Tel. 55 1234 5678, Av. Reforma 222, [EMAIL_1]');
+    expect(mockLogger.warn).toHaveBeenCalledWith('Skipping unknown redaction entity', { entity: 'passport' });
+    expect(load({ enabled: false }).session().redact(message)).toBe(message);
+  });
+
+  test('logs counts per type, never the values', () => {
+    const redactor = new Redactor({}, mockLogger);
+    const session = redactor.session();
+    session.redact(message);
+    redactor.report(session, { gmailId: 'm1' });
+
+    expect(mockLogger.info).toHaveBeenCalledWith('Personal data redacted before model call', {
+      gmailId: 'm1',
+      redacted: { email: 1, phone: 1, card: 1, id: 1, address: 1 }
+    });
+    expect(JSON.stringify(mockLogger.info.mock.calls)).not.toContain('ana@acme.com');
+  });
+});
+
+describe('Redaction around model calls', () => {
+  test('drafts are generated from placeholders and get the values back', async () => {
+    const draftsPath = fs.mkdtempSync(path.join(os.tmpdir(), 'emailbot-drafts-'));
+    try {
+      const drafter = new Drafter({ draftsPath }, mockLogger);
+      const generate = jest.spyOn(drafter.llm, 'generate')
+        .mockResolvedValue({ text: 'Hola Ana, te llamamos al [PHONE_1] y te enviamos la propuesta a [EMAIL_1].', finishReason: 'STOP' });
+
+      const draft = await drafter.generate({ email: 'ana@acme.com', name: 'Ana', message });
+      const { prompt } = generate.mock.calls[0][1];
+
+      expect(prompt).not.toMatch(/ana@acme\.com|1234 5678|4111|GODE561231|Reforma/);
+      expect(prompt).toContain('[CARD_1]');
+      expect(draft.draft).toBe('Hola Ana, te llamamos al 55 1234 5678 y te enviamos la propuesta a ana@acme.com.');
+
+      generate.mockResolvedValue({ text: 'Hola Ana, ¿te va bien una llamada al [PHONE_1]?', finishReason: 'STOP' });
+      const regenerated = await drafter.regenerate(draft, 'shorten');
+      expect(generate.mock.calls[1][1].prompt).not.toMatch(/ana@acme\.com|1234 5678/);
+      expect(regenerated.draft).toBe('Hola Ana, ¿te va bien una llamada al 55 1234 5678?');
+    } finally {
+      fs.rmSync(draftsPath, { recursive: true, force: true });
+    }
+  });
+
+  test('model extraction sees placeholders and returns the values', async () => {
+    const extractor = new LlmExtractor({ ANALYSIS_MODE: 'llm' }, mockLogger);
+    const callModel = jest.spyOn(extractor, 'callModel').mockResolvedValue(JSON.stringify({
+      intent: 'quote_request',
+      questions: ['¿Pueden llamar al [PHONE_1]?']
+    }));
+
+    const { fields } = await extractor.extract({ message: 'Cotización, por favor. ¿Pueden llamar al 55 1234 5678?' });
+
+    expect(callModel.mock.calls[0][0]).not.toContain('1234 5678');
+    expect(fields.questions).toEqual(['¿Pueden llamar al 55 1234 5678?']);
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Tests for the job scheduler (config, locking, run history)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Scheduler = require('../src/scheduler');
+const JobStore = require('../src/job-store');
+
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+};
+
+describe('Scheduler', () => {
+  let dir;
+  let config;
+  let handlers;
+
+  const createScheduler = (deps = {}) => new Scheduler(config, mockLogger, {
+    handlers,
+    store: new JobStore(config, mockLogger),
+    ...deps
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'emailbot-jobs-'));
+    config = { statePath: path.join(dir, 'state'), SCHEDULER_CONFIG_PATH: path.join(dir, 'scheduler.json') };
+    fs.writeFileSync(config.SCHEDULER_CONFIG_PATH, JSON.stringify({
+      jobs: {
+        ingest: { enabled: true, schedule: '*/10 * * * *', options: { limit: 25 } },
+        followups: { enabled: true, schedule: 'not a cron' },
+        mystery: { enabled: true, schedule: '* * * * *' }
+      }
+    }));
+    handlers = {
+      ingest: jest.fn().mockResolvedValue({ processed: 2 }),
+      followups: jest.fn().mockRejectedValue(new Error('Drafts unavailable'))
+    };
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('loads jobs, dropping unknown names and invalid cron expressions', () => {
+    const { jobs } = createScheduler().settings;
+
+    expect(Object.keys(jobs).sort()).toEqual(['followups', 'ingest']);
+    expect(jobs.ingest).toMatchObject({ enabled: true, schedule: '*/10 * * * *' });
+    // Still runnable by hand, never scheduled
+    expect(jobs.followups).toMatchObject({ enabled: false, schedule: null });
+  });
+
+  test('records successful and failed runs with the merged options', async () => {
+    const onRun = jest.fn();
+    const scheduler = createScheduler({ onRun });
+
+    const ok = await scheduler.run('ingest', { options: { filter: 'in:inbox' } });
+    const failed = await scheduler.run('followups', { trigger: 'cron' });
+
+    expect(handlers.ingest).toHaveBeenCalledWith({ limit: 25, filter: 'in:inbox' });
+    expect(ok).toMatchObject({ job: 'ingest', trigger: 'manual', status: 'success', result: { processed: 2 } });
+    expect(failed).toMatchObject({ job: 'followups', status: 'failed', error: 'Drafts unavailable' });
+    expect(onRun).toHaveBeenCalledTimes(2);
+
+    const jobs = await scheduler.list();
+    expect(jobs.find(j => j.name === 'ingest').lastRun).toMatchObject({ status: 'success' });
+    expect(await scheduler.store.recentRuns()).toHaveLength(2);
+    await expect(scheduler.run('nope')).rejects.toThrow(/Unknown job/);
+  });
+
+  test('skips a job whose lock is held by another replica until the lease expires', async () => {
+    const scheduler = createScheduler();
+    await scheduler.store.acquire('ingest', 'other-host:1', 60000);
+
+    const run = await scheduler.run('ingest');
+
+    expect(run).toMatchObject({ status: 'skipped', reason: 'locked' });
+    expect(handlers.ingest).not.toHaveBeenCalled();
+
+    await scheduler.store.acquire('ingest', 'other-host:1', -1000);
+    expect((await scheduler.run('ingest')).status).toBe('success');
+    // Released after the run
+    expect(await scheduler.store.acquire('ingest', 'other-host:1', 60000)).toBe(true);
+  });
+
+  test('extends the lease while a long job runs', async () => {
+    const settings = JSON.parse(fs.readFileSync(config.SCHEDULER_CONFIG_PATH, 'utf8'));
+    settings.jobs.ingest.lockTtlMinutes = 0.001; // 60ms, extended every 20ms
+    fs.writeFileSync(config.SCHEDULER_CONFIG_PATH, JSON.stringify(settings));
+    const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+    handlers.ingest.mockImplementation(() => wait(200).then(() => ({ processed: 0 })));
+    const scheduler = createScheduler();
+
+    const run = scheduler.run('ingest');
+    await wait(120);
+    expect(await scheduler.store.acquire('ingest', 'other-host:1', 60000)).toBe(false);
+
+    expect((await run).status).toBe('success');
+    expect(await scheduler.store.acquire('ingest', 'other-host:1', 60000)).toBe(true);
+  });
+
+  test('returns the result when the run history cannot be stored', async () => {
+    const scheduler = createScheduler();
+    jest.spyOn(scheduler.store, 'recordRun').mockRejectedValue(new Error('relation "job_runs" does not exist'));
+
+    const run = await scheduler.run('ingest');
+
+    expect(run).toMatchObject({ status: 'success', result: { processed: 2 } });
+    expect(mockLogger.error).toHaveBeenCalledWith('Failed to record job run', expect.objectContaining({ job: 'ingest' }));
+  });
+
+  test('does not overlap runs of the same job in one process', async () => {
+    let finish;
+    handlers.ingest.mockImplementation(() => new Promise(resolve => { finish = resolve; }));
+    const scheduler = createScheduler();
+
+    const first = scheduler.run('ingest');
+    await new Promise(resolve => setImmediate(resolve));
+    const second = await scheduler.run('ingest');
+    finish({ processed: 0 });
+
+    expect(second).toMatchObject({ status: 'skipped', reason: 'running' });
+    expect((await first).status).toBe('success');
+  });
+});
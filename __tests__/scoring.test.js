@@ -0,0 +1,82 @@
+/**
+ * Tests for lead scoring (config/scoring.json factors) and domain helpers
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Analyzer = require('../src/analyzer');
+const LeadScorer = require('../src/scoring');
+const { domainOf, isFreeEmailDomain } = require('../src/domains');
+
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+};
+
+describe('Lead scoring', () => {
+  const analyzer = new Analyzer({}, mockLogger);
+
+  test('scores a detailed corporate inquiry high and explains every factor', async () => {
+    const analysis = await analyzer.run({
+      email: 'maria@acme-industrial.com',
+      company: 'Acme Industrial',
+      service: 'Desarrollo web',
+      subject: 'Nuevo cliente potencial',
+      message: 'Hola, somos una empresa de manufactura y necesitamos rediseñar nuestro sitio web corporativo. ' +
+        'Presupuesto: $8,000. Nos gustaría tenerlo listo para marzo. ¿Pueden enviarnos una propuesta?'
+    });
+
+    expect(analysis.scoring.score).toBeGreaterThanOrEqual(80);
+    const factors = Object.fromEntries(analysis.scoring.factors.map(f => [f.factor, f]));
+    expect(factors.corporateDomain).toMatchObject({ value: 1, detail: 'acme-industrial.com' });
+    expect(factors.budget.value).toBe(1);
+    expect(factors.serviceMatch.detail).toBe('desarrollo web');
+    const total = analysis.scoring.factors.reduce((sum, f) => sum + f.points, 0);
+    expect(Math.round(total)).toBe(analysis.scoring.score);
+  });
+
+  test('scores a vague message from a free address low', () => {
+    const { score, factors } = analyzer.score({ email: 'someone@gmail.com', message: 'info pls' });
+
+    expect(score).toBeLessThan(20);
+    expect(factors.find(f => f.factor === 'corporateDomain')).toMatchObject({ value: 0, detail: 'gmail.com' });
+    expect(factors.find(f => f.factor === 'classification').detail).toBe('vague');
+  });
+
+  test('reads weights from SCORING_CONFIG_PATH and skips unknown factors', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'emailbot-scoring-'));
+    const configPath = path.join(dir, 'scoring.json');
+    fs.writeFileSync(configPath, JSON.stringify({
+      factors: { company: { weight: 3 }, corporateDomain: { weight: 1 }, horoscope: { weight: 5 } }
+    }));
+
+    try {
+      const scorer = new LeadScorer({ SCORING_CONFIG_PATH: configPath }, mockLogger);
+      expect(Object.keys(scorer.factors)).toEqual(['company', 'corporateDomain']);
+      expect(scorer.score({ email: 'ana@yahoo.com', company: 'Ana SL' }).score).toBe(75);
+      expect(mockLogger.warn).toHaveBeenCalledWith('Skipping unknown scoring factor', { factor: 'horoscope' });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+
+  test('matches services on word boundaries', () => {
+    const scorer = new LeadScorer({}, mockLogger);
+    expect(scorer.score({ message: 'I am happy with the apples' }).factors
+      .find(f => f.factor === 'serviceMatch').value).toBe(0);
+    expect(scorer.score({ message: 'We need a mobile app.' }).factors
+      .find(f => f.factor === 'serviceMatch').value).toBe(1);
+  });
+});
+
+describe('Domains', () => {
+  test('extracts domains and detects free providers', () => {
+    expect(domainOf('Ana Ruiz <Ana@Acme.COM>')).toBe('acme.com');
+    expect(domainOf('not an email')).toBeNull();
+    expect(isFreeEmailDomain('x@hotmail.com')).toBe(true);
+    expect(isFreeEmailDomain('outlook.com')).toBe(true);
+    expect(isFreeEmailDomain('x@acme.com')).toBe(false);
+  });
+});
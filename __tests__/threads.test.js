@@ -0,0 +1,80 @@
+/**
+ * Tests for thread state (latest inbound, already replied, open draft)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ThreadState = require('../src/threads');
+const DraftStore = require('../src/draft-store');
+
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+};
+
+function message(id, day, { from = 'Ana <ana@acme.cl>', to = 'hello@mdx.so', labels = ['INBOX'] } = {}) {
+  return {
+    id,
+    threadId: 't1',
+    internalDate: String(Date.UTC(2026, 0, day)),
+    labelIds: labels,
+    payload: { headers: [{ name: 'From', value: from }, { name: 'To', value: to }] }
+  };
+}
+
+describe('ThreadState', () => {
+  let draftsPath;
+  let provider;
+  let threads;
+
+  const email = (gmailId) => ({ gmailId, threadId: 't1', email: 'ana@acme.cl' });
+
+  beforeEach(() => {
+    draftsPath = fs.mkdtempSync(path.join(os.tmpdir(), 'emailbot-drafts-'));
+    provider = { getThread: jest.fn() };
+    const config = { draftsPath, MAIL_FROM: 'MDX <hello@mdx.so>' };
+    threads = new ThreadState(config, mockLogger, { provider, drafts: new DraftStore(config, mockLogger) });
+  });
+
+  afterEach(() => {
+    fs.rmSync(draftsPath, { recursive: true, force: true });
+  });
+
+  test('an older inbound message is not the latest', async () => {
+    provider.getThread.mockResolvedValue({ id: 't1', messages: [message('m2', 2), message('m1', 1)] });
+
+    expect(await threads.inspect(email('m1'))).toEqual({ isLatest: false, alreadyReplied: false, draftExists: false });
+    expect(await threads.inspect(email('m2'))).toEqual({ isLatest: true, alreadyReplied: false, draftExists: false });
+  });
+
+  test('a later message from our address to the lead counts as a reply', async () => {
+    provider.getThread.mockResolvedValue({
+      id: 't1',
+      messages: [message('m1', 1), message('r1', 2, { from: 'hello@mdx.so', to: 'ANA@acme.cl', labels: [] })]
+    });
+
+    expect(await threads.inspect(email('m1'))).toMatchObject({ isLatest: true, alreadyReplied: true });
+  });
+
+  test('open drafts for the thread are found, rejected ones are not', async () => {
+    provider.getThread.mockResolvedValue({ id: 't1', messages: [message('m1', 1)] });
+    fs.writeFileSync(path.join(draftsPath, 'd1.json'), JSON.stringify({ status: 'rejected', emailData: { threadId: 't1' } }));
+
+    expect((await threads.inspect(email('m1'))).draftExists).toBe(false);
+
+    fs.writeFileSync(path.join(draftsPath, 'd2.json'), JSON.stringify({ status: 'pending_review', emailData: { gmailId: 'm0', threadId: 't1' } }));
+
+    expect((await threads.inspect(email('m1'))).draftExists).toBe(true);
+    // Form notifications share threads across leads: only their own message counts
+    expect((await threads.inspect(email('m1'), { standalone: true })).draftExists).toBe(false);
+  });
+
+  test('falls back to eligible defaults when the thread cannot be loaded', async () => {
+    provider.getThread.mockRejectedValue(new Error('Backend Error'));
+
+    expect(await threads.inspect(email('m1'))).toEqual({ isLatest: true, alreadyReplied: false, draftExists: false });
+    expect(mockLogger.warn).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,130 @@
+/**
+ * Tests for Gmail push notifications (watch + Pub/Sub receiver)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const GmailWatch = require('../src/watch');
+
+const mockLogger = {
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn()
+};
+
+describe('GmailWatch', () => {
+  let statePath;
+  let watch;
+
+  beforeEach(() => {
+    statePath = fs.mkdtempSync(path.join(os.tmpdir(), 'emailbot-watch-'));
+    watch = new GmailWatch({
+      statePath,
+      GMAIL_USER: 'hello@mdx.so',
+      GMAIL_PUBSUB_TOPIC: 'projects/p/topics/gmail'
+    }, mockLogger);
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    fs.rmSync(statePath, { recursive: true, force: true });
+  });
+
+  describe('decodeNotification()', () => {
+    test('round-trips a simulated push envelope', () => {
+      const envelope = GmailWatch.encodeNotification({ emailAddress: 'hello@mdx.so', historyId: '9876' }, 'm-1');
+      expect(GmailWatch.decodeNotification(envelope)).toEqual(expect.objectContaining({
+        emailAddress: 'hello@mdx.so',
+        historyId: '9876',
+        messageId: 'm-1'
+      }));
+    });
+
+    test('rejects envelopes without data or historyId', () => {
+      expect(() => GmailWatch.decodeNotification({})).toThrow(/message.data/);
+      const noHistory = { message: { data: Buffer.from('{"emailAddress":"a@b.c"}').toString('base64') } };
+      expect(() => GmailWatch.decodeNotification(noHistory)).toThrow(/historyId/);
+    });
+  });
+
+  describe('handleNotification()', () => {
+    test('runs an incremental ingest for new history', async () => {
+      watch.ingestor.saveCheckpoint('100');
+      const run = jest.spyOn(watch.ingestor, 'run').mockResolvedValue({ success: true, processed: [{ gmailId: 'x' }] });
+
+      const result = await watch.handleNotification({ emailAddress: 'hello@mdx.so', historyId: '150' });
+
+      expect(run).toHaveBeenCalledTimes(1);
+      expect(result.processed).toHaveLength(1);
+    });
+
+    test('uses the mailbox filter unless GMAIL_WATCH_FILTER is set', async () => {
+      watch.ingestor.config.INGEST_FILTER = 'subject:"Nuevo cliente potencial"';
+      const listMessages = jest.spyOn(watch.ingestor.provider, 'listMessages').mockResolvedValue({ messages: [] });
+      jest.spyOn(watch.ingestor.provider, 'getCheckpoint').mockResolvedValue('300');
+
+      await watch.handleNotification({ emailAddress: 'hello@mdx.so', historyId: '150' });
+
+      expect(listMessages).toHaveBeenCalledWith(expect.objectContaining({ query: 'subject:"Nuevo cliente potencial"' }));
+    });
+
+    test('ignores pushes already covered by the checkpoint', async () => {
+      watch.ingestor.saveCheckpoint('200');
+      const run = jest.spyOn(watch.ingestor, 'run');
+
+      const result = await watch.handleNotification({ emailAddress: 'hello@mdx.so', historyId: '150' });
+
+      expect(run).not.toHaveBeenCalled();
+      expect(result.ignored).toBe('up_to_date');
+    });
+
+    test('runs an ingest when the checkpoint or the push is not a history id', async () => {
+      const run = jest.spyOn(watch.ingestor, 'run').mockResolvedValue({ success: true, processed: [] });
+
+      watch.ingestor.saveCheckpoint('1700000000:42');
+      await expect(watch.handleNotification({ emailAddress: 'hello@mdx.so', historyId: '150' })).resolves.toMatchObject({ success: true });
+      watch.ingestor.saveCheckpoint('100');
+      await watch.handleNotification({ emailAddress: 'hello@mdx.so', historyId: 'abc' });
+
+      expect(run).toHaveBeenCalledTimes(2);
+    });
+
+    test('ignores pushes for other mailboxes', async () => {
+      const run = jest.spyOn(watch.ingestor, 'run');
+
+      const result = await watch.handleNotification({ emailAddress: 'other@mdx.so', historyId: '150' });
+
+      expect(run).not.toHaveBeenCalled();
+      expect(result.ignored).toBe('other_mailbox');
+    });
+  });
+
+  describe('renewIfNeeded()', () => {
+    test('renews when the watch is about to expire', async () => {
+      watch.saveState({
+        topicName: 'projects/p/topics/gmail',
+        expiration: new Date(Date.now() + 60 * 60 * 1000).toISOString()
+      });
+      const start = jest.spyOn(watch, 'start').mockResolvedValue({ expiration: 'later' });
+
+      const result = await watch.renewIfNeeded();
+
+      expect(start).toHaveBeenCalled();
+      expect(result.renewed).toBe(true);
+    });
+
+    test('keeps a watch that still has days left', async () => {
+      watch.saveState({
+        topicName: 'projects/p/topics/gmail',
+        expiration: new Date(Date.now() + 5 * 24 * 60 * 60 * 1000).toISOString()
+      });
+      const start = jest.spyOn(watch, 'start');
+
+      const result = await watch.renewIfNeeded();
+
+      expect(start).not.toHaveBeenCalled();
+      expect(result.renewed).toBe(false);
+    });
+  });
+});
@@ -11,6 +11,9 @@ const EmailBot = require('./src/index');
 const program = new Command();
 const emailbot = new EmailBot();
 
+// Used when neither --filter nor the mailbox config gives one
+const DEFAULT_INGEST_FILTER = 'subject:"Nuevo cliente potencial"';
+
 program
   .name('emailbot')
   .description('EmailBot - Automated lead processing system')
@@ -20,21 +23,141 @@ program
 program
   .command('ingest')
   .description('Process new emails and generate drafts')
-  .option('--filter <query>', 'Gmail search query', 'subject:"Nuevo cliente potencial"')
+  .option('--filter <query>', 'Gmail search query (default: the mailbox filter)')
   .option('--limit <number>', 'Max emails to process', '10')
+  .option('--full', 'Ignore the history checkpoint and list the whole mailbox')
+  .option('--mailbox <id>', 'Mailbox to ingest (default: the default mailbox)')
+  .option('--history [runId]', 'Show recent ingestion runs (or one run in detail) instead of ingesting')
   .action(async (options) => {
     try {
-      const result = await emailbot.ingest(options);
-      console.log(`✅ Processed ${result.processed.length} emails`);
+      if (options.history) {
+        await printIngestHistory(options);
+        return;
+      }
+
+      const mailbox = emailbot.mailboxes.get(options.mailbox);
+      const { history, ...ingestOptions } = options;
+      const result = await emailbot.ingest({
+        ...ingestOptions,
+        trigger: 'cli',
+        mailbox: mailbox.id,
+        filter: options.filter ?? mailbox.filter ?? DEFAULT_INGEST_FILTER
+      });
+      console.log(`✅ Processed ${result.processed.length} emails (${result.mode}, mailbox ${mailbox.id})`);
       result.processed.forEach(e => {
         console.log(`   - ${e.email} (${e.company || 'N/A'})`);
       });
+      if (emailbot.leads.enabled) console.log(`   Stored ${result.stored} new lead(s) in Postgres`);
+      if (result.skipped.length > 0) {
+        const byReason = {};
+        result.skipped.forEach(s => { byReason[s.reason] = (byReason[s.reason] || 0) + 1; });
+        const summary = Object.entries(byReason).map(([reason, count]) => `${count} ${reason}`).join(', ');
+        console.log(`   Skipped ${result.skipped.length} (${summary})`);
+        result.skipped
+          .filter(s => s.reason !== 'already_processed')
+          .forEach(s => console.log(`   - ${s.email || s.gmailId}: ${(s.issues || [s.reason]).join(', ')}${s.error ? ` (${s.error})` : ''}`));
+      }
     } catch (error) {
       console.error('❌ Ingestion failed:', error.message);
       process.exit(1);
     }
   });
 
+/**
+ * Print the ingest run history, or one run with its messages
+ */
+async function printIngestHistory(options) {
+  const countsOf = (counts = {}) => Object.entries(counts).map(([reason, count]) => `${count} ${reason}`).join(', ');
+
+  if (options.history !== true) {
+    const run = await emailbot.ingestRuns.get(options.history);
+    if (!run) throw new Error(`Ingest run not found: ${options.history}`);
+
+    console.log(`✅ Run ${run.id} (${run.status}, ${run.trigger}, mailbox ${run.mailbox || 'default'})`);
+    console.log(`   Started ${run.startedAt}, ${run.durationMs}ms, mode ${run.mode || '-'}, limit ${run.limit}${run.full ? ', full' : ''}`);
+    console.log(`   Filter: ${run.filter || '(none)'}`);
+    console.log(`   Scanned ${run.scanned}, leads ${run.leads}, skipped ${run.skipped.length}, errors ${run.errors.length}`);
+    if (run.error) console.log(`   Error: ${run.error}`);
+    run.processed.forEach(p => console.log(`   + ${p.email} (${p.gmailId})`));
+    run.skipped.forEach(s => console.log(`   - ${s.gmailId}${s.email ? ` ${s.email}` : ''}: ${(s.issues || [s.reason]).join(', ')}`));
+    run.errors.forEach(e => console.log(`   ! ${e.gmailId}: ${e.error}`));
+    return;
+  }
+
+  const runs = await emailbot.ingestRuns.list({
+    mailbox: options.mailbox ? emailbot.mailboxes.get(options.mailbox).id : null,
+    limit: parseInt(options.limit, 10) || 10
+  });
+  console.log(`✅ ${runs.length} ingest run(s)`);
+  runs.forEach(run => {
+    const skipped = countsOf(run.skipCounts);
+    console.log(`   - ${run.startedAt} ${run.id} ${run.trigger} ${run.status} [${run.mailbox || 'default'}] ` +
+      `scanned ${run.scanned}, leads ${run.leads}${skipped ? `, skipped ${skipped}` : ''}, ${run.durationMs}ms` +
+      `${run.error ? ` - ${run.error}` : ''}`);
+  });
+}
+
+// Import command
+program
+  .command('import')
+  .description('Import leads from .eml files, directories of them or mbox archives')
+  .argument('<path>', 'File or directory to import')
+  .option('--dry-run', 'Print what would be created without storing anything')
+  .option('--drafts', 'Also generate a draft for each lead')
+  .option('--limit <number>', 'Max leads to import')
+  .option('--mailbox <id>', 'Mailbox the leads belong to (default: the default mailbox)')
+  .action(async (inputPath, options) => {
+    try {
+      const result = await emailbot.importFiles(inputPath, {
+        mailbox: options.mailbox,
+        dryRun: !!options.dryRun,
+        drafts: !!options.drafts,
+        limit: options.limit ? parseInt(options.limit, 10) : undefined
+      });
+
+      const verb = result.dryRun ? 'Would import' : 'Imported';
+      console.log(`✅ ${verb} ${result.leads.length} lead(s) from ${result.messages} message(s) in ${result.files} file(s)`);
+      result.leads.forEach(({ source, lead, classification }) => {
+        const draftNote = result.dryRun && options.drafts ? ' + draft' : '';
+        console.log(`   - ${lead.email} (${lead.company || 'N/A'}) [${classification.type}, ${lead.formParser}]${draftNote} <- ${source}`);
+      });
+      result.drafts.forEach(d => console.log(`   📝 Draft ${d.draftId} for ${d.email}`));
+      if (result.skipped.length > 0) {
+        console.log(`   Skipped ${result.skipped.length}:`);
+        result.skipped.forEach(s => console.log(`   - ${s.source}: ${s.reason}${s.error ? ` (${s.error})` : ''}`));
+      }
+      if (!result.dryRun && !emailbot.leads.enabled) {
+        console.log('   ⚠️  DATABASE_URL not set: leads were not stored in Postgres');
+      }
+    } catch (error) {
+      console.error('❌ Import failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+// Classify command
+program
+  .command('classify')
+  .description('Run sample emails (.eml/.mbox or a directory) through the classification rules')
+  .argument('<path>', 'File or directory of sample emails')
+  .option('--rules <file>', 'Rules file to try instead of config/classification-rules.json')
+  .action(async (inputPath, options) => {
+    try {
+      const results = emailbot.classifyFiles(inputPath, { rulesPath: options.rules });
+      const byType = {};
+      results.forEach(r => { byType[r.classification.type] = (byType[r.classification.type] || 0) + 1; });
+
+      console.log(`✅ Classified ${results.length} message(s): ${Object.entries(byType).map(([type, n]) => `${n} ${type}`).join(', ')}`);
+      results.forEach(({ source, email, subject, classification: c }) => {
+        console.log(`   - ${source}: ${c.type} [${c.priority}] <- ${c.rule || 'no rule (default)'}`);
+        console.log(`     ${email || 'no lead email'} | ${subject || '(no subject)'}`);
+      });
+    } catch (error) {
+      console.error('❌ Classification failed:', error.message);
+      process.exit(1);
+    }
+  });
+
 // List command
 program
   .command('list')
@@ -205,6 +328,24 @@ program
     }
   });
 
+// Rescore command
+program
+  .command('rescore')
+  .description('Recompute lead scores with the current config/scoring.json')
+  .option('--mailbox <id>', 'Only leads of this mailbox')
+  .action(async (options) => {
+    try {
+      if (!emailbot.leads.enabled) {
+        throw new Error('Postgres not configured (missing DATABASE_URL)');
+      }
+      const result = await emailbot.rescoreLeads({ mailbox: options.mailbox });
+      console.log(`✅ Rescored ${result.scanned} lead(s), ${result.changed} changed`);
+    } catch (error) {
+      console.error('❌ Rescore failed:', error.message);
+      process.exit(1);
+    }
+  });
+
 // Followup command
 program
   .command('followup')
@@ -221,6 +362,111 @@ program
     }
   });
 
+// Watch command
+program
+  .command('watch')
+  .description('Register or renew Gmail push notifications')
+  .option('--stop', 'Stop push notifications')
+  .option('--status', 'Show the current watch without changing it')
+  .action(async (options) => {
+    try {
+      if (options.status) {
+        const state = emailbot.watch.getState();
+        console.log(state ? JSON.stringify(state, null, 2) : 'No active watch');
+        return;
+      }
+
+      if (options.stop) {
+        await emailbot.watch.stop();
+        console.log('✅ Gmail watch stopped');
+        return;
+      }
+
+      const state = await emailbot.watch.start();
+      console.log(`✅ Watching ${state.labelIds.join(', ')} via ${state.topicName}`);
+      console.log(`   Expires: ${new Date(state.expiration).toLocaleString()}`);
+    } catch (error) {
+      console.error('❌ Watch failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+// Jobs command
+program
+  .command('jobs')
+  .description('List scheduled jobs, run one now, or run the scheduler in the foreground')
+  .argument('[name]', 'Job to run now (ingest, sendPending, followups, notionSync, watchRenewal)')
+  .option('--start', 'Run the scheduler until interrupted (worker mode)')
+  .action(async (name, options) => {
+    try {
+      if (options.start) {
+        emailbot.scheduler.start();
+        console.log('✅ Scheduler running (Ctrl+C to stop)');
+        return;
+      }
+
+      if (name) {
+        const run = await emailbot.scheduler.run(name, { trigger: 'cli' });
+        if (run.status !== 'success') {
+          console.error(`❌ Job ${name} ${run.status}: ${run.error || run.reason}`);
+          process.exit(1);
+        }
+        console.log(`✅ Job ${name} finished in ${run.durationMs}ms`);
+        console.log(JSON.stringify(run.result, null, 2));
+        return;
+      }
+
+      const jobs = await emailbot.scheduler.list();
+      console.log(`\n⏱️  JOBS (${jobs.length})\n`);
+      for (const job of jobs) {
+        const schedule = job.enabled ? job.schedule : 'disabled';
+        const last = job.lastRun ? `${job.lastRun.status} at ${new Date(job.lastRun.startedAt).toLocaleString()}` : 'never run';
+        console.log(`   ${job.name.padEnd(14)} | ${schedule.padEnd(16)} | ${last}`);
+      }
+    } catch (error) {
+      console.error('❌ Jobs failed:', error.message);
+      process.exit(1);
+    }
+  });
+
+// Knowledge command
+program
+  .command('knowledge')
+  .description('List, add to, reindex or search the knowledge base used in draft prompts')
+  .option('--add <file>', 'Copy a markdown/JSON document into the knowledge base')
+  .option('--name <name>', 'Document name for --add (default: the file name)')
+  .option('--reindex', 'Rebuild the index from the documents folder')
+  .option('--search <text>', 'Show the snippets a lead message would retrieve')
+  .action(async (options) => {
+    try {
+      const { knowledge } = emailbot;
+
+      if (options.add) {
+        const fs = require('fs');
+        const path = require('path');
+        const name = options.name || path.basename(options.add);
+        const document = knowledge.addDocument(name, fs.readFileSync(options.add, 'utf8'));
+        console.log(`✅ Saved ${document.id} (${document.snippets} snippet(s)) and reindexed`);
+        return;
+      }
+
+      if (options.search) {
+        const results = knowledge.search(options.search);
+        console.log(`\n📚 ${results.length} snippet(s)\n`);
+        results.forEach(r => console.log(`   [${r.id}] ${r.title} (score ${r.score})`));
+        return;
+      }
+
+      const index = options.reindex ? knowledge.reindex() : knowledge.index();
+      if (options.reindex) console.log(`✅ Reindexed ${index.documents.length} document(s), ${index.snippets.length} snippet(s)`);
+      console.log(`\n📚 KNOWLEDGE BASE (${knowledge.root})\n`);
+      index.documents.forEach(d => console.log(`   ${d.id.padEnd(30)} | ${d.snippets} snippet(s)`));
+    } catch (error) {
+      console.error('❌ Knowledge failed:', error.message);
+      process.exit(1);
+    }
+  });
+
 // Parse and execute
 program.parse();
 
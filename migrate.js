@@ -102,10 +102,96 @@ CREATE TABLE IF NOT EXISTS drafts (
   created_at TIMESTAMPTZ DEFAULT now()
 );
 
+-- Create processed messages ledger (ingestion idempotency)
+CREATE TABLE IF NOT EXISTS processed_messages (
+  gmail_id TEXT PRIMARY KEY,
+  thread_id TEXT,
+  lead_email TEXT,
+  outcome TEXT,
+  processed_at TIMESTAMPTZ DEFAULT now()
+);
+
+-- Mailbox of each lead/draft (NULL = rows from before multi-mailbox support)
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS mailbox TEXT;
+ALTER TABLE drafts ADD COLUMN IF NOT EXISTS mailbox TEXT;
+
+-- Entities extracted from the lead's message (budget range, resolved deadline, website)
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS website TEXT;
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS budget_min NUMERIC;
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS budget_max NUMERIC;
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS budget_currency TEXT;
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS deadline DATE;
+
+-- Lead addresses that bounced permanently (see src/bounces.js)
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS email_status TEXT;
+
+CREATE TABLE IF NOT EXISTS bounced_addresses (
+  email TEXT PRIMARY KEY,
+  status TEXT,
+  diagnostic TEXT,
+  gmail_id TEXT,
+  mailbox TEXT,
+  bounced_at TIMESTAMPTZ DEFAULT now()
+);
+
+-- Versioned prompt templates (see src/prompts.js; version 1 of each is built in)
+CREATE TABLE IF NOT EXISTS prompt_versions (
+  name TEXT NOT NULL,
+  version INTEGER NOT NULL,
+  template TEXT NOT NULL,
+  description TEXT,
+  created_at TIMESTAMPTZ DEFAULT now(),
+  PRIMARY KEY (name, version)
+);
+
+CREATE TABLE IF NOT EXISTS prompt_settings (
+  name TEXT PRIMARY KEY,
+  active_version INTEGER,
+  ab_test JSONB,
+  updated_at TIMESTAMPTZ DEFAULT now()
+);
+
+-- Create scheduler job leases and run history
+CREATE TABLE IF NOT EXISTS job_locks (
+  name TEXT PRIMARY KEY,
+  owner TEXT NOT NULL,
+  expires_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS job_runs (
+  id SERIAL PRIMARY KEY,
+  job TEXT NOT NULL,
+  trigger TEXT,
+  status TEXT,
+  owner TEXT,
+  started_at TIMESTAMPTZ,
+  finished_at TIMESTAMPTZ,
+  duration_ms INTEGER,
+  result JSONB,
+  error TEXT
+);
+
+CREATE TABLE IF NOT EXISTS ingest_runs (
+  id TEXT PRIMARY KEY,
+  mailbox TEXT,
+  trigger TEXT,
+  status TEXT,
+  started_at TIMESTAMPTZ,
+  duration_ms INTEGER,
+  run JSONB NOT NULL
+);
+
 -- Create indexes
 CREATE INDEX IF NOT EXISTS idx_drafts_status ON drafts(status);
 CREATE INDEX IF NOT EXISTS idx_drafts_generated_at ON drafts(generated_at);
 CREATE INDEX IF NOT EXISTS idx_drafts_gmail_id ON drafts(gmail_id);
+CREATE INDEX IF NOT EXISTS idx_leads_gmail_id ON leads((metadata->>'gmailId'));
+CREATE INDEX IF NOT EXISTS idx_job_runs_job_started ON job_runs(job, started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_ingest_runs_started ON ingest_runs(started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_leads_mailbox ON leads(mailbox);
+CREATE INDEX IF NOT EXISTS idx_leads_deadline ON leads(deadline);
+CREATE INDEX IF NOT EXISTS idx_leads_email_lower ON leads(lower(email));
+CREATE INDEX IF NOT EXISTS idx_drafts_mailbox ON drafts(mailbox);
 
 CREATE INDEX IF NOT EXISTS idx_emails_status ON emails(status);
 CREATE INDEX IF NOT EXISTS idx_emails_draft_status ON emails(draft_status);
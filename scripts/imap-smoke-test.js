@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+/**
+ * IMAP/SMTP provider smoke test
+ *
+ * Sends a message to IMAP_USER over SMTP, waits for it through the IMAP
+ * change feed, then fetches, labels and threads it with the provider.
+ * Meant for a local test server such as GreenMail:
+ *
+ *   docker run --rm -p 3025:3025 -p 3143:3143 \
+ *     -e GREENMAIL_OPTS='-Dgreenmail.setup.test.all -Dgreenmail.hostname=0.0.0.0 -Dgreenmail.auth.disabled' \
+ *     greenmail/standalone
+ *
+ * Usage:
+ *   IMAP_HOST=localhost IMAP_PORT=3143 IMAP_SECURE=false IMAP_USER=hello@mdx.local IMAP_PASSWORD=x \
+ *   SMTP_HOST=localhost SMTP_PORT=3025 SMTP_SECURE=false \
+ *   node scripts/imap-smoke-test.js
+ */
+
+const EmailBot = require('../src/index');
+const { createProvider } = require('../src/providers');
+
+const TIMEOUT_MS = 15000;
+
+async function main() {
+  const emailbot = new EmailBot();
+  const config = { ...emailbot.config, MAIL_PROVIDER: 'imap' };
+  const provider = createProvider(config, emailbot.logger);
+
+  try {
+    const checkpoint = await provider.getCheckpoint();
+    console.log(`Checkpoint: ${checkpoint}`);
+
+    const subject = `EmailBot smoke test ${Date.now()}`;
+    await provider.sendMessage({
+      from: config.IMAP_USER,
+      to: config.IMAP_USER,
+      subject,
+      text: 'Name: Smoke Test\nEmail: smoke@example.com\nMessage: Hello from the IMAP provider'
+    });
+    console.log(`Sent: ${subject}`);
+
+    // Wait for delivery through the change feed
+    const deadline = Date.now() + TIMEOUT_MS;
+    let message = null;
+    while (!message && Date.now() < deadline) {
+      const changes = await provider.listChangesSince(checkpoint, { limit: 50 });
+      for (const { id } of changes?.messages || []) {
+        const candidate = await provider.getMessage(id);
+        const header = candidate.payload.headers.find(h => h.name.toLowerCase() === 'subject');
+        if (header?.value === subject) message = candidate;
+      }
+      if (!message) await new Promise(resolve => setTimeout(resolve, 1000));
+    }
+
+    if (!message) {
+      throw new Error(`Message did not arrive within ${TIMEOUT_MS / 1000}s`);
+    }
+    console.log(`Received: id=${message.id} labels=${message.labelIds.join(',')}`);
+
+    const label = await provider.ensureLabel('EmailBot/Processed');
+    await provider.modifyMessage(message.id, { addLabelIds: [label], removeLabelIds: ['UNREAD'] });
+    const updated = await provider.getMessage(message.id);
+    console.log(`Labels after modify: ${updated.labelIds.join(',')}`);
+
+    const thread = await provider.getThread(message.threadId);
+    console.log(`Thread ${thread.id}: ${thread.messages.length} message(s)`);
+
+    console.log('✅ IMAP/SMTP provider OK');
+  } finally {
+    await provider.close();
+  }
+}
+
+main().catch((error) => {
+  console.error('❌ Smoke test failed:', error.message);
+  process.exit(1);
+});
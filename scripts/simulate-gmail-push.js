@@ -0,0 +1,47 @@
+#!/usr/bin/env node
+/**
+ * Simulate a Gmail Pub/Sub push notification
+ *
+ * Posts the same envelope Pub/Sub would deliver to POST /api/gmail/push,
+ * so the push receiver can be exercised without Google.
+ *
+ * Usage:
+ *   node scripts/simulate-gmail-push.js <historyId> [backend_url]
+ *
+ * Examples:
+ *   node scripts/simulate-gmail-push.js 123456
+ *   node scripts/simulate-gmail-push.js 123456 http://localhost:3001
+ *   GMAIL_PUSH_TOKEN=secret GMAIL_USER=hello@mdx.so node scripts/simulate-gmail-push.js 123456
+ */
+
+const axios = require('axios');
+const GmailWatch = require('../src/watch');
+
+const historyId = process.argv[2];
+const BACKEND_URL = process.argv[3] || process.env.BACKEND_URL || 'http://localhost:3001';
+
+if (!historyId) {
+  console.error('Usage: node scripts/simulate-gmail-push.js <historyId> [backend_url]');
+  process.exit(1);
+}
+
+async function main() {
+  const envelope = GmailWatch.encodeNotification({
+    emailAddress: process.env.GMAIL_DELEGATED_USER || process.env.GMAIL_USER || 'hello@mdx.so',
+    historyId
+  });
+
+  const token = process.env.GMAIL_PUSH_TOKEN;
+  const url = `${BACKEND_URL}/api/gmail/push${token ? `?token=${encodeURIComponent(token)}` : ''}`;
+
+  console.log(`POST ${url}`);
+  try {
+    const resp = await axios.post(url, envelope);
+    console.log(resp.status, JSON.stringify(resp.data, null, 2));
+  } catch (error) {
+    console.error(error.response?.status || '', JSON.stringify(error.response?.data || error.message));
+    process.exit(1);
+  }
+}
+
+main();
@@ -30,9 +30,17 @@ const cors = require('cors');
 const fs = require('fs');
 const jsonfile = require('jsonfile');
 
-const { Pool } = require('pg');
+const db = require('./src/db');
+const DraftStore = require('./src/draft-store');
+const PromptLibrary = require('./src/prompts');
+const { approvalStats } = PromptLibrary;
 
 const EmailBot = require('./src/index');
+const GmailWatch = require('./src/watch');
+const { cleanBody } = require('./src/body-cleaner');
+const { metrics: gmailMetrics } = require('./src/gmail-call');
+const { LANGUAGES } = require('./src/language');
+const { detectAutoReply } = require('./src/automail');
 
 // Configuration
 const PORT = process.env.PORT || process.env.API_PORT || 3001;
@@ -51,13 +59,9 @@ const ACTIVITY_LOG = path.join(STATE_DIR, 'activity.log');
 const emailbot = new EmailBot();
 
 // Optional PostgreSQL (required in production): store leads/emails/activity/drafts in DB
-let pgPool = null;
-if (process.env.DATABASE_URL) {
-  pgPool = new Pool({
-    connectionString: process.env.DATABASE_URL,
-    ssl: { rejectUnauthorized: false }
-  });
-}
+const pgPool = db.getPool();
+const draftStore = new DraftStore(emailbot.config, emailbot.logger);
+const prompts = new PromptLibrary(emailbot.config, emailbot.logger);
 
 const REQUIRE_DB =
   process.env.REQUIRE_DB === '1' ||
@@ -71,8 +75,7 @@ if (REQUIRE_DB && !pgPool) {
 }
 
 async function pgQuery(text, params = []) {
-  if (!pgPool) throw new Error('DATABASE_URL not configured');
-  return pgPool.query(text, params);
+  return db.query(text, params);
 }
 
 function requireDbOr503(res) {
@@ -85,6 +88,17 @@ function requireDbOr503(res) {
   return null;
 }
 
+// Helper: Run fn with a short-lived Ingestor and its mailbox provider (closed afterwards)
+async function withIngestor(fn, mailbox) {
+  const Ingestor = require('./src/ingestor');
+  const ingestor = new Ingestor(emailbot.mailboxes.configFor(mailbox), emailbot.logger);
+  try {
+    return await fn(ingestor, ingestor.provider);
+  } finally {
+    await ingestor.provider.close();
+  }
+}
+
 const app = express();
 
 function safeJsonParse(s) {
@@ -95,6 +109,30 @@ function safeJsonParse(s) {
 app.use(cors());
 app.use(express.json());
 
+// ?mailbox= (or body.mailbox) scopes a request to one inbox; reject unknown ids early
+app.use('/api', (req, res, next) => {
+  const mailbox = req.query.mailbox || req.body?.mailbox;
+  if (mailbox && !emailbot.mailboxes.has(String(mailbox))) {
+    return res.status(404).json({ error: `Unknown mailbox: ${mailbox}` });
+  }
+  next();
+});
+
+// SQL condition for a mailbox column (rows from before mailboxes existed belong to the default one)
+function mailboxCondition(column, mailbox, params) {
+  params.push(mailbox);
+  const placeholder = `$${params.length}`;
+  return mailbox === emailbot.mailboxes.defaultId
+    ? `(${column} = ${placeholder} OR ${column} IS NULL)`
+    : `${column} = ${placeholder}`;
+}
+
+// Whether a draft belongs to a mailbox (no mailbox filter matches everything)
+function inMailbox(record, mailbox) {
+  if (!mailbox) return true;
+  return (record?.mailbox || emailbot.mailboxes.defaultId) === mailbox;
+}
+
 // Status normalization / compatibility layer
 function normalizeDraftStatus(status) {
   const s = String(status || '').trim().toLowerCase();
@@ -106,17 +144,21 @@ function normalizeDraftStatus(status) {
   return s;
 }
 
-// Helper: Load drafts
-async function loadDrafts(status) {
+// Helper: Load drafts (optionally for one mailbox)
+async function loadDrafts(status, mailbox) {
   // Prefer Postgres when available
   if (pgPool) {
     const params = [];
-    let where = '';
+    const conditions = [];
     const normalized = normalizeDraftStatus(status);
     if (normalized) {
       params.push(normalized);
-      where = `WHERE status = $${params.length}`;
+      conditions.push(`status = $${params.length}`);
+    }
+    if (mailbox) {
+      conditions.push(mailboxCondition('mailbox', mailbox, params));
     }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
 
     const { rows } = await pgQuery(
       `SELECT draft
@@ -146,7 +188,7 @@ async function loadDrafts(status) {
     try {
       return jsonfile.readFileSync(path.join(DRAFTS_DIR, f));
     } catch (e) { return null; }
-  }).filter(Boolean);
+  }).filter(d => d && inMailbox(d, mailbox));
 
   if (status) {
     return drafts.filter(d => d.status === status);
@@ -184,33 +226,8 @@ async function saveDraft(draft) {
   }
 
   if (pgPool) {
-    const generatedAt = draft.generatedAt || new Date().toISOString();
-    const updatedAt = draft.updatedAt || null;
     try {
-      await pgQuery(
-        `INSERT INTO drafts (id, status, generated_at, updated_at, gmail_id, thread_id, email, company, draft)
-         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)
-         ON CONFLICT (id) DO UPDATE SET
-           status = EXCLUDED.status,
-           generated_at = EXCLUDED.generated_at,
-           updated_at = EXCLUDED.updated_at,
-           gmail_id = EXCLUDED.gmail_id,
-           thread_id = EXCLUDED.thread_id,
-           email = EXCLUDED.email,
-           company = EXCLUDED.company,
-           draft = EXCLUDED.draft`,
-        [
-          draft.id,
-          draft.status || null,
-          generatedAt,
-          updatedAt,
-          draft.emailData?.gmailId || null,
-          draft.emailData?.threadId || null,
-          draft.client?.email || null,
-          draft.client?.company || null,
-          JSON.stringify(draft)
-        ]
-      );
+      await draftStore.upsert(draft);
       return;
     } catch (e) {
       console.error('[saveDraft] Postgres write failed:', e.message);
@@ -295,11 +312,11 @@ async function getActivity(limit = 50) {
   return lines.slice(-limit).reverse().map(line => safeJsonParse(line)).filter(Boolean);
 }
 
-// Helper: Get metrics
-async function getMetrics() {
+// Helper: Get metrics (one mailbox, or all of them)
+async function getMetrics(mailbox) {
   console.log('[getMetrics] Starting...');
   
-  const drafts = await loadDrafts();
+  const drafts = await loadDrafts(undefined, mailbox);
   const pending = drafts.filter(d => d.status === 'pending_review');
   const approved = drafts.filter(d => d.status === 'approved');
   const sent = drafts.filter(d => d.status === 'sent');
@@ -309,27 +326,24 @@ async function getMetrics() {
   const approvedToday = approved.filter(d => d.approval?.approvedAt?.startsWith(today)).length;
   const sentToday = sent.filter(d => d.sentAt?.startsWith(today)).length;
   
-  // Fetch unread emails from Gmail
+  // Fetch unread emails from the mailbox
   let unreadEmails = 0;
-  try {
-    const Ingestor = require('./src/ingestor');
-    const ingestor = new Ingestor(emailbot.config, emailbot.logger);
-    const gmail = await ingestor.getGmailClient();
-    const response = await gmail.users.messages.list({
-      userId: 'me',
-      q: 'is:unread',
-      maxResults: 1
-    });
-    unreadEmails = response.data.resultSizeEstimate || 0;
-  } catch (e) {
-    console.warn('Could not fetch unread emails:', e.message);
+  const mailboxIds = mailbox ? [mailbox] : emailbot.mailboxes.list().map(m => m.id);
+  for (const id of mailboxIds) {
+    try {
+      unreadEmails += await withIngestor((ingestor, provider) => provider.countUnread(), id);
+    } catch (e) {
+      console.warn(`Could not fetch unread emails (${id}):`, e.message);
+    }
   }
   
   // Fetch leads count from Postgres
   let newLeads = 0;
   try {
     if (pgPool) {
-      const { rows } = await pgQuery('SELECT COUNT(*)::int AS count FROM leads');
+      const params = [];
+      const where = mailbox ? `WHERE ${mailboxCondition('mailbox', mailbox, params)}` : '';
+      const { rows } = await pgQuery(`SELECT COUNT(*)::int AS count FROM leads ${where}`, params);
       newLeads = rows?.[0]?.count ?? 0;
     }
   } catch (e) {
@@ -468,7 +482,7 @@ app.get('/api/drafts', async (req, res) => {
       return res.json({ draft });
     }
     
-    const drafts = await loadDrafts(status);
+    const drafts = await loadDrafts(status, req.query.mailbox);
     res.json({ drafts });
   } catch (error) {
     res.status(500).json({ error: 'Failed to fetch drafts' });
@@ -493,7 +507,7 @@ app.get('/api/drafts/:id', async (req, res) => {
 });
 
 // POST /api/drafts/generate - Generate a draft for ANY email (inbox/unread)
-// Body: { gmailId, threadId }
+// Body: { gmailId, threadId, mailbox? }
 app.post('/api/drafts/generate', async (req, res) => {
   const startedAt = Date.now();
   try {
@@ -502,10 +516,11 @@ app.post('/api/drafts/generate', async (req, res) => {
       if (early) return;
     }
     const { gmailId, threadId } = req.body || {};
+    const mailbox = emailbot.mailboxes.get(req.body?.mailbox).id;
     if (!gmailId) return res.status(400).json({ error: 'gmailId is required' });
 
     // Dedupe: if draft already exists for this gmailId/threadId, return it
-    const existing = (await loadDrafts()).find((d) =>
+    const existing = (await loadDrafts(undefined, mailbox)).find((d) =>
       (d?.emailData?.gmailId && String(d.emailData.gmailId) === String(gmailId)) ||
       (threadId && d?.emailData?.threadId && String(d.emailData.threadId) === String(threadId))
     );
@@ -515,13 +530,12 @@ app.post('/api/drafts/generate', async (req, res) => {
 
     addActivity('draft', 'Draft generation requested', { entityType: 'draft', gmailId, threadId });
 
-    // Fetch email from Gmail
-    const Ingestor = require('./src/ingestor');
-    const ingestor = new Ingestor(emailbot.config, emailbot.logger);
-    const gmail = await ingestor.getGmailClient();
-
-    const msg = await gmail.users.messages.get({ userId: 'me', id: gmailId, format: 'full' });
-    const headers = msg.data?.payload?.headers || [];
+    // Fetch email from the mailbox
+    const { msg, body } = await withIngestor(async (ingestor, provider) => {
+      const message = await provider.getMessage(gmailId);
+      return { msg: message, body: ingestor.extractBody(message) || '' };
+    }, mailbox);
+    const headers = msg?.payload?.headers || [];
     const subject = headers.find((h) => h.name === 'Subject')?.value || '';
     const fromRaw = headers.find((h) => h.name === 'From')?.value || '';
     const date = headers.find((h) => h.name === 'Date')?.value || '';
@@ -529,19 +543,26 @@ app.post('/api/drafts/generate', async (req, res) => {
     const fromName = fromRaw.includes('<') ? fromRaw.split('<')[0].trim().replace(/"/g, '') : fromRaw;
     const fromEmail = fromRaw.match(/<([^>]+)>/)?.[1] || '';
 
-    const body = ingestor.extractBody(msg.data) || '';
+    const cleaned = cleanBody(body);
 
     // Build minimal emailData for analyzer/drafter
     const emailData = {
+      mailbox,
       gmailId,
-      threadId: msg.data?.threadId || threadId,
+      threadId: msg?.threadId || threadId,
+      rfcMessageId: headers.find((h) => h.name.toLowerCase() === 'message-id')?.value || null,
       subject,
       from: fromName || fromRaw || 'Unknown',
       email: fromEmail,
       name: fromName || 'Unknown',
+      // Only what the sender provided; the analyzer adds company/website from the domain under `enrichment`
       company: null,
       service: null,
-      message: body,
+      message: cleaned.text,
+      quotedText: cleaned.quoted,
+      signature: cleaned.signature,
+      disclaimer: cleaned.disclaimer,
+      autoReply: detectAutoReply({ headers, subject, body: cleaned.text }),
       date,
       receivedAt: new Date().toISOString(),
     };
@@ -567,6 +588,10 @@ app.post('/api/drafts/generate', async (req, res) => {
       error: error.message,
       durationMs: Date.now() - startedAt,
     });
+    // Out-of-office notices and autoresponders never get a draft
+    if (error.code === 'AUTO_REPLY') {
+      return res.status(422).json({ error: 'Automatic message', message: error.message });
+    }
     return res.status(500).json({ error: 'Failed to generate draft', message: error.message });
   }
 });
@@ -665,7 +690,7 @@ app.get('/api/test', async (req, res) => {
 app.get('/api/metrics', async (req, res) => {
   try {
     console.log('[METRICS] Starting...');
-    const metrics = await getMetrics();
+    const metrics = await getMetrics(req.query.mailbox);
     console.log('[METRICS] Result:', JSON.stringify(metrics));
     res.json({ metrics });
   } catch (error) {
@@ -674,11 +699,16 @@ app.get('/api/metrics', async (req, res) => {
   }
 });
 
+// GET /api/metrics/gmail - Gmail API call stats (calls, retries, rate limits, latency) since start
+app.get('/api/metrics/gmail', (req, res) => {
+  res.json(gmailMetrics.snapshot());
+});
+
 // GET /api/metrics/sparkline - REAL data for sparkline charts
 app.get('/api/metrics/sparkline', async (req, res) => {
   try {
-    const { metric = 'unread_emails', days = 7 } = req.query;
-    const drafts = await loadDrafts();
+    const { metric = 'unread_emails', days = 7, mailbox } = req.query;
+    const drafts = await loadDrafts(undefined, mailbox);
     const now = new Date();
     const result = [];
     
@@ -752,6 +782,9 @@ app.post('/api/drafts/:id/regenerate', async (req, res) => {
     }
     const { id } = req.params;
     const { tone, instruction = 'rewrite', language } = req.body;
+    if (language && !LANGUAGES[language]) {
+      return res.status(400).json({ error: `Unsupported language: ${language} (use ${Object.keys(LANGUAGES).join(', ')})` });
+    }
     
     const draft = await getDraft(id);
     if (!draft) {
@@ -780,7 +813,7 @@ app.post('/api/drafts/:id/regenerate', async (req, res) => {
 
     // Perform actual regeneration using the Drafter module
     const Drafter = require('./src/drafter');
-    const drafter = new Drafter(emailbot.config, emailbot.logger);
+    const drafter = new Drafter(emailbot.mailboxes.configFor(draft.mailbox), emailbot.logger);
     
     // Marcelo preference: do not force parameterized instructions.
     // Keep instruction lightweight so Gemini judges context and writes naturally.
@@ -789,7 +822,14 @@ app.post('/api/drafts/:id/regenerate', async (req, res) => {
       ? normalizedInstruction
       : instruction;
 
-    const updatedDraft = await drafter.regenerate(draft, effectiveInstruction);
+    let updatedDraft;
+    try {
+      updatedDraft = await drafter.regenerate(draft, effectiveInstruction, { language: language || undefined });
+    } catch (error) {
+      // regenerate() puts the draft back in pending_review; persist it so it isn't left in "generating"
+      await saveDraft(draft);
+      throw error;
+    }
     await saveDraft(updatedDraft);
     
     addActivity('agent', `Draft regenerated for ${updatedDraft.client?.email || 'unknown'}`, {
@@ -877,9 +917,10 @@ app.post('/api/drafts/:id/send', async (req, res) => {
 // GET /api/dashboard
 app.get('/api/dashboard', async (req, res) => {
   try {
-    const metrics = await getMetrics();
+    const { mailbox } = req.query;
+    const metrics = await getMetrics(mailbox);
     const activity = await getActivity(20);
-    const pending = await loadDrafts('pending_review');
+    const pending = await loadDrafts('pending_review', mailbox);
     
     res.json({
       metrics,
@@ -939,50 +980,24 @@ app.post('/api/forms/contact', async (req, res) => {
   }
 });
 
+// Helper: Log the leads an ingest stored in Postgres (the ingestor saves them before marking messages processed)
+function logIngestedLeads(result, source = 'gmail') {
+  const processed = result?.processed;
+  if (!pgPool || !processed?.length) return;
+
+  addActivity('ingest', `Ingested ${processed.length} lead(s) into Postgres`, {
+    entityType: 'lead',
+    count: processed.length,
+    inserted: result.stored,
+    source
+  });
+}
+
 // POST /api/ingest - Trigger email ingestion
 app.post('/api/ingest', async (req, res) => {
   try {
-    const result = await emailbot.ingest(req.body);
-
-    // Persist processed leads into Postgres when available
-    if (pgPool && result?.processed?.length) {
-      for (const lead of result.processed) {
-        const receivedAt = lead.receivedAt ? new Date(lead.receivedAt) : new Date();
-        const email = lead.email || '';
-        if (!email) continue;
-
-        // Best-effort dedupe: same email + received_at
-        await pgQuery(
-          `INSERT INTO leads (name, email, company, phone, form_type, source, score, status, notes, received_at, metadata)
-           SELECT $1,$2,$3,$4,$5,$6,$7,'new',NULL,$8,$9
-           WHERE NOT EXISTS (
-             SELECT 1 FROM leads WHERE email = $2 AND received_at = $8
-           )`,
-          [
-            lead.name || 'Unknown',
-            email,
-            lead.company || null,
-            lead.phone || null,
-            lead.service || lead.formType || null,
-            'gmail',
-            0,
-            receivedAt,
-            JSON.stringify({
-              gmailId: lead.gmailId,
-              threadId: lead.threadId,
-              subject: lead.subject,
-              from: lead.from,
-              raw: lead
-            })
-          ]
-        );
-      }
-
-      addActivity('ingest', `Ingested ${result.processed.length} lead(s) into Postgres`, {
-        entityType: 'lead',
-        count: result.processed.length
-      });
-    }
+    const result = await emailbot.ingest({ ...req.body, trigger: 'api' });
+    logIngestedLeads(result);
 
     res.json({ success: true, result });
   } catch (error) {
@@ -990,6 +1005,91 @@ app.post('/api/ingest', async (req, res) => {
   }
 });
 
+// GET /api/ingest/runs - Ingestion run history, newest first
+// Query: mailbox, status (success|failed), trigger (cli|api|scheduler|push), gmailId (runs that saw a message), limit
+app.get('/api/ingest/runs', async (req, res) => {
+  try {
+    const { mailbox, status, trigger, gmailId } = req.query;
+    const limit = Math.max(1, Math.min(parseInt(req.query.limit, 10) || 20, 200));
+    const runs = await emailbot.ingestRuns.list({ mailbox, status, trigger, gmailId, limit });
+    res.json({ runs });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to load ingest runs: ' + error.message });
+  }
+});
+
+// GET /api/ingest/runs/:id - One run with its processed, skipped and failed messages
+app.get('/api/ingest/runs/:id', async (req, res) => {
+  try {
+    const run = await emailbot.ingestRuns.get(req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: 'Ingest run not found' });
+    }
+    res.json({ run });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to load ingest run: ' + error.message });
+  }
+});
+
+// POST /api/gmail/push - Gmail watch notifications delivered by Pub/Sub push
+// Body: { message: { data: base64({ emailAddress, historyId }), messageId }, subscription }
+// Configure the subscription endpoint as /api/gmail/push?token=<GMAIL_PUSH_TOKEN>
+// Refused while GMAIL_PUSH_TOKEN is unset: every push starts a mailbox ingest
+app.post('/api/gmail/push', async (req, res) => {
+  const pushToken = emailbot.config.GMAIL_PUSH_TOKEN;
+  if (!pushToken) {
+    return res.status(503).json({ error: 'Push notifications are disabled: GMAIL_PUSH_TOKEN is not set' });
+  }
+  if (req.query.token !== pushToken) {
+    return res.status(403).json({ error: 'Invalid push token' });
+  }
+
+  let notification;
+  try {
+    notification = GmailWatch.decodeNotification(req.body);
+  } catch (error) {
+    return res.status(400).json({ error: error.message });
+  }
+
+  try {
+    const result = await emailbot.handlePush(notification);
+    logIngestedLeads(result);
+
+    // Any 2xx acks the Pub/Sub message; errors below make Pub/Sub redeliver
+    res.json({
+      success: true,
+      historyId: notification.historyId,
+      processed: result?.processed?.length || 0,
+      ignored: result?.ignored || null
+    });
+  } catch (error) {
+    addActivity('error', 'Push ingestion failed', {
+      entityType: 'lead',
+      error: error.message,
+      historyId: notification.historyId
+    });
+    res.status(500).json({ error: 'Push ingestion failed: ' + error.message });
+  }
+});
+
+// GET /api/gmail/watch - Current watch registration
+app.get('/api/gmail/watch', (req, res) => {
+  res.json({
+    configured: !!emailbot.config.GMAIL_PUBSUB_TOPIC,
+    watch: emailbot.watch.getState()
+  });
+});
+
+// POST /api/gmail/watch - Register/renew the Gmail watch now
+app.post('/api/gmail/watch', async (req, res) => {
+  try {
+    const watch = await emailbot.watch.start();
+    res.json({ success: true, watch });
+  } catch (error) {
+    res.status(500).json({ error: 'Watch registration failed: ' + error.message });
+  }
+});
+
 // POST /api/sync/notion - Sync with Notion
 app.post('/api/sync/notion', async (req, res) => {
   try {
@@ -1000,13 +1100,153 @@ app.post('/api/sync/notion', async (req, res) => {
   }
 });
 
-// GET /api/emails - List emails from Gmail
+// GET /api/mailboxes - Configured inboxes (no credentials)
+app.get('/api/mailboxes', (req, res) => {
+  const mailboxes = emailbot.mailboxes.list().map(m => ({
+    id: m.id,
+    name: m.name || m.id,
+    address: m.address || null,
+    provider: m.provider || emailbot.config.MAIL_PROVIDER,
+    filter: m.filter || null,
+    default: !!m.default
+  }));
+  res.json({ mailboxes });
+});
+
+// GET /api/jobs - Scheduled jobs with their last run
+app.get('/api/jobs', async (req, res) => {
+  try {
+    const jobs = await emailbot.scheduler.list();
+    res.json({ enabled: emailbot.config.SCHEDULER_ENABLED, jobs });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to list jobs: ' + error.message });
+  }
+});
+
+// POST /api/jobs/:name/run - Run a job now (body: options merged over the configured ones)
+app.post('/api/jobs/:name/run', async (req, res) => {
+  const { name } = req.params;
+  if (!emailbot.scheduler.has(name)) {
+    return res.status(404).json({ error: `Unknown job: ${name}` });
+  }
+
+  try {
+    const run = await emailbot.scheduler.run(name, { trigger: 'manual', options: req.body || {} });
+    if (run.status === 'skipped') {
+      return res.status(409).json({ error: `Job ${name} is already running (${run.reason})`, run });
+    }
+    res.json({ success: run.status === 'success', run });
+  } catch (error) {
+    res.status(500).json({ error: 'Job failed: ' + error.message });
+  }
+});
+
+// GET /api/prompts - Prompt templates with their versions, active version and A/B test
+app.get('/api/prompts', async (req, res) => {
+  try {
+    res.json({ prompts: await prompts.list() });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to list prompts: ' + error.message });
+  }
+});
+
+// GET /api/prompts/:name - One prompt with the template of every version
+app.get('/api/prompts/:name', async (req, res) => {
+  try {
+    res.json({ prompt: await prompts.get(req.params.name) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// POST /api/prompts - Add a version
+// Body: { name, template, description?, activate? }
+app.post('/api/prompts', async (req, res) => {
+  try {
+    const { name, template, description, activate } = req.body || {};
+    if (!name) return res.status(400).json({ error: 'name is required' });
+
+    const version = await prompts.create(name, { template, description, activate: !!activate });
+    addActivity('user', `Prompt ${name} v${version.version} created`, { prompt: name, version: version.version, activate: !!activate });
+    res.status(201).json({ success: true, prompt: { name, ...version } });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// POST /api/prompts/:name/settings - Active version and A/B test
+// Body: { activeVersion?, abTest?: { versions: [a, b], split? } | null }
+app.post('/api/prompts/:name/settings', async (req, res) => {
+  try {
+    const { activeVersion, abTest } = req.body || {};
+    const settings = await prompts.configure(req.params.name, { activeVersion, abTest });
+    addActivity('user', `Prompt ${req.params.name} settings updated`, { prompt: req.params.name, ...settings });
+    res.json({ success: true, settings });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// GET /api/prompts/:name/stats - Approval rate of the drafts written with each version
+app.get('/api/prompts/:name/stats', async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { abTest } = await prompts.get(name);
+    const drafts = await loadDrafts(undefined, req.query.mailbox);
+    res.json({ name, abTest, versions: approvalStats(drafts, name) });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// GET /api/knowledge - Knowledge base documents and index
+app.get('/api/knowledge', (req, res) => {
+  try {
+    const index = emailbot.knowledge.index();
+    res.json({ builtAt: index.builtAt, documents: index.documents, snippets: index.snippets.length });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to read knowledge base: ' + error.message });
+  }
+});
+
+// GET /api/knowledge/search?q=...&limit= - Snippets that would be retrieved for a text
+app.get('/api/knowledge/search', (req, res) => {
+  try {
+    const { q, limit } = req.query;
+    if (!q) return res.status(400).json({ error: 'q is required' });
+    res.json({ results: emailbot.knowledge.search(q, limit ? { limit: parseInt(limit) } : undefined) });
+  } catch (error) {
+    res.status(500).json({ error: 'Knowledge search failed: ' + error.message });
+  }
+});
+
+// POST /api/knowledge/documents - Add or replace a document and reindex
+// Body: { name: "services/web" | "pricing.json", content: markdown | JSON }
+app.post('/api/knowledge/documents', (req, res) => {
+  try {
+    const { name, content } = req.body || {};
+    const document = emailbot.knowledge.addDocument(name, content);
+    addActivity('user', `Knowledge document ${document.id} saved`, { document: document.id, snippets: document.snippets });
+    res.status(201).json({ success: true, document });
+  } catch (error) {
+    res.status(error.status || 500).json({ error: error.message });
+  }
+});
+
+// POST /api/knowledge/reindex - Rebuild the index from the documents folder
+app.post('/api/knowledge/reindex', (req, res) => {
+  try {
+    const index = emailbot.knowledge.reindex();
+    res.json({ success: true, builtAt: index.builtAt, documents: index.documents, snippets: index.snippets.length });
+  } catch (error) {
+    res.status(500).json({ error: 'Reindex failed: ' + error.message });
+  }
+});
+
+// GET /api/emails - List emails from the mailbox
 app.get('/api/emails', async (req, res) => {
   try {
-    const { limit = 50, unread, filter } = req.query;
-    const Ingestor = require('./src/ingestor');
-    const ingestor = new Ingestor(emailbot.config, emailbot.logger);
-    const gmail = await ingestor.getGmailClient();
+    const { limit = 50, unread, filter, mailbox } = req.query;
     
     // Build query
     let q = filter || '';
@@ -1014,30 +1254,22 @@ app.get('/api/emails', async (req, res) => {
       q = 'is:unread' + (q ? ' ' + q : '');
     }
     
-    // List messages
-    const response = await gmail.users.messages.list({
-      userId: 'me',
-      q: q || undefined,
-      maxResults: parseInt(limit)
-    });
-    
-    const messages = response.data.messages || [];
-    
-    // Fetch details for each message
-    const emails = [];
-    for (const msg of messages) {
-      try {
-        const detail = await gmail.users.messages.get({
-          userId: 'me',
-          id: msg.id,
-          format: 'metadata',
-          metadataHeaders: ['From', 'To', 'Subject', 'Date']
-        });
-        
-        const headers = detail.data.payload.headers;
+    const { emails, total } = await withIngestor(async (ingestor, provider) => {
+      // List messages
+      const { messages, total } = await provider.listMessages({ query: q, limit: parseInt(limit) || 50 });
+      
+      // Fetch details in bulk (bounded concurrency / batch requests, retried on 429/5xx)
+      const details = await provider.getMessages(messages.map(m => m.id), { format: 'metadata' });
+      const emails = [];
+      for (const { id, message: detail, error } of details) {
+        if (error) {
+          console.warn('Failed to fetch email details:', id, error.message);
+          continue;
+        }
+        const headers = detail.payload.headers;
         const getHeader = (name) => headers.find(h => h.name === name)?.value || '';
-        
-        const labels = detail.data.labelIds || [];
+
+        const labels = detail.labelIds || [];
         const unreadFlag = labels.includes('UNREAD');
         // Map Gmail system categories to UI-friendly categories
         let category = unreadFlag ? 'Unread' : 'Read';
@@ -1049,25 +1281,25 @@ app.get('/api/emails', async (req, res) => {
         else if (labels.includes('CATEGORY_FORUMS')) category = 'Forums';
 
         emails.push({
-          id: msg.id,
-          threadId: detail.data.threadId,
+          id,
+          threadId: detail.threadId,
           from: getHeader('From'),
           to: getHeader('To'),
           subject: getHeader('Subject'),
           date: getHeader('Date'),
           unread: unreadFlag,
-          snippet: detail.data.snippet,
+          snippet: detail.snippet,
           labels,
           category
         });
-      } catch (e) {
-        console.warn('Failed to fetch email details:', e.message);
       }
-    }
+
+      return { emails, total };
+    }, mailbox);
     
     res.json({ 
       emails,
-      total: response.data.resultSizeEstimate || emails.length
+      total: total || emails.length
     });
   } catch (error) {
     console.error('ERROR: Using NEW code - Failed to list emails:', error.message);
@@ -1075,22 +1307,11 @@ app.get('/api/emails', async (req, res) => {
   }
 });
 
-// GET /api/emails/unread - Count unread emails from Gmail
+// GET /api/emails/unread - Count unread emails in the mailbox
 app.get('/api/emails/unread', async (req, res) => {
   try {
-    const Ingestor = require('./src/ingestor');
-    const ingestor = new Ingestor(emailbot.config, emailbot.logger);
-    const gmail = await ingestor.getGmailClient();
-    
     // Count unread emails
-    const response = await gmail.users.messages.list({
-      userId: 'me',
-      q: 'is:unread',
-      maxResults: 1
-    });
-    
-    // Get total count from result
-    const totalUnread = response.data.resultSizeEstimate || 0;
+    const totalUnread = await withIngestor((ingestor, provider) => provider.countUnread(), req.query.mailbox);
     
     res.json({ unreadEmails: totalUnread });
   } catch (error) {
@@ -1103,19 +1324,15 @@ app.get('/api/emails/unread', async (req, res) => {
 app.get('/api/emails/:id', async (req, res) => {
   try {
     const { id } = req.params;
-    const Ingestor = require('./src/ingestor');
-    const ingestor = new Ingestor(emailbot.config, emailbot.logger);
-    const gmail = await ingestor.getGmailClient();
     
     // Fetch the specific email
-    const response = await gmail.users.messages.get({
-      userId: 'me',
-      id: id,
-      format: 'full'
-    });
+    const { message, body } = await withIngestor(async (ingestor, provider) => {
+      const fetched = await provider.getMessage(id);
+      // Get email body (shared decoder: charsets, HTML -> text)
+      return { message: fetched, body: ingestor.extractBody(fetched) };
+    }, req.query.mailbox);
     
     // Parse email data
-    const message = response.data;
     const headers = message.payload.headers;
     
     const getHeader = (name) => {
@@ -1123,18 +1340,9 @@ app.get('/api/emails/:id', async (req, res) => {
       return h ? h.value : '';
     };
     
-    // Get email body
-    let body = '';
-    if (message.payload.body.data) {
-      body = Buffer.from(message.payload.body.data, 'base64').toString('utf-8');
-    } else if (message.payload.parts) {
-      const part = message.payload.parts.find(p => p.mimeType === 'text/plain') || 
-                   message.payload.parts[0];
-      if (part && part.body && part.body.data) {
-        body = Buffer.from(part.body.data, 'base64').toString('utf-8');
-      }
-    }
-    
+    // Keep the full body, plus the parts the cleaner separated out
+    const cleaned = cleanBody(body);
+
     const email = {
       id: message.id,
       threadId: message.threadId,
@@ -1146,6 +1354,12 @@ app.get('/api/emails/:id', async (req, res) => {
       subject: getHeader('Subject'),
       body: body.substring(0, 5000), // Limit body size
       bodyPreview: body.substring(0, 200),
+      content: {
+        text: cleaned.text.substring(0, 5000),
+        quoted: cleaned.quoted,
+        signature: cleaned.signature,
+        disclaimer: cleaned.disclaimer
+      },
       receivedAt: getHeader('Date'),
       status: message.labelIds?.includes('UNREAD') ? 'unread' : 'read',
       labels: message.labelIds || []
@@ -1160,24 +1374,20 @@ app.get('/api/emails/:id', async (req, res) => {
 
 // GET /api/threads/:id - Get thread messages by email ID
 app.get('/api/threads/:id', async (req, res) => {
+  const { id } = req.params;
+  console.log('[Thread API] Received request for ID:', id);
+
+  const Ingestor = require('./src/ingestor');
+  const ingestor = new Ingestor(emailbot.mailboxes.configFor(req.query.mailbox), emailbot.logger);
+  const provider = ingestor.provider;
+
   try {
-    const { id } = req.params;
-    console.log('[Thread API] Received request for ID:', id);
-    
-    const Ingestor = require('./src/ingestor');
-    const ingestor = new Ingestor(emailbot.config, emailbot.logger);
-    const gmail = await ingestor.getGmailClient();
-    
     // Step 1: Always get the message first to find the REAL threadId
     let actualThreadId;
     try {
       console.log('[Thread API] Getting message to extract threadId:', id);
-      const message = await gmail.users.messages.get({
-        userId: 'me',
-        id: id,
-        format: 'minimal',
-      });
-      actualThreadId = message.data.threadId;
+      const message = await provider.getMessage(id, { format: 'minimal' });
+      actualThreadId = message.threadId;
       console.log('[Thread API] Message found, threadId:', actualThreadId);
     } catch (msgError) {
       console.error('[Thread API] Message not found:', msgError.message);
@@ -1188,36 +1398,23 @@ app.get('/api/threads/:id', async (req, res) => {
     let thread;
     try {
       console.log('[Thread API] Getting thread:', actualThreadId);
-      thread = await gmail.users.threads.get({
-        userId: 'me',
-        id: actualThreadId,
-      });
-      console.log('[Thread API] Thread found, messages:', thread.data.messages?.length);
+      thread = await provider.getThread(actualThreadId);
+      console.log('[Thread API] Thread found, messages:', thread.messages?.length);
     } catch (threadError) {
       console.error('[Thread API] Thread not found:', threadError.message);
       return res.status(404).json({ error: 'Thread not found', messages: [] });
     }
     
     // Step 3: Extract messages from thread
-    const messages = (thread.data.messages || []).map(msg => {
+    const messages = (thread.messages || []).map(msg => {
       const headers = msg.payload?.headers || [];
       const from = headers.find(h => h.name === 'From')?.value || 'Unknown';
       const subject = headers.find(h => h.name === 'Subject')?.value || 'No subject';
       const date = headers.find(h => h.name === 'Date')?.value || '';
       
-      // Get message body
-      let body = '';
-      if (msg.payload?.parts) {
-        const textPart = msg.payload.parts.find(p => p.mimeType === 'text/plain');
-        const htmlPart = msg.payload.parts.find(p => p.mimeType === 'text/html');
-        const part = textPart || htmlPart;
-        if (part?.body?.data) {
-          body = Buffer.from(part.body.data, 'base64').toString('utf-8');
-        }
-      } else if (msg.payload?.body?.data) {
-        body = Buffer.from(msg.payload.body.data, 'base64').toString('utf-8');
-      }
-      
+      // Get message body (shared decoder: charsets, HTML -> text)
+      const body = ingestor.extractBody(msg);
+
       return {
         id: msg.id,
         threadId: msg.threadId,
@@ -1234,6 +1431,8 @@ app.get('/api/threads/:id', async (req, res) => {
   } catch (error) {
     console.error('[Thread API] Failed to fetch thread:', error.message);
     res.status(500).json({ error: 'Failed to fetch thread', messages: [] });
+  } finally {
+    await provider.close();
   }
 });
 
@@ -1243,16 +1442,13 @@ app.patch('/api/emails/:id', async (req, res) => {
     const { id } = req.params;
     const { status, addLabels, removeLabels } = req.body;
     
-    const Ingestor = require('./src/ingestor');
-    const ingestor = new Ingestor(emailbot.config, emailbot.logger);
-    const gmail = await ingestor.getGmailClient();
-    
     const updates = {};
     
     // Handle read/unread status
-    if (status === 'read' || status === 'unread') {
-      const labelId = status === 'read' ? 'INBOX' : 'UNREAD';
-      updates.addLabels = [labelId];
+    if (status === 'read') {
+      updates.removeLabels = ['UNREAD'];
+    } else if (status === 'unread') {
+      updates.addLabels = ['UNREAD'];
     }
     
     // Handle custom labels
@@ -1260,17 +1456,15 @@ app.patch('/api/emails/:id', async (req, res) => {
       updates.addLabels = [...(updates.addLabels || []), ...addLabels];
     }
     if (removeLabels?.length > 0) {
-      updates.removeLabels = removeLabels;
+      updates.removeLabels = [...(updates.removeLabels || []), ...removeLabels];
     }
     
     // Apply updates
     if (Object.keys(updates).length > 0) {
-      await gmail.users.messages.modify({
-        userId: 'me',
-        id: id,
+      await withIngestor((ingestor, provider) => provider.modifyMessage(id, {
         addLabelIds: updates.addLabels || [],
         removeLabelIds: updates.removeLabels || []
-      });
+      }), req.query.mailbox || req.body.mailbox);
     }
     
     res.json({ success: true, id, updates });
@@ -1287,7 +1481,9 @@ app.get('/api/leads/count', async (req, res) => {
       return res.json({ totalLeads: 0, error: 'Postgres not configured (missing DATABASE_URL)' });
     }
 
-    const { rows } = await pgQuery('SELECT COUNT(*)::int AS count FROM leads');
+    const params = [];
+    const where = req.query.mailbox ? `WHERE ${mailboxCondition('mailbox', req.query.mailbox, params)}` : '';
+    const { rows } = await pgQuery(`SELECT COUNT(*)::int AS count FROM leads ${where}`, params);
     res.json({ totalLeads: rows?.[0]?.count ?? 0 });
   } catch (error) {
     console.error('Failed to count Postgres leads:', error.message);
@@ -1295,10 +1491,53 @@ app.get('/api/leads/count', async (req, res) => {
   }
 });
 
+// Optional filters on extracted entities:
+//   hasPhone / hasWebsite=true|false, currency=USD, budgetMin / budgetMax (overlap with the lead's range),
+//   deadlineBefore / deadlineAfter=YYYY-MM-DD, bounced=true|false (address marked invalid by a bounce)
+function leadFilterConditions(query, params) {
+  const conditions = [];
+  const flag = (value) => (value === undefined ? undefined : String(value).toLowerCase() === 'true');
+  const number = (value) => (value === undefined || value === '' ? undefined : Number(value));
+
+  for (const [param, column] of [['hasPhone', 'phone'], ['hasWebsite', 'website']]) {
+    const value = flag(query[param]);
+    if (value !== undefined) conditions.push(value ? `${column} IS NOT NULL AND ${column} <> ''` : `(${column} IS NULL OR ${column} = '')`);
+  }
+  const bounced = flag(query.bounced);
+  if (bounced !== undefined) conditions.push(bounced ? `email_status = 'bounced'` : `email_status IS DISTINCT FROM 'bounced'`);
+  if (query.currency) {
+    params.push(String(query.currency).toUpperCase());
+    conditions.push(`budget_currency = $${params.length}`);
+  }
+
+  const budgetMin = number(query.budgetMin);
+  const budgetMax = number(query.budgetMax);
+  if (Number.isNaN(budgetMin) || Number.isNaN(budgetMax)) throw new Error('budgetMin/budgetMax must be numbers');
+  // Open-ended budgets ("desde 5.000", "hasta 10k") have one side NULL
+  if (budgetMin !== undefined) {
+    params.push(budgetMin);
+    conditions.push(`COALESCE(budget_max, budget_min) >= $${params.length}`);
+  }
+  if (budgetMax !== undefined) {
+    params.push(budgetMax);
+    conditions.push(`COALESCE(budget_min, budget_max) <= $${params.length}`);
+  }
+
+  for (const [param, op] of [['deadlineBefore', '<='], ['deadlineAfter', '>=']]) {
+    if (!query[param]) continue;
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(query[param])) throw new Error(`${param} must be YYYY-MM-DD`);
+    params.push(query[param]);
+    conditions.push(`deadline ${op} $${params.length}::date`);
+  }
+
+  return conditions;
+}
+
 // GET /api/leads - List leads from Postgres with pagination
+// Filters: mailbox plus the entity filters of leadFilterConditions
 app.get('/api/leads', async (req, res) => {
   try {
-    const { page = 1, limit = 20, sort = 'desc' } = req.query;
+    const { page = 1, limit = 20, sort = 'desc', sortBy = 'receivedAt', mailbox } = req.query;
 
     if (!pgPool) {
       return res.json({ leads: [], total: 0, page: parseInt(page), limit: parseInt(limit), error: 'Postgres not configured (missing DATABASE_URL)' });
@@ -1308,17 +1547,34 @@ app.get('/api/leads', async (req, res) => {
     const pageNum = parseInt(page) || 1;
     const offset = (pageNum - 1) * pageSize;
     const direction = (String(sort).toLowerCase() === 'asc') ? 'ASC' : 'DESC';
+    // Ties on score fall back to the newest lead first
+    const orderBy = sortBy === 'score'
+      ? `score ${direction} NULLS LAST, received_at DESC`
+      : `received_at ${direction}`;
 
-    const totalRes = await pgQuery('SELECT COUNT(*)::int AS count FROM leads');
+    const params = [];
+    let conditions;
+    try {
+      conditions = leadFilterConditions(req.query, params);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    if (mailbox) conditions.unshift(mailboxCondition('mailbox', mailbox, params));
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    const totalRes = await pgQuery(`SELECT COUNT(*)::int AS count FROM leads ${where}`, params);
     const total = totalRes.rows?.[0]?.count ?? 0;
 
     const listRes = await pgQuery(
-      `SELECT id, name, email, phone, company, form_type AS "formType", source, score, status,
-              received_at AS "receivedAt", created_at AS "createdAt", metadata
+      `SELECT id, name, email, phone, website, company, form_type AS "formType", source, score, status,
+              budget_min::float AS "budgetMin", budget_max::float AS "budgetMax", budget_currency AS "budgetCurrency",
+              to_char(deadline, 'YYYY-MM-DD') AS deadline, email_status AS "emailStatus",
+              received_at AS "receivedAt", created_at AS "createdAt", metadata, mailbox
          FROM leads
-        ORDER BY received_at ${direction}
-        LIMIT $1 OFFSET $2`,
-      [pageSize, offset]
+        ${where}
+        ORDER BY ${orderBy}
+        LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, pageSize, offset]
     );
 
     res.json({
@@ -1334,6 +1590,28 @@ app.get('/api/leads', async (req, res) => {
   }
 });
 
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// POST /api/leads/rescore - Recompute lead scores with the current config/scoring.json
+// Body: { mailbox?, ids? } (ids: lead UUIDs)
+app.post('/api/leads/rescore', async (req, res) => {
+  try {
+    if (!pgPool) {
+      return res.status(503).json({ error: 'Postgres not configured (missing DATABASE_URL)' });
+    }
+
+    const { mailbox, ids } = req.body || {};
+    if (ids != null && (!Array.isArray(ids) || !ids.every(id => typeof id === 'string' && UUID_PATTERN.test(id)))) {
+      return res.status(400).json({ error: 'ids must be an array of lead UUIDs' });
+    }
+    const result = await emailbot.rescoreLeads({ mailbox, ids: Array.isArray(ids) && ids.length ? ids : null });
+    addActivity('admin', `Rescored ${result.scanned} lead(s)`, { entityType: 'lead', ...result, mailbox: mailbox || null });
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({ error: 'Failed to rescore leads: ' + error.message });
+  }
+});
+
 // Migration endpoint (for PostgreSQL setup)
 app.post('/api/migrate', async (req, res) => {
   try {
@@ -1418,9 +1696,87 @@ app.post('/api/migrate', async (req, res) => {
         created_at TIMESTAMPTZ DEFAULT now()
       );
 
+      CREATE TABLE IF NOT EXISTS processed_messages (
+        gmail_id TEXT PRIMARY KEY,
+        thread_id TEXT,
+        lead_email TEXT,
+        outcome TEXT,
+        processed_at TIMESTAMPTZ DEFAULT now()
+      );
+
+      ALTER TABLE leads ADD COLUMN IF NOT EXISTS mailbox TEXT;
+      ALTER TABLE drafts ADD COLUMN IF NOT EXISTS mailbox TEXT;
+      ALTER TABLE leads ADD COLUMN IF NOT EXISTS website TEXT;
+      ALTER TABLE leads ADD COLUMN IF NOT EXISTS budget_min NUMERIC;
+      ALTER TABLE leads ADD COLUMN IF NOT EXISTS budget_max NUMERIC;
+      ALTER TABLE leads ADD COLUMN IF NOT EXISTS budget_currency TEXT;
+      ALTER TABLE leads ADD COLUMN IF NOT EXISTS deadline DATE;
+      ALTER TABLE leads ADD COLUMN IF NOT EXISTS email_status TEXT;
+
+      CREATE TABLE IF NOT EXISTS bounced_addresses (
+        email TEXT PRIMARY KEY,
+        status TEXT,
+        diagnostic TEXT,
+        gmail_id TEXT,
+        mailbox TEXT,
+        bounced_at TIMESTAMPTZ DEFAULT now()
+      );
+
+      CREATE TABLE IF NOT EXISTS prompt_versions (
+        name TEXT NOT NULL,
+        version INTEGER NOT NULL,
+        template TEXT NOT NULL,
+        description TEXT,
+        created_at TIMESTAMPTZ DEFAULT now(),
+        PRIMARY KEY (name, version)
+      );
+
+      CREATE TABLE IF NOT EXISTS prompt_settings (
+        name TEXT PRIMARY KEY,
+        active_version INTEGER,
+        ab_test JSONB,
+        updated_at TIMESTAMPTZ DEFAULT now()
+      );
+
+      CREATE TABLE IF NOT EXISTS job_locks (
+        name TEXT PRIMARY KEY,
+        owner TEXT NOT NULL,
+        expires_at TIMESTAMPTZ NOT NULL
+      );
+
+      CREATE TABLE IF NOT EXISTS job_runs (
+        id SERIAL PRIMARY KEY,
+        job TEXT NOT NULL,
+        trigger TEXT,
+        status TEXT,
+        owner TEXT,
+        started_at TIMESTAMPTZ,
+        finished_at TIMESTAMPTZ,
+        duration_ms INTEGER,
+        result JSONB,
+        error TEXT
+      );
+
+      CREATE TABLE IF NOT EXISTS ingest_runs (
+        id TEXT PRIMARY KEY,
+        mailbox TEXT,
+        trigger TEXT,
+        status TEXT,
+        started_at TIMESTAMPTZ,
+        duration_ms INTEGER,
+        run JSONB NOT NULL
+      );
+
       CREATE INDEX IF NOT EXISTS idx_drafts_status ON drafts(status);
       CREATE INDEX IF NOT EXISTS idx_drafts_generated_at ON drafts(generated_at);
       CREATE INDEX IF NOT EXISTS idx_drafts_gmail_id ON drafts(gmail_id);
+      CREATE INDEX IF NOT EXISTS idx_leads_gmail_id ON leads((metadata->>'gmailId'));
+      CREATE INDEX IF NOT EXISTS idx_job_runs_job_started ON job_runs(job, started_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_ingest_runs_started ON ingest_runs(started_at DESC);
+      CREATE INDEX IF NOT EXISTS idx_leads_mailbox ON leads(mailbox);
+      CREATE INDEX IF NOT EXISTS idx_leads_deadline ON leads(deadline);
+      CREATE INDEX IF NOT EXISTS idx_leads_email_lower ON leads(lower(email));
+      CREATE INDEX IF NOT EXISTS idx_drafts_mailbox ON drafts(mailbox);
       
       CREATE INDEX IF NOT EXISTS idx_emails_status ON emails(status);
       CREATE INDEX IF NOT EXISTS idx_emails_draft_status ON emails(draft_status);
@@ -1448,6 +1804,21 @@ app.listen(PORT, '0.0.0.0', () => {
   console.log(`📧 EmailBot API Server running on port ${PORT}`);
   console.log(`   Health: http://localhost:${PORT}/health`);
   console.log(`   API:   http://localhost:${PORT}/api/*`);
+
+  // Scheduled jobs (config/scheduler.json), including Gmail watch renewal
+  if (emailbot.config.SCHEDULER_ENABLED) {
+    emailbot.on('job:run', (run) => {
+      if (run.job === 'watchRenewal' && !run.result?.renewed) return;
+      addActivity('system', `Job ${run.job} ${run.status}`, { job: run.job, trigger: run.trigger, result: run.result, error: run.error });
+    });
+    emailbot.scheduler.start();
+
+    // Renew a stale watch right away instead of waiting for the first tick
+    if (emailbot.config.GMAIL_PUBSUB_TOPIC) {
+      emailbot.scheduler.run('watchRenewal', { trigger: 'startup' })
+        .catch(e => console.error('[scheduler] Watch renewal failed:', e.message));
+    }
+  }
 });
 
 module.exports = app;
@@ -1,81 +1,147 @@
 /**
  * Analyzer Module
  * Analyzes and classifies incoming emails
+ *
+ * Structured data (intent, services, budget, deadline, urgency, questions)
+ * comes from the regex extractors, or with ANALYSIS_MODE=llm from the model
+ * with the regex extractors filling any field it fails on.
+ * extractedData.sources records which method produced each field.
  */
 
+const Classifier = require('./classifier');
+const LeadScorer = require('./scoring');
+const LlmExtractor = require('./extraction');
+const Enricher = require('./enrichment');
+const { parseBudget, parseDeadline, extractPhones, extractWebsites } = require('./entities');
+const { detectLanguage } = require('./language');
+const { autoReplyOf } = require('./automail');
+
+const EXTRACTED_FIELDS = ['intent', 'services', 'budget', 'deadline', 'urgency', 'questions'];
+
 class Analyzer {
   constructor(config, logger) {
     this.config = config;
     this.logger = logger;
+    this.classifier = new Classifier(config, logger);
+    this.scorer = new LeadScorer(config, logger);
+    this.extractor = new LlmExtractor(config, logger);
+    this.enricher = new Enricher(config, logger);
   }
 
   /**
    * Analyze incoming email
+   * Enrichment (company/website from the sender domain) runs first so classification can use it
    */
   async run(emailData) {
+    const lead = { ...emailData, enrichment: emailData.enrichment || await this.enrich(emailData) };
     const analysis = {
-      ...emailData,
-      classification: this.classifyEmail(emailData),
-      extractedData: this.extractData(emailData),
+      ...lead,
+      classification: this.classifyEmail(lead),
+      extractedData: await this.extract(emailData),
       eligibility: this.checkEligibility(emailData),
       analyzedAt: new Date().toISOString()
     };
+    analysis.scoring = this.scorer.score(analysis);
 
     this.logger.info('Email analyzed', {
       gmailId: emailData.gmailId,
-      classification: analysis.classification.type
+      classification: analysis.classification.type,
+      score: analysis.scoring.score
     });
 
     return analysis;
   }
 
   /**
-   * Classify email type
+   * Company details from the sender domain, kept apart from what the lead typed
    */
-  classifyEmail(emailData) {
-    const msg = (emailData.message || '').toLowerCase();
-    const subject = (emailData.subject || '').toLowerCase();
-
-    if (/(student|estudiante|universidad|escuela|tarea)/i.test(msg)) {
-      return { type: 'student', priority: 'low', description: 'Estudiante/Proyecto académico' };
-    }
-
-    if (/(whatsapp|telegram|signal|contact me on)/i.test(msg)) {
-      return { type: 'whatsapp_request', priority: 'medium', description: 'Solicitud de cambio de plataforma' };
-    }
-
-    if (/(sample|example|demo|prueba|muestra)/i.test(msg + subject)) {
-      return { type: 'sample_request', priority: 'medium', description: 'Solicitud de muestra/ejemplo' };
-    }
-
-    if (msg.length < 50 || !emailData.company) {
-      return { type: 'vague', priority: 'medium', description: 'Consulta vaga o incompleta' };
-    }
-
-    if (/presupuesto|precio|costo|budget|price/i.test(msg)) {
-      return { type: 'budget_inquiry', priority: 'high', description: 'Consulta de presupuesto' };
-    }
+  async enrich(emailData) {
+    return this.enricher.enrich(emailData);
+  }
 
-    if (/urgente|emergency|asap|尽快/i.test(msg)) {
-      return { type: 'urgent', priority: 'urgent', description: 'Solicitud urgente' };
-    }
+  /**
+   * Lead score (0-100) with per-factor explanation
+   * Classification and extracted data are computed when the input has none
+   * (stored leads, ingested emails that skipped the full analysis)
+   */
+  score(emailData) {
+    return this.scorer.score({
+      ...emailData,
+      classification: emailData.classification || this.classifyEmail(emailData),
+      extractedData: emailData.extractedData || this.extractData(emailData)
+    });
+  }
 
-    return { type: 'lead', priority: 'high', description: 'Lead potencial' };
+  /**
+   * Classify email type with the shared rules (config/classification-rules.json)
+   * Returns { type, priority, description, rule }
+   */
+  classifyEmail(emailData) {
+    return this.classifier.classify(emailData);
   }
 
   /**
-   * Extract structured data from email
+   * Extract structured data with the regex extractors
    */
   extractData(emailData) {
+    const language = detectLanguage(emailData.message);
+
     return {
+      intent: null,
       services: this.extractServices(emailData.message),
       budget: this.extractBudget(emailData.message),
-      timeline: this.extractTimeline(emailData.message),
+      timeline: this.extractTimeline(emailData.message, emailData.receivedAt),
+      urgency: this.extractUrgency(emailData.message),
       questions: this.extractQuestions(emailData.message),
-      language: this.detectLanguage(emailData.message)
+      phones: extractPhones(emailData.message, this.config.PHONE_DEFAULT_COUNTRY),
+      websites: extractWebsites(emailData.message),
+      language: language.language,
+      languageConfidence: language.confidence,
+      method: 'rules',
+      sources: Object.fromEntries(EXTRACTED_FIELDS.map(f => [f, 'rules']))
     };
   }
 
+  /**
+   * Extract structured data, asking the model first when ANALYSIS_MODE=llm
+   * Fields the model gets wrong (or all of them, when the call fails) come from the regex extractors
+   */
+  async extract(emailData) {
+    const data = this.extractData(emailData);
+    if (!this.extractor.enabled) return data;
+
+    let fields;
+    try {
+      ({ fields } = await this.extractor.extract(emailData));
+    } catch (error) {
+      this.logger.warn('Model extraction failed, using rules', { gmailId: emailData.gmailId, error: error.message });
+      return data;
+    }
+
+    for (const [field, value] of Object.entries(fields)) {
+      data.sources[field] = 'llm';
+      if (field === 'budget') {
+        data.budget = value
+          ? {
+            mentioned: true,
+            value: data.budget.value || [value.amount, value.currency].filter(v => v != null).join(' '),
+            min: value.amount,
+            max: value.amount,
+            ...value
+          }
+          : { mentioned: false, value: null, min: null, max: null, amount: null, currency: null };
+      } else if (field === 'deadline') {
+        data.timeline = { ...data.timeline, mentioned: data.timeline.mentioned || !!value, deadline: value };
+      } else {
+        data[field] = value;
+      }
+    }
+
+    const methods = new Set(Object.values(data.sources));
+    data.method = methods.size > 1 ? 'mixed' : [...methods][0];
+    return data;
+  }
+
   /**
    * Extract mentioned services
    */
@@ -95,68 +161,58 @@ class Analyzer {
 
   /**
    * Extract budget information
+   * { mentioned, value (matched text), min, max, currency, amount (max, or min when open-ended) }
    */
   extractBudget(message) {
-    const budgetPatterns = [
-      /(?:presupuesto|budget|precio|price|costo|cost)[\s:]*\$?[\d,.]+/i,
-      /(?:entre|más de|mas de|over)[\s\$]*[\d,.]+/i
-    ];
-
-    for (const pattern of budgetPatterns) {
-      const match = (message || '').match(pattern);
-      if (match) {
-        return { mentioned: true, value: match[0] };
-      }
-    }
+    const budget = parseBudget(message);
+    if (!budget) return { mentioned: false, value: null, min: null, max: null, amount: null, currency: null };
 
-    return { mentioned: false, value: null };
+    return {
+      mentioned: true,
+      value: budget.text,
+      min: budget.min,
+      max: budget.max,
+      amount: budget.max ?? budget.min,
+      currency: budget.currency
+    };
   }
 
   /**
    * Extract timeline information
+   * { mentioned, value (matched phrase), deadline (YYYY-MM-DD, relative phrases resolved against receivedAt) }
    */
-  extractTimeline(message) {
-    const timelinePatterns = [
-      /(?:cuándo|cuando|timeline|deadline|plazo|para|lista para)[\s:]*[\w\s,]+/i,
-      /(?:asap|urgente|urgent|immediately)/i
-    ];
-
-    for (const pattern of timelinePatterns) {
-      const match = (message || '').match(pattern);
-      if (match) {
-        return { mentioned: true, value: match[0] };
-      }
-    }
+  extractTimeline(message, receivedAt) {
+    const deadline = parseDeadline(message, receivedAt ? new Date(receivedAt) : new Date());
+    if (deadline) return { mentioned: true, value: deadline.text, deadline: deadline.date };
 
-    return { mentioned: false, value: null };
+    const urgent = (message || '').match(/\b(?:asap|urgente|urgent|immediately|cuanto antes|lo antes posible)\b/i);
+    return { mentioned: !!urgent, value: urgent ? urgent[0] : null, deadline: null };
   }
 
   /**
-   * Extract questions from message
+   * Urgency from wording: high / medium / low
+   */
+  extractUrgency(message) {
+    const msg = message || '';
+    if (/urgente|urgent|asap|emergency|immediately|inmediat|para hoy|today/i.test(msg)) return 'high';
+    if (/pronto|soon|esta semana|this week|para mañana|by tomorrow/i.test(msg)) return 'medium';
+    return 'low';
+  }
+
+  /**
+   * Questions asked in the message
    */
   extractQuestions(message) {
-    return (message || '').split(/[?]/).filter(q => q.trim().length > 10).length;
+    return ((message || '').match(/[^.!?\n]*\?/g) || [])
+      .map(q => q.replace(/^[\s¿]+/, '').trim())
+      .filter(q => q.length > 10);
   }
 
   /**
-   * Detect message language
+   * Detect message language (es, en, pt, fr, de, it; see language.js)
    */
   detectLanguage(message) {
-    const esWords = ['hola', 'gracias', 'por favor', 'consulta', 'mensaje', 'empresa', 'saludos'];
-    const enWords = ['hello', 'thanks', 'please', 'inquiry', 'message', 'company', 'regards'];
-    
-    const msg = (message || '').toLowerCase();
-    let esCount = 0, enCount = 0;
-
-    for (const word of esWords) {
-      if (msg.includes(word)) esCount++;
-    }
-
-    for (const word of enWords) {
-      if (msg.includes(word)) enCount++;
-    }
-
-    return esCount > enCount ? 'es' : 'en';
+    return detectLanguage(message).language;
   }
 
   /**
@@ -175,8 +231,18 @@ class Analyzer {
       issues.push('not_latest_in_thread');
     }
 
-    // Check for auto-response
-    if (emailData.subject?.includes('Auto')) {
+    // Check if we already answered after this message
+    if (emailData.alreadyReplied) {
+      issues.push('already_replied');
+    }
+
+    // Check if a draft is already open for this thread
+    if (emailData.draftExists) {
+      issues.push('draft_exists');
+    }
+
+    // Check for auto-response (out-of-office, autoresponder)
+    if (autoReplyOf(emailData).auto) {
       issues.push('auto_response');
     }
 
@@ -0,0 +1,167 @@
+/**
+ * Automail Module
+ * Recognizes messages written by machines instead of leads
+ *
+ * Auto-replies (out-of-office notices, autoresponders) are detected from the
+ * standard headers (Auto-Submitted, X-Autoreply, Precedence) and from
+ * out-of-office phrasing in es/en/pt/fr/de/it. Bounces (delivery status
+ * notifications from mailer-daemon/postmaster) are parsed to find the
+ * recipient that could not be reached.
+ */
+
+const { getHeader, parseContentType, decodePart, extractText, decodeEncodedWords } = require('./mime');
+
+// Subject prefixes of autoresponders and out-of-office notices
+const AUTO_REPLY_SUBJECT = /^\s*(auto(matic|matische)?[\s-]*(reply|response|responder|antwort)|autoreply|autorespond|respuesta autom[aá]tica|resposta autom[aá]tica|r[ée]ponse automatique|risposta automatica)\b/i;
+const OUT_OF_OFFICE_SUBJECT = /^\s*(out of (the )?office|fuera de (la )?oficina|fora do escrit[oó]rio|abwesenheitsnotiz|nicht im b[üu]ro|fuori (sede|ufficio)|(absence|absente?|ausente|abwesend|assente)\s*(:|$))/i;
+
+// Out-of-office phrasing, only looked for at the start of the message and
+// together with a return date or access note (RETURN): a lead mentioning
+// their holidays is still a lead
+const OUT_OF_OFFICE_BODY = [
+  /\b(i am|i'm|i will be|i'll be) (currently )?(out of (the )?office|away from (the )?office|on (vacation|holiday|annual leave|leave))\b/i,
+  /\bwith limited access to (my )?e-?mail\b/i,
+  /\b(estoy|me encuentro|estar[ée]) (fuera de (la )?oficina|de vacaciones|ausente)\b/i,
+  /\bcon acceso limitado al correo\b/i,
+  /\b(estou|estarei) (fora do escrit[oó]rio|de f[ée]rias|ausente)\b/i,
+  /\b(je suis|je serai) (actuellement )?(absente?|en cong[ée]s?|en vacances)\b/i,
+  /\bich bin (derzeit |zurzeit |bis )?.{0,20}(nicht im b[üu]ro|abwesend|im urlaub)\b/i,
+  /\b(sono|sar[òo]) (attualmente )?(fuori (ufficio|sede)|in ferie|assente)\b/i
+];
+const RETURN = /\b(until|till|back on|returning|return on|limited access|hasta|regreso|volver[ée]|vuelvo|até|voltarei|retorno|jusqu|de retour|bis|zurück|fino a|rientro|ritorno)/i;
+const BODY_WINDOW = 300;
+
+/**
+ * Whether a message was sent automatically
+ * Returns { auto, kind: 'out_of_office' | 'auto_reply' | null, reason }
+ * reason names the evidence: "header:<name>", "subject" or "body".
+ */
+function detectAutoReply({ headers = [], subject = '', body = '' } = {}) {
+  const opening = String(body || '').trim().slice(0, BODY_WINDOW);
+  const outOfOffice = OUT_OF_OFFICE_SUBJECT.test(subject || '') ||
+    (OUT_OF_OFFICE_BODY.some(re => re.test(opening)) && RETURN.test(opening));
+  const result = (reason) => ({ auto: true, kind: outOfOffice ? 'out_of_office' : 'auto_reply', reason });
+
+  // RFC 3834: anything but "no" is automatic
+  const autoSubmitted = getHeader(headers, 'Auto-Submitted').trim().toLowerCase();
+  if (autoSubmitted && autoSubmitted !== 'no') return result('header:auto-submitted');
+
+  for (const name of ['X-Autoreply', 'X-Autorespond']) {
+    const value = getHeader(headers, name).trim().toLowerCase();
+    if (value && value !== 'no') return result(`header:${name.toLowerCase()}`);
+  }
+
+  // Only auto_reply: "bulk" and "list" are also set by Google Groups and
+  // similar, and a sales@ group forwards real leads
+  if (getHeader(headers, 'Precedence').trim().toLowerCase() === 'auto_reply') return result('header:precedence');
+
+  if (AUTO_REPLY_SUBJECT.test(subject || '')) return result('subject');
+  if (outOfOffice) return result(OUT_OF_OFFICE_SUBJECT.test(subject || '') ? 'subject' : 'body');
+
+  return { auto: false, kind: null, reason: null };
+}
+
+/**
+ * Auto-reply verdict of lead email data: the one taken from the headers at
+ * ingest time, else judged from the subject and message alone
+ */
+function autoReplyOf(emailData) {
+  return emailData?.autoReply || detectAutoReply({ subject: emailData?.subject, body: emailData?.message });
+}
+
+// Senders and subjects of delivery status notifications
+const BOUNCE_SENDER = /\b(mailer-daemon|postmaster|mail delivery (subsystem|system))\b/i;
+const BOUNCE_SUBJECT = /\b(undeliverable|undelivered mail|delivery status notification|mail delivery failed|returned mail|delivery failure|failure notice|no se pudo entregar|mensaje no entregado|non remis|unzustellbar|non recapitabile)\b/i;
+
+// "wasn't delivered to ana@acme.com" in the human-readable part
+const BOUNCE_RECIPIENT_PHRASES = /(?:delivered to|delivery to|deliver to|following recipients?|address(?:es)? failed|entregar a|entregue a|remis à|zugestellt werden an|recapitato a)\W+(?:[^\s@]+\s+){0,4}?<?([a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,})>?/i;
+const TRANSIENT = /\b(delayed|temporar(y|ily)|will (retry|try again)|still trying|retrasad|temporal)\b/i;
+const ADDRESS = /[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi;
+
+/**
+ * Text of the message/delivery-status parts (extractText ignores them)
+ */
+function deliveryStatusText(payload) {
+  const texts = [];
+  const walk = (node) => {
+    if (!node) return;
+    if ((node.mimeType || '').toLowerCase() === 'message/delivery-status') texts.push(decodePart(node));
+    (node.parts || []).forEach(walk);
+  };
+  walk(payload);
+  return texts.join('\n\n');
+}
+
+/**
+ * Per-recipient fields of a delivery status report (RFC 3464)
+ */
+function parseDeliveryStatus(text) {
+  const recipients = [];
+  for (const block of String(text || '').split(/\r?\n\s*\r?\n/)) {
+    const field = (name) => {
+      const match = new RegExp(`^${name}:\\s*(.+(?:\\r?\\n[ \\t]+.+)*)`, 'im').exec(block);
+      return match ? match[1].replace(/\r?\n[ \t]+/g, ' ').trim() : null;
+    };
+    const recipient = field('Final-Recipient') || field('Original-Recipient');
+    if (!recipient) continue;
+
+    recipients.push({
+      // "rfc822; ana@acme.com"
+      recipient: recipient.replace(/^[^;]*;\s*/, '').replace(/^<|>$/g, '').toLowerCase(),
+      action: field('Action')?.toLowerCase() || null,
+      status: field('Status')?.match(/[245]\.\d{1,3}\.\d{1,3}/)?.[0] || null,
+      diagnostic: field('Diagnostic-Code')?.replace(/^[^;]*;\s*/, '') || null
+    });
+  }
+  return recipients;
+}
+
+/**
+ * Parse a bounce (Gmail-shaped message)
+ * Returns null when the message is not a delivery status notification, else
+ * { recipient, status, action, diagnostic, permanent }; recipient is null
+ * when the report doesn't name one. Delays and 4.x.x statuses are not permanent.
+ */
+function parseBounce(message) {
+  const payload = message?.payload;
+  const headers = payload?.headers || [];
+  const from = decodeEncodedWords(getHeader(headers, 'From'));
+  const subject = decodeEncodedWords(getHeader(headers, 'Subject'));
+  const { mimeType, params } = parseContentType(getHeader(headers, 'Content-Type') || payload?.mimeType);
+  const failedRecipients = getHeader(headers, 'X-Failed-Recipients');
+
+  const isReport = mimeType === 'multipart/report' && String(params['report-type'] || '').toLowerCase() === 'delivery-status';
+  const fromDaemon = BOUNCE_SENDER.test(from);
+  if (!isReport && !failedRecipients && !(fromDaemon && BOUNCE_SUBJECT.test(subject))) return null;
+
+  const reported = parseDeliveryStatus(deliveryStatusText(payload));
+  const failed = reported.find(r => r.action === 'failed') || reported[0] || null;
+  const text = extractText(message);
+
+  let recipient = failed?.recipient || failedRecipients.split(',')[0].trim().toLowerCase() || null;
+  if (!recipient) {
+    recipient = BOUNCE_RECIPIENT_PHRASES.exec(text)?.[1]?.toLowerCase() || null;
+  }
+  if (!recipient) {
+    // A single address in the notice that isn't the daemon's own
+    const addresses = new Set((text.match(ADDRESS) || []).map(a => a.toLowerCase()).filter(a => !BOUNCE_SENDER.test(a)));
+    if (addresses.size === 1) recipient = [...addresses][0];
+  }
+
+  const status = failed?.status || text.match(/\b[45]\.\d{1,3}\.\d{1,3}\b/)?.[0] || null;
+  const action = failed?.action || null;
+  let permanent;
+  if (status) permanent = status[0] === '5';
+  else if (action) permanent = action === 'failed';
+  else permanent = !TRANSIENT.test(`${subject}\n${text}`);
+
+  return {
+    recipient,
+    status,
+    action,
+    diagnostic: failed?.diagnostic || null,
+    permanent
+  };
+}
+
+module.exports = { detectAutoReply, autoReplyOf, parseBounce, parseDeliveryStatus };
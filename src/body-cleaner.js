@@ -0,0 +1,139 @@
+/**
+ * Body Cleaner Module
+ * Splits an email body into new content, quoted history, signature and legal footer
+ *
+ * Works line-based on plain text (run it on the output of extractBody) and
+ * understands English and Spanish clients, plus the common pt/fr/de reply headers.
+ */
+
+// "On Mon, 1 Jan 2026 at 10:00, Ana <ana@x.com> wrote:" and localized variants
+const REPLY_HEADER_RE = /^\s*(?:On\s.+\swrote|El\s.+\sescribi[oó]|Em\s.+\sescreveu|Le\s.+\sa\s[ée]crit|Am\s.+\sschrieb)\s*:\s*$/i;
+const SEPARATOR_RE = /^\s*-{2,}\s*(?:Original Message|Forwarded message|Mensaje original|Mensaje reenviado|Reply message)\s*-{2,}\s*$/i;
+const OUTLOOK_FROM_RE = /^\s*\*?(?:From|De)\s*:\*?\s+\S/i;
+const OUTLOOK_META_RE = /^\s*\*?(?:Sent|Date|Enviado(?: el)?|Fecha|To|Para|Subject|Asunto)\s*:/i;
+const UNDERSCORE_RULE_RE = /^\s*_{10,}\s*$/;
+
+const SIGNATURE_DELIMITER_RE = /^--\s*$/;
+const MOBILE_SIGNATURE_RE = /^\s*(?:Sent from my|Sent from Mail for|Get Outlook for|Enviado desde mi|Enviado desde Correo|Obtener Outlook para|Descargar Outlook para)\b/i;
+const VALEDICTION_RE = /^\s*(?:best(?: regards)?|kind regards|regards|warm regards|best wishes|cheers|thanks(?: again)?|thank you|sincerely|saludos(?: cordiales)?|un saludo|muchas gracias|gracias|atentamente|cordialmente|quedo atent[oa])[,.!]?\s*$/i;
+const MAX_SIGNATURE_LINES = 6;
+
+const DISCLAIMER_RE = /(confidentiality notice|this (?:e-?mail|message)(?: and any (?:files|attachments)(?: transmitted with it)?)? (?:is|are|may be) (?:confidential|intended)|if you (?:have )?received this (?:e-?mail|message|communication) in error|aviso (?:de confidencialidad|legal)|este (?:correo|mensaje)(?: electr[oó]nico)?(?: y sus (?:anexos|adjuntos))? (?:es|son|puede contener|contiene) (?:confidencial|informaci[oó]n confidencial|para uso)|si (?:usted )?(?:ha recibido|recibi[oó]) este (?:correo|mensaje) por error|please consider the environment before printing|antes de imprimir (?:este|piense))/i;
+
+/**
+ * Find where quoted history starts (line index) or -1
+ */
+function findQuoteStart(lines) {
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i];
+
+    if (REPLY_HEADER_RE.test(line) || SEPARATOR_RE.test(line)) return i;
+
+    // Gmail wraps long "On ... wrote:" headers over two lines
+    if (i + 1 < lines.length && /^\s*(?:On|El|Em|Le|Am)\s/i.test(line) &&
+        REPLY_HEADER_RE.test(`${line} ${lines[i + 1]}`)) {
+      return i;
+    }
+
+    // Outlook: "From: ..." followed by Sent/To/Subject lines (optionally after a ____ rule)
+    if (OUTLOOK_FROM_RE.test(line) && lines.slice(i + 1, i + 4).some(l => OUTLOOK_META_RE.test(l))) {
+      return i > 0 && UNDERSCORE_RULE_RE.test(lines[i - 1]) ? i - 1 : i;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Find where the legal footer starts (line index of its paragraph) or -1
+ */
+function findDisclaimerStart(lines) {
+  let paragraphStart = 0;
+  for (let i = 0; i < lines.length; i++) {
+    if (!lines[i].trim()) {
+      paragraphStart = i + 1;
+      continue;
+    }
+    if (DISCLAIMER_RE.test(lines[i])) return paragraphStart;
+  }
+  return -1;
+}
+
+/**
+ * Find where the signature starts (line index) or -1
+ */
+function findSignatureStart(lines) {
+  for (let i = 1; i < lines.length; i++) {
+    if (SIGNATURE_DELIMITER_RE.test(lines[i])) return i;
+  }
+
+  for (let i = 0; i < lines.length; i++) {
+    if (MOBILE_SIGNATURE_RE.test(lines[i])) return i;
+  }
+
+  // "Saludos,\nAna Pérez\nCEO, Tienda Sol" -> keep the valediction, drop what follows
+  for (let i = lines.length - 1; i > 0; i--) {
+    if (!VALEDICTION_RE.test(lines[i])) continue;
+    const after = lines.slice(i + 1).filter(l => l.trim());
+    // Name/title/phone lines are short; a question means it is still the message
+    const looksLikeSignature = after.every(l => l.trim().length <= 60 && !l.includes('?'));
+    if (after.length > 0 && after.length <= MAX_SIGNATURE_LINES && looksLikeSignature) return i + 1;
+    break;
+  }
+
+  return -1;
+}
+
+const join = (lines) => lines.join('\n').trim();
+
+/**
+ * Clean an email body
+ * Returns { text, quoted, signature, disclaimer }; removed parts are null when absent
+ */
+function cleanBody(body) {
+  const original = String(body || '').replace(/\r\n?/g, '\n');
+  let lines = original.split('\n');
+
+  let quoted = null;
+  const quoteStart = findQuoteStart(lines);
+  if (quoteStart >= 0) {
+    quoted = join(lines.slice(quoteStart));
+    lines = lines.slice(0, quoteStart);
+  }
+
+  // Interleaved "> " quoting without a reply header
+  const quotedLines = lines.filter(l => /^\s*>/.test(l));
+  if (quotedLines.length > 0) {
+    quoted = [join(quotedLines), quoted].filter(Boolean).join('\n\n');
+    lines = lines.filter(l => !/^\s*>/.test(l));
+  }
+
+  let disclaimer = null;
+  const disclaimerStart = findDisclaimerStart(lines);
+  if (disclaimerStart > 0) {
+    disclaimer = join(lines.slice(disclaimerStart));
+    lines = lines.slice(0, disclaimerStart);
+  }
+
+  let signature = null;
+  const signatureStart = findSignatureStart(lines);
+  if (signatureStart > 0) {
+    signature = join(lines.slice(signatureStart).filter(l => !SIGNATURE_DELIMITER_RE.test(l))) || null;
+    lines = lines.slice(0, signatureStart);
+  }
+
+  const text = join(lines).replace(/\n{3,}/g, '\n\n');
+
+  // Never lose the message entirely (e.g. a bare forward): keep the original
+  if (!text) {
+    return { text: original.trim(), quoted: null, signature: null, disclaimer: null };
+  }
+
+  return {
+    text,
+    quoted: quoted || null,
+    signature,
+    disclaimer: disclaimer || null
+  };
+}
+
+module.exports = { cleanBody };
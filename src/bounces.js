@@ -0,0 +1,115 @@
+/**
+ * Bounces Module
+ * Lead addresses that bounced permanently (marked invalid)
+ *
+ * Uses the bounced_addresses table when Postgres is configured (and flags the
+ * lead rows with email_status = 'bounced') and falls back to
+ * state/bounced_addresses.json otherwise.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const jsonfile = require('jsonfile');
+const db = require('./db');
+
+function normalize(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+class BounceStore {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.statePath = config.statePath;
+  }
+
+  /**
+   * Mark an address as invalid
+   * bounce: { status, diagnostic } from automail.parseBounce; gmailId is the notification
+   */
+  async record(email, { status = null, diagnostic = null, gmailId = null } = {}) {
+    const address = normalize(email);
+    if (!address) return;
+    const mailbox = this.config.MAILBOX_ID || null;
+    const bounce = { status, diagnostic, gmailId, mailbox, bouncedAt: new Date().toISOString() };
+
+    if (db.getPool()) {
+      await db.query(
+        `INSERT INTO bounced_addresses (email, status, diagnostic, gmail_id, mailbox)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (email) DO UPDATE SET
+           status = EXCLUDED.status,
+           diagnostic = EXCLUDED.diagnostic,
+           gmail_id = EXCLUDED.gmail_id,
+           mailbox = EXCLUDED.mailbox,
+           bounced_at = now()`,
+        [address, status, diagnostic, gmailId, mailbox]
+      );
+      await db.query(
+        `UPDATE leads
+         SET email_status = 'bounced', metadata = COALESCE(metadata, '{}'::jsonb) || jsonb_build_object('bounce', $2::jsonb)
+         WHERE lower(email) = $1`,
+        [address, JSON.stringify(bounce)]
+      );
+    } else {
+      const entries = this.loadFile();
+      entries[address] = bounce;
+      this.saveFile(entries);
+    }
+
+    this.logger.info('Address marked as bounced', { email: address, status });
+  }
+
+  /**
+   * Return the subset of addresses that bounced (as a Set of lowercased addresses)
+   */
+  async findBounced(emails) {
+    const addresses = [...new Set((emails || []).map(normalize).filter(Boolean))];
+    if (addresses.length === 0) return new Set();
+
+    if (db.getPool()) {
+      const result = await db.query(
+        'SELECT email FROM bounced_addresses WHERE email = ANY($1)',
+        [addresses]
+      );
+      return new Set(result.rows.map(r => r.email));
+    }
+
+    const entries = this.loadFile();
+    return new Set(addresses.filter(address => entries[address]));
+  }
+
+  /**
+   * Check a single address
+   */
+  async has(email) {
+    return (await this.findBounced([email])).has(normalize(email));
+  }
+
+  /**
+   * Load the JSON fallback
+   */
+  loadFile() {
+    const file = path.join(this.statePath, 'bounced_addresses.json');
+    if (!fs.existsSync(file)) return {};
+
+    try {
+      return jsonfile.readFileSync(file).addresses || {};
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Persist the JSON fallback
+   */
+  saveFile(addresses) {
+    if (!fs.existsSync(this.statePath)) {
+      fs.mkdirSync(this.statePath, { recursive: true });
+    }
+
+    jsonfile.writeFileSync(path.join(this.statePath, 'bounced_addresses.json'), { addresses });
+  }
+}
+
+module.exports = BounceStore;
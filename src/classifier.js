@@ -0,0 +1,169 @@
+/**
+ * Classifier Module
+ * Ordered classification rules shared by the Analyzer and the Drafter
+ *
+ * Rules are defined in config/classification-rules.json (or
+ * CLASSIFICATION_RULES_PATH) and evaluated top to bottom; the first rule
+ * whose conditions hold sets { type, priority, description }.
+ *
+ * A rule holds when every key of `match` holds and, if `any` is given, at
+ * least one of its conditions does. A rule with neither always matches (use
+ * it last as the default). Condition keys:
+ *   subject, body, sender   regex (case-insensitive) on the subject, the lead's
+ *                           message and the lead's address (for form
+ *                           notifications, the one typed in the form)
+ *   fields: { name: regex } regex on lead fields (company, service, formParser...)
+ *   missing / present       lists of lead fields that must be empty / filled
+ *   bodyLength              { lt, lte, gt, gte } on the message length
+ *   not                     a nested condition that must not hold
+ * fields, missing and present fall back to the enriched value
+ * (emailData.enrichment) for fields the lead did not fill in.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const FALLBACK = { type: 'lead', priority: 'high', description: 'Lead potencial', rule: null };
+const LENGTH_OPS = {
+  lt: (a, b) => a < b,
+  lte: (a, b) => a <= b,
+  gt: (a, b) => a > b,
+  gte: (a, b) => a >= b
+};
+
+class Classifier {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.rules = this.load();
+  }
+
+  /**
+   * Load and compile rules (invalid ones are skipped with a warning)
+   */
+  load() {
+    const configPath = this.config.CLASSIFICATION_RULES_PATH ||
+      path.join(__dirname, '..', 'config', 'classification-rules.json');
+
+    let defined = [];
+    if (fs.existsSync(configPath)) {
+      try {
+        defined = JSON.parse(fs.readFileSync(configPath, 'utf8')).rules || [];
+      } catch (error) {
+        this.logger.error('Failed to load classification rules', { configPath, error: error.message });
+      }
+    }
+
+    const rules = [];
+    for (const def of defined) {
+      try {
+        rules.push(this.compile(def));
+      } catch (error) {
+        this.logger.warn('Skipping invalid classification rule', { rule: def?.id, error: error.message });
+      }
+    }
+    return rules;
+  }
+
+  /**
+   * Validate a rule and compile its regexes
+   */
+  compile(def) {
+    if (!def?.id) throw new Error('Rule needs an id');
+    if (!def.type) throw new Error('Rule needs a type');
+    if (def.any !== undefined && !Array.isArray(def.any)) throw new Error('"any" must be a list');
+
+    return {
+      id: def.id,
+      type: def.type,
+      priority: def.priority || 'medium',
+      description: def.description || def.type,
+      match: def.match ? this.compileCondition(def.match) : null,
+      any: def.any ? def.any.map(c => this.compileCondition(c)) : null
+    };
+  }
+
+  compileCondition(condition) {
+    const compiled = {};
+    for (const [key, value] of Object.entries(condition)) {
+      switch (key) {
+        case 'subject':
+        case 'body':
+        case 'sender':
+          compiled[key] = new RegExp(value, 'i');
+          break;
+        case 'fields':
+          compiled.fields = Object.entries(value).map(([field, pattern]) => [field, new RegExp(pattern, 'i')]);
+          break;
+        case 'missing':
+        case 'present':
+          compiled[key] = [].concat(value);
+          break;
+        case 'bodyLength':
+          for (const op of Object.keys(value)) {
+            if (!LENGTH_OPS[op]) throw new Error(`Unknown bodyLength operator: ${op}`);
+          }
+          compiled.bodyLength = value;
+          break;
+        case 'not':
+          compiled.not = this.compileCondition(value);
+          break;
+        default:
+          throw new Error(`Unknown condition: ${key}`);
+      }
+    }
+    return compiled;
+  }
+
+  /**
+   * Text the conditions look at
+   */
+  textsOf(emailData) {
+    return {
+      subject: emailData.subject || emailData.emailSubject || '',
+      body: emailData.message || '',
+      sender: emailData.email || emailData.fromEmail || emailData.from || ''
+    };
+  }
+
+  test(condition, emailData, texts) {
+    const given = (field) => String(emailData[field] ?? '').trim() !== '';
+    const valueOf = (field) => (given(field) ? emailData[field] : emailData.enrichment?.[field]) ?? '';
+    const filled = (field) => String(valueOf(field)).trim() !== '';
+
+    for (const key of ['subject', 'body', 'sender']) {
+      if (condition[key] && !condition[key].test(texts[key])) return false;
+    }
+    if (condition.fields?.some(([field, re]) => !re.test(String(valueOf(field))))) return false;
+    if (condition.missing?.some(filled)) return false;
+    if (condition.present?.some(field => !filled(field))) return false;
+    if (condition.bodyLength) {
+      const length = texts.body.length;
+      if (Object.entries(condition.bodyLength).some(([op, n]) => !LENGTH_OPS[op](length, n))) return false;
+    }
+    if (condition.not && this.test(condition.not, emailData, texts)) return false;
+    return true;
+  }
+
+  /**
+   * Whether a compiled rule matches an email
+   */
+  matches(rule, emailData, texts = this.textsOf(emailData)) {
+    if (rule.match && !this.test(rule.match, emailData, texts)) return false;
+    if (rule.any && !rule.any.some(c => this.test(c, emailData, texts))) return false;
+    return true;
+  }
+
+  /**
+   * Classify an email: { type, priority, description, rule } (rule: id of the rule that fired)
+   */
+  classify(emailData) {
+    const texts = this.textsOf(emailData);
+    const rule = this.rules.find(r => this.matches(r, emailData, texts));
+    if (!rule) return { ...FALLBACK };
+
+    return { type: rule.type, priority: rule.priority, description: rule.description, rule: rule.id };
+  }
+}
+
+module.exports = Classifier;
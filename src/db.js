@@ -0,0 +1,34 @@
+/**
+ * Database Module
+ * Shared PostgreSQL pool (enabled by DATABASE_URL) for the server and src modules
+ */
+
+const { Pool } = require('pg');
+
+let pool = null;
+
+/**
+ * Lazily create the pool; returns null when DATABASE_URL is not set
+ */
+function getPool() {
+  if (!process.env.DATABASE_URL) return null;
+
+  if (!pool) {
+    pool = new Pool({
+      connectionString: process.env.DATABASE_URL,
+      ssl: { rejectUnauthorized: false }
+    });
+  }
+  return pool;
+}
+
+/**
+ * Run a query on the shared pool
+ */
+async function query(text, params = []) {
+  const p = getPool();
+  if (!p) throw new Error('DATABASE_URL not configured');
+  return p.query(text, params);
+}
+
+module.exports = { getPool, query };
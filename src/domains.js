@@ -0,0 +1,50 @@
+/**
+ * Domains Module
+ * Email domain helpers: domain of an address and free/webmail provider detection
+ */
+
+// Consumer mailbox providers; a lead writing from one of these has no company domain
+const FREE_EMAIL_DOMAINS = new Set([
+  'gmail.com', 'googlemail.com',
+  'hotmail.com', 'hotmail.es', 'hotmail.co.uk', 'outlook.com', 'outlook.es', 'live.com', 'live.com.mx', 'msn.com',
+  'yahoo.com', 'yahoo.es', 'yahoo.com.mx', 'yahoo.co.uk', 'ymail.com', 'rocketmail.com',
+  'icloud.com', 'me.com', 'mac.com',
+  'aol.com', 'gmx.com', 'gmx.de', 'gmx.net', 'web.de', 'mail.com', 'email.com',
+  'proton.me', 'protonmail.com', 'pm.me', 'tutanota.com', 'zoho.com', 'yandex.com', 'yandex.ru',
+  'mail.ru', 'qq.com', '163.com', '126.com', 'terra.com.br', 'uol.com.br', 'bol.com.br'
+]);
+
+/**
+ * Lowercased domain of an email address ("Ana <ana@Acme.com>" -> "acme.com"), or null
+ */
+function domainOf(email) {
+  const match = /@([a-z0-9.-]+\.[a-z]{2,})\s*>?\s*$/i.exec(String(email || '').trim());
+  return match ? match[1].toLowerCase() : null;
+}
+
+/**
+ * Whether an address (or bare domain) belongs to a free email provider
+ */
+function isFreeEmailDomain(emailOrDomain) {
+  const value = String(emailOrDomain || '');
+  const domain = value.includes('@') ? domainOf(value) : value.trim().toLowerCase();
+  return !!domain && FREE_EMAIL_DOMAINS.has(domain);
+}
+
+// Second-level public suffixes common among our leads ("acme.com.mx" is registered under "com.mx")
+const SECOND_LEVEL_SUFFIXES = new Set([
+  'co.uk', 'org.uk', 'ac.uk', 'com.mx', 'org.mx', 'gob.mx', 'edu.mx', 'com.br', 'com.ar', 'com.co', 'com.pe',
+  'com.uy', 'com.ec', 'com.ve', 'com.gt', 'com.es', 'com.au', 'co.nz', 'co.za', 'co.in', 'co.jp'
+]);
+
+/**
+ * Registrable part of a domain ("mail.acme.com.mx" -> "acme.com.mx"), or null
+ */
+function registrableDomain(domain) {
+  const labels = String(domain || '').trim().toLowerCase().replace(/\.$/, '').split('.').filter(Boolean);
+  if (labels.length < 2) return null;
+  const keep = SECOND_LEVEL_SUFFIXES.has(labels.slice(-2).join('.')) ? 3 : 2;
+  return labels.slice(-keep).join('.');
+}
+
+module.exports = { domainOf, isFreeEmailDomain, registrableDomain, FREE_EMAIL_DOMAINS };
@@ -0,0 +1,99 @@
+/**
+ * Draft Store Module
+ * Upserts drafts into the Postgres drafts table (used by the approvals UI)
+ * and answers "is there a draft for this message/thread" (Postgres or DRAFTS_PATH files)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const jsonfile = require('jsonfile');
+const db = require('./db');
+
+const CLOSED_STATUSES = ['rejected', 'archived'];
+
+class DraftStore {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.draftsPath = config.draftsPath;
+  }
+
+  get enabled() {
+    return !!db.getPool();
+  }
+
+  /**
+   * Insert or update a draft row
+   */
+  async upsert(draft) {
+    const generatedAt = draft.generatedAt || new Date().toISOString();
+    const updatedAt = draft.updatedAt || null;
+
+    await db.query(
+      `INSERT INTO drafts (id, status, generated_at, updated_at, gmail_id, thread_id, email, company, draft, mailbox)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10)
+       ON CONFLICT (id) DO UPDATE SET
+         status = EXCLUDED.status,
+         generated_at = EXCLUDED.generated_at,
+         updated_at = EXCLUDED.updated_at,
+         gmail_id = EXCLUDED.gmail_id,
+         thread_id = EXCLUDED.thread_id,
+         email = EXCLUDED.email,
+         company = EXCLUDED.company,
+         draft = EXCLUDED.draft,
+         mailbox = EXCLUDED.mailbox`,
+      [
+        draft.id,
+        draft.status || null,
+        generatedAt,
+        updatedAt,
+        draft.emailData?.gmailId || null,
+        draft.emailData?.threadId || null,
+        draft.client?.email || null,
+        draft.client?.company || null,
+        JSON.stringify(draft),
+        draft.mailbox || null
+      ]
+    );
+  }
+
+  /**
+   * Whether an open draft exists for a message (or, when threadId is given, for its thread)
+   * Rejected and archived drafts don't count; drafts without a mailbox match any
+   */
+  async exists({ gmailId = null, threadId = null, mailbox = null } = {}) {
+    if (!gmailId && !threadId) return false;
+
+    if (this.enabled) {
+      const result = await db.query(
+        `SELECT 1 FROM drafts
+         WHERE (($1::text IS NOT NULL AND gmail_id = $1)
+            OR ($2::text IS NOT NULL AND thread_id = $2))
+           AND COALESCE(status, '') <> ALL($3)
+           AND ($4::text IS NULL OR mailbox IS NULL OR mailbox = $4)
+         LIMIT 1`,
+        [gmailId, threadId, CLOSED_STATUSES, mailbox]
+      );
+      return result.rows.length > 0;
+    }
+
+    if (!this.draftsPath || !fs.existsSync(this.draftsPath)) return false;
+
+    return fs.readdirSync(this.draftsPath)
+      .filter(f => f.endsWith('.json'))
+      .some(f => {
+        try {
+          const draft = jsonfile.readFileSync(path.join(this.draftsPath, f));
+          const { status, emailData = {} } = draft;
+          if (CLOSED_STATUSES.includes(status)) return false;
+          if (mailbox && draft.mailbox && draft.mailbox !== mailbox) return false;
+          return (gmailId && String(emailData.gmailId) === String(gmailId)) ||
+                 (threadId && String(emailData.threadId) === String(threadId));
+        } catch {
+          return false;
+        }
+      });
+  }
+}
+
+module.exports = DraftStore;
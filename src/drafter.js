@@ -7,6 +7,27 @@ const fs = require('fs');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const jsonfile = require('jsonfile');
+const FormParserRegistry = require('./form-parsers');
+const Classifier = require('./classifier');
+const Redactor = require('./redaction');
+const LlmClient = require('./llm');
+const PromptLibrary = require('./prompts');
+const KnowledgeBase = require('./knowledge');
+const { detectLanguage, languageName } = require('./language');
+const { autoReplyOf } = require('./automail');
+
+// Minimal reply used when generation can't produce one (no canned sales copy)
+const FALLBACK_DRAFTS = {
+  en: 'Hello,\n\nThanks for your message. Could you share a bit more context or your main goal so I can help you properly?\n\nBest regards,',
+  es: 'Hola,\n\nGracias por tu mensaje. ¿Podrías compartir un poco más de contexto o el objetivo principal para poder ayudarte mejor?\n\nSaludos,',
+  pt: 'Olá,\n\nObrigado pela sua mensagem. Poderia compartilhar um pouco mais de contexto ou o seu objetivo principal para que eu possa ajudar melhor?\n\nAtenciosamente,',
+  fr: 'Bonjour,\n\nMerci pour votre message. Pourriez-vous nous donner un peu plus de contexte ou votre objectif principal afin que nous puissions vous aider au mieux ?\n\nCordialement,',
+  de: 'Hallo,\n\nvielen Dank für Ihre Nachricht. Könnten Sie uns etwas mehr Kontext oder Ihr Hauptziel nennen, damit wir Ihnen gezielt helfen können?\n\nViele Grüße,',
+  it: 'Buongiorno,\n\ngrazie per il suo messaggio. Potrebbe condividere un po\' più di contesto o il suo obiettivo principale, così da poterla aiutare al meglio?\n\nCordiali saluti,'
+};
+
+// What a draft keeps of the knowledge snippets in its prompt
+const citations = (snippets) => snippets.map(({ id, title, score }) => ({ id, title, score }));
 
 class Drafter {
   constructor(config, logger) {
@@ -14,10 +35,19 @@ class Drafter {
     this.logger = logger;
     this.draftsPath = config.draftsPath;
     this.systemPrompt = this.loadSystemPrompt();
+    this.formParsers = new FormParserRegistry(config, logger);
+    this.classifier = new Classifier(config, logger);
+    this.redactor = new Redactor(config, logger);
+    this.llm = new LlmClient(config, logger);
+    this.prompts = new PromptLibrary(config, logger);
+    this.knowledge = new KnowledgeBase(config, logger);
   }
 
   loadSystemPrompt() {
-    const promptPath = path.join(__dirname, '..', 'docs', 'system_prompt_v3.md');
+    // Mailboxes can bring their own prompt (inline or file)
+    if (this.config.SYSTEM_PROMPT) return this.config.SYSTEM_PROMPT;
+
+    const promptPath = this.config.SYSTEM_PROMPT_PATH || path.join(__dirname, '..', 'docs', 'system_prompt_v3.md');
     if (fs.existsSync(promptPath)) {
       return fs.readFileSync(promptPath, 'utf8');
     }
@@ -33,8 +63,21 @@ class Drafter {
 
   /**
    * Generate draft for a lead
+   * Auto-replies (out-of-office, autoresponders) are refused with error.code AUTO_REPLY
    */
   async generate(analysis) {
+    const autoReply = autoReplyOf(analysis);
+    if (autoReply.auto) {
+      this.logger.info('Not drafting a reply to an automatic message', {
+        leadEmail: analysis.email,
+        kind: autoReply.kind,
+        reason: autoReply.reason
+      });
+      const error = new Error(`Automatic message (${autoReply.kind}); no draft generated`);
+      error.code = 'AUTO_REPLY';
+      throw error;
+    }
+
     this.logger.info('Generating draft', { 
       leadEmail: analysis.email,
       company: analysis.company 
@@ -44,13 +87,14 @@ class Drafter {
       // Pre-compute draft analysis (used for both prompting + draft metadata)
       const draftAnalysis = this.analyzeDraft(analysis);
 
-      // Call ModelRouter for GPT generation
-      const draftContent = await this.callModelRouter({ ...analysis, messageType: draftAnalysis.messageType });
+      // Generate with the model configured for the "draft" task
+      const { text: draftContent, generation, prompt, knowledge } = await this.callModelRouter({ ...analysis, messageType: draftAnalysis.messageType });
 
       // Create draft object
       const draft = {
         version: '1.0.0',
         id: uuidv4(),
+        mailbox: analysis.mailbox || this.config.MAILBOX_ID || null,
         generatedAt: new Date().toISOString(),
         client: {
           email: analysis.email,
@@ -61,11 +105,23 @@ class Drafter {
         emailData: {
           gmailId: analysis.gmailId,
           threadId: analysis.threadId,
+          rfcMessageId: analysis.rfcMessageId || null,
           subject: analysis.subject,
-          originalMessage: analysis.message
+          originalMessage: analysis.message,
+          formParser: analysis.formParser || null,
+          quotedText: analysis.quotedText || null,
+          signature: analysis.signature || null,
+          disclaimer: analysis.disclaimer || null
         },
-        draft: draftContent,
+        draft: this.withSignature(draftContent),
         analysis: draftAnalysis,
+        // Which provider/model and prompt version wrote it (null when no model was called)
+        generation,
+        prompt,
+        // Knowledge base snippets given to the model: [{ id, title, score }]
+        knowledge,
+        // Inferred from the sender domain; client holds what the lead provided
+        enrichment: analysis.enrichment || null,
         status: 'pending_review',
         approval: null,
         followups: {
@@ -94,204 +150,110 @@ class Drafter {
     }
   }
 
+  /**
+   * Append the mailbox signature (DRAFT_SIGNATURE) unless the text already ends with it
+   */
+  withSignature(text) {
+    const signature = (this.config.DRAFT_SIGNATURE || '').trim();
+    if (!signature || !text || String(text).trim().endsWith(signature)) return text;
+    return `${String(text).trim()}\n\n${signature}`;
+  }
+
   /**
    * Detect language of text
-   * Returns 'es' for Spanish, 'en' for English (default)
+   * Returns a language code (es, en, pt, fr, de, it); English when unclear
    */
   detectLanguage(text) {
-    if (!text) return 'en';
-    
-    const lowerText = text.toLowerCase();
-    
-    // Spanish indicators - common words and patterns
-    const esWords = ['hola', 'gracias', 'por favor', 'consulta', 'mensaje', 'empresa', 'saludos', 
-                     'buenos', 'buenas', 'estoy', 'tengo', 'necesito', 'información', 'informacion',
-                     'precio', 'presupuesto', 'costo', 'cuánto', 'cuanto', 'cuando', 'cuándo',
-                     'puede', 'pueden', 'sería', 'seria', 'me gustaría', 'me gustaria', 'quisiera',
-                     'interesado', 'interesada', 'interes', 'interés', 'servicios', 'servicio',
-                     'desarrollo', 'diseño', 'diseñar', 'crear', 'proyecto', 'proyectos',
-                     'quisiera', 'gustaría', 'podría', 'han', 'han sido', 'fue', 'eran'];
-    
-    // English indicators
-    const enWords = ['hello', 'hi', 'hey', 'thanks', 'thank', 'please', 'inquiry', 'message', 'company',
-                     'regards', 'would', 'could', 'can you', 'how much', 'price', 'cost', 'budget',
-                     'i need', 'i want', 'i am', 'i have', 'i\'m', 'information', 'when', 'interested',
-                     'service', 'services', 'development', 'design', 'create', 'project', 'projects',
-                     'would like', 'could you', 'have been', 'was', 'were', 'been'];
-    
-    let esCount = 0;
-    let enCount = 0;
-
-    for (const word of esWords) {
-      if (lowerText.includes(word)) esCount++;
-    }
-
-    for (const word of enWords) {
-      if (lowerText.includes(word)) enCount++;
-    }
-
-    // Check for Spanish-specific patterns (articles, prepositions)
-    const esPatterns = [
-      /\b(el|la|los|las|un|una|unos|unas)\s+\w+/gi,  // Spanish articles with noun
-      /\b(de|del|en|es|son|por|para|con|sin|sobre)\s+/gi,  // Spanish prepositions
-      /\w+ción\b/gi,  // words ending in -ción
-      /\w+dad\b/gi,   // words ending in -dad
-      /\b(qué|cómo|dónde|cuál|quién)\b/gi,  // Spanish question words
-    ];
-    
-    const enPatterns = [
-      /\b(the|a|an)\s+\w+/gi,  // English articles with noun
-      /\b(of|in|to|for|with|without|about|from|on|at)\s+/gi,  // English prepositions
-      /\w+tion\b/gi,  // words ending in -tion
-      /\w+ness\b/gi,  // words ending in -ness
-      /\b(what|how|where|which|who|when|why)\b/gi,  // English question words
-    ];
-    
-    for (const pattern of esPatterns) {
-      const matches = lowerText.match(pattern);
-      if (matches) esCount += matches.length * 0.3;
-    }
-    
-    for (const pattern of enPatterns) {
-      const matches = lowerText.match(pattern);
-      if (matches) enCount += matches.length * 0.3;
-    }
-
-    return esCount > enCount ? 'es' : 'en';
+    return detectLanguage(text).language;
   }
 
   /**
-   * Call Gemini for AI generation (direct)
+   * Call the model configured for a task (draft, regenerate) through the LLM client
+   * (fallback chain, circuit breakers and continuation of cut-off answers happen there)
+   * Returns { text, task, provider, model, finishReason, attempts, continuations, failures }
    */
-  async callGemini(prompt, detectedLang, context = {}) {
-    const axios = require('axios');
-
-    const apiKey = this.config.GEMINI_API_KEY || process.env.GEMINI_API_KEY;
-    if (!apiKey) {
-      // Make the failure explicit in logs; UI otherwise looks like "nothing happened".
-      this.logger.error('Gemini not configured: missing GEMINI_API_KEY', { context, detectedLang });
-      throw new Error('GEMINI_API_KEY is not set');
-    }
-
-    // Validate model - fallback to working model if the configured one is invalid
-    const VALID_MODELS = ['gemini-2.5-flash', 'gemini-flash-latest', 'gemini-2.0-flash-001', 'gemini-2.0-flash'];
-    const configuredModel = this.config.GEMINI_MODEL || process.env.GEMINI_MODEL;
-    const model = VALID_MODELS.includes(configuredModel) ? configuredModel : 'gemini-2.5-flash';
-
-    // Safety: keep outputs stable and avoid creative drift
-    const generationConfig = {
-      temperature: 0.4,
-      topP: 0.95,
-      maxOutputTokens: 5000
-      // Note: minOutputTokens removed as it can cause 400 errors for short emails
-    };
-
-    const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
-
-    let response;
+  async callModel(task, prompt, detectedLang, context = {}) {
+    let result;
     try {
-      response = await axios.post(
-        url,
-        {
-          contents: [{ role: 'user', parts: [{ text: prompt }] }],
-          generationConfig
-        },
-        { timeout: this.config.EMAIL_DRAFT_TASK_TIMEOUT * 1000 }
-      );
-    } catch (axiosError) {
-      // Log detailed error information
-      const errorDetails = axiosError.response?.data || axiosError.message;
-      this.logger.error('Gemini API request failed', { 
-        error: errorDetails,
-        status: axiosError.response?.status,
-        model,
-        promptLength: prompt.length,
-        context 
-      });
-      throw new Error(`Gemini API error: ${JSON.stringify(errorDetails)}`);
+      result = await this.llm.generate(task, { prompt });
+    } catch (error) {
+      // Make the failure explicit in logs; UI otherwise looks like "nothing happened".
+      this.logger.error('Model request failed', { task, error: error.message, failures: error.failures, promptLength: prompt.length, context });
+      throw error;
     }
 
-    const candidate = response.data?.candidates?.[0];
-    const text = candidate?.content?.parts?.map(p => p.text).join('')
-      || candidate?.content?.parts?.[0]?.text
-      || '';
-
-    // Check for truncation or other finish reasons
-    const finishReason = candidate?.finishReason;
-    const safetyRatings = candidate?.safetyRatings;
-    
+    const { text, finishReason, provider, model, attempts, continuations, failures } = result;
     if (finishReason && finishReason !== 'STOP') {
-      this.logger.warn('Gemini finished with non-STOP reason', { 
-        finishReason, 
-        model, 
+      this.logger.warn('Model finished with non-STOP reason', {
+        finishReason,
+        provider,
+        model,
         textLength: text.length,
-        safetyRatings,
-        context 
+        safetyRatings: result.safetyRatings,
+        context
       });
     }
 
     if (!text) {
-      this.logger.error('Gemini returned empty content', { detectedLang, model, context, finishReason });
-      throw new Error('Gemini returned empty content');
+      this.logger.error('Model returned empty content', { detectedLang, provider, model, context, finishReason });
+      throw new Error('Model returned empty content');
     }
 
     // Warn if text seems truncated (ends mid-sentence or very short)
     if (text.length < 200 || /[a-zA-Z]$/.test(text) && !text.endsWith('.')) {
-      this.logger.warn('Draft may be truncated', { 
-        textLength: text.length, 
+      this.logger.warn('Draft may be truncated', {
+        textLength: text.length,
         endsWith: text.slice(-20),
         finishReason,
         model
       });
     }
 
-    return String(text).trim();
+    return { text: text.trim(), task, provider, model, finishReason, attempts, continuations, failures };
   }
 
   /**
    * Format original message for better readability
-   * Parses contact form submissions and formats them nicely
+   * Parses contact form submissions (any registered form parser) and formats them nicely
    */
-  formatOriginalMessage(message) {
+  formatOriginalMessage(message, meta = {}) {
     if (!message) return 'No content';
-    
+
+    const { parser, fields } = this.formParsers.parse({
+      body: message,
+      from: meta.from || '',
+      subject: meta.subject || ''
+    });
+
     // Check if it's a contact form submission
-    if (message.includes('You have received a new message from your website contact form')) {
-      // Extract fields using regex
-      const fields = {
-        name: message.match(/Name:\s*([^\n]+)/)?.[1]?.trim(),
-        company: message.match(/Company:\s*([^\n]+)/)?.[1]?.trim(),
-        email: message.match(/Email:\s*([^\n]+)/)?.[1]?.trim(),
-        phone: message.match(/Phone:\s*([^\n]+)/)?.[1]?.trim(),
-        interested: message.match(/Interested in:\s*([^\n]+)/)?.[1]?.trim(),
-        message: message.match(/Message:\s*([\s\S]+?)(?:--|$)/)?.[1]?.trim()
-      };
-      
+    if (parser.id !== 'generic' && Object.keys(fields).length > 0) {
       // Build formatted message
       let formatted = '=== CONTACT FORM SUBMISSION ===\n\n';
       if (fields.name) formatted += `👤 Name: ${fields.name}\n`;
       if (fields.company) formatted += `🏢 Company: ${fields.company}\n`;
       if (fields.email) formatted += `📧 Email: ${fields.email}\n`;
       if (fields.phone) formatted += `📞 Phone: ${fields.phone}\n`;
-      if (fields.interested) formatted += `💼 Interested in: ${fields.interested}\n`;
+      if (fields.service) formatted += `💼 Interested in: ${fields.service}\n`;
       if (fields.message) formatted += `\n📝 Message:\n${fields.message}\n`;
+      formatted += `\n(Source: ${parser.name})`;
       formatted += '\n===========================';
-      
+
       return formatted;
     }
-    
+
     // For regular emails, just return as-is but trimmed
     return message.trim();
   }
 
   /**
-   * Generate draft (Gemini)
+   * Generate draft text with the "draft" task's model
+   * Returns { text, generation, prompt, knowledge } (generation and prompt are null when no model was called)
    */
   async callModelRouter(analysis) {
     // Detect language from the original message
     const originalMessage = analysis.message || '';
     const detectedLang = this.detectLanguage(originalMessage);
-    const languageHint = detectedLang === 'es' ? 'Spanish' : 'English';
+    const languageHint = languageName(detectedLang);
 
     this.logger.info('Language detection for draft', {
       detectedLang,
@@ -301,44 +263,70 @@ class Drafter {
 
     // If non-actionable, avoid calling the model entirely.
     if (analysis.messageType === 'non_actionable') {
-      return this.generateFallbackDraft(analysis, detectedLang);
+      return { text: this.generateFallbackDraft(analysis, detectedLang), generation: null, prompt: null, knowledge: [] };
     }
 
     // Format the message for better readability
-    const formattedMessage = this.formatOriginalMessage(originalMessage);
-
-    const prompt = `
-Write a reply to the email below.
-
-Hard rules:
-- Reply in the SAME language as the original message.
-- Use only the context from the original message.
-- Be specific: reference at least 2 concrete details from the message.
-- DO NOT use generic filler like "We specialize in our services".
-- If the message asks for a website, propose a next step and ask 3 targeted questions (scope/pages, features, timeline/budget).
-- Keep it concise and helpful.
-- Do not mention policies, training, or that you are an AI.
-- Return ONLY the email body (no subject line).
-
-Original message:
-${formattedMessage}
-`;
+    const formattedMessage = this.formatOriginalMessage(originalMessage, {
+      from: analysis.from,
+      subject: analysis.subject
+    });
+
+    // Personal data goes to the model as placeholders and is restored in the reply
+    const redaction = this.redactor.session();
+    const redactedMessage = redaction.redact(formattedMessage);
+
+    // Our own documents on the services, prices and past work the lead asks about
+    const snippets = this.knowledge.retrieve(analysis);
+
+    // Active version of the "draft" prompt (or this lead's A/B arm)
+    const { text: prompt, ...promptVersion } = await this.prompts.build('draft', analysis.threadId || analysis.email, {
+      systemPrompt: this.systemPrompt,
+      language: languageHint,
+      name: analysis.name || 'Prospect',
+      company: analysis.company || analysis.enrichment?.company || 'Not specified',
+      subject: redaction.redact(analysis.subject),
+      message: redactedMessage,
+      senderContext: this.senderContext(analysis),
+      knowledge: this.knowledge.promptBlock(snippets),
+      redactionRules: redaction.instructions()
+    });
+    this.redactor.report(redaction, { gmailId: analysis.gmailId });
 
     try {
-      const content = await this.callGemini(prompt, detectedLang, {
+      const { text, ...generation } = await this.callModel('draft', prompt, detectedLang, {
         clientEmail: analysis.email,
         clientCompany: analysis.company,
         clientService: analysis.service
       });
-      return content;
+      return { text: redaction.restore(text), generation, prompt: promptVersion, knowledge: citations(snippets) };
     } catch (error) {
       // Marcelo preference: do not generate any fallback/template-like drafts.
-      // If Gemini fails, surface an explicit error so the UI can prompt retry.
-      this.logger.error('Gemini failed (no fallback draft will be generated)', { error: error.message });
+      // If the model fails, surface an explicit error so the UI can prompt retry.
+      this.logger.error('Model failed (no fallback draft will be generated)', { error: error.message });
       throw error;
     }
   }
 
+  /**
+   * Prompt block with enriched company details the lead did not state themselves ('' when there are none)
+   */
+  senderContext(analysis) {
+    const enrichment = analysis.enrichment;
+    if (!enrichment) return '';
+
+    const lines = [];
+    if (!analysis.company && enrichment.company) lines.push(`- Company: ${enrichment.company}`);
+    if (enrichment.website) lines.push(`- Website: ${enrichment.website}`);
+    if (enrichment.industry) lines.push(`- Industry: ${enrichment.industry}`);
+    if (!lines.length) return '';
+
+    return `
+Sender context (inferred from the sender's email domain, not stated by them; use it only if it fits the message):
+${lines.join('\n')}
+`;
+  }
+
   /**
    * Generate fallback draft when AI fails
    * Now language-aware!
@@ -358,26 +346,15 @@ ${formattedMessage}
 
     // IMPORTANT: avoid any canned sales template. If we are here, AI generation failed.
     // Return a minimal, context-neutral reply that won't look like a template.
-    if (language === 'es') {
-      return `Hola,
-
-Gracias por tu mensaje. ¿Podrías compartir un poco más de contexto o el objetivo principal para poder ayudarte mejor?
-
-Saludos,`;
-    }
-
-    return `Hello,
-
-Thanks for your message. Could you share a bit more context or your main goal so I can help you properly?
-
-Best regards,`;
+    return FALLBACK_DRAFTS[language] || FALLBACK_DRAFTS.en;
   }
 
   /**
    * Regenerate an existing draft with optional instruction
    * This is called by the regenerate endpoint
+   * options.language forces the reply language (otherwise detected from the original message)
    */
-  async regenerate(draft, instruction = 'rewrite') {
+  async regenerate(draft, instruction = 'rewrite', options = {}) {
     this.logger.info('Regenerating draft', { 
       draftId: draft.id,
       instruction 
@@ -392,16 +369,15 @@ Best regards,`;
       message: draft.emailData?.originalMessage || draft.original,
       gmailId: draft.emailData?.gmailId,
       threadId: draft.emailData?.threadId,
-      subject: draft.emailData?.subject
+      subject: draft.emailData?.subject,
+      enrichment: draft.enrichment || null
     };
 
     try {
-      const axios = require('axios');
-      
       // Detect language from the original message
       const originalMessage = analysis.message || '';
-      const detectedLang = this.detectLanguage(originalMessage);
-      const languageHint = detectedLang === 'es' ? 'Spanish' : 'English';
+      const detectedLang = options.language || this.detectLanguage(originalMessage);
+      const languageHint = languageName(detectedLang);
 
       this.logger.info('Regenerate: Language detection', {
         draftId: draft.id,
@@ -409,7 +385,12 @@ Best regards,`;
         languageHint
       });
 
-      // Minimal prompt: let Gemini judge content and write a human, contextual reply.
+      // Same placeholders in the original and the previous draft; restored in the new one
+      const redaction = this.redactor.session();
+      const redactedMessage = redaction.redact(originalMessage);
+      const redactedDraft = redaction.redact(draft.draft);
+
+      // Let the model judge content and write a human, contextual reply.
       // We only pass a small nudge for shorten/expand; otherwise keep it neutral.
       let modeLine = '';
       const mode = String(instruction || 'rewrite').toLowerCase();
@@ -417,23 +398,22 @@ Best regards,`;
       else if (mode === 'expand') modeLine = 'Make it a bit longer.';
       else modeLine = 'Rewrite naturally.';
 
-      const prompt = `${this.systemPrompt}
-
-Write the reply in ${languageHint}.
-
-Customer name: ${analysis.name || 'Prospect'}
-Company: ${analysis.company || 'Not specified'}
-Original message:
-${originalMessage || 'No content'}
-
-(For reference only) Previous draft:
-${draft.draft || 'No previous draft'}
-
-Task: ${modeLine}
-
-Return ONLY the email body.`;
+      const snippets = this.knowledge.retrieve(analysis);
+      const { text: prompt, ...promptVersion } = await this.prompts.build('regenerate', analysis.threadId || draft.id, {
+        systemPrompt: this.systemPrompt,
+        language: languageHint,
+        name: analysis.name || 'Prospect',
+        company: analysis.company || (analysis.enrichment?.company ? `${analysis.enrichment.company} (inferred from email domain)` : 'Not specified'),
+        subject: redaction.redact(analysis.subject),
+        message: redactedMessage || 'No content',
+        previousDraft: redactedDraft || 'No previous draft',
+        instruction: modeLine,
+        knowledge: this.knowledge.promptBlock(snippets),
+        redactionRules: redaction.instructions()
+      });
+      this.redactor.report(redaction, { draftId: draft.id });
 
-      const newContent = await this.callGemini(prompt, detectedLang, {
+      const { text: newContent, ...generation } = await this.callModel('regenerate', prompt, detectedLang, {
         draftId: draft.id,
         clientEmail: analysis.email,
         instruction: mode,
@@ -441,10 +421,13 @@ Return ONLY the email body.`;
       });
       
       // Update draft with new content
-      draft.draft = newContent || this.generateFallbackDraft(analysis, detectedLang);
+      draft.draft = this.withSignature(redaction.restore(newContent)) || this.generateFallbackDraft(analysis, detectedLang);
       draft.status = 'pending_review';
       draft.updatedAt = new Date().toISOString();
       draft.regenerateInstruction = null; // Clear the instruction
+      draft.generation = generation;
+      draft.prompt = promptVersion;
+      draft.knowledge = citations(snippets);
       
       // Store detected language in analysis
       draft.analysis = draft.analysis || {};
@@ -478,7 +461,7 @@ Return ONLY the email body.`;
     const sentiment = this.analyzeSentiment(analysis.message);
     const urgency = this.detectUrgency(analysis.message);
     const recommendedAction = this.getRecommendedAction(analysis);
-    const language = this.detectLanguage(analysis.message);
+    const { language, confidence: languageConfidence } = detectLanguage(analysis.message);
     
     const agentInsight = `Sentiment: ${sentiment}. ${urgency}. ${recommendedAction}`;
     
@@ -489,8 +472,11 @@ Return ONLY the email body.`;
       timelineMentioned: /cuándo|cuando|timeline|deadline|urgente/i.test(analysis.message || ''),
       messageType: this.classifyMessageType(analysis),
       specialRequests: [],
+      // Structured fields and the method (llm/rules) that produced each
+      extraction: this.summarizeExtraction(analysis.extractedData),
       // Language detection
       language,
+      languageConfidence,
       // Agent Insight fields
       sentiment,
       urgency,
@@ -499,6 +485,32 @@ Return ONLY the email body.`;
     };
   }
 
+  /**
+   * Analyzer extractedData as stored with the draft: { intent, services, budget, deadline, urgency, questions, method, sources }
+   */
+  summarizeExtraction(extractedData) {
+    if (!extractedData) return null;
+
+    return {
+      intent: extractedData.intent ?? null,
+      services: extractedData.services || [],
+      budget: extractedData.budget?.mentioned
+        ? {
+          amount: extractedData.budget.amount ?? null,
+          min: extractedData.budget.min ?? null,
+          max: extractedData.budget.max ?? null,
+          currency: extractedData.budget.currency ?? null,
+          text: extractedData.budget.value ?? null
+        }
+        : null,
+      deadline: extractedData.timeline?.deadline ?? null,
+      urgency: extractedData.urgency ?? null,
+      questions: extractedData.questions || [],
+      method: extractedData.method || 'rules',
+      sources: extractedData.sources || {}
+    };
+  }
+
   /**
    * Analyze sentiment of the message
    */
@@ -556,42 +568,10 @@ Return ONLY the email body.`;
 
   /**
    * Classify message type
+   * Same rules as the Analyzer; its classification is reused when present
    */
   classifyMessageType(analysis) {
-    const msg = (analysis.message || '').toLowerCase();
-    const subject = (analysis.subject || analysis.emailSubject || '').toLowerCase();
-    const fromEmail = (analysis.email || analysis.fromEmail || '').toLowerCase();
-
-    // Non-actionable notifications (receipts, billing, system alerts, scheduling, trials)
-    if (
-      /(no-reply|noreply|do-not-reply)/i.test(fromEmail) ||
-      /(receipt|invoice|funded|billing|payment|charged|usage limit|limits have increased|trial is ending|premium features|subscription|renewal)/i.test(subject) ||
-      /(calendly|meeting scheduled|invitee|google meet|zoom)/i.test(msg) ||
-      /(you have \d+ more days|upgrade now|workspace url|sign in)/i.test(msg)
-    ) {
-      return 'non_actionable';
-    }
-
-    if (/(estudiante|estudio|universidad|escuela|tarea|homework|student)/i.test(msg)) {
-      return 'student';
-    }
-    if (/(muestra|example|sample|demo|prueba)/i.test(msg)) {
-      return 'sample_request';
-    }
-    if (/whatsapp|telegram|signal/i.test(msg)) {
-      return 'whatsapp_request';
-    }
-    if (msg.length < 50) {
-      return 'short';
-    }
-    if (!analysis.company && !analysis.service) {
-      return 'vague';
-    }
-    if (/(alemán|francés|español|english|german|french)/i.test(msg) && !/español/i.test(msg)) {
-      return 'other_language';
-    }
-
-    return 'complete';
+    return analysis.classification?.type || this.classifier.classify(analysis).type;
   }
 
   /**
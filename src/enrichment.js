@@ -0,0 +1,162 @@
+/**
+ * Enrichment Module
+ * Company details derived from the lead's sender domain
+ *
+ * Providers are listed, in order, in config/enrichment.json (or
+ * ENRICHMENT_CONFIG_PATH); for each field the first provider that returns a
+ * value wins. Built-in providers work offline:
+ *   directory   known companies by domain (inline "companies" or a JSON file at "path")
+ *   domain      company name and website guessed from a corporate domain
+ * Other providers can be added with Enricher.registerProvider(id, factory).
+ *
+ * The result is kept in `enrichment`, apart from the fields the lead typed
+ * (company, website...), with the provider behind each value in `sources`.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { domainOf, isFreeEmailDomain, registrableDomain } = require('./domains');
+
+const ENRICHED_FIELDS = ['company', 'website', 'industry', 'size', 'country'];
+const DEFAULT_PROVIDERS = [{ id: 'directory' }, { id: 'domain' }];
+
+// Labels kept in upper case when naming a company after its domain ("mdx.so" -> "MDX")
+const ACRONYM_MAX_LENGTH = 3;
+
+/**
+ * Company name from a domain ("acme-industrial.com.mx" -> "Acme Industrial")
+ */
+function companyFromDomain(domain) {
+  const base = registrableDomain(domain);
+  if (!base) return null;
+
+  return base.split('.')[0]
+    .split(/[-_]+/)
+    .filter(Boolean)
+    .map(word => (word.length <= ACRONYM_MAX_LENGTH ? word.toUpperCase() : word[0].toUpperCase() + word.slice(1)))
+    .join(' ') || null;
+}
+
+/**
+ * Provider factories: (settings, { config, logger }) -> { enrich(context) -> fields | null }
+ * context: { email, domain, freeMail, name, message }
+ */
+const PROVIDERS = {
+  domain() {
+    return {
+      enrich({ domain, freeMail }) {
+        if (!domain || freeMail) return null;
+        return { company: companyFromDomain(domain), website: `https://${registrableDomain(domain)}` };
+      }
+    };
+  },
+
+  directory(settings, { logger }) {
+    const companies = {};
+    const add = (entries) => {
+      for (const [domain, fields] of Object.entries(entries || {})) {
+        if (fields && typeof fields === 'object') companies[domain.toLowerCase()] = fields;
+      }
+    };
+
+    add(settings.companies);
+    if (settings.path) {
+      try {
+        add(JSON.parse(fs.readFileSync(path.resolve(path.join(__dirname, '..'), settings.path), 'utf8')));
+      } catch (error) {
+        logger.error('Failed to load enrichment directory', { path: settings.path, error: error.message });
+      }
+    }
+
+    return {
+      enrich({ domain }) {
+        if (!domain) return null;
+        return companies[domain] || companies[registrableDomain(domain)] || null;
+      }
+    };
+  }
+};
+
+class Enricher {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.providers = this.load();
+  }
+
+  /**
+   * Add a provider type usable from config/enrichment.json
+   */
+  static registerProvider(id, factory) {
+    PROVIDERS[id] = factory;
+  }
+
+  /**
+   * Load and build the configured providers (unknown ones are skipped with a warning)
+   */
+  load() {
+    const configPath = this.config.ENRICHMENT_CONFIG_PATH ||
+      path.join(__dirname, '..', 'config', 'enrichment.json');
+
+    let defined = DEFAULT_PROVIDERS;
+    if (fs.existsSync(configPath)) {
+      try {
+        defined = JSON.parse(fs.readFileSync(configPath, 'utf8')).providers || [];
+      } catch (error) {
+        this.logger.error('Failed to load enrichment config', { configPath, error: error.message });
+      }
+    }
+
+    const providers = [];
+    for (const settings of defined) {
+      const factory = PROVIDERS[settings?.id];
+      if (!factory || settings.enabled === false) {
+        if (!factory) this.logger.warn('Skipping unknown enrichment provider', { provider: settings?.id });
+        continue;
+      }
+      providers.push({ id: settings.id, ...factory(settings, { config: this.config, logger: this.logger }) });
+    }
+    return providers;
+  }
+
+  /**
+   * Enrich a lead from its sender domain
+   * Returns { domain, freeMail, company, website, ..., sources: { field: provider }, enrichedAt }
+   * A failing provider is logged and skipped.
+   */
+  async enrich(emailData) {
+    const domain = domainOf(emailData.email);
+    const context = {
+      email: emailData.email || null,
+      domain,
+      freeMail: domain ? isFreeEmailDomain(domain) : false,
+      name: emailData.name || null,
+      message: emailData.message || ''
+    };
+
+    const result = { domain, freeMail: context.freeMail, sources: {} };
+    for (const provider of this.providers) {
+      let fields;
+      try {
+        fields = await provider.enrich(context);
+      } catch (error) {
+        this.logger.warn('Enrichment provider failed', { provider: provider.id, domain, error: error.message });
+        continue;
+      }
+
+      for (const field of ENRICHED_FIELDS) {
+        if (result[field] == null && fields?.[field]) {
+          result[field] = fields[field];
+          result.sources[field] = provider.id;
+        }
+      }
+    }
+
+    result.enrichedAt = new Date().toISOString();
+    return result;
+  }
+}
+
+module.exports = Enricher;
+module.exports.companyFromDomain = companyFromDomain;
+module.exports.ENRICHED_FIELDS = ENRICHED_FIELDS;
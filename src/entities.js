@@ -0,0 +1,431 @@
+/**
+ * Entities Module
+ * Typed entities in free text: budgets (min/max amount + currency), deadlines
+ * resolved to dates, phone numbers in E.164 and website URLs
+ *
+ * Pure functions; the Analyzer uses them for extractedData and the Ingestor
+ * to fill the lead's phone and website.
+ */
+
+const CURRENCY_CODES = ['USD', 'EUR', 'MXN', 'GBP', 'COP', 'ARS', 'CLP', 'PEN', 'CAD', 'BRL', 'UYU'];
+// A bare "$" is ambiguous (USD, MXN, ARS...) and leaves the currency unset
+const CURRENCY_MARKS = [
+  [/^(?:US\$|U\$S|USD|d[oó]lares|dollars)$/i, 'USD'],
+  [/^(?:€|EUR|euros?)$/i, 'EUR'],
+  [/^(?:£|GBP|pounds?)$/i, 'GBP'],
+  [/^(?:MXN|pesos mexicanos)$/i, 'MXN']
+];
+const MULTIPLIERS = [
+  [/^k$/i, 1e3],
+  [/^mil$/i, 1e3],
+  [/^(?:millones|mill[oó]n|millions?|mm)$/i, 1e6]
+];
+
+const CUR = `(?:US\\$|U\\$S|[$€£]|\\b(?:${CURRENCY_CODES.join('|')})\\b)`;
+const CUR_AFTER = `(?:[€£]|\\b(?:${CURRENCY_CODES.join('|')}|d[oó]lares|dollars|euros?|pesos mexicanos|pesos)\\b)`;
+const MULT = '(?:k|mil|millones|mill[oó]n|millions?|mm)\\b';
+const AMOUNT = `(?:${CUR}\\s?)?\\d+(?:[.,]\\d+)*(?:\\s?${MULT})?(?:\\s?(?:de\\s)?${CUR_AFTER})?`;
+const BUDGET_RE = new RegExp(
+  '(?:\\b(?<atLeast>m[aá]s de|desde|a partir de|m[ií]nimo|at least|more than|over|from)\\s+' +
+  '|\\b(?<upTo>hasta|m[aá]ximo|menos de|no m[aá]s de|up to|under|less than|max(?:imum)?)\\s+' +
+  '|\\b(?:entre|between)\\s+)?' +
+  `(?<first>${AMOUNT})(?:\\s*(?:-|–|—|\\s(?:a|to|y|and|hasta)\\s)\\s*(?<second>${AMOUNT}))?`,
+  'gi'
+);
+const BUDGET_CONTEXT = /(?:presupuesto|budget|precio|price|costo|cost|inversi[oó]n|invertir|invest|pagar|pay|cotizaci[oó]n|quote|rango|range)\b[^.!?\n]{0,40}$/i;
+
+/**
+ * Number with either thousands convention ("8,000", "8.000", "1.250.000,50", "8,5")
+ */
+function parseNumber(value) {
+  const number = String(value || '').replace(/[.,]+$/, '');
+  if (!/^\d/.test(number)) return null;
+
+  // "8,000" / "8.000" / "1.250.000" are thousands, "8,5" / "8.5" decimals;
+  // with both separators ("1,250.50" / "1.250,50") the last one is the decimal point
+  const last = Math.max(number.lastIndexOf('.'), number.lastIndexOf(','));
+  const digits = /^\d{1,3}([.,]\d{3})+$/.test(number)
+    ? number.replace(/[.,]/g, '')
+    : last < 0 ? number : `${number.slice(0, last).replace(/[.,]/g, '')}.${number.slice(last + 1)}`;
+  const parsed = parseFloat(digits);
+  return Number.isFinite(parsed) ? parsed : null;
+}
+
+/**
+ * One amount token ("USD 3,000", "5k", "10 mil pesos"): { value, currency, marked, multiplier }
+ * marked: it carries a currency sign or code
+ */
+function parseAmountToken(token) {
+  const text = token.trim();
+  const number = text.match(/\d+(?:[.,]\d+)*/)[0];
+  const rest = text.replace(number, ' ').trim().split(/\s+/).filter(Boolean);
+
+  let currency = null;
+  let marked = false;
+  let multiplier = 1;
+  for (const word of rest) {
+    const parts = word.match(/US\$|U\$S|[$€£]|[^\s$€£]+/gi) || [];
+    for (const part of parts) {
+      const mult = MULTIPLIERS.find(([re]) => re.test(part));
+      if (mult) {
+        multiplier = mult[1];
+        continue;
+      }
+      if (/^(?:[$€£]|US\$|U\$S|pesos)$/i.test(part) || CURRENCY_CODES.includes(part.toUpperCase())) marked = true;
+      const mark = CURRENCY_MARKS.find(([re]) => re.test(part));
+      if (mark) {
+        currency = mark[1];
+        marked = true;
+      } else if (CURRENCY_CODES.includes(part.toUpperCase())) {
+        currency = part.toUpperCase();
+      }
+    }
+  }
+  // "pesos mexicanos" spans two words
+  if (/pesos mexicanos/i.test(text)) currency = 'MXN';
+
+  const value = parseNumber(number);
+  return { value: value === null ? null : value * multiplier, currency, marked, multiplier };
+}
+
+/**
+ * First budget in a text: { min, max, currency, text } or null
+ * A single amount gives min = max; "hasta/up to" only a max, "desde/at least" only a min.
+ * Amounts count as a budget when they carry a currency or follow a budget word.
+ */
+function parseBudget(text) {
+  const source = String(text || '');
+
+  for (const match of source.matchAll(BUDGET_RE)) {
+    const { atLeast, upTo, first, second } = match.groups;
+    const a = parseAmountToken(first);
+    const b = second ? parseAmountToken(second) : null;
+    if (a.value === null || (b && b.value === null)) continue;
+
+    const marked = a.marked || b?.marked;
+    const before = source.slice(Math.max(0, match.index - 60), match.index);
+    if (!marked && !BUDGET_CONTEXT.test(before)) continue;
+    // Years and list numbers after a budget word ("presupuesto para 2026")
+    if (!marked && a.multiplier === 1 && !b && (/^(?:19|20)\d{2}$/.test(first.trim()) || a.value < 10)) continue;
+
+    let min = a.value;
+    let max = b ? b.value : a.value;
+    // "USD 3-5k": the multiplier of the second amount applies to the first
+    if (b && b.multiplier !== 1 && a.multiplier === 1 && min * b.multiplier <= max) min *= b.multiplier;
+    if (min > max) [min, max] = [max, min];
+
+    if (!b && atLeast) max = null;
+    if (!b && upTo) min = null;
+
+    return { min, max, currency: a.currency || b?.currency || null, text: match[0].trim() };
+  }
+
+  return null;
+}
+
+const MONTHS = {
+  enero: 0, january: 0, jan: 0, ene: 0,
+  febrero: 1, february: 1, feb: 1,
+  marzo: 2, march: 2, mar: 2,
+  abril: 3, april: 3, apr: 3, abr: 3,
+  mayo: 4, may: 4,
+  junio: 5, june: 5, jun: 5,
+  julio: 6, july: 6, jul: 6,
+  agosto: 7, august: 7, aug: 7, ago: 7,
+  septiembre: 8, setiembre: 8, september: 8, sep: 8, sept: 8,
+  octubre: 9, october: 9, oct: 9,
+  noviembre: 10, november: 10, nov: 10,
+  diciembre: 11, december: 11, dec: 11, dic: 11
+};
+const WEEKDAYS = {
+  domingo: 0, sunday: 0, lunes: 1, monday: 1, martes: 2, tuesday: 2,
+  'miércoles': 3, miercoles: 3, wednesday: 3, jueves: 4, thursday: 4,
+  viernes: 5, friday: 5, 'sábado': 6, sabado: 6, saturday: 6
+};
+const NUMBER_WORDS = {
+  un: 1, una: 1, uno: 1, one: 1, a: 1, an: 1, dos: 2, two: 2, tres: 3, three: 3, cuatro: 4, four: 4,
+  cinco: 5, five: 5, seis: 6, six: 6, siete: 7, seven: 7, ocho: 8, eight: 8, diez: 10, ten: 10,
+  doce: 12, twelve: 12, quince: 15, fifteen: 15, treinta: 30, thirty: 30
+};
+
+const MONTH = `(${Object.keys(MONTHS).sort((x, y) => y.length - x.length).join('|')})\\b\\.?`;
+const WEEKDAY = `(${Object.keys(WEEKDAYS).join('|')})`;
+const COUNT = `(\\d{1,3}|${Object.keys(NUMBER_WORDS).join('|')})`;
+// Absolute dates only count as a deadline after one of these ("para el 15 de marzo", "by 2026-03-01")
+const DEADLINE_CONTEXT = /(?:para|antes|by|before|deadline|fecha|plazo|entrega|entregar|listo|lista|ready|due|tardar|later than|hasta|launch|lanzamiento|lanzar|until|a m[aá]s tardar)\b[^.!?\n]{0,25}$/i;
+
+const utc = (y, m, d) => new Date(Date.UTC(y, m, d));
+const lastDayOf = (y, m) => utc(y, m + 1, 0);
+const addDays = (date, n) => utc(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + n);
+const addMonths = (date, n) => {
+  const target = utc(date.getUTCFullYear(), date.getUTCMonth() + n, 1);
+  const day = Math.min(date.getUTCDate(), lastDayOf(target.getUTCFullYear(), target.getUTCMonth()).getUTCDate());
+  return utc(target.getUTCFullYear(), target.getUTCMonth(), day);
+};
+const fullYear = (y) => (y < 100 ? 2000 + y : y);
+
+/**
+ * Date for a day/month without year: this year, or next year once it has passed
+ */
+function upcoming(today, month, day) {
+  const date = utc(today.getUTCFullYear(), month, day);
+  return date < today ? utc(today.getUTCFullYear() + 1, month, day) : date;
+}
+
+function validDate(y, m, d) {
+  const date = utc(y, m, d);
+  return date.getUTCMonth() === m && date.getUTCDate() === d ? date : null;
+}
+
+/**
+ * Deadline patterns: { re, context, relative, resolve(match, today) -> Date|null }
+ * context: only counts after a deadline word; relative: resolved against the received date
+ */
+const DEADLINE_PATTERNS = [
+  {
+    re: /\b(\d{4})-(\d{2})-(\d{2})\b/gi,
+    context: true,
+    resolve: (m) => validDate(+m[1], +m[2] - 1, +m[3])
+  },
+  {
+    // Day first ("15/03/2026"), unless the second number can only be a day ("03/15")
+    re: /\b(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/gi,
+    context: true,
+    resolve: (m, today) => {
+      let [day, month] = [+m[1], +m[2]];
+      if (month > 12 && day <= 12) [day, month] = [month, day];
+      if (!m[3]) return validDate(2000, month - 1, day) && upcoming(today, month - 1, day);
+      return validDate(fullYear(+m[3]), month - 1, day);
+    }
+  },
+  {
+    re: new RegExp(`\\b(\\d{1,2})\\s+de\\s+${MONTH}(?:\\s+(?:de(?:l)?\\s+)?(\\d{4}))?`, 'gi'),
+    context: true,
+    resolve: (m, today) => dayMonth(today, +m[1], m[2], m[3])
+  },
+  {
+    re: new RegExp(`\\b${MONTH}\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?:,?\\s+(\\d{4}))?`, 'gi'),
+    context: true,
+    resolve: (m, today) => dayMonth(today, +m[2], m[1], m[3])
+  },
+  {
+    re: new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH}(?:,?\\s+(\\d{4}))?`, 'gi'),
+    context: true,
+    resolve: (m, today) => dayMonth(today, +m[1], m[2], m[3])
+  },
+  {
+    // "para marzo" / "by March 2027": the end of that month; "antes de marzo": the day before it starts
+    re: new RegExp(`\\b(para|by|in|en|antes de|before|for|durante)\\s+(?:el\\s+mes\\s+de\\s+|the\\s+month\\s+of\\s+)?${MONTH}(?:\\s+(?:de(?:l)?\\s+)?(\\d{4}))?\\b`, 'gi'),
+    context: false,
+    resolve: (m, today) => {
+      const month = MONTHS[m[2].toLowerCase()];
+      let year = m[3] ? +m[3] : today.getUTCFullYear();
+      if (!m[3] && lastDayOf(year, month) < today) year++;
+      return /antes|before/i.test(m[1]) ? addDays(utc(year, month, 1), -1) : lastDayOf(year, month);
+    }
+  },
+  {
+    re: new RegExp(`\\b(?:en|dentro de|in|within)\\s+(?:(?:los\\s+)?pr[oó]ximos\\s+|the\\s+next\\s+)?${COUNT}\\s+(d[ií]as?|days?|semanas?|weeks?|mes(?:es)?|months?)\\b`, 'gi'),
+    context: false,
+    relative: true,
+    resolve: (m, today) => {
+      const n = /^\d/.test(m[1]) ? +m[1] : NUMBER_WORDS[m[1].toLowerCase()];
+      if (/^(?:d|day)/i.test(m[2])) return addDays(today, n);
+      if (/^(?:sem|week)/i.test(m[2])) return addDays(today, 7 * n);
+      return addMonths(today, n);
+    }
+  },
+  {
+    re: /\b(?:para\s+ma[nñ]ana|ma[nñ]ana\s+mismo|tomorrow)\b/gi,
+    context: false,
+    relative: true,
+    resolve: (m, today) => addDays(today, 1)
+  },
+  {
+    // End of the current week (Friday)
+    re: /\b(?:esta\s+semana|this\s+week)\b/gi,
+    context: false,
+    relative: true,
+    resolve: (m, today) => addDays(today, Math.max(0, 5 - today.getUTCDay()))
+  },
+  {
+    re: /\b(?:(?:la\s+)?pr[oó]xima\s+semana|(?:la\s+)?semana\s+(?:que\s+viene|pr[oó]xima)|next\s+week)\b/gi,
+    context: false,
+    relative: true,
+    resolve: (m, today) => addDays(today, 7)
+  },
+  {
+    re: /\b(?:(?:el\s+)?pr[oó]ximo\s+mes|(?:el\s+)?mes\s+(?:que\s+viene|pr[oó]ximo)|next\s+month)\b/gi,
+    context: false,
+    relative: true,
+    resolve: (m, today) => addMonths(today, 1)
+  },
+  {
+    re: /\b(?:fin(?:al)?(?:es)?\s+de(?:l)?\s+(?:este\s+)?mes|end\s+of\s+(?:the|this)\s+month)\b/gi,
+    context: false,
+    relative: true,
+    resolve: (m, today) => lastDayOf(today.getUTCFullYear(), today.getUTCMonth())
+  },
+  {
+    re: /\b(?:fin(?:al)?(?:es)?\s+de(?:l)?\s+(?:este\s+)?a[nñ]o|end\s+of\s+(?:the|this)\s+year)\b/gi,
+    context: false,
+    relative: true,
+    resolve: (m, today) => utc(today.getUTCFullYear(), 11, 31)
+  },
+  {
+    // "el viernes", "next Friday": the next such day after today
+    re: new RegExp(`\\b(?:el|este|next|this|on)\\s+${WEEKDAY}\\b`, 'gi'),
+    context: true,
+    relative: true,
+    resolve: (m, today) => addDays(today, ((WEEKDAYS[m[1].toLowerCase()] - today.getUTCDay() + 6) % 7) + 1)
+  }
+];
+
+function dayMonth(today, day, monthName, year) {
+  const month = MONTHS[monthName.toLowerCase()];
+  if (month === undefined) return null;
+  if (year) return validDate(+year, month, day);
+  return validDate(2000, month, day) && upcoming(today, month, day);
+}
+
+/**
+ * First deadline in a text: { date: 'YYYY-MM-DD', text, relative } or null
+ * Relative phrases ("en 2 semanas", "next month") resolve against `now` (the
+ * received date); absolute dates need a deadline word before them.
+ */
+function parseDeadline(text, now = new Date()) {
+  const source = String(text || '');
+  const base = new Date(now);
+  const today = utc(base.getUTCFullYear(), base.getUTCMonth(), base.getUTCDate());
+
+  let found = null;
+  for (const { re, context, relative = false, resolve } of DEADLINE_PATTERNS) {
+    for (const match of source.matchAll(re)) {
+      if (found && match.index >= found.index) break;
+      if (context && !DEADLINE_CONTEXT.test(source.slice(Math.max(0, match.index - 40), match.index))) continue;
+      const date = resolve(match, today);
+      if (!date) continue;
+      // Absolute patterns come first: on the same position they win
+      found = { index: match.index, date, text: match[0].trim(), relative };
+      break;
+    }
+  }
+
+  if (!found) return null;
+  return { date: found.date.toISOString().slice(0, 10), text: found.text, relative: found.relative };
+}
+
+// Calling code and national number lengths for numbers written without one
+const PHONE_COUNTRIES = {
+  MX: { code: '52', lengths: [10] },
+  US: { code: '1', lengths: [10] },
+  CA: { code: '1', lengths: [10] },
+  ES: { code: '34', lengths: [9] },
+  CO: { code: '57', lengths: [10] },
+  AR: { code: '54', lengths: [10] },
+  CL: { code: '56', lengths: [9] },
+  PE: { code: '51', lengths: [9] },
+  UY: { code: '598', lengths: [8] },
+  GB: { code: '44', lengths: [10] }
+};
+const DEFAULT_PHONE_COUNTRY = 'MX';
+
+/**
+ * Phone number in E.164 ("+525512345678"), or null
+ * Numbers without a country code take defaultCountry's (trunk "0" dropped)
+ */
+function normalizePhone(raw, defaultCountry = DEFAULT_PHONE_COUNTRY) {
+  const value = String(raw || '').trim();
+  if (!value) return null;
+
+  let digits = value.replace(/(?!^\+)[^\d]/g, '');
+  if (digits.startsWith('00')) digits = `+${digits.slice(2)}`;
+
+  if (digits.startsWith('+')) {
+    digits = digits.slice(1);
+    // Mexican mobiles were dialled +52 1 XXXXXXXXXX until 2019
+    if (digits.length === 13 && digits.startsWith('521')) digits = `52${digits.slice(3)}`;
+    return digits.length >= 8 && digits.length <= 15 && !digits.startsWith('0') ? `+${digits}` : null;
+  }
+
+  const country = PHONE_COUNTRIES[String(defaultCountry || '').toUpperCase()] || PHONE_COUNTRIES[DEFAULT_PHONE_COUNTRY];
+  const national = digits.replace(/^0+/, '');
+  if (country.lengths.includes(national.length)) return `+${country.code}${national}`;
+  if (national.startsWith(country.code) && country.lengths.includes(national.length - country.code.length)) {
+    return `+${national}`;
+  }
+  return null;
+}
+
+/**
+ * Phone-like spans of a text: [{ index, text }] (dates, amounts and
+ * numbers with too few or too many digits left out)
+ */
+function phoneCandidates(text) {
+  const candidates = [];
+  for (const match of String(text || '').matchAll(/(?<![\w$€£.,/-])(?:\+|00)?\d[\d\s().-]{6,}\d(?![\w.,/-]*\d)/g)) {
+    const candidate = match[0];
+    // Dates and amounts ("2026-03-15", "1.250.000") are not phone numbers
+    if (/^\d{4}-\d{2}-\d{2}$/.test(candidate) || /^\d{1,3}(?:[.,]\d{3})+$/.test(candidate)) continue;
+    const digitCount = candidate.replace(/\D/g, '').length;
+    if (digitCount < 8 || digitCount > 15) continue;
+    candidates.push({ index: match.index, text: candidate });
+  }
+  return candidates;
+}
+
+/**
+ * Phone numbers in a text, normalized to E.164 (deduplicated, in order)
+ */
+function extractPhones(text, defaultCountry = DEFAULT_PHONE_COUNTRY) {
+  const phones = [];
+  for (const { text: candidate } of phoneCandidates(text)) {
+    const phone = normalizePhone(candidate, defaultCountry);
+    if (phone && !phones.includes(phone)) phones.push(phone);
+  }
+  return phones;
+}
+
+/**
+ * Website URL with a scheme and lowercased host ("www.Acme.com/" -> "https://www.acme.com"), or null
+ */
+function normalizeWebsite(raw) {
+  let value = String(raw || '').trim().replace(/[.,;:!?)\]>'"]+$/, '');
+  if (!value || value.includes('@')) return null;
+  if (!/^https?:\/\//i.test(value)) value = `https://${value}`;
+
+  try {
+    const url = new URL(value);
+    if (!/^[a-z0-9-]+(\.[a-z0-9-]+)*\.[a-z]{2,}$/i.test(url.hostname)) return null;
+    const pathname = url.pathname === '/' ? '' : url.pathname.replace(/\/$/, '');
+    return `${url.protocol}//${url.hostname.toLowerCase()}${pathname}${url.search}`;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Website URLs in a text ("https://..." and "www...."), normalized and deduplicated
+ */
+function extractWebsites(text) {
+  const websites = [];
+  for (const match of String(text || '').matchAll(/(?<![@\w.])(?:https?:\/\/|www\.)[^\s<>"'()[\]]+/gi)) {
+    const website = normalizeWebsite(match[0]);
+    if (website && !websites.includes(website)) websites.push(website);
+  }
+  return websites;
+}
+
+module.exports = {
+  parseNumber,
+  parseBudget,
+  parseDeadline,
+  normalizePhone,
+  phoneCandidates,
+  extractPhones,
+  normalizeWebsite,
+  extractWebsites,
+  CURRENCY_CODES,
+  PHONE_COUNTRIES,
+  DEFAULT_PHONE_COUNTRY
+};
@@ -0,0 +1,168 @@
+/**
+ * Extraction Module
+ * Asks the model of the "classification" LLM task for a structured reading of a lead's
+ * message and validates the answer against a fixed schema
+ *
+ * Used by the Analyzer when ANALYSIS_MODE=llm. Every field is validated on
+ * its own: an invalid or missing field is dropped (the Analyzer fills it from
+ * the regex extractors) instead of discarding the whole answer.
+ * Personal data is redacted before the call and restored in the fields.
+ */
+
+const Redactor = require('./redaction');
+const LlmClient = require('./llm');
+
+const INTENTS = [
+  'project_inquiry', 'quote_request', 'information_request', 'partnership',
+  'support', 'job_application', 'notification', 'spam', 'other'
+];
+const URGENCIES = ['low', 'medium', 'high'];
+
+const isString = (v) => typeof v === 'string' && v.trim() !== '';
+
+/**
+ * Field validators: value -> cleaned value, or undefined when invalid
+ * null is a valid answer ("not mentioned") for the optional fields
+ */
+const SCHEMA = {
+  intent: {
+    description: `one of ${INTENTS.join(', ')}`,
+    validate: (v) => (INTENTS.includes(v) ? v : undefined)
+  },
+  services: {
+    description: 'array of short service names the sender asks about (e.g. "website", "SEO"), [] if none',
+    validate: (v) => (Array.isArray(v) && v.every(isString) ? [...new Set(v.map(s => s.trim()))] : undefined)
+  },
+  budget: {
+    description: '{ "amount": number, "currency": ISO 4217 code or null } or null when no budget is given',
+    validate: (v) => {
+      if (v === null) return null;
+      if (typeof v !== 'object' || typeof v.amount !== 'number' || !Number.isFinite(v.amount) || v.amount < 0) return undefined;
+      if (v.currency != null && !/^[A-Z]{3}$/.test(v.currency)) return undefined;
+      return { amount: v.amount, currency: v.currency ?? null };
+    }
+  },
+  deadline: {
+    description: 'ISO date (YYYY-MM-DD) the sender needs it by, or null',
+    validate: (v) => {
+      if (v === null) return null;
+      if (!isString(v) || !/^\d{4}-\d{2}-\d{2}$/.test(v) || Number.isNaN(Date.parse(v))) return undefined;
+      return v;
+    }
+  },
+  urgency: {
+    description: `one of ${URGENCIES.join(', ')}`,
+    validate: (v) => (URGENCIES.includes(v) ? v : undefined)
+  },
+  questions: {
+    description: 'array with each question the sender asks, verbatim, [] if none',
+    validate: (v) => (Array.isArray(v) && v.every(isString) ? v.map(q => q.trim()) : undefined)
+  }
+};
+
+/**
+ * Validate a model answer field by field
+ * Returns { fields (valid ones only), errors: [field names] }
+ */
+function validate(answer) {
+  const fields = {};
+  const errors = [];
+
+  if (!answer || typeof answer !== 'object' || Array.isArray(answer)) {
+    return { fields, errors: Object.keys(SCHEMA) };
+  }
+
+  for (const [name, { validate: check }] of Object.entries(SCHEMA)) {
+    const value = name in answer ? check(answer[name]) : undefined;
+    if (value === undefined) errors.push(name);
+    else fields[name] = value;
+  }
+
+  return { fields, errors };
+}
+
+/**
+ * JSON object in a model reply (tolerates code fences and surrounding prose)
+ */
+function parseJson(text) {
+  const raw = String(text || '').trim().replace(/^```(?:json)?\s*|\s*```$/g, '');
+  try {
+    return JSON.parse(raw);
+  } catch {
+    const start = raw.indexOf('{');
+    const end = raw.lastIndexOf('}');
+    if (start < 0 || end <= start) throw new Error('Model reply is not JSON');
+    return JSON.parse(raw.slice(start, end + 1));
+  }
+}
+
+class LlmExtractor {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.redactor = new Redactor(config, logger);
+    this.llm = new LlmClient(config, logger);
+  }
+
+  get enabled() {
+    return String(this.config.ANALYSIS_MODE || '').toLowerCase() === 'llm';
+  }
+
+  buildPrompt(emailData) {
+    const schema = Object.entries(SCHEMA).map(([name, f]) => `  "${name}": ${f.description}`).join('\n');
+    // Same reference date as Analyzer.extractTimeline: when the email arrived (imports and rescoring run later)
+    const received = emailData.receivedAt ? new Date(emailData.receivedAt) : new Date();
+    const today = (Number.isNaN(received.getTime()) ? new Date() : received).toISOString().slice(0, 10);
+
+    return `Read the inbound sales email below and answer with ONE JSON object with exactly these keys:
+${schema}
+
+Rules:
+- Use only what the email says; use null or [] when something is not stated.
+- Resolve relative deadlines ("next month", "para marzo") against the date the email was received: ${today}.
+- Return JSON only, no commentary.
+
+Subject: ${emailData.subject || ''}
+Company: ${emailData.company || ''}
+Service field: ${emailData.service || ''}
+Message:
+${String(emailData.message || '').slice(0, 6000)}
+`;
+  }
+
+  /**
+   * Call the model with a JSON response type and return its text
+   */
+  async callModel(prompt) {
+    const { text } = await this.llm.generate('classification', { prompt, json: true });
+    return text;
+  }
+
+  /**
+   * Structured fields for an email: { fields, errors }
+   * Throws when the model can't be reached or doesn't answer with JSON
+   */
+  async extract(emailData) {
+    const redaction = this.redactor.session();
+    const prompt = this.buildPrompt({
+      ...emailData,
+      subject: redaction.redact(emailData.subject),
+      message: redaction.redact(emailData.message)
+    });
+    this.redactor.report(redaction, { gmailId: emailData.gmailId });
+
+    const text = await this.callModel(prompt);
+    const result = validate(parseJson(text));
+    result.fields = redaction.restore(result.fields);
+
+    if (result.errors.length > 0) {
+      this.logger.warn('Model extraction has invalid fields', { gmailId: emailData.gmailId, fields: result.errors });
+    }
+    return result;
+  }
+}
+
+module.exports = LlmExtractor;
+module.exports.SCHEMA = SCHEMA;
+module.exports.validate = validate;
+module.exports.parseJson = parseJson;
@@ -1,12 +1,282 @@
 /**
  * FollowUp Module
  * Handles follow-up sequence automation
+ * Leads whose address bounced get no further follow-ups (see BounceStore)
+ * FOLLOWUP_MODE=llm writes the copy with the "followup" LLM task; the
+ * templates below stay as the default and the fallback when the model fails.
  */
 
 const fs = require('fs');
 const path = require('path');
 const jsonfile = require('jsonfile');
 const { v4: uuidv4 } = require('uuid');
+const { detectLanguage, languageName } = require('./language');
+const BounceStore = require('./bounces');
+const Redactor = require('./redaction');
+const LlmClient = require('./llm');
+const PromptLibrary = require('./prompts');
+
+// Follow-up copy per language: subject prefix, fillers and one template per follow-up number
+const FOLLOWUP_TEMPLATES = {
+  es: {
+    subject: 'Seguimiento',
+    defaults: { company: 'tu empresa', service: 'nuestros servicios', subject: 'Consulta' },
+    1: ({ company, service }) => `
+Hola,
+
+Hace unos días te escribí respecto a ${service} para ${company}.
+
+Quería saber si tuviste la oportunidad de revisar mi mensaje o si tienes alguna pregunta que pueda responder.
+
+Quedo a tu disposición.
+
+Saludos,
+Equipo MDX.so
+`,
+    2: ({ company, service }) => `
+Hola ${company},
+
+Solo quería hacer seguimiento a mi mensaje anterior sobre ${service}.
+
+Entendemos que los tiempos pueden estar ocupados, pero nos encantaría tener la oportunidad de mostrarte cómo podemos ayudarte.
+
+¿Te gustaría agendar una breve llamada de 15 minutos esta semana?
+
+Saludos,
+Equipo MDX.so
+`,
+    3: ({ service }) => `
+Hola,
+
+Comprendo que quizás ${service} no sea lo que buscan en este momento.
+
+Solo quería agradecerte por el interés inicial en MDX.so y dejarte mi contacto por si surge algo en el futuro:
+
+📧 Hello@mdx.so
+🌐 mdx.so
+
+¡Éxito con tu proyecto!
+
+Saludos,
+Equipo MDX.so
+`
+  },
+  en: {
+    subject: 'Follow-up',
+    defaults: { company: 'your company', service: 'our services', subject: 'Your inquiry' },
+    1: ({ company, service }) => `
+Hello,
+
+I wrote to you a few days ago about ${service} for ${company}.
+
+I wanted to check whether you had a chance to review my message or if you have any questions I can answer.
+
+Happy to help.
+
+Best regards,
+MDX.so Team
+`,
+    2: ({ company, service }) => `
+Hello ${company},
+
+Just following up on my previous message about ${service}.
+
+We know things can get busy, but we would love the chance to show you how we can help.
+
+Would you like to schedule a short 15-minute call this week?
+
+Best regards,
+MDX.so Team
+`,
+    3: ({ service }) => `
+Hello,
+
+I understand that ${service} may not be what you are looking for right now.
+
+I just wanted to thank you for your initial interest in MDX.so and leave you my contact in case anything comes up in the future:
+
+📧 Hello@mdx.so
+🌐 mdx.so
+
+Best of luck with your project!
+
+Best regards,
+MDX.so Team
+`
+  },
+  pt: {
+    subject: 'Acompanhamento',
+    defaults: { company: 'sua empresa', service: 'nossos serviços', subject: 'Consulta' },
+    1: ({ company, service }) => `
+Olá,
+
+Há alguns dias escrevi para você sobre ${service} para ${company}.
+
+Gostaria de saber se teve a oportunidade de ler a minha mensagem ou se tem alguma pergunta que eu possa responder.
+
+Fico à disposição.
+
+Atenciosamente,
+Equipe MDX.so
+`,
+    2: ({ company, service }) => `
+Olá ${company},
+
+Só queria dar seguimento à minha mensagem anterior sobre ${service}.
+
+Sabemos que a agenda pode estar cheia, mas adoraríamos ter a oportunidade de mostrar como podemos ajudar.
+
+Gostaria de agendar uma breve chamada de 15 minutos esta semana?
+
+Atenciosamente,
+Equipe MDX.so
+`,
+    3: ({ service }) => `
+Olá,
+
+Entendo que talvez ${service} não seja o que procuram neste momento.
+
+Só queria agradecer pelo interesse inicial na MDX.so e deixar o meu contato caso surja algo no futuro:
+
+📧 Hello@mdx.so
+🌐 mdx.so
+
+Sucesso com o seu projeto!
+
+Atenciosamente,
+Equipe MDX.so
+`
+  },
+  fr: {
+    subject: 'Relance',
+    defaults: { company: 'votre entreprise', service: 'nos services', subject: 'Votre demande' },
+    1: ({ company, service }) => `
+Bonjour,
+
+Je vous ai écrit il y a quelques jours au sujet de ${service} pour ${company}.
+
+Je voulais savoir si vous aviez eu l'occasion de lire mon message ou si vous avez des questions auxquelles je peux répondre.
+
+Je reste à votre disposition.
+
+Cordialement,
+L'équipe MDX.so
+`,
+    2: ({ company, service }) => `
+Bonjour ${company},
+
+Je me permets de revenir vers vous concernant mon précédent message sur ${service}.
+
+Nous savons que les agendas sont chargés, mais nous serions ravis de vous montrer comment nous pouvons vous aider.
+
+Seriez-vous disponible pour un court appel de 15 minutes cette semaine ?
+
+Cordialement,
+L'équipe MDX.so
+`,
+    3: ({ service }) => `
+Bonjour,
+
+Je comprends que ${service} ne correspond peut-être pas à vos besoins actuels.
+
+Je tenais simplement à vous remercier pour votre intérêt pour MDX.so et à vous laisser mes coordonnées si un besoin se présente à l'avenir :
+
+📧 Hello@mdx.so
+🌐 mdx.so
+
+Bonne réussite pour votre projet !
+
+Cordialement,
+L'équipe MDX.so
+`
+  },
+  de: {
+    subject: 'Nachfrage',
+    defaults: { company: 'Ihr Unternehmen', service: 'unsere Leistungen', subject: 'Ihre Anfrage' },
+    1: ({ company, service }) => `
+Hallo,
+
+vor einigen Tagen habe ich Ihnen wegen ${service} für ${company} geschrieben.
+
+Ich wollte nachfragen, ob Sie meine Nachricht lesen konnten oder ob Sie Fragen haben, die ich beantworten kann.
+
+Ich stehe Ihnen gerne zur Verfügung.
+
+Viele Grüße
+Ihr MDX.so Team
+`,
+    2: ({ company, service }) => `
+Hallo ${company},
+
+ich wollte kurz an meine letzte Nachricht zu ${service} erinnern.
+
+Wir wissen, dass der Kalender oft voll ist, würden Ihnen aber gerne zeigen, wie wir Ihnen helfen können.
+
+Hätten Sie diese Woche Zeit für ein kurzes Gespräch von 15 Minuten?
+
+Viele Grüße
+Ihr MDX.so Team
+`,
+    3: ({ service }) => `
+Hallo,
+
+ich verstehe, dass ${service} im Moment vielleicht nicht das Richtige für Sie ist.
+
+Ich möchte mich für Ihr Interesse an MDX.so bedanken und Ihnen meine Kontaktdaten dalassen, falls sich in Zukunft etwas ergibt:
+
+📧 Hello@mdx.so
+🌐 mdx.so
+
+Viel Erfolg mit Ihrem Projekt!
+
+Viele Grüße
+Ihr MDX.so Team
+`
+  },
+  it: {
+    subject: 'Follow-up',
+    defaults: { company: 'la sua azienda', service: 'i nostri servizi', subject: 'La sua richiesta' },
+    1: ({ company, service }) => `
+Buongiorno,
+
+qualche giorno fa le ho scritto riguardo a ${service} per ${company}.
+
+Volevo sapere se ha avuto modo di leggere il mio messaggio o se ha domande a cui posso rispondere.
+
+Resto a disposizione.
+
+Cordiali saluti,
+Il team di MDX.so
+`,
+    2: ({ company, service }) => `
+Buongiorno ${company},
+
+volevo riprendere il mio messaggio precedente su ${service}.
+
+Sappiamo che le agende sono piene, ma ci piacerebbe avere l'occasione di mostrarle come possiamo aiutarla.
+
+Le andrebbe di fissare una breve chiamata di 15 minuti questa settimana?
+
+Cordiali saluti,
+Il team di MDX.so
+`,
+    3: ({ service }) => `
+Buongiorno,
+
+capisco che forse ${service} non sia ciò che cercate in questo momento.
+
+Volevo solo ringraziarla per l'interesse iniziale in MDX.so e lasciarle i miei contatti nel caso in futuro dovesse servire qualcosa:
+
+📧 Hello@mdx.so
+🌐 mdx.so
+
+In bocca al lupo per il suo progetto!
+
+Cordiali saluti,
+Il team di MDX.so
+`
+  }
+};
 
 class FollowUp {
   constructor(config, logger) {
@@ -14,6 +284,14 @@ class FollowUp {
     this.logger = logger;
     this.draftsPath = config.draftsPath;
     this.statePath = config.statePath;
+    this.bounces = new BounceStore(config, logger);
+    this.redactor = new Redactor(config, logger);
+    this.llm = new LlmClient(config, logger);
+    this.prompts = new PromptLibrary(config, logger);
+  }
+
+  get usesModel() {
+    return String(this.config.FOLLOWUP_MODE || '').toLowerCase() === 'llm';
   }
 
   /**
@@ -36,25 +314,32 @@ class FollowUp {
       number: followupNumber 
     });
 
-    // Generate follow-up content
-    const followupContent = await this.generateFollowupContent(draft, followupNumber);
+    // Generate follow-up content in the lead's language
+    const language = this.languageOf(draft);
+    const templates = FOLLOWUP_TEMPLATES[language];
+    const written = this.usesModel ? await this.writeWithModel(draft, followupNumber, language) : null;
+    const followupContent = written?.text || await this.generateFollowupContent(draft, followupNumber, language);
 
     const followupDraft = {
       version: '1.0.0',
       id: uuidv4(),
+      mailbox: draft.mailbox || null,
       generatedAt: new Date().toISOString(),
       client: draft.client,
       emailData: {
         gmailId: draft.emailData.gmailId,
         threadId: threadId,
-        subject: `Seguimiento: ${draft.emailData.subject || 'Consulta'}`,
+        subject: `${templates.subject}: ${draft.emailData.subject || templates.defaults.subject}`,
         originalMessage: draft.emailData.originalMessage
       },
       draft: followupContent,
       analysis: {
         messageType: 'followup',
-        followupNumber
+        followupNumber,
+        language
       },
+      generation: written?.generation || null,
+      prompt: written?.prompt || null,
       status: 'pending_review',
       approval: null,
       followups: {
@@ -79,57 +364,58 @@ class FollowUp {
   }
 
   /**
-   * Generate follow-up content based on number
+   * Language of a follow-up: the one stored with the original draft, else detected from the lead's message
    */
-  async generateFollowupContent(draft, number) {
-    const company = draft.client.company || 'tu empresa';
-    const service = draft.client.service || 'nuestros servicios';
-
-    const templates = {
-      1: `
-Hola,
-
-Hace unos días te escribí respecto a ${service} para ${company}.
-
-Quería saber si tuviste la oportunidad de revisar mi mensaje o si tienes alguna pregunta que pueda responder.
-
-Quedo a tu disposición.
-
-Saludos,
-Equipo MDX.so
-`.trim(),
-
-      2: `
-Hola ${company},
-
-Solo quería hacer seguimiento a mi mensaje anterior sobre ${service}.
-
-Entendemos que los tiempos pueden estar ocupados, pero nos encantaría tener la oportunidad de mostrarte cómo podemos ayudarte.
-
-¿Te gustaría agendar una breve llamada de 15 minutos esta semana?
-
-Saludos,
-Equipo MDX.so
-`.trim(),
-
-      3: `
-Hola,
-
-Comprendo que quizás ${service} no sea lo que buscan en este momento.
-
-Solo quería agradecerte por el interés inicial en MDX.so y dejarte mi contacto por si surge algo en el futuro:
+  languageOf(draft) {
+    const stored = draft.analysis?.language;
+    if (FOLLOWUP_TEMPLATES[stored]) return stored;
+    const detected = detectLanguage(draft.emailData?.originalMessage).language;
+    return FOLLOWUP_TEMPLATES[detected] ? detected : 'en';
+  }
 
-📧 Hello@mdx.so
-🌐 mdx.so
+  /**
+   * Generate follow-up content based on number, in the lead's language
+   */
+  async generateFollowupContent(draft, number, language = this.languageOf(draft)) {
+    const templates = FOLLOWUP_TEMPLATES[language] || FOLLOWUP_TEMPLATES.en;
+    const company = draft.client.company || templates.defaults.company;
+    const service = draft.client.service || templates.defaults.service;
 
-¡Éxito con tu proyecto!
+    return (templates[number] || templates[1])({ company, service }).trim();
+  }
 
-Saludos,
-Equipo MDX.so
-`.trim()
-    };
+  /**
+   * Write the follow-up with the "followup" task's model
+   * Returns { text, generation, prompt }, or null when the model fails (the caller uses the template)
+   */
+  async writeWithModel(draft, number, language) {
+    const redaction = this.redactor.session();
+    const originalMessage = redaction.redact(draft.emailData?.originalMessage);
+    const previousReply = redaction.redact(draft.draft);
+    this.redactor.report(redaction, { draftId: draft.id });
+
+    const { text: prompt, ...promptVersion } = await this.prompts.build('followup', draft.emailData?.threadId || draft.id, {
+      number,
+      language: languageName(language),
+      name: draft.client?.name || 'Prospect',
+      company: draft.client?.company || 'Not specified',
+      message: originalMessage || 'No content',
+      previousDraft: previousReply || 'No previous reply',
+      finalNote: number === 3 ? '- This is the last follow-up: say we will not write again unless they reply.\n' : '',
+      redactionRules: redaction.instructions()
+    });
 
-    return templates[number] || templates[1];
+    try {
+      const { text, task, provider, model, finishReason, attempts, continuations, failures } = await this.llm.generate('followup', { prompt });
+      return {
+        text: redaction.restore(text.trim()),
+        generation: { task, provider, model, finishReason, attempts, continuations, failures },
+        prompt: promptVersion
+      };
+    } catch (error) {
+      this.logger.warn('Follow-up model failed; using the template', { draftId: draft.id, number, error: error.message });
+      return null;
+    }
   }
 
   /**
@@ -209,10 +495,16 @@ Equipo MDX.so
 
   /**
    * Check for due follow-ups
+   * Stopped sequences and bounced addresses are left out
    */
   async checkDueFollowups() {
     const drafts = await this.loadAllDrafts();
-    const sentDrafts = drafts.filter(d => d.status === 'sent' && d.sentAt);
+    const bounced = await this.bounces.findBounced(drafts.map(d => d.client?.email));
+    const sentDrafts = drafts.filter(d =>
+      d.status === 'sent' && d.sentAt &&
+      !d.followups?.stopped &&
+      !bounced.has(String(d.client?.email || '').toLowerCase())
+    );
     
     const dueFollowups = [];
     const days = this.config.followupDays || [3, 5, 6];
@@ -241,6 +533,70 @@ Equipo MDX.so
 
     return dueFollowups;
   }
+
+  /**
+   * Generate drafts for due follow-ups that don't have one yet
+   * (a follow-up stays "due" until it is sent, so this must be idempotent)
+   */
+  async createDue() {
+    const due = await this.checkDueFollowups();
+    const drafts = await this.loadAllDrafts();
+
+    const created = [];
+    const failed = [];
+    for (const item of due) {
+      const exists = drafts.some(d =>
+        d.followups?.isFollowup &&
+        d.followups.parentDraftId === item.draftId &&
+        d.followups.followupNumber === item.number &&
+        d.status !== 'rejected'
+      );
+      if (exists) continue;
+
+      try {
+        const draft = await this.generate(item.threadId, item.number);
+        created.push({ draftId: draft.id, parentDraftId: item.draftId, number: item.number });
+      } catch (error) {
+        this.logger.error('Failed to create follow-up', { ...item, error: error.message });
+        failed.push({ ...item, error: error.message });
+      }
+    }
+
+    return { due: due.length, created, failed };
+  }
+
+  /**
+   * Stop the follow-up sequence of an address (its mail bounced)
+   * Unsent follow-up drafts are archived and the original drafts are marked
+   * stopped so no new ones become due. Returns { cancelled, stopped }.
+   */
+  async cancelFor(email, reason = 'bounce') {
+    const address = String(email || '').trim().toLowerCase();
+    if (!address) return { cancelled: 0, stopped: 0 };
+
+    const stop = { reason, at: new Date().toISOString() };
+    let cancelled = 0;
+    let stopped = 0;
+    for (const draft of await this.loadAllDrafts()) {
+      if (String(draft.client?.email || '').toLowerCase() !== address) continue;
+
+      if (draft.followups?.isFollowup) {
+        if (!['pending_review', 'needs_revision', 'approved'].includes(draft.status)) continue;
+        draft.status = 'archived';
+        draft.followups.cancelled = stop;
+        cancelled++;
+      } else {
+        if (draft.followups?.stopped) continue;
+        draft.followups = { ...draft.followups, stopped: stop };
+        stopped++;
+      }
+      draft.updatedAt = stop.at;
+      await this.saveDraft(draft);
+    }
+
+    this.logger.info('Follow-ups stopped', { email: address, reason, cancelled, stopped });
+    return { cancelled, stopped };
+  }
 }
 
 module.exports = FollowUp;
@@ -0,0 +1,197 @@
+/**
+ * Form Parsers Module
+ * Registry of contact-form notification parsers (Webflow, CF7, Typeform, HubSpot...)
+ *
+ * Parsers are defined in config/form-parsers.json. Each one has a match rule
+ * (regexes on from/subject/body, all of which must match) and a field mapping:
+ *   - a list of labels ("Name", "Full Name"...) read as `Label: value` lines,
+ *     or as a label line followed by the value when layout is "stacked"
+ *   - or { "pattern": "...", "flags": "i" } where capture group 1 is the value
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const EMAIL_RE = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/i;
+
+// Legacy layout; always available as the last resort
+const GENERIC_PARSER = {
+  id: 'generic',
+  name: 'Generic Name:/Email: layout',
+  match: {},
+  fields: {
+    email: { pattern: 'Email:\\s*([^\\n\\r]+)' },
+    name: { pattern: 'Name:\\s*([^\\n\\r]+)' },
+    company: { pattern: 'Company:\\s*([^\\n\\r]+)' },
+    service: { pattern: 'Service:\\s*([^\\n\\r]+)' },
+    message: { pattern: 'Message:\\s*([\\s\\S]*?)(?=\\n\\n|$)' }
+  }
+};
+
+const escapeRegex = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class FormParserRegistry {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.parsers = this.load();
+  }
+
+  /**
+   * Load and compile parsers from config
+   */
+  load() {
+    const configPath = this.config.FORM_PARSERS_PATH ||
+      path.join(__dirname, '..', 'config', 'form-parsers.json');
+
+    let defined = [];
+    if (fs.existsSync(configPath)) {
+      try {
+        defined = JSON.parse(fs.readFileSync(configPath, 'utf8')).parsers || [];
+      } catch (error) {
+        this.logger.error('Failed to load form parsers', { configPath, error: error.message });
+      }
+    }
+
+    const parsers = [];
+    for (const def of defined) {
+      try {
+        parsers.push(this.compile(def));
+      } catch (error) {
+        this.logger.warn('Skipping invalid form parser', { id: def?.id, error: error.message });
+      }
+    }
+
+    if (!parsers.some(p => p.id === GENERIC_PARSER.id)) {
+      parsers.push(this.compile(GENERIC_PARSER));
+    }
+
+    return parsers;
+  }
+
+  compile(def) {
+    if (!def?.id) throw new Error('Parser id is required');
+
+    const match = {};
+    for (const key of ['from', 'subject', 'body']) {
+      if (def.match?.[key]) match[key] = new RegExp(def.match[key], 'i');
+    }
+
+    const fields = {};
+    const labels = [];
+    for (const [field, spec] of Object.entries(def.fields || {})) {
+      if (Array.isArray(spec)) {
+        fields[field] = { labels: spec };
+        labels.push(...spec);
+      } else if (spec?.pattern) {
+        fields[field] = { pattern: new RegExp(spec.pattern, spec.flags || 'i') };
+      }
+    }
+
+    // Any known label starts a new field; used to end multi-line values
+    const layout = def.layout || 'inline';
+    const alternatives = labels.map(escapeRegex).join('|');
+    const boundary = labels.length
+      ? new RegExp(layout === 'stacked'
+        ? `^\\s*[*_]*(?:${alternatives})[*_]*\\s*[:：]?\\s*$`
+        : `^\\s*[*_]*(?:${alternatives})[*_]*\\s*[:：]`, 'i')
+      : null;
+
+    return {
+      id: def.id,
+      name: def.name || def.id,
+      layout,
+      senderIsPlatform: !!def.senderIsPlatform,
+      multiline: def.multiline || ['message'],
+      match,
+      fields,
+      boundary
+    };
+  }
+
+  /**
+   * Find the first parser whose match rule accepts the message
+   */
+  match({ body = '', from = '', subject = '' } = {}) {
+    const input = { body, from, subject };
+    return this.parsers.find(p =>
+      Object.entries(p.match).every(([key, re]) => re.test(input[key] || ''))
+    );
+  }
+
+  /**
+   * Parse a message with the matching parser
+   * Returns { parser, fields } where fields only holds values found in the body
+   */
+  parse(input = {}) {
+    const parser = this.match(input);
+    const fields = this.extract(parser, input.body || '');
+    return { parser, fields };
+  }
+
+  extract(parser, body) {
+    const lines = body.split(/\r?\n/);
+    const out = {};
+
+    for (const [field, spec] of Object.entries(parser.fields)) {
+      const value = spec.pattern
+        ? body.match(spec.pattern)?.[1]
+        : this.readLabel(parser, lines, spec.labels, parser.multiline.includes(field));
+      if (value && value.trim()) out[field] = value.trim();
+    }
+
+    if (!out.name && (out.firstName || out.lastName)) {
+      out.name = [out.firstName, out.lastName].filter(Boolean).join(' ');
+    }
+    delete out.firstName;
+    delete out.lastName;
+
+    if (out.email) {
+      const email = out.email.match(EMAIL_RE)?.[0];
+      if (email) out.email = email;
+      else delete out.email;
+    }
+
+    return out;
+  }
+
+  readLabel(parser, lines, labels, multiline) {
+    for (const label of labels) {
+      const inline = new RegExp(`^\\s*[*_]*${escapeRegex(label)}[*_]*\\s*[:：]\\s*(.*)$`, 'i');
+      const stacked = new RegExp(`^\\s*[*_]*${escapeRegex(label)}[*_]*\\s*[:：]?\\s*$`, 'i');
+
+      for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        let first = null;
+
+        if (parser.layout === 'stacked' && stacked.test(line)) {
+          first = '';
+        } else {
+          const m = line.match(inline);
+          if (m) first = m[1];
+        }
+        if (first === null) continue;
+
+        if (!multiline) {
+          if (first.trim()) return first.trim();
+          // Value on the next non-empty line (stacked layouts, "Label:\nvalue")
+          const next = lines.slice(i + 1).find(l => l.trim());
+          if (next && !(parser.boundary && parser.boundary.test(next))) return next.trim();
+          continue;
+        }
+
+        const rest = [];
+        for (let j = i + 1; j < lines.length; j++) {
+          if (parser.boundary && parser.boundary.test(lines[j])) break;
+          rest.push(lines[j]);
+        }
+
+        const value = [first, ...rest].join('\n').trim();
+        if (value) return value;
+      }
+    }
+    return null;
+  }
+}
+
+module.exports = FormParserRegistry;
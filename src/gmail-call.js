@@ -0,0 +1,209 @@
+/**
+ * Gmail Call Module
+ * Shared wrapper for Gmail API calls: retries 429/5xx with exponential
+ * backoff and jitter, bounds concurrency and keeps per-call metrics
+ *
+ * googleapis' own retry is turned off on the client so attempts are not
+ * multiplied and every retry shows up in the metrics.
+ */
+
+const DEFAULT_MAX_RETRIES = 5;
+const DEFAULT_BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 32 * 1000;
+const DEFAULT_CONCURRENCY = 5;
+
+const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+// Gmail reports per-user quota exhaustion as 403 with one of these reasons
+const RATE_LIMIT_REASONS = ['rateLimitExceeded', 'userRateLimitExceeded'];
+const NETWORK_ERRORS = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'];
+
+/**
+ * HTTP status of a googleapis/gaxios error (null for network errors)
+ */
+function statusOf(error) {
+  const status = Number(error?.response?.status || error?.status || error?.code);
+  return Number.isInteger(status) && status >= 100 && status < 600 ? status : null;
+}
+
+/**
+ * Whether Gmail rejected the call for quota (nothing was done, always safe to retry)
+ */
+function isRateLimited(error) {
+  const status = statusOf(error);
+  if (status === 429) return true;
+  if (status !== 403) return false;
+
+  const reasons = (error.errors || error.response?.data?.error?.errors || []).map(e => e.reason);
+  return reasons.some(r => RATE_LIMIT_REASONS.includes(r));
+}
+
+/**
+ * Whether a failed call is worth retrying
+ */
+function isRetryable(error) {
+  if (isRateLimited(error)) return true;
+
+  const status = statusOf(error);
+  if (RETRYABLE_STATUSES.includes(status)) return true;
+  return status === null && NETWORK_ERRORS.includes(error?.code);
+}
+
+/**
+ * Delay before retry number `attempt` (0-based): exponential with full jitter,
+ * or the server's Retry-After when it asks for longer
+ */
+function retryDelay(attempt, error, { baseMs = DEFAULT_BASE_DELAY_MS, random = Math.random } = {}) {
+  const ceiling = Math.min(MAX_DELAY_MS, baseMs * 2 ** attempt);
+  const delay = Math.round(random() * ceiling);
+
+  const retryAfter = Number(error?.response?.headers?.['retry-after']);
+  if (Number.isFinite(retryAfter) && retryAfter > 0) {
+    return Math.max(delay, Math.min(MAX_DELAY_MS, retryAfter * 1000));
+  }
+  return delay;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Per-method call counters, shared by every provider in the process
+ */
+class CallMetrics {
+  constructor() {
+    this.reset();
+  }
+
+  reset() {
+    this.methods = {};
+    this.since = new Date().toISOString();
+  }
+
+  entry(method) {
+    if (!this.methods[method]) {
+      this.methods[method] = {
+        calls: 0,
+        succeeded: 0,
+        failed: 0,
+        retries: 0,
+        rateLimited: 0,
+        totalMs: 0,
+        maxMs: 0,
+        lastError: null,
+        lastErrorAt: null
+      };
+    }
+    return this.methods[method];
+  }
+
+  /**
+   * Record a finished call (all attempts included in durationMs)
+   */
+  record(method, { ok, durationMs, retries = 0, rateLimited = 0, error = null }) {
+    const entry = this.entry(method);
+    entry.calls++;
+    entry[ok ? 'succeeded' : 'failed']++;
+    entry.retries += retries;
+    entry.rateLimited += rateLimited;
+    entry.totalMs += durationMs;
+    entry.maxMs = Math.max(entry.maxMs, durationMs);
+    if (error) {
+      entry.lastError = error.message;
+      entry.lastErrorAt = new Date().toISOString();
+    }
+  }
+
+  /**
+   * Totals and per-method stats with average latency
+   */
+  snapshot() {
+    const methods = {};
+    const totals = { calls: 0, succeeded: 0, failed: 0, retries: 0, rateLimited: 0 };
+
+    for (const [method, entry] of Object.entries(this.methods)) {
+      methods[method] = { ...entry, avgMs: entry.calls ? Math.round(entry.totalMs / entry.calls) : 0 };
+      for (const key of Object.keys(totals)) totals[key] += entry[key];
+    }
+
+    return { since: this.since, totals, methods };
+  }
+}
+
+const metrics = new CallMetrics();
+
+/**
+ * Run a Gmail API call, retrying transient failures
+ * options: { maxRetries, baseMs, idempotent, logger, metrics, sleep, random }
+ * Non-idempotent calls (sending mail) are only retried on rate limits: a 5xx
+ * may come back after Gmail already acted on the request.
+ */
+async function callGmail(method, fn, options = {}) {
+  const {
+    maxRetries = DEFAULT_MAX_RETRIES,
+    idempotent = true,
+    logger = null,
+    metrics: sink = metrics,
+    sleep: wait = sleep
+  } = options;
+
+  const started = Date.now();
+  let retries = 0;
+  let rateLimited = 0;
+
+  for (;;) {
+    try {
+      const result = await fn();
+      sink.record(method, { ok: true, durationMs: Date.now() - started, retries, rateLimited });
+      return result;
+    } catch (error) {
+      const limited = isRateLimited(error);
+      if (limited) rateLimited++;
+
+      const retryable = idempotent ? isRetryable(error) : limited;
+      if (retries >= maxRetries || !retryable) {
+        sink.record(method, { ok: false, durationMs: Date.now() - started, retries, rateLimited, error });
+        throw error;
+      }
+
+      const delay = retryDelay(retries, error, options);
+      logger?.warn('Gmail call failed, retrying', {
+        method,
+        status: statusOf(error) || error.code,
+        attempt: retries + 1,
+        delayMs: delay
+      });
+      retries++;
+      await wait(delay);
+    }
+  }
+}
+
+/**
+ * Map items with at most `limit` calls in flight; results keep input order
+ */
+async function mapLimit(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const size = Math.max(1, Math.min(parseInt(limit, 10) || DEFAULT_CONCURRENCY, items.length));
+  await Promise.all(Array.from({ length: size }, worker));
+  return results;
+}
+
+module.exports = {
+  callGmail,
+  mapLimit,
+  isRetryable,
+  isRateLimited,
+  retryDelay,
+  statusOf,
+  metrics,
+  CallMetrics,
+  DEFAULT_CONCURRENCY
+};
@@ -0,0 +1,204 @@
+/**
+ * Importer Module
+ * Offline import of .eml files, directories of them and mbox archives
+ *
+ * Messages go through the same path as mailbox ingestion (extractBody,
+ * parseLeadForm, Analyzer.run) and are keyed by a hash of their source in
+ * the processed ledger, so importing the same export twice is safe.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { parseRawMessage } = require('./mime');
+const { parseBounce } = require('./automail');
+const { threadIdFor } = require('./providers/imap');
+
+const EML_EXTENSIONS = ['.eml'];
+const MBOX_EXTENSIONS = ['.mbox', '.mbx'];
+
+/**
+ * Split an mbox archive into raw messages (mboxo/mboxrd)
+ */
+function splitMbox(buffer) {
+  // latin1 keeps every byte; charsets are decoded per part later
+  const lines = buffer.toString('latin1').split(/\r?\n/);
+  const messages = [];
+  let current = null;
+
+  lines.forEach((line, i) => {
+    // A "From " line after a blank line (or at the start) begins a new message
+    if (line.startsWith('From ') && (i === 0 || lines[i - 1] === '')) {
+      if (current) messages.push(current);
+      current = [];
+      return;
+    }
+    if (current) current.push(line.replace(/^>(>*From )/, '$1'));
+  });
+  if (current) messages.push(current);
+
+  return messages.map(msgLines => {
+    // Drop the blank separator line before the next "From "
+    if (msgLines[msgLines.length - 1] === '') msgLines.pop();
+    return Buffer.from(msgLines.join('\n'), 'latin1');
+  });
+}
+
+/**
+ * Whether a file is an mbox archive (by extension or leading "From " line)
+ */
+function isMbox(filePath) {
+  if (MBOX_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) return true;
+  if (EML_EXTENSIONS.includes(path.extname(filePath).toLowerCase())) return false;
+
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const head = Buffer.alloc(5);
+    fs.readSync(fd, head, 0, 5, 0);
+    return head.toString('latin1') === 'From ';
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+class Importer {
+  /**
+   * deps: { ingestor, analyzer, drafter, ledger, leads, drafts } (EmailBot modules)
+   */
+  constructor(config, logger, deps) {
+    this.config = config;
+    this.logger = logger;
+    this.ingestor = deps.ingestor;
+    this.analyzer = deps.analyzer;
+    this.drafter = deps.drafter;
+    this.ledger = deps.ledger;
+    this.leads = deps.leads;
+    this.drafts = deps.drafts;
+  }
+
+  /**
+   * Files to import: a single file, or .eml/.mbox files under a directory
+   */
+  collectFiles(inputPath) {
+    if (!fs.existsSync(inputPath)) {
+      throw new Error(`Path not found: ${inputPath}`);
+    }
+
+    if (fs.statSync(inputPath).isFile()) return [inputPath];
+
+    const files = [];
+    for (const entry of fs.readdirSync(inputPath, { withFileTypes: true })) {
+      const fullPath = path.join(inputPath, entry.name);
+      if (entry.isDirectory()) {
+        files.push(...this.collectFiles(fullPath));
+      } else if ([...EML_EXTENSIONS, ...MBOX_EXTENSIONS].includes(path.extname(entry.name).toLowerCase())) {
+        files.push(fullPath);
+      }
+    }
+    return files.sort();
+  }
+
+  /**
+   * Raw messages of a file: [{ source, raw }]
+   */
+  readMessages(filePath) {
+    const buffer = fs.readFileSync(filePath);
+
+    if (isMbox(filePath)) {
+      return splitMbox(buffer).map((raw, i) => ({ source: `${filePath}#${i + 1}`, raw }));
+    }
+    return [{ source: filePath, raw: buffer }];
+  }
+
+  /**
+   * Import messages from a path
+   * options: { dryRun, drafts, limit }
+   */
+  async run(inputPath, options = {}) {
+    const { dryRun = false, drafts = false, limit = Infinity } = options;
+    const files = this.collectFiles(inputPath);
+
+    this.logger.info('Starting import', { path: inputPath, files: files.length, dryRun, drafts });
+
+    const leads = [];
+    const skipped = [];
+    const createdDrafts = [];
+    let total = 0;
+
+    for (const file of files) {
+      if (leads.length >= limit) break;
+
+      for (const { source, raw } of this.readMessages(file)) {
+        if (leads.length >= limit) break;
+        total++;
+
+        // Stable id per message source so re-imports are recognised
+        const id = `import-${crypto.createHash('sha1').update(raw).digest('hex').slice(0, 20)}`;
+
+        if (await this.ledger.has(id)) {
+          skipped.push({ source, id, reason: 'already_processed' });
+          continue;
+        }
+
+        let emailData;
+        let bounce;
+        try {
+          const message = parseRawMessage(raw);
+          // Old bounces in an export say nothing about the address today: skipped, not recorded as invalid
+          bounce = parseBounce(message);
+          emailData = bounce ? null : this.ingestor.buildEmailData(message, id);
+          if (emailData) {
+            emailData.threadId = threadIdFor(message.payload.headers) || id;
+            // Exports carry no mailbox state: judge each message on its own
+            Object.assign(emailData, { isLatest: true, alreadyReplied: false, draftExists: false, alreadyProcessed: false });
+          }
+        } catch (error) {
+          this.logger.error('Failed to parse imported message', { source, error: error.message });
+          skipped.push({ source, id, reason: 'error', error: error.message });
+          continue;
+        }
+
+        if (bounce) {
+          skipped.push({ source, id, reason: 'bounce', email: bounce.recipient });
+          if (!dryRun) await this.ledger.record(id, { email: bounce.recipient, outcome: 'bounce' });
+          continue;
+        }
+
+        if (!emailData) {
+          skipped.push({ source, id, reason: 'no_email' });
+          if (!dryRun) await this.ledger.record(id, { outcome: 'no_email' });
+          continue;
+        }
+
+        const analysis = await this.analyzer.run(emailData);
+        leads.push({ source, lead: emailData, classification: analysis.classification });
+
+        if (dryRun) continue;
+
+        await this.leads.saveIngested([emailData], 'import');
+        await this.ledger.record(id, { threadId: emailData.threadId, email: emailData.email, outcome: 'lead' });
+
+        if (drafts && !analysis.eligibility.eligible) {
+          this.logger.info('Not drafting ineligible import', { source, issues: analysis.eligibility.issues });
+        } else if (drafts) {
+          const draft = await this.drafter.generate(analysis);
+          if (this.drafts.enabled) await this.drafts.upsert(draft);
+          createdDrafts.push({ source, draftId: draft.id, email: emailData.email });
+        }
+      }
+    }
+
+    this.logger.info('Import complete', {
+      messages: total,
+      leads: leads.length,
+      skipped: skipped.length,
+      drafts: createdDrafts.length,
+      dryRun
+    });
+
+    return { files: files.length, messages: total, leads, skipped, drafts: createdDrafts, dryRun };
+  }
+}
+
+module.exports = Importer;
+module.exports.splitMbox = splitMbox;
@@ -17,28 +17,83 @@ const Sender = require('./sender');
 const NotionSync = require('./notion');
 const FollowUp = require('./followup');
 const Dashboard = require('./dashboard');
+const GmailWatch = require('./watch');
+const Importer = require('./importer');
+const LeadStore = require('./leads');
+const DraftStore = require('./draft-store');
+const Scheduler = require('./scheduler');
+const JobStore = require('./job-store');
+const IngestRunStore = require('./ingest-runs');
+const MailboxRegistry = require('./mailboxes');
+const Classifier = require('./classifier');
+const KnowledgeBase = require('./knowledge');
+const { parseRawMessage, getHeader, decodeEncodedWords } = require('./mime');
+const { cleanBody } = require('./body-cleaner');
 
 class EmailBot {
   constructor(config = {}) {
     this.config = { ...config, ...this.loadEnvConfig() };
     this.logger = this.createLogger();
+    this.mailboxes = new MailboxRegistry(this.config, this.logger);
+    this.mailboxModules = new Map();
+    // One run history for every mailbox (runs carry their mailbox id)
+    this.ingestRuns = new IngestRunStore(this.config, this.logger);
+    // Ingestors store their leads before recording messages as processed
+    this.leads = new LeadStore(this.config, this.logger);
     
-    // Initialize modules
-    this.ingestor = new Ingestor(this.config, this.logger);
+    // Initialize modules (mailbox-bound ones use the default mailbox; see forMailbox)
+    const mailbox = this.forMailbox();
+    this.ingestor = mailbox.ingestor;
     this.analyzer = new Analyzer(this.config, this.logger);
-    this.drafter = new Drafter(this.config, this.logger);
+    this.drafter = mailbox.drafter;
     this.approver = new Approver(this.config, this.logger);
     this.sender = new Sender(this.config, this.logger);
-    this.notion = new NotionSync(this.config, this.logger);
+    this.notion = mailbox.notion;
     this.followup = new FollowUp(this.config, this.logger);
     this.dashboard = new Dashboard(this.config, this.logger);
+    this.watch = mailbox.watch;
+    this.knowledge = new KnowledgeBase(this.config, this.logger);
+    this.importer = new Importer(this.config, this.logger, {
+      ingestor: this.ingestor,
+      analyzer: this.analyzer,
+      drafter: this.drafter,
+      ledger: this.ingestor.ledger,
+      leads: this.leads,
+      drafts: new DraftStore(this.config, this.logger)
+    });
+    this.scheduler = new Scheduler(this.config, this.logger, {
+      handlers: this.jobHandlers(),
+      store: new JobStore(this.config, this.logger),
+      onRun: (run) => this.emit('job:run', run)
+    });
     
     this.logger.info('EmailBot initialized', { 
       gmailUser: this.config.GMAIL_USER,
+      mailboxes: this.mailboxes.list().map(m => m.id),
       hasNotion: !!this.config.NOTION_KEY
     });
   }
 
+  /**
+   * Modules bound to one mailbox (default mailbox when id is empty)
+   */
+  forMailbox(id) {
+    const mailbox = this.mailboxes.get(id);
+    if (!this.mailboxModules.has(mailbox.id)) {
+      const config = this.mailboxes.configFor(mailbox.id);
+      const ingestor = new Ingestor(config, this.logger, { runs: this.ingestRuns, leads: this.leads });
+      this.mailboxModules.set(mailbox.id, {
+        id: mailbox.id,
+        config,
+        ingestor,
+        drafter: new Drafter(config, this.logger),
+        notion: new NotionSync(config, this.logger),
+        watch: new GmailWatch(config, this.logger, { ingestor })
+      });
+    }
+    return this.mailboxModules.get(mailbox.id);
+  }
+
   loadEnvConfig() {
     return {
       GMAIL_USER: process.env.GMAIL_USER,
@@ -50,10 +105,67 @@ class EmailBot {
       NOTION_LEADS_DB_ID: process.env.NOTION_LEADS_DB_ID,
       NOTION_FOLLOWUPS_DB_ID: process.env.NOTION_FOLLOWUPS_DB_ID || process.env.NOTION_LEADS_DB_ID, // Misma DB por defecto
       MODEL_ROUTER_URL: process.env.MODEL_ROUTER_URL || 'http://localhost:8080',
-      // Gemini (direct) - used by Drafter
+      // Gemini provider (config/llm.json)
       GEMINI_API_KEY: process.env.GEMINI_API_KEY,
       GEMINI_MODEL: process.env.GEMINI_MODEL,
       EMAIL_DRAFT_TASK_TIMEOUT: parseInt(process.env.EMAIL_DRAFT_TASK_TIMEOUT) || 300,
+      // Gmail push notifications (users.watch -> Pub/Sub -> POST /api/gmail/push)
+      GMAIL_PUBSUB_TOPIC: process.env.GMAIL_PUBSUB_TOPIC,
+      GMAIL_WATCH_LABELS: process.env.GMAIL_WATCH_LABELS ? process.env.GMAIL_WATCH_LABELS.split(',').map(l => l.trim()).filter(Boolean) : undefined,
+      GMAIL_WATCH_FILTER: process.env.GMAIL_WATCH_FILTER,
+      GMAIL_PUSH_TOKEN: process.env.GMAIL_PUSH_TOKEN,
+      GMAIL_PROCESSED_LABEL: process.env.GMAIL_PROCESSED_LABEL,
+      // Gmail API resilience: retries with backoff on 429/5xx, parallel fetches, batch requests
+      GMAIL_MAX_RETRIES: this.parseInteger(process.env.GMAIL_MAX_RETRIES),
+      GMAIL_RETRY_BASE_MS: this.parseInteger(process.env.GMAIL_RETRY_BASE_MS),
+      GMAIL_CONCURRENCY: this.parseInteger(process.env.GMAIL_CONCURRENCY),
+      GMAIL_BATCH_REQUESTS: this.parseBoolean(process.env.GMAIL_BATCH_REQUESTS) ?? false,
+      // Several inboxes: config/mailboxes.json (without it, the GMAIL_*/IMAP_* vars describe the only one)
+      MAILBOXES_PATH: process.env.MAILBOXES_PATH,
+      INGEST_FILTER: process.env.INGEST_FILTER,
+      // Scheduled jobs (config/scheduler.json); SCHEDULER_ENABLED=false keeps this process from running them
+      SCHEDULER_ENABLED: this.parseBoolean(process.env.SCHEDULER_ENABLED) ?? true,
+      SCHEDULER_CONFIG_PATH: process.env.SCHEDULER_CONFIG_PATH,
+      // Lead scoring factors and weights (config/scoring.json)
+      SCORING_CONFIG_PATH: process.env.SCORING_CONFIG_PATH,
+      // Ordered classification rules shared by Analyzer and Drafter (config/classification-rules.json)
+      CLASSIFICATION_RULES_PATH: process.env.CLASSIFICATION_RULES_PATH,
+      // Structured extraction: 'rules' (regex) or 'llm' (model JSON, regex as fallback per field)
+      ANALYSIS_MODE: (process.env.ANALYSIS_MODE || 'rules').toLowerCase(),
+      ANALYSIS_MODEL: process.env.ANALYSIS_MODEL,
+      ANALYSIS_TIMEOUT_MS: this.parseInteger(process.env.ANALYSIS_TIMEOUT_MS),
+      // Country (ISO 3166 alpha-2) assumed for phone numbers written without a country code
+      PHONE_DEFAULT_COUNTRY: (process.env.PHONE_DEFAULT_COUNTRY || 'MX').toUpperCase(),
+      // Company enrichment providers from the sender domain (config/enrichment.json)
+      ENRICHMENT_CONFIG_PATH: process.env.ENRICHMENT_CONFIG_PATH,
+      // Personal data redacted before model calls, per entity type (config/redaction.json)
+      REDACTION_CONFIG_PATH: process.env.REDACTION_CONFIG_PATH,
+      // LLM providers and per-task provider/model (config/llm.json); LLM_PROVIDER / LLM_MODEL override every task
+      LLM_CONFIG_PATH: process.env.LLM_CONFIG_PATH,
+      LLM_PROVIDER: process.env.LLM_PROVIDER,
+      LLM_MODEL: process.env.LLM_MODEL,
+      OPENAI_API_KEY: process.env.OPENAI_API_KEY,
+      OPENAI_BASE_URL: process.env.OPENAI_BASE_URL,
+      // Follow-up copy: 'template' (built-in per language) or 'llm' (template as fallback)
+      FOLLOWUP_MODE: (process.env.FOLLOWUP_MODE || 'template').toLowerCase(),
+      // Knowledge base documents retrieved into draft prompts (knowledge/); 0 snippets turns it off
+      KNOWLEDGE_PATH: process.env.KNOWLEDGE_PATH,
+      KNOWLEDGE_MAX_SNIPPETS: this.parseInteger(process.env.KNOWLEDGE_MAX_SNIPPETS),
+      // Mailbox provider: 'gmail' (service account) or 'imap' (IMAP + SMTP)
+      MAIL_PROVIDER: process.env.MAIL_PROVIDER || 'gmail',
+      MAIL_FROM: process.env.MAIL_FROM,
+      IMAP_HOST: process.env.IMAP_HOST,
+      IMAP_PORT: parseInt(process.env.IMAP_PORT) || undefined,
+      IMAP_SECURE: this.parseBoolean(process.env.IMAP_SECURE),
+      IMAP_USER: process.env.IMAP_USER,
+      IMAP_PASSWORD: process.env.IMAP_PASSWORD,
+      IMAP_MAILBOX: process.env.IMAP_MAILBOX,
+      IMAP_SENT_MAILBOX: process.env.IMAP_SENT_MAILBOX,
+      SMTP_HOST: process.env.SMTP_HOST,
+      SMTP_PORT: parseInt(process.env.SMTP_PORT) || undefined,
+      SMTP_SECURE: this.parseBoolean(process.env.SMTP_SECURE),
+      SMTP_USER: process.env.SMTP_USER,
+      SMTP_PASSWORD: process.env.SMTP_PASSWORD,
       // Railway-safe defaults: keep all writable data inside project /app/data
       draftsPath: process.env.DRAFTS_PATH || path.resolve(__dirname, '..', 'data', 'drafts'),
       logsPath: process.env.LOGS_PATH || path.resolve(__dirname, '..', 'data', 'logs'),
@@ -61,6 +173,22 @@ class EmailBot {
     };
   }
 
+  /**
+   * "true"/"1"/"yes" -> true, other values -> false, unset -> undefined
+   */
+  parseBoolean(value) {
+    if (value === undefined || value === '') return undefined;
+    return ['1', 'true', 'yes'].includes(String(value).toLowerCase());
+  }
+
+  /**
+   * Non-negative integer, or undefined when unset/invalid (module default applies)
+   */
+  parseInteger(value) {
+    const number = parseInt(value, 10);
+    return Number.isInteger(number) && number >= 0 ? number : undefined;
+  }
+
   createLogger() {
     const winston = require('winston');
     const fs = require('fs');
@@ -88,17 +216,113 @@ class EmailBot {
     });
   }
 
+  /**
+   * Jobs the scheduler can run; each receives the job's options from config/scheduler.json
+   */
+  jobHandlers() {
+    return {
+      // Every mailbox unless options.mailbox names one
+      ingest: async ({ mailbox, ...options }) => {
+        const ids = mailbox ? [mailbox] : this.mailboxes.list().map(m => m.id);
+        const results = {};
+        for (const id of ids) {
+          const result = await this.ingest({ trigger: 'scheduler', ...options, mailbox: id });
+          results[id] = {
+            mode: result.mode,
+            processed: result.processed.length,
+            skipped: result.skipped.length,
+            stored: result.stored
+          };
+        }
+        return results;
+      },
+      sendPending: async () => {
+        const { sent = 0, failed = 0, skipped = 0 } = await this.sendApproved();
+        return { sent, failed, skipped };
+      },
+      followups: () => this.followup.createDue(),
+      notionSync: () => this.syncNotion(),
+      watchRenewal: async () => {
+        const results = {};
+        for (const { id, provider } of this.mailboxes.list()) {
+          if ((provider || this.config.MAIL_PROVIDER) !== 'gmail') continue;
+          results[id] = await this.forMailbox(id).watch.renewIfNeeded();
+        }
+        // Single mailbox: keep the flat { renewed, expiration } shape
+        const values = Object.values(results);
+        return values.length === 1 ? values[0] : { renewed: values.some(r => r.renewed), mailboxes: results };
+      }
+    };
+  }
+
   // Main workflow methods
-  async ingest(options = {}) {
-    return this.ingestor.run(options);
+  async ingest({ mailbox, ...options } = {}) {
+    return this.forMailbox(mailbox).ingestor.run(options);
+  }
+
+  async importFiles(inputPath, { mailbox, ...options } = {}) {
+    if (!mailbox) return this.importer.run(inputPath, options);
+
+    const modules = this.forMailbox(mailbox);
+    const importer = new Importer(modules.config, this.logger, {
+      ingestor: modules.ingestor,
+      analyzer: this.analyzer,
+      drafter: modules.drafter,
+      ledger: modules.ingestor.ledger,
+      leads: this.leads,
+      drafts: this.importer.drafts
+    });
+    return importer.run(inputPath, options);
+  }
+
+  async handlePush(notification) {
+    // Route to the mailbox the notification is for; unknown addresses are ignored by the default watch
+    const mailbox = this.mailboxes.findByAddress(notification.emailAddress);
+    return this.forMailbox(mailbox?.id).watch.handleNotification(notification);
   }
 
   async analyze(emailData) {
     return this.analyzer.run(emailData);
   }
 
+  /**
+   * Run sample emails (.eml/.mbox files or a directory) through the classification rules
+   * rulesPath tries a rules file other than the configured one
+   * Returns [{ source, email, subject, classification }]
+   */
+  classifyFiles(inputPath, { rulesPath } = {}) {
+    const classifier = rulesPath
+      ? new Classifier({ ...this.config, CLASSIFICATION_RULES_PATH: rulesPath }, this.logger)
+      : this.analyzer.classifier;
+
+    const results = [];
+    for (const file of this.importer.collectFiles(inputPath)) {
+      for (const { source, raw } of this.importer.readMessages(file)) {
+        const message = parseRawMessage(raw);
+        // Messages without a lead address are still classified on what they have
+        const emailData = this.ingestor.buildEmailData(message) || {
+          subject: decodeEncodedWords(getHeader(message.payload.headers, 'Subject')),
+          from: decodeEncodedWords(getHeader(message.payload.headers, 'From')),
+          message: cleanBody(this.ingestor.extractBody(message)).text
+        };
+        results.push({
+          source,
+          email: emailData.email || null,
+          subject: emailData.subject,
+          classification: classifier.classify(emailData)
+        });
+      }
+    }
+    return results;
+  }
+
+  async rescoreLeads({ mailbox, ids } = {}) {
+    const id = mailbox ? this.mailboxes.get(mailbox).id : null;
+    return this.leads.rescore({ mailbox: id, includeUnassigned: id === this.mailboxes.defaultId, ids });
+  }
+
   async generateDraft(analysis) {
-    return this.drafter.generate(analysis);
+    return this.forMailbox(analysis.mailbox).drafter.generate(analysis);
   }
 
   async approve(draftId, options = {}) {
@@ -118,7 +342,11 @@ class EmailBot {
   }
 
   async syncNotion() {
-    return this.notion.syncAll();
+    let updated = 0;
+    for (const { id } of this.mailboxes.list()) {
+      updated += (await this.forMailbox(id).notion.syncAll()).updated;
+    }
+    return { updated };
   }
 
   async getStatus() {
@@ -144,7 +372,7 @@ class EmailBot {
     }
     
     // Send and sync to Notion
-    return this.sender.sendFollowup(draft, this.notion);
+    return this.sender.sendFollowup(draft, this.forMailbox(draft.mailbox).notion);
   }
 
   // Event emitter interface
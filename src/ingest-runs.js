@@ -0,0 +1,161 @@
+/**
+ * Ingest Runs Module
+ * History of ingestion runs: trigger, filter, messages scanned, leads found,
+ * skipped messages with reasons, errors and duration
+ *
+ * Uses the ingest_runs table when Postgres is configured and falls back to
+ * state/ingest_runs.json otherwise.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const jsonfile = require('jsonfile');
+const db = require('./db');
+
+// The JSON fallback keeps the most recent runs only
+const MAX_FILE_RUNS = 200;
+
+/**
+ * Run without the per-message lists (for listings)
+ */
+function summarize(run) {
+  const { processed, skipped, errors, ...summary } = run;
+  return summary;
+}
+
+/**
+ * Whether a run saw a message (processed, skipped or failed)
+ */
+function mentions(run, gmailId) {
+  const id = String(gmailId);
+  return [run.processed, run.skipped, run.errors].some(list =>
+    (list || []).some(m => String(m.gmailId) === id)
+  );
+}
+
+class IngestRunStore {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.statePath = config.statePath;
+  }
+
+  /**
+   * Build a run record from an ingestion result (or the error that ended it)
+   * started: { trigger, mailbox, filter, limit, full, startedAt }
+   */
+  build(started, { result = null, error = null, scanned = 0 } = {}) {
+    const finishedAt = new Date().toISOString();
+    const skipped = result?.skipped || [];
+
+    const skipCounts = {};
+    for (const s of skipped) skipCounts[s.reason] = (skipCounts[s.reason] || 0) + 1;
+
+    return {
+      id: crypto.randomUUID(),
+      ...started,
+      status: error ? 'failed' : 'success',
+      mode: result?.mode || null,
+      historyId: result?.historyId || null,
+      finishedAt,
+      durationMs: new Date(finishedAt) - new Date(started.startedAt),
+      scanned,
+      leads: result?.processed?.length || 0,
+      skipCounts,
+      processed: (result?.processed || []).map(e => ({ gmailId: e.gmailId, threadId: e.threadId, email: e.email })),
+      skipped: skipped.filter(s => s.reason !== 'error'),
+      errors: skipped.filter(s => s.reason === 'error').map(s => ({ gmailId: s.gmailId, error: s.error })),
+      error: error?.message || null
+    };
+  }
+
+  /**
+   * Store a finished run
+   */
+  async record(run) {
+    if (db.getPool()) {
+      await db.query(
+        `INSERT INTO ingest_runs (id, mailbox, trigger, status, started_at, duration_ms, run)
+         VALUES ($1,$2,$3,$4,$5,$6,$7)`,
+        [run.id, run.mailbox, run.trigger, run.status, run.startedAt, run.durationMs, JSON.stringify(run)]
+      );
+      return run;
+    }
+
+    const runs = this.loadFile();
+    runs.push(run);
+    this.saveFile(runs);
+    return run;
+  }
+
+  /**
+   * Most recent runs, newest first, without the per-message lists
+   * filters: { mailbox, status, trigger, gmailId (runs that saw this message), limit }
+   */
+  async list({ mailbox = null, status = null, trigger = null, gmailId = null, limit = 20 } = {}) {
+    if (db.getPool()) {
+      const result = await db.query(
+        `SELECT run FROM ingest_runs
+         WHERE ($1::text IS NULL OR mailbox = $1)
+           AND ($2::text IS NULL OR status = $2)
+           AND ($3::text IS NULL OR trigger = $3)
+           AND ($4::jsonb IS NULL
+                OR run->'processed' @> $4 OR run->'skipped' @> $4 OR run->'errors' @> $4)
+         ORDER BY started_at DESC
+         LIMIT $5`,
+        [mailbox, status, trigger, gmailId ? JSON.stringify([{ gmailId: String(gmailId) }]) : null, limit]
+      );
+      return result.rows.map(r => summarize(r.run));
+    }
+
+    return this.loadFile()
+      .filter(r => (!mailbox || r.mailbox === mailbox) &&
+                   (!status || r.status === status) &&
+                   (!trigger || r.trigger === trigger) &&
+                   (!gmailId || mentions(r, gmailId)))
+      .reverse()
+      .slice(0, limit)
+      .map(summarize);
+  }
+
+  /**
+   * Full run record by id (null when unknown)
+   */
+  async get(id) {
+    if (db.getPool()) {
+      const result = await db.query('SELECT run FROM ingest_runs WHERE id = $1', [String(id)]);
+      return result.rows[0]?.run || null;
+    }
+
+    return this.loadFile().find(r => r.id === String(id)) || null;
+  }
+
+  /**
+   * Load the JSON fallback
+   */
+  loadFile() {
+    const file = path.join(this.statePath, 'ingest_runs.json');
+    if (!fs.existsSync(file)) return [];
+
+    try {
+      const runs = jsonfile.readFileSync(file);
+      return Array.isArray(runs) ? runs : [];
+    } catch {
+      return [];
+    }
+  }
+
+  /**
+   * Persist the JSON fallback, dropping the oldest runs past the cap
+   */
+  saveFile(runs) {
+    if (!fs.existsSync(this.statePath)) {
+      fs.mkdirSync(this.statePath, { recursive: true });
+    }
+
+    jsonfile.writeFileSync(path.join(this.statePath, 'ingest_runs.json'), runs.slice(-MAX_FILE_RUNS));
+  }
+}
+
+module.exports = IngestRunStore;
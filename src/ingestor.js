@@ -1,228 +1,437 @@
 /**
  * Ingestor Module
- * Reads emails from Gmail and parses lead information
+ * Reads emails from the configured mailbox provider and parses lead information
  */
 
-const { google } = require('googleapis');
+const fs = require('fs');
+const path = require('path');
 const jsonfile = require('jsonfile');
+const FormParserRegistry = require('./form-parsers');
+const ProcessedLedger = require('./ledger');
+const Analyzer = require('./analyzer');
+const DraftStore = require('./draft-store');
+const ThreadState = require('./threads');
+const IngestRunStore = require('./ingest-runs');
+const BounceStore = require('./bounces');
+const FollowUp = require('./followup');
+const LeadStore = require('./leads');
+const { createProvider } = require('./providers');
+const { mapLimit, DEFAULT_CONCURRENCY } = require('./gmail-call');
+const { cleanBody } = require('./body-cleaner');
+const { extractText, getHeader, decodeEncodedWords } = require('./mime');
+const { normalizePhone, extractPhones, normalizeWebsite, extractWebsites } = require('./entities');
+const { detectAutoReply, parseBounce } = require('./automail');
 
 class Ingestor {
-  constructor(config, logger) {
+  /**
+   * deps: { runs, bounces, followups, leads } (IngestRunStore shared across mailboxes,
+   * BounceStore, FollowUp, LeadStore; created when omitted)
+   */
+  constructor(config, logger, deps = {}) {
     this.config = config;
     this.logger = logger;
     this.draftsPath = config.draftsPath;
-  }
-
-  /**
-   * Initialize Gmail API client with Service Account
-   */
-  async getGmailClient() {
-    this.logger.info('Initializing Gmail client - USING ENV VARS AUTH');
-
-    // Always use credentials from env vars (GOOGLE_PRIVATE_KEY and GOOGLE_SERVICE_ACCOUNT_EMAIL)
-    // Skip GOOGLE_APPLICATION_CREDENTIALS to avoid file-based auth issues in production
-    console.log('=== AUTH CHECK ===');
-    console.log('GOOGLE_SERVICE_ACCOUNT_EMAIL:', process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL ? 'SET' : 'NOT SET');
-    console.log('GOOGLE_PRIVATE_KEY:', process.env.GOOGLE_PRIVATE_KEY ? 'SET' : 'NOT SET');
-    console.log('GOOGLE_APPLICATION_CREDENTIALS:', process.env.GOOGLE_APPLICATION_CREDENTIALS ? 'SET' : 'NOT SET');
-    console.log('==================');
-    let clientEmail = process.env.SERVICE_ACCOUNT_EMAIL || 
-                       process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL ||
-                       this.config.SERVICE_ACCOUNT_EMAIL;
-    let privateKey = process.env.GOOGLE_PRIVATE_KEY;
-
-    if (privateKey && privateKey.includes('\\n')) {
-      privateKey = privateKey.replace(/\\\\n/g, '\n');
-    }
-
-    if (!clientEmail || !privateKey) {
-      throw new Error('Missing GOOGLE_SERVICE_ACCOUNT_EMAIL or GOOGLE_PRIVATE_KEY');
-    }
-
-    const auth = new google.auth.GoogleAuth({
-      credentials: {
-        client_email: clientEmail,
-        private_key: privateKey
-      },
-      scopes: ['https://www.googleapis.com/auth/gmail.modify'],
-      clientOptions: {
-        subject: this.config.GMAIL_DELEGATED_USER
-      }
+    this.statePath = config.statePath;
+    this.formParsers = new FormParserRegistry(config, logger);
+    this.ledger = new ProcessedLedger(config, logger);
+    this.provider = createProvider(config, logger);
+    this.analyzer = new Analyzer(config, logger);
+    this.threads = new ThreadState(config, logger, {
+      provider: this.provider,
+      drafts: new DraftStore(config, logger)
     });
-
-    const gmail = google.gmail({ version: 'v1', auth });
-    return gmail;
+    this.runs = deps.runs || new IngestRunStore(config, logger);
+    this.bounces = deps.bounces || new BounceStore(config, logger);
+    this.followups = deps.followups || new FollowUp(config, logger);
+    this.leads = deps.leads || new LeadStore(config, logger);
   }
 
   /**
    * Run ingestion pipeline
+   *
+   * Uses the provider's change feed (Gmail History API, IMAP UIDs) from the last
+   * stored checkpoint when possible, and falls back to a full list when there is
+   * no checkpoint or it expired.
+   * Messages already in the processed ledger are skipped, so re-runs are safe.
+   * New messages are fetched in bulk and checked against their thread (latest
+   * inbound, already replied, open draft) with bounded concurrency; ineligible
+   * ones are skipped with the reason.
+   * Bounces are skipped too; a permanent one marks the recipient as bounced
+   * and stops its follow-ups.
+   * Leads are stored before anything goes into the ledger or the checkpoint
+   * moves: if storing fails the run fails and the next one sees the messages again.
+   * The checkpoint only moves when no message failed, so failed ones come back
+   * in the next incremental run too.
+   * Every run, failed ones included, is stored in the ingest run history;
+   * options.trigger says what started it (cli, api, scheduler, push).
    */
   async run(options = {}) {
     // If you want *all* emails, call without filter.
     // WARNING: ingesting everything can create a lot of leads and cost.
     const {
-      filter = '',
-      limit = 50
+      filter = this.config.INGEST_FILTER || '',
+      limit = 50,
+      full = false,
+      trigger = 'manual'
     } = options;
 
     const safeLimit = Math.max(1, Math.min(parseInt(limit, 10) || 50, 500));
+    const provider = this.provider;
+    const started = {
+      trigger,
+      mailbox: this.config.MAILBOX_ID || null,
+      filter,
+      limit: safeLimit,
+      full: !!full,
+      startedAt: new Date().toISOString()
+    };
+    let scanned = 0;
 
-    this.logger.info('Starting ingestion', { filter, limit: safeLimit });
+    this.logger.info('Starting ingestion', { provider: provider.name, filter, limit: safeLimit, full: !!full, trigger });
 
     try {
-      const gmail = await this.getGmailClient();
-
-      // Search for matching emails (or list all if filter is empty)
-      let pageToken = undefined;
-      const messages = [];
-
-      while (messages.length < safeLimit) {
-        const resp = await gmail.users.messages.list({
-          userId: 'me',
-          q: filter || undefined,
-          maxResults: Math.min(100, safeLimit - messages.length),
-          pageToken
-        });
-
-        const batch = resp.data.messages || [];
-        messages.push(...batch);
+      const checkpoint = full ? null : this.loadCheckpoint();
+      let mode = 'full';
+      let messages = null;
+      let historyId = null;
+
+      if (checkpoint?.historyId) {
+        const changes = await provider.listChangesSince(checkpoint.historyId, { limit: safeLimit });
+        if (changes) {
+          mode = 'incremental';
+          historyId = changes.checkpoint;
+          messages = filter
+            ? await this.filterMessages(changes.messages, filter, checkpoint.updatedAt)
+            : changes.messages;
+        } else {
+          this.logger.warn('History checkpoint expired, falling back to full list', {
+            historyId: checkpoint.historyId
+          });
+        }
+      }
 
-        pageToken = resp.data.nextPageToken;
-        if (!pageToken || batch.length === 0) break;
+      if (!messages) {
+        // Read the mailbox position *before* listing so anything arriving
+        // mid-run is picked up by the next incremental run.
+        historyId = await provider.getCheckpoint();
+        ({ messages } = await provider.listMessages({ query: this.withLabelExclusion(filter), limit: safeLimit }));
       }
 
+      scanned = messages.length;
       const processed = [];
+      const skipped = [];
+      const alreadyProcessed = await this.ledger.findProcessed(messages.map(m => m.id));
+      const inspected = await this.inspectMessages(messages.filter(m => !alreadyProcessed.has(m.id)));
 
+      const outcomes = [];
       for (const msg of messages) {
-        const email = await this.processEmail(gmail, msg.id);
-        if (email) processed.push(email);
+        if (alreadyProcessed.has(msg.id)) {
+          skipped.push({ gmailId: msg.id, reason: 'already_processed' });
+          continue;
+        }
+
+        const { email, bounce, error } = inspected.get(msg.id);
+        if (error) {
+          // Not recorded in the ledger and the checkpoint stays put: the next run retries it
+          this.logger.error('Failed to process email', { messageId: msg.id, error: error.message });
+          skipped.push({ gmailId: msg.id, reason: 'error', error: error.message });
+          continue;
+        }
+
+        let outcome = 'lead';
+        if (bounce) {
+          try {
+            await this.applyBounce(bounce, msg.id);
+          } catch (err) {
+            // Not recorded in the ledger either: the bounce must not be lost
+            this.logger.error('Failed to record bounce', { messageId: msg.id, error: err.message });
+            skipped.push({ gmailId: msg.id, reason: 'error', error: err.message });
+            continue;
+          }
+          outcome = 'bounce';
+          skipped.push({
+            gmailId: msg.id,
+            reason: 'bounce',
+            email: bounce.recipient,
+            status: bounce.status,
+            permanent: bounce.permanent
+          });
+        } else if (!email) {
+          outcome = 'no_email';
+          skipped.push({ gmailId: msg.id, reason: 'no_email' });
+        } else if (!email.eligibility.eligible) {
+          outcome = 'skipped';
+          const { issues } = email.eligibility;
+          this.logger.info('Skipping ineligible email', { gmailId: msg.id, issues });
+          skipped.push({ gmailId: msg.id, threadId: email.threadId, email: email.email, reason: issues[0], issues });
+        } else {
+          processed.push(email);
+        }
+
+        outcomes.push({
+          id: msg.id,
+          threadId: email?.threadId || msg.threadId || null,
+          email: email?.email || bounce?.recipient || null,
+          outcome
+        });
+      }
+
+      const stored = await this.leads.saveIngested(processed);
+
+      // Ledger writes and labels stay sequential, in listing order
+      for (const { id, ...entry } of outcomes) {
+        await this.ledger.record(id, entry);
+        await this.applyProcessedLabel(id);
+      }
+
+      // A failed message keeps the checkpoint where it was: moving past it would
+      // leave it out of every later incremental run (the ledger skips the rest)
+      const failed = skipped.filter(s => s.reason === 'error').map(s => s.gmailId);
+      if (failed.length > 0) {
+        this.logger.warn('Keeping the history checkpoint until failed messages are ingested', { failed, historyId });
+      } else if (historyId) {
+        this.saveCheckpoint(historyId);
       }
 
-      this.logger.info('Ingestion complete', { processed: processed.length });
-      return { success: true, processed };
+      this.logger.info('Ingestion complete', {
+        processed: processed.length,
+        skipped: skipped.length,
+        stored,
+        mode,
+        historyId
+      });
+      const result = { success: true, processed, skipped, stored, mode, historyId };
+      result.runId = await this.recordRun(started, { result, scanned });
+      return result;
 
     } catch (error) {
       this.logger.error('Ingestion failed', { error: error.message });
+      await this.recordRun(started, { error, scanned });
       throw error;
+    } finally {
+      await provider.close();
     }
   }
 
   /**
-   * Process single email
+   * Store a run in the history (best effort: a history failure never fails the ingest)
+   * Returns the run id, or null when it couldn't be stored
    */
-  async processEmail(gmail, messageId) {
+  async recordRun(started, outcome) {
     try {
-      const msg = await gmail.users.messages.get({
-        userId: 'me',
-        id: messageId,
-        format: 'full'
-      });
+      const run = await this.runs.record(this.runs.build(started, outcome));
+      return run.id;
+    } catch (error) {
+      this.logger.warn('Failed to record ingest run', { error: error.message });
+      return null;
+    }
+  }
 
-      const headers = msg.data.payload.headers;
-      const subject = headers.find(h => h.name === 'Subject')?.value || '';
-      const from = headers.find(h => h.name === 'From')?.value || '';
-      const date = headers.find(h => h.name === 'Date')?.value || '';
-
-      // Extract body
-      const body = this.extractBody(msg.data);
-      
-      // Parse contact form data
-      const leadData = this.parseLeadForm(body, from);
-      
-      if (!leadData.email) {
-        this.logger.warn('No valid email found in message', { messageId });
-        return null;
+  /**
+   * Fetch messages and build their email data with thread state
+   * Returns Map(id -> { email } | { bounce } | { error })
+   */
+  async inspectMessages(messages) {
+    const fetched = await this.provider.getMessages(messages.map(m => m.id));
+
+    const results = await mapLimit(fetched, this.config.GMAIL_CONCURRENCY || DEFAULT_CONCURRENCY, async ({ id, message, error }) => {
+      if (error) return [id, { error }];
+      try {
+        const bounce = parseBounce(message);
+        if (bounce) return [id, { bounce }];
+        const email = this.buildEmailData(message, id);
+        if (email) await this.applyThreadState(email);
+        return [id, { email }];
+      } catch (err) {
+        return [id, { error: err }];
       }
+    });
 
-      // Use Gmail internalDate (server-side received timestamp) as source of truth.
-      // Do NOT trust the RFC822 "Date" header: it can be spoofed or malformed and break ordering in the UI.
-      const internalMs = msg?.data?.internalDate ? Number(msg.data.internalDate) : NaN;
-      const receivedAtISO = Number.isFinite(internalMs) ? new Date(internalMs).toISOString() : new Date().toISOString();
-
-      const emailData = {
-        gmailId: messageId,
-        threadId: msg.data.threadId,
-        subject,
-        from,
-        date,
-        body,
-        ...leadData,
-        receivedAt: receivedAtISO
-      };
-
-      this.logger.info('Processed email', { 
-        gmailId: messageId, 
-        email: leadData.email 
-      });
+    return new Map(results);
+  }
+
+  /**
+   * Mark a permanently bounced recipient and stop its follow-ups
+   * Delays (4.x.x) and reports without a recipient are only logged
+   */
+  async applyBounce(bounce, messageId) {
+    if (!bounce.recipient || !bounce.permanent) {
+      this.logger.info('Skipping bounce', { gmailId: messageId, ...bounce });
+      return;
+    }
+
+    await this.bounces.record(bounce.recipient, { ...bounce, gmailId: messageId });
+    await this.followups.cancelFor(bounce.recipient, 'bounce');
+  }
+
+  /**
+   * Set the thread flags read by Analyzer.checkEligibility and the resulting eligibility
+   */
+  async applyThreadState(email) {
+    const parser = this.formParsers.parsers.find(p => p.id === email.formParser);
+    const state = await this.threads.inspect(email, { standalone: !!parser?.senderIsPlatform });
+
+    // Ledger hits are skipped before we get here
+    Object.assign(email, state, { alreadyProcessed: false });
+    email.eligibility = this.analyzer.checkEligibility(email);
+    return email;
+  }
+
+  /**
+   * Narrow incremental results down to those matching a search query.
+   * Change feeds have no query support, so we list the filter over the
+   * checkpoint window and intersect.
+   */
+  async filterMessages(messages, filter, since) {
+    if (messages.length === 0) return messages;
+
+    // A day of slack guards against clock skew; the intersection keeps the result exact
+    const sinceMs = since ? new Date(since).getTime() - 24 * 60 * 60 * 1000 : NaN;
+    const query = Number.isFinite(sinceMs)
+      ? `(${filter}) after:${Math.floor(sinceMs / 1000)}`
+      : filter;
+
+    const { messages: matching } = await this.provider.listMessages({ query, limit: Infinity });
+    const ids = new Set(matching.map(m => m.id));
+
+    return messages.filter(m => ids.has(m.id));
+  }
 
-      return emailData;
+  /**
+   * Exclude messages carrying the processed label from a search query
+   * Gmail search refers to labels by name with spaces and "/" replaced by "-"
+   */
+  withLabelExclusion(filter) {
+    const label = this.config.GMAIL_PROCESSED_LABEL;
+    if (!label) return filter;
 
+    const exclusion = `-label:${label.trim().toLowerCase().replace(/[\s/]+/g, '-')}`;
+    return filter ? `(${filter}) ${exclusion}` : exclusion;
+  }
+
+  /**
+   * Tag a message with the processed label (best effort; the ledger is the source of truth)
+   */
+  async applyProcessedLabel(messageId) {
+    if (!this.config.GMAIL_PROCESSED_LABEL) return;
+
+    try {
+      const labelId = await this.provider.ensureLabel(this.config.GMAIL_PROCESSED_LABEL);
+      await this.provider.modifyMessage(messageId, { addLabelIds: [labelId] });
     } catch (error) {
-      this.logger.error('Failed to process email', { 
-        messageId, 
-        error: error.message 
-      });
-      return null;
+      this.logger.warn('Failed to apply processed label', { messageId, error: error.message });
     }
   }
 
   /**
-   * Extract email body from Gmail payload
+   * Load last history checkpoint (Gmail historyId or provider cursor)
    */
-  extractBody(message) {
+  loadCheckpoint() {
+    const stateFile = path.join(this.statePath, 'gmail_history.json');
+    if (!fs.existsSync(stateFile)) return null;
+
     try {
-      // Gmail uses base64url sometimes; normalize
-      const decode = (data) => {
-        if (!data) return '';
-        const b64 = String(data).replace(/-/g, '+').replace(/_/g, '/');
-        return Buffer.from(b64, 'base64').toString('utf8');
-      };
-
-      // 1) Single-part body
-      if (message?.payload?.body?.data) {
-        const txt = decode(message.payload.body.data);
-        if (txt && txt.trim()) return txt;
-      }
+      return jsonfile.readFileSync(stateFile);
+    } catch {
+      return null;
+    }
+  }
 
-      // 2) Walk MIME tree (pref: text/plain, fallback: text/html)
-      const parts = [];
-      const walk = (node) => {
-        if (!node) return;
-        if (node.parts && Array.isArray(node.parts)) node.parts.forEach(walk);
-        parts.push(node);
-      };
-      walk(message?.payload);
-
-      const pick = (mime) => parts.find((p) => p?.mimeType === mime && p?.body?.data);
-
-      const plain = pick('text/plain');
-      if (plain) {
-        const txt = decode(plain.body.data);
-        if (txt && txt.trim()) return txt;
-      }
+  /**
+   * Persist history checkpoint
+   */
+  saveCheckpoint(historyId) {
+    if (!fs.existsSync(this.statePath)) {
+      fs.mkdirSync(this.statePath, { recursive: true });
+    }
 
-      const html = pick('text/html');
-      if (html) {
-        const raw = decode(html.body.data);
-        // ultra-light HTML -> text (good enough for context)
-        const txt = raw
-          .replace(/<style[\s\S]*?<\/style>/gi, ' ')
-          .replace(/<script[\s\S]*?<\/script>/gi, ' ')
-          .replace(/<br\s*\/?\s*>/gi, '\n')
-          .replace(/<\/?p\b[^>]*>/gi, '\n')
-          .replace(/<[^>]+>/g, ' ')
-          .replace(/&nbsp;/g, ' ')
-          .replace(/&amp;/g, '&')
-          .replace(/\n{3,}/g, '\n\n')
-          .trim();
-        if (txt) return txt;
-      }
+    jsonfile.writeFileSync(path.join(this.statePath, 'gmail_history.json'), {
+      historyId: String(historyId),
+      updatedAt: new Date().toISOString()
+    });
+  }
 
-      // 3) Last resort: Gmail snippet
-      const snip = message?.snippet;
-      if (snip && String(snip).trim()) return String(snip);
+  /**
+   * Process single email
+   * Returns null when no lead email can be found; throws on provider errors
+   */
+  async processEmail(messageId) {
+    const message = await this.provider.getMessage(messageId);
+    return this.buildEmailData(message, messageId);
+  }
 
-      return '';
+  /**
+   * Turn a (Gmail-shaped) message into lead email data
+   * Shared by mailbox ingestion and offline imports; returns null without a lead email
+   */
+  buildEmailData(message, messageId = message.id) {
+    const headers = message.payload.headers;
+    const subject = decodeEncodedWords(getHeader(headers, 'Subject'));
+    const from = decodeEncodedWords(getHeader(headers, 'From'));
+    const date = getHeader(headers, 'Date');
+
+    // Extract body
+    const body = this.extractBody(message);
+
+    // Separate new content from quoted history, signature and legal footer
+    const cleaned = cleanBody(body);
+    
+    // Parse contact form data
+    const leadData = this.parseLeadForm(body, from, subject);
+    
+    if (!leadData.email) {
+      this.logger.warn('No valid email found in message', { messageId });
+      return null;
+    }
+
+    // Phone (E.164) and website: form fields first, then the lead's own text.
+    // Plain emails include the signature; form notifications only the submitted message
+    // (their body also carries the platform's links).
+    const contactText = leadData.formParser === 'generic'
+      ? [cleaned.text, cleaned.signature].filter(Boolean).join('\n')
+      : leadData.message || '';
+    const country = this.config.PHONE_DEFAULT_COUNTRY;
+    leadData.phone = normalizePhone(leadData.phone, country) || extractPhones(contactText, country)[0] || null;
+    leadData.website = normalizeWebsite(leadData.website) || extractWebsites(contactText)[0] || null;
+
+    // Use the provider's internalDate (server-side received timestamp) as source of truth.
+    // Do NOT trust the RFC822 "Date" header: it can be spoofed or malformed and break ordering in the UI.
+    const internalMs = message.internalDate ? Number(message.internalDate) : NaN;
+    const receivedAtISO = Number.isFinite(internalMs) ? new Date(internalMs).toISOString() : new Date().toISOString();
+
+    const emailData = {
+      mailbox: this.config.MAILBOX_ID || null,
+      gmailId: messageId,
+      threadId: message.threadId,
+      rfcMessageId: getHeader(headers, 'Message-ID') || null,
+      subject,
+      from,
+      date,
+      body,
+      quotedText: cleaned.quoted,
+      signature: cleaned.signature,
+      disclaimer: cleaned.disclaimer,
+      // Out-of-office notices and autoresponders never get a draft
+      autoReply: detectAutoReply({ headers, subject, body: cleaned.text }),
+      ...leadData,
+      receivedAt: receivedAtISO
+    };
+
+    this.logger.info('Processed email', { 
+      gmailId: messageId, 
+      email: leadData.email 
+    });
+
+    return emailData;
+  }
+
+  /**
+   * Extract email body from a (Gmail-shaped) message payload
+   * Decoding (charsets, HTML -> text) lives in the shared MIME module
+   */
+  extractBody(message) {
+    try {
+      return extractText(message);
     } catch {
       return '';
     }
@@ -230,44 +439,50 @@ class Ingestor {
 
   /**
    * Parse lead information from contact form
+   * Uses the form parser registry; the matching parser id is kept in `formParser`
    */
-  parseLeadForm(body, from) {
+  parseLeadForm(body, from, subject = '') {
     const result = {
       email: null,
       name: null,
       company: null,
+      phone: null,
+      website: null,
       service: null,
-      message: null
+      message: null,
+      formParser: null
     };
 
-    // Extract from email header
-    const fromMatch = from.match(/"?([^"<]*)"?\s*<([^>]+)>/);
-    if (fromMatch) {
-      result.name = fromMatch[1].trim();
-      result.email = fromMatch[2].trim();
-    } else if (from.includes('@')) {
-      result.email = from;
+    const cleaned = cleanBody(body).text;
+    const { parser, fields: parsed } = this.formParsers.parse({ body: body || '', from: from || '', subject });
+    result.formParser = parser.id;
+
+    // Form notifications are matched on the full body (their footers identify them);
+    // plain emails are read from the new content only, never from quoted history.
+    const fields = parser.id === 'generic' ? this.formParsers.extract(parser, cleaned) : parsed;
+
+    // Extract from email header (form platforms send from their own no-reply address)
+    if (!parser.senderIsPlatform) {
+      const fromMatch = (from || '').match(/"?([^"<]*)"?\s*<([^>]+)>/);
+      if (fromMatch) {
+        result.name = fromMatch[1].trim();
+        result.email = fromMatch[2].trim();
+      } else if ((from || '').includes('@')) {
+        result.email = from;
+      }
     }
 
-    // Parse body for contact form fields
-    const patterns = {
-      email: /Email:\s*([^\n\r]+)/i,
-      name: /Name:\s*([^\n\r]+)/i,
-      company: /Company:\s*([^\n\r]+)/i,
-      service: /Service:\s*([^\n\r]+)/i,
-      message: /Message:\s*([\s\S]*?)(?=\n\n|$)/i
-    };
-
-    for (const [field, pattern] of Object.entries(patterns)) {
-      const match = body.match(pattern);
-      if (match) {
-        result[field] = match[1].trim();
-      }
+    // Fields found in the body win over the header
+    for (const field of Object.keys(result)) {
+      if (fields[field]) result[field] = fields[field];
+    }
+    if (fields.message) {
+      result.message = cleanBody(fields.message).text;
     }
 
-    // If no structured data, use raw body as message
+    // If no structured data, use the new content of the body as message
     if (!result.message && body) {
-      result.message = body.substring(0, 500);
+      result.message = cleaned.substring(0, 500);
     }
 
     return result;
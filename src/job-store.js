@@ -0,0 +1,181 @@
+/**
+ * Job Store Module
+ * Job locks and run history for the scheduler
+ *
+ * Locks are leases (owner + expiry) so a crashed replica never holds a job
+ * forever. Uses the job_locks / job_runs tables when Postgres is configured
+ * and falls back to state/jobs.json otherwise (single host only).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const jsonfile = require('jsonfile');
+const db = require('./db');
+
+// The JSON fallback keeps the most recent runs only
+const MAX_FILE_RUNS = 500;
+
+class JobStore {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.statePath = config.statePath;
+  }
+
+  /**
+   * Take the lock for a job unless another owner holds an unexpired one
+   * Returns true when acquired
+   */
+  async acquire(name, owner, ttlMs) {
+    const expiresAt = new Date(Date.now() + ttlMs);
+
+    if (db.getPool()) {
+      const result = await db.query(
+        `INSERT INTO job_locks (name, owner, expires_at)
+         VALUES ($1, $2, $3)
+         ON CONFLICT (name) DO UPDATE SET owner = EXCLUDED.owner, expires_at = EXCLUDED.expires_at
+         WHERE job_locks.expires_at < now() OR job_locks.owner = EXCLUDED.owner
+         RETURNING name`,
+        [name, owner, expiresAt]
+      );
+      return result.rows.length > 0;
+    }
+
+    const state = this.loadFile();
+    const lock = state.locks[name];
+    if (lock && lock.owner !== owner && new Date(lock.expiresAt) > new Date()) return false;
+
+    state.locks[name] = { owner, expiresAt: expiresAt.toISOString() };
+    this.saveFile(state);
+    return true;
+  }
+
+  /**
+   * Push back the expiry of a lock owner still holds (the scheduler's heartbeat)
+   * Returns false when the lock was lost (expired and taken by another owner)
+   */
+  async extend(name, owner, ttlMs) {
+    const expiresAt = new Date(Date.now() + ttlMs);
+
+    if (db.getPool()) {
+      const result = await db.query(
+        'UPDATE job_locks SET expires_at = $3 WHERE name = $1 AND owner = $2 RETURNING name',
+        [name, owner, expiresAt]
+      );
+      return result.rows.length > 0;
+    }
+
+    const state = this.loadFile();
+    if (state.locks[name]?.owner !== owner) return false;
+    state.locks[name].expiresAt = expiresAt.toISOString();
+    this.saveFile(state);
+    return true;
+  }
+
+  /**
+   * Release a job lock held by owner
+   */
+  async release(name, owner) {
+    if (db.getPool()) {
+      await db.query('DELETE FROM job_locks WHERE name = $1 AND owner = $2', [name, owner]);
+      return;
+    }
+
+    const state = this.loadFile();
+    if (state.locks[name]?.owner !== owner) return;
+    delete state.locks[name];
+    this.saveFile(state);
+  }
+
+  /**
+   * Store a finished run
+   * run: { job, trigger, status, owner, startedAt, finishedAt, durationMs, result, error }
+   */
+  async recordRun(run) {
+    if (db.getPool()) {
+      await db.query(
+        `INSERT INTO job_runs (job, trigger, status, owner, started_at, finished_at, duration_ms, result, error)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)`,
+        [
+          run.job,
+          run.trigger,
+          run.status,
+          run.owner,
+          run.startedAt,
+          run.finishedAt,
+          run.durationMs,
+          run.result === undefined ? null : JSON.stringify(run.result),
+          run.error || null
+        ]
+      );
+      return;
+    }
+
+    const state = this.loadFile();
+    state.runs.push(run);
+    this.saveFile(state);
+  }
+
+  /**
+   * Most recent runs, newest first (optionally for one job)
+   */
+  async recentRuns({ job = null, limit = 20 } = {}) {
+    if (db.getPool()) {
+      const result = await db.query(
+        `SELECT job, trigger, status, owner, started_at, finished_at, duration_ms, result, error
+         FROM job_runs
+         WHERE ($1::text IS NULL OR job = $1)
+         ORDER BY started_at DESC
+         LIMIT $2`,
+        [job, limit]
+      );
+      return result.rows.map(r => ({
+        job: r.job,
+        trigger: r.trigger,
+        status: r.status,
+        owner: r.owner,
+        startedAt: r.started_at,
+        finishedAt: r.finished_at,
+        durationMs: r.duration_ms,
+        result: r.result,
+        error: r.error
+      }));
+    }
+
+    return this.loadFile().runs
+      .filter(r => !job || r.job === job)
+      .reverse()
+      .slice(0, limit);
+  }
+
+  /**
+   * Load the JSON fallback
+   */
+  loadFile() {
+    const file = path.join(this.statePath, 'jobs.json');
+    if (!fs.existsSync(file)) return { locks: {}, runs: [] };
+
+    try {
+      const { locks = {}, runs = [] } = jsonfile.readFileSync(file);
+      return { locks, runs };
+    } catch {
+      return { locks: {}, runs: [] };
+    }
+  }
+
+  /**
+   * Persist the JSON fallback, dropping the oldest runs past the cap
+   */
+  saveFile({ locks, runs }) {
+    if (!fs.existsSync(this.statePath)) {
+      fs.mkdirSync(this.statePath, { recursive: true });
+    }
+
+    jsonfile.writeFileSync(path.join(this.statePath, 'jobs.json'), {
+      locks,
+      runs: runs.slice(-MAX_FILE_RUNS)
+    });
+  }
+}
+
+module.exports = JobStore;
@@ -0,0 +1,335 @@
+/**
+ * Knowledge Module
+ * Local knowledge base (services, prices, timelines, case studies) retrieved into draft prompts
+ *
+ * Documents are markdown or JSON files under KNOWLEDGE_PATH (knowledge/ by
+ * default). Markdown is split into one snippet per heading section; JSON holds
+ * a list of entries ({ id, title, text, tags }). Snippets are ranked with BM25
+ * over an offline index kept in STATE_PATH/knowledge-index.json, rebuilt when
+ * the documents change (or on reindex). Snippet ids are "<document>#<section>".
+ */
+
+const fs = require('fs');
+const path = require('path');
+const jsonfile = require('jsonfile');
+
+const EXTENSIONS = ['.md', '.markdown', '.json'];
+const DEFAULT_MAX_SNIPPETS = 3;
+// Longest snippet, in characters (longer sections are split at paragraphs)
+const SNIPPET_CHARS = 1200;
+// Snippets scoring below this share of the best match are left out
+const RELATIVE_CUTOFF = 0.3;
+const BM25 = { k1: 1.2, b: 0.75 };
+
+const STOPWORDS = new Set((
+  'a al algo como con de del el en es esta este fue ha hay la las le lo los me mi mas muy no nos o para pero por que se si sin sobre su sus te tu un una uno y ya ' +
+  'hola gracias saludos quiero queremos necesito necesitamos favor ' +
+  'an and are as at be but by can do for from have hi hello i if in is it me my of on or our so that the this to we with you your thanks please need want ' +
+  'ao as da das do dos em na nas no nos os ou um uma voce obrigado ola'
+).split(' '));
+
+/**
+ * Lowercase terms without accents or stopwords; plural "s" dropped
+ */
+function tokenize(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(term => term.length > 1 && !STOPWORDS.has(term))
+    .map(term => (term.length > 3 && term.endsWith('s') ? term.slice(0, -1) : term));
+}
+
+function slugify(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'section';
+}
+
+/**
+ * Split long text at paragraph boundaries into pieces of at most SNIPPET_CHARS
+ */
+function chunk(text) {
+  const pieces = [];
+  let current = '';
+  for (const paragraph of text.split(/\n\s*\n/).map(p => p.trim()).filter(Boolean)) {
+    if (current && current.length + paragraph.length + 2 > SNIPPET_CHARS) {
+      pieces.push(current);
+      current = '';
+    }
+    current = current ? `${current}\n\n${paragraph}` : paragraph;
+  }
+  if (current) pieces.push(current);
+  return pieces;
+}
+
+/**
+ * Markdown -> snippets: one per heading section (the text before the first heading is "intro")
+ */
+function parseMarkdown(docId, content) {
+  const lines = content.split(/\r?\n/);
+  const titleLine = lines.find(line => /^#\s+/.test(line));
+  const docTitle = titleLine ? titleLine.replace(/^#\s+/, '').trim() : path.basename(docId);
+
+  const sections = [{ heading: null, lines: [] }];
+  for (const line of lines) {
+    const heading = line.match(/^#{1,6}\s+(.*)$/);
+    if (heading) sections.push({ heading: heading[1].trim(), lines: [] });
+    else sections[sections.length - 1].lines.push(line);
+  }
+
+  const used = new Map();
+  const snippets = [];
+  for (const section of sections) {
+    const text = section.lines.join('\n').trim();
+    if (!text) continue;
+    const isTitle = section.heading === docTitle;
+    const base = section.heading && !isTitle ? slugify(section.heading) : 'intro';
+    const title = section.heading && !isTitle ? `${docTitle} › ${section.heading}` : docTitle;
+
+    for (const piece of chunk(text)) {
+      const count = (used.get(base) || 0) + 1;
+      used.set(base, count);
+      snippets.push({ id: `${docId}#${count === 1 ? base : `${base}-${count}`}`, title, text: piece });
+    }
+  }
+  return snippets;
+}
+
+/**
+ * JSON -> snippets: an array of entries, or { title, entries } (strings or { id, title, text, tags })
+ */
+function parseJson(docId, content) {
+  const data = typeof content === 'string' ? JSON.parse(content) : content;
+  const entries = Array.isArray(data) ? data : data.entries || data.snippets || [];
+  const docTitle = (!Array.isArray(data) && data.title) || path.basename(docId);
+
+  return entries.map((entry, i) => {
+    const item = typeof entry === 'string' ? { text: entry } : entry || {};
+    const text = String(item.text || item.content || item.body || '').trim();
+    return {
+      id: `${docId}#${item.id ? slugify(item.id) : i + 1}`,
+      title: item.title ? `${docTitle} › ${item.title}` : docTitle,
+      text,
+      tags: Array.isArray(item.tags) ? item.tags : []
+    };
+  }).filter(snippet => snippet.text);
+}
+
+/**
+ * Error for invalid input (the API answers with error.status)
+ */
+function knowledgeError(message, status = 400) {
+  return Object.assign(new Error(message), { status });
+}
+
+class KnowledgeBase {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.root = config.KNOWLEDGE_PATH || path.join(__dirname, '..', 'knowledge');
+    this.statePath = config.statePath;
+    this.cached = null;
+  }
+
+  get maxSnippets() {
+    const max = this.config.KNOWLEDGE_MAX_SNIPPETS;
+    return max === undefined || max === null ? DEFAULT_MAX_SNIPPETS : max;
+  }
+
+  /**
+   * Document files: [{ id, file, mtimeMs, size }] (id is the path without extension)
+   */
+  documents() {
+    if (!fs.existsSync(this.root)) return [];
+
+    const found = [];
+    const walk = (dir) => {
+      for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        if (entry.name.startsWith('.')) continue;
+        const file = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+          walk(file);
+        } else if (EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+          const { mtimeMs, size } = fs.statSync(file);
+          const id = path.relative(this.root, file).replace(/\\/g, '/').replace(/\.[^.]+$/, '');
+          found.push({ id, file, mtimeMs, size });
+        }
+      }
+    };
+    walk(this.root);
+    return found.sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  signature(documents) {
+    return documents.map(d => `${d.id}:${d.mtimeMs}:${d.size}`).join('|');
+  }
+
+  /**
+   * Build the BM25 index from the documents and save it
+   * Unreadable documents are skipped with a warning
+   */
+  reindex() {
+    const documents = this.documents();
+    const snippets = [];
+    const summary = [];
+
+    for (const doc of documents) {
+      try {
+        const content = fs.readFileSync(doc.file, 'utf8');
+        const parsed = path.extname(doc.file).toLowerCase() === '.json'
+          ? parseJson(doc.id, content)
+          : parseMarkdown(doc.id, content);
+        snippets.push(...parsed);
+        summary.push({ id: doc.id, snippets: parsed.length });
+      } catch (error) {
+        this.logger.warn('Skipping unreadable knowledge document', { document: doc.id, error: error.message });
+      }
+    }
+
+    // Maps while counting: terms like "constructor" would hit Object.prototype
+    const df = new Map();
+    const indexed = snippets.map(snippet => {
+      const terms = new Map();
+      const tokens = tokenize(`${snippet.title} ${snippet.text} ${(snippet.tags || []).join(' ')}`);
+      tokens.forEach(term => terms.set(term, (terms.get(term) || 0) + 1));
+      terms.forEach((count, term) => df.set(term, (df.get(term) || 0) + 1));
+      return { id: snippet.id, title: snippet.title, text: snippet.text, terms: Object.fromEntries(terms), length: tokens.length };
+    });
+
+    const index = {
+      builtAt: new Date().toISOString(),
+      signature: this.signature(documents),
+      documents: summary,
+      snippets: indexed,
+      df: Object.fromEntries(df),
+      avgLength: indexed.length ? indexed.reduce((sum, s) => sum + s.length, 0) / indexed.length : 0
+    };
+
+    if (this.statePath) {
+      if (!fs.existsSync(this.statePath)) fs.mkdirSync(this.statePath, { recursive: true });
+      jsonfile.writeFileSync(path.join(this.statePath, 'knowledge-index.json'), index);
+    }
+    this.cached = index;
+
+    this.logger.info('Knowledge base indexed', { documents: summary.length, snippets: indexed.length });
+    return index;
+  }
+
+  /**
+   * Current index (rebuilt when a document was added, changed or removed since it was built)
+   */
+  index() {
+    const signature = this.signature(this.documents());
+    if (this.cached?.signature === signature) return this.cached;
+
+    const file = this.statePath && path.join(this.statePath, 'knowledge-index.json');
+    if (file && fs.existsSync(file)) {
+      try {
+        const saved = jsonfile.readFileSync(file);
+        if (saved.signature === signature) {
+          this.cached = saved;
+          return saved;
+        }
+      } catch {
+        // rebuilt below
+      }
+    }
+    return this.reindex();
+  }
+
+  /**
+   * Best snippets for a text: [{ id, title, text, score }]
+   */
+  search(query, { limit = this.maxSnippets } = {}) {
+    const index = this.index();
+    const terms = [...new Set(tokenize(query))];
+    const total = index.snippets.length;
+    if (!terms.length || !total || limit <= 0) return [];
+
+    const scored = index.snippets.map(snippet => {
+      let score = 0;
+      for (const term of terms) {
+        const tf = Object.hasOwn(snippet.terms, term) ? snippet.terms[term] : 0;
+        if (!tf) continue;
+        const df = index.df[term];
+        const idf = Math.log(1 + (total - df + 0.5) / (df + 0.5));
+        score += idf * (tf * (BM25.k1 + 1)) /
+          (tf + BM25.k1 * (1 - BM25.b + BM25.b * snippet.length / (index.avgLength || 1)));
+      }
+      return { id: snippet.id, title: snippet.title, text: snippet.text, score: Math.round(score * 1000) / 1000 };
+    }).filter(s => s.score > 0).sort((a, b) => b.score - a.score);
+
+    const best = scored[0]?.score || 0;
+    return scored.filter(s => s.score >= best * RELATIVE_CUTOFF).slice(0, limit);
+  }
+
+  /**
+   * Snippets for a lead (subject, service and message); [] when the base is empty or unreadable
+   */
+  retrieve(analysis) {
+    if (this.maxSnippets <= 0) return [];
+    try {
+      return this.search([analysis.subject, analysis.service, analysis.message].filter(Boolean).join('\n'));
+    } catch (error) {
+      this.logger.warn('Knowledge retrieval failed', { error: error.message });
+      return [];
+    }
+  }
+
+  /**
+   * Prompt block with the snippets ('' when there are none)
+   */
+  promptBlock(snippets) {
+    if (!snippets.length) return '';
+    const entries = snippets.map(s => `[${s.id}] ${s.title}\n${s.text}`).join('\n\n');
+    return `
+Our knowledge base (our services, prices, timelines and past work; use only what answers the message, never invent details beyond it):
+${entries}
+`;
+  }
+
+  /**
+   * Write a document (name without extension may include folders: "services/web") and reindex
+   * content: markdown text, or JSON (object or string) for .json names
+   */
+  addDocument(name, content) {
+    const ext = path.extname(String(name || '')).toLowerCase();
+    const base = EXTENSIONS.includes(ext) ? String(name).slice(0, -ext.length) : String(name || '');
+    if (!/^[a-z0-9][a-z0-9_-]*(\/[a-z0-9][a-z0-9_-]*)*$/i.test(base)) {
+      throw knowledgeError('name must be letters, digits, "-" or "_" (folders separated by "/")');
+    }
+
+    const isJson = ext === '.json' || (typeof content === 'object' && content !== null);
+    let text;
+    if (isJson) {
+      try {
+        const entries = parseJson(base, content);
+        if (!entries.length) throw new Error('no entries with text');
+        text = JSON.stringify(typeof content === 'string' ? JSON.parse(content) : content, null, 2);
+      } catch (error) {
+        throw knowledgeError(`Invalid JSON document: ${error.message}`);
+      }
+    } else {
+      text = String(content || '');
+      if (!text.trim()) throw knowledgeError('content is required');
+    }
+
+    const file = path.join(this.root, `${base}${isJson ? '.json' : ext || '.md'}`);
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, text);
+    this.logger.info('Knowledge document saved', { document: base });
+
+    const index = this.reindex();
+    return { id: base, snippets: index.snippets.filter(s => s.id.startsWith(`${base}#`)).length };
+  }
+}
+
+module.exports = KnowledgeBase;
+module.exports.tokenize = tokenize;
+module.exports.parseMarkdown = parseMarkdown;
+module.exports.parseJson = parseJson;
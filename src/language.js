@@ -0,0 +1,124 @@
+/**
+ * Language Module
+ * Offline language identification shared by analysis, drafting, follow-ups and regeneration
+ *
+ * Scores a text against per-language lists of frequent words and
+ * language-specific characters (ñ, ã, ß...). A word listed for several
+ * languages splits its weight between them, so shared words ("de", "la")
+ * count less than distinctive ones ("gracias", "obrigado", "merci").
+ * Supports es, en, pt, fr, de and it; English is the fallback when the text
+ * carries no signal.
+ */
+
+const LANGUAGES = {
+  es: 'Spanish',
+  en: 'English',
+  pt: 'Portuguese',
+  fr: 'French',
+  de: 'German',
+  it: 'Italian'
+};
+const FALLBACK = 'en';
+
+const WORDS = {
+  es: `el la los las un una unos unas de del que y o en por para con sin es son está estoy estamos muy pero como
+    más sus su nos hola gracias buenos buenas días tardes noches necesito necesitamos quisiera quisiéramos me gustaría
+    saber sobre empresa información precio precios cuánto cuanto cuesta cuándo cuando servicio servicios desarrollo
+    equipo buscando pueden puede podría usted ustedes nuestro nuestra saludos también hacer tengo tenemos mi nombre
+    lo al este esta proyecto página sitio respuesta interesado interesada diseño presupuesto qué cómo dónde
+    atentamente cordialmente favor`,
+  en: `the a an and is are to of in for with on at from about i we you your our my me it this that be have has would
+    could can will please hello hi hey thanks thank yes looking need want interested know more information price
+    pricing cost how much does service services development team regards best also do name or project website
+    reply very but am what when there good morning afternoon saw like sincerely dear`,
+  pt: `o os as um uma uns umas de do da dos das que e ou em na nos nas por para com sem é são está estou estamos
+    muito mas como mais seu sua olá ola obrigado obrigada bom boa dia tarde noite preciso precisamos gostaria
+    gostaríamos saber sobre empresa informações informação preço preços quanto custa quando serviço serviços
+    desenvolvimento equipe procurando podem pode poderia você vocês nosso nossa atenciosamente também fazer tenho
+    temos meu minha nome ao este esta projeto site resposta interessado interessada orçamento não isso já`,
+  fr: `le la les un une des du de d l qu que qui et ou en est sont pour par avec sans dans sur pas ne je j nous vous
+    votre vos notre nos bonjour merci madame monsieur besoin voudrais voudrions souhaiterais souhaitons aimerais savoir
+    entreprise société informations prix combien coûte quand service services développement équipe cherchons
+    recherchons pouvez pourriez cordialement aussi faire avons ai mon ma nom au aux ce cette c projet site réponse
+    intéressé intéressée devis très mais plus être`,
+  de: `der die das den dem des ein eine einen einem einer und oder ist sind für mit ohne auf bei von zu zum zur nicht
+    ich wir sie ihr ihre ihnen unser unsere hallo guten tag danke vielen dank brauchen benötigen möchte möchten würde
+    würden gerne wissen über firma unternehmen informationen preis preise kosten wie viel kostet wann dienstleistung
+    entwicklung suchen können könnten freundlichen grüßen gruß geehrte geehrter auch machen haben habe mein name im am
+    dieser diese projekt webseite antwort interessiert angebot sehr aber mehr es`,
+  it: `il lo la gli le un una uno di del della dei delle che e o in per con senza su sono è siamo non io noi voi
+    vostro vostra nostro nostra ciao buongiorno buonasera grazie salve bisogno vorrei vorremmo sapere azienda società
+    informazioni prezzo prezzi quanto costa quando servizio servizi sviluppo cerchiamo potete potreste cordiali saluti
+    anche fare abbiamo ho mio mia nome al questo questa progetto sito risposta interessato interessata preventivo
+    molto ma più essere l`
+};
+
+// Characters that only (or mostly) appear in some of the languages
+const CHARACTERS = [
+  [/[ñ¿¡]/g, ['es']],
+  [/[ãõ]/g, ['pt']],
+  [/ç/g, ['pt', 'fr']],
+  [/[êâô]/g, ['pt', 'fr']],
+  [/[îûœë]/g, ['fr']],
+  [/[èù]/g, ['fr', 'it']],
+  [/[ìò]/g, ['it']],
+  [/[ßäö]/g, ['de']],
+  [/ü/g, ['de']]
+];
+
+// word -> [languages]; the weight of a hit is 1 / languages.length
+const LEXICON = new Map();
+for (const [language, list] of Object.entries(WORDS)) {
+  for (const word of list.split(/\s+/).filter(Boolean)) {
+    LEXICON.set(word, [...(LEXICON.get(word) || []), language]);
+  }
+}
+
+/**
+ * Identify the language of a text
+ * Returns { language, confidence (0..1), scores: { es, en, pt, fr, de, it } }
+ * Texts without any signal ("OK", "12345", "") get the fallback with confidence 0.
+ */
+function detectLanguage(text, { fallback = FALLBACK } = {}) {
+  const scores = Object.fromEntries(Object.keys(LANGUAGES).map(code => [code, 0]));
+  const lower = String(text || '').toLowerCase();
+  const words = lower.match(/\p{L}+/gu) || [];
+
+  let hits = 0;
+  for (const word of words) {
+    const languages = LEXICON.get(word);
+    if (!languages) continue;
+    hits++;
+    for (const language of languages) scores[language] += 1 / languages.length;
+  }
+
+  for (const [re, languages] of CHARACTERS) {
+    // Capped so one accented name doesn't outweigh the words
+    const count = Math.min((lower.match(re) || []).length, 3);
+    for (const language of languages) scores[language] += count / languages.length;
+  }
+
+  const ranked = Object.entries(scores).sort((a, b) => b[1] - a[1]);
+  const [best, second] = ranked;
+  const total = ranked.reduce((sum, [, score]) => sum + score, 0);
+  if (!best[1] || best[1] === second[1]) {
+    return { language: fallback, confidence: 0, scores: round(scores) };
+  }
+
+  // Share of the evidence for the winner, damped for very short texts
+  const confidence = (best[1] / total) * Math.min(1, hits / 4 + 0.25);
+  return { language: best[0], confidence: Math.round(confidence * 100) / 100, scores: round(scores) };
+}
+
+function round(scores) {
+  return Object.fromEntries(Object.entries(scores).map(([k, v]) => [k, Math.round(v * 100) / 100]));
+}
+
+/**
+ * English name of a language code ("pt" -> "Portuguese"), for model prompts
+ */
+function languageName(code) {
+  return LANGUAGES[code] || LANGUAGES[FALLBACK];
+}
+
+module.exports = { detectLanguage, languageName, LANGUAGES, FALLBACK_LANGUAGE: FALLBACK };
@@ -0,0 +1,130 @@
+/**
+ * Leads Module
+ * Persists ingested leads into Postgres (no-op without DATABASE_URL)
+ * Leads are scored on insert; the explanation is kept in metadata.scoring
+ * Budget range, deadline and website extracted from the message get their own columns
+ * Enrichment from the sender domain is kept in metadata.enrichment, apart from the typed fields
+ */
+
+const db = require('./db');
+const Analyzer = require('./analyzer');
+
+class LeadStore {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.analyzer = new Analyzer(config, logger);
+  }
+
+  get enabled() {
+    return !!db.getPool();
+  }
+
+  /**
+   * Insert ingested leads, skipping ones already stored
+   * Returns the number of rows inserted
+   */
+  async saveIngested(processed, source = 'gmail') {
+    if (!this.enabled || !processed?.length) return 0;
+
+    let inserted = 0;
+    for (const lead of processed) {
+      const receivedAt = lead.receivedAt ? new Date(lead.receivedAt) : new Date();
+      const email = lead.email || '';
+      if (!email) continue;
+      const enrichment = lead.enrichment || await this.analyzer.enrich(lead);
+      const scoring = lead.scoring || this.analyzer.score({ ...lead, enrichment });
+      const { budget, timeline, websites } = lead.extractedData || this.analyzer.extractData(lead);
+
+      // Dedupe on the message id (per mailbox: IMAP UIDs repeat); email + received_at covers rows without one
+      const result = await db.query(
+        `INSERT INTO leads (name, email, company, phone, form_type, source, score, status, notes, received_at, metadata, mailbox,
+                            website, budget_min, budget_max, budget_currency, deadline)
+         SELECT $1,$2,$3,$4,$5,$6,$7,'new',NULL,$8,$9,$11,$12,$13,$14,$15,$16
+         WHERE NOT EXISTS (
+           SELECT 1 FROM leads
+           WHERE (email = $2 AND received_at = $8)
+              OR ($10::text IS NOT NULL AND metadata->>'gmailId' = $10
+                  AND (mailbox IS NULL OR $11::text IS NULL OR mailbox = $11))
+         )`,
+        [
+          lead.name || 'Unknown',
+          email,
+          lead.company || null,
+          lead.phone || null,
+          lead.service || lead.formType || null,
+          source,
+          scoring.score,
+          receivedAt,
+          JSON.stringify({
+            gmailId: lead.gmailId,
+            threadId: lead.threadId,
+            subject: lead.subject,
+            from: lead.from,
+            formParser: lead.formParser || null,
+            scoring,
+            enrichment,
+            raw: lead
+          }),
+          lead.gmailId || null,
+          lead.mailbox || null,
+          lead.website || websites?.[0] || null,
+          budget?.min ?? null,
+          budget?.max ?? null,
+          budget?.currency || null,
+          timeline?.deadline || null
+        ]
+      );
+      inserted += result.rowCount || 0;
+    }
+
+    this.logger.info('Leads stored', { source, received: processed.length, inserted });
+    return inserted;
+  }
+
+  /**
+   * Recompute the score of stored leads (after changing config/scoring.json)
+   * mailbox limits it to one mailbox; includeUnassigned also covers rows
+   * without a mailbox (the default mailbox's legacy leads)
+   * Returns { scanned, changed } (changed: rows whose score moved)
+   */
+  async rescore({ mailbox = null, includeUnassigned = false, ids = null } = {}) {
+    if (!this.enabled) return { scanned: 0, changed: 0 };
+
+    const { rows } = await db.query(
+      `SELECT id, name, email, company, phone, form_type, score, metadata
+       FROM leads
+       WHERE ($1::text IS NULL OR mailbox = $1 OR ($2 AND mailbox IS NULL))
+         AND ($3::uuid[] IS NULL OR id = ANY($3))`,
+      [mailbox, includeUnassigned, ids]
+    );
+
+    let changed = 0;
+    for (const row of rows) {
+      const raw = row.metadata?.raw || {};
+      // Columns win over the ingest-time copy: they may have been edited since
+      const scoring = this.analyzer.score({
+        ...raw,
+        name: row.name,
+        email: row.email,
+        company: row.company ?? raw.company,
+        phone: row.phone ?? raw.phone,
+        service: raw.service || row.form_type,
+        enrichment: row.metadata?.enrichment || raw.enrichment
+      });
+
+      await db.query(
+        `UPDATE leads
+         SET score = $2, metadata = COALESCE(metadata, '{}'::jsonb) || jsonb_build_object('scoring', $3::jsonb)
+         WHERE id = $1`,
+        [row.id, scoring.score, JSON.stringify(scoring)]
+      );
+      if (scoring.score !== row.score) changed++;
+    }
+
+    this.logger.info('Leads rescored', { mailbox, scanned: rows.length, changed });
+    return { scanned: rows.length, changed };
+  }
+}
+
+module.exports = LeadStore;
@@ -0,0 +1,115 @@
+/**
+ * Ledger Module
+ * Records which Gmail messages have already been ingested
+ *
+ * Uses the processed_messages table when Postgres is configured and
+ * falls back to state/processed_messages.json otherwise.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const jsonfile = require('jsonfile');
+const db = require('./db');
+
+// The JSON fallback keeps the most recent entries only
+const MAX_FILE_ENTRIES = 20000;
+
+class ProcessedLedger {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.statePath = config.statePath;
+  }
+
+  /**
+   * Ledger key of a message id
+   * IMAP UIDs repeat across mailboxes, so ids outside the default mailbox are prefixed
+   */
+  key(id) {
+    const { MAILBOX_ID, MAILBOX_DEFAULT } = this.config;
+    return MAILBOX_ID && !MAILBOX_DEFAULT ? `${MAILBOX_ID}:${id}` : id;
+  }
+
+  /**
+   * Return the subset of ids that were already processed (as a Set)
+   */
+  async findProcessed(ids) {
+    if (!ids || ids.length === 0) return new Set();
+
+    if (db.getPool()) {
+      const result = await db.query(
+        'SELECT gmail_id FROM processed_messages WHERE gmail_id = ANY($1)',
+        [ids.map(id => this.key(id))]
+      );
+      const found = new Set(result.rows.map(r => r.gmail_id));
+      return new Set(ids.filter(id => found.has(this.key(id))));
+    }
+
+    const entries = this.loadFile();
+    return new Set(ids.filter(id => entries[this.key(id)]));
+  }
+
+  /**
+   * Check a single message id
+   */
+  async has(id) {
+    return (await this.findProcessed([id])).has(id);
+  }
+
+  /**
+   * Mark a message as processed
+   * outcome: 'lead' | 'no_email' | 'skipped' | 'bounce' (anything that should not be retried)
+   */
+  async record(id, { threadId = null, email = null, outcome = 'lead' } = {}) {
+    const key = this.key(id);
+
+    if (db.getPool()) {
+      await db.query(
+        `INSERT INTO processed_messages (gmail_id, thread_id, lead_email, outcome)
+         VALUES ($1, $2, $3, $4)
+         ON CONFLICT (gmail_id) DO NOTHING`,
+        [key, threadId, email, outcome]
+      );
+      return;
+    }
+
+    const entries = this.loadFile();
+    if (entries[key]) return;
+    entries[key] = { threadId, email, outcome, processedAt: new Date().toISOString() };
+    this.saveFile(entries);
+  }
+
+  /**
+   * Load the JSON fallback
+   */
+  loadFile() {
+    const file = path.join(this.statePath, 'processed_messages.json');
+    if (!fs.existsSync(file)) return {};
+
+    try {
+      return jsonfile.readFileSync(file).messages || {};
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Persist the JSON fallback, dropping the oldest entries past the cap
+   */
+  saveFile(entries) {
+    if (!fs.existsSync(this.statePath)) {
+      fs.mkdirSync(this.statePath, { recursive: true });
+    }
+
+    let messages = entries;
+    const ids = Object.keys(entries);
+    if (ids.length > MAX_FILE_ENTRIES) {
+      // Insertion order is processing order
+      messages = Object.fromEntries(ids.slice(-MAX_FILE_ENTRIES).map(id => [id, entries[id]]));
+    }
+
+    jsonfile.writeFileSync(path.join(this.statePath, 'processed_messages.json'), { messages });
+  }
+}
+
+module.exports = ProcessedLedger;
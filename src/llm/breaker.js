@@ -0,0 +1,49 @@
+/**
+ * Circuit Breaker
+ * Stops calling an LLM provider after repeated failures
+ *
+ * closed: requests go through; failureThreshold consecutive failures open it.
+ * open: requests are refused until cooldownMs has passed.
+ * half_open: requests go through again; the first success closes the
+ * circuit and the first failure opens it for another cooldown.
+ */
+
+const DEFAULTS = { failureThreshold: 3, cooldownMs: 60000 };
+
+class CircuitBreaker {
+  constructor(settings = {}) {
+    this.failureThreshold = settings.failureThreshold || DEFAULTS.failureThreshold;
+    this.cooldownMs = settings.cooldownMs || DEFAULTS.cooldownMs;
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  get state() {
+    if (this.openedAt === null) return 'closed';
+    return Date.now() - this.openedAt >= this.cooldownMs ? 'half_open' : 'open';
+  }
+
+  canRequest() {
+    return this.state !== 'open';
+  }
+
+  recordSuccess() {
+    this.failures = 0;
+    this.openedAt = null;
+  }
+
+  /**
+   * Count a failure; returns true when this failure opened the circuit
+   */
+  recordFailure() {
+    const wasOpen = this.openedAt !== null;
+    this.failures++;
+    if (wasOpen || this.failures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+      return true;
+    }
+    return false;
+  }
+}
+
+module.exports = CircuitBreaker;
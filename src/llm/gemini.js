@@ -0,0 +1,53 @@
+/**
+ * Gemini Provider
+ * LLM provider backed by the Gemini REST API (generateContent)
+ */
+
+const axios = require('axios');
+
+const DEFAULT_MODEL = 'gemini-2.5-flash';
+
+class GeminiProvider {
+  constructor(config, logger, settings = {}) {
+    this.config = config;
+    this.logger = logger;
+    this.settings = settings;
+    this.name = 'gemini';
+  }
+
+  get defaultModel() {
+    return this.settings.model || this.config.GEMINI_MODEL || DEFAULT_MODEL;
+  }
+
+  /**
+   * One generateContent call; finishReason is Gemini's own (STOP, MAX_TOKENS, SAFETY...)
+   */
+  async generate({ prompt, system, model, temperature, maxTokens, json, timeoutMs }) {
+    const apiKey = this.settings.apiKey || this.config.GEMINI_API_KEY || process.env.GEMINI_API_KEY;
+    if (!apiKey) throw new Error('GEMINI_API_KEY is not set');
+
+    const generationConfig = { temperature, topP: 0.95, maxOutputTokens: maxTokens };
+    if (json) generationConfig.responseMimeType = 'application/json';
+
+    const body = { contents: [{ role: 'user', parts: [{ text: prompt }] }], generationConfig };
+    if (system) body.systemInstruction = { parts: [{ text: system }] };
+
+    const url = `https://generativelanguage.googleapis.com/v1beta/models/${model}:generateContent?key=${apiKey}`;
+    let response;
+    try {
+      response = await axios.post(url, body, { timeout: timeoutMs });
+    } catch (error) {
+      const details = error.response?.data || error.message;
+      throw Object.assign(new Error(`Gemini API error: ${JSON.stringify(details)}`), { status: error.response?.status });
+    }
+
+    const candidate = response.data?.candidates?.[0];
+    return {
+      text: candidate?.content?.parts?.map(p => p.text).join('') || '',
+      finishReason: candidate?.finishReason || null,
+      safetyRatings: candidate?.safetyRatings
+    };
+  }
+}
+
+module.exports = GeminiProvider;
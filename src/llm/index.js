@@ -0,0 +1,267 @@
+/**
+ * LLM Client
+ * Provider-agnostic text generation, with the provider and model chosen per task
+ *
+ * Tasks: draft, regenerate, followup, classification (structured reading of
+ * the lead's message). config/llm.json (or LLM_CONFIG_PATH) names the
+ * providers and the settings of each task; LLM_PROVIDER / LLM_MODEL override
+ * every task (LLM_PROVIDER=mock runs the pipeline offline).
+ *
+ * A task can list "fallbacks" (provider names or { provider, model }) tried
+ * in order when the call fails or times out. Each provider has a circuit
+ * breaker (settings in "circuitBreaker") shared by every client in the
+ * process; providers with an open circuit are skipped. Answers cut off at
+ * the token limit (MAX_TOKENS) are continued up to "maxContinuations" times.
+ *
+ * Every provider exposes the same interface:
+ *   defaultModel                            -> model used when the task names none
+ *   generate({ prompt, system, model, temperature, maxTokens, json, timeoutMs, task })
+ *                                           -> { text, finishReason, model? }
+ * finishReason uses Gemini's names (STOP, MAX_TOKENS, SAFETY...).
+ */
+
+const fs = require('fs');
+const path = require('path');
+const GeminiProvider = require('./gemini');
+const OpenAiProvider = require('./openai');
+const RouterProvider = require('./router');
+const MockProvider = require('./mock');
+const CircuitBreaker = require('./breaker');
+
+const PROVIDER_TYPES = {
+  gemini: GeminiProvider,
+  openai: OpenAiProvider,
+  router: RouterProvider,
+  mock: MockProvider
+};
+
+const TASKS = ['draft', 'regenerate', 'followup', 'classification'];
+
+// One breaker per provider and model ("gemini:gemini-2.5-flash"), shared by every client in the process
+const BREAKERS = new Map();
+
+// Built-in providers: one of each type under its own name
+const DEFAULT_PROVIDERS = Object.fromEntries(Object.keys(PROVIDER_TYPES).map(type => [type, { type }]));
+
+/**
+ * Task settings used when config/llm.json doesn't set them (the older env vars still apply)
+ */
+function defaultTasks(config) {
+  const draftTimeoutMs = (config.EMAIL_DRAFT_TASK_TIMEOUT || 300) * 1000;
+  return {
+    draft: { provider: 'gemini', temperature: 0.4, maxTokens: 5000, timeoutMs: draftTimeoutMs, maxContinuations: 2 },
+    regenerate: { provider: 'gemini', temperature: 0.4, maxTokens: 5000, timeoutMs: draftTimeoutMs, maxContinuations: 2 },
+    followup: { provider: 'gemini', temperature: 0.4, maxTokens: 2048, timeoutMs: draftTimeoutMs, maxContinuations: 2 },
+    classification: {
+      provider: 'gemini',
+      model: config.ANALYSIS_MODEL,
+      temperature: 0,
+      maxTokens: 1024,
+      timeoutMs: config.ANALYSIS_TIMEOUT_MS || 20000,
+      // A JSON answer can't be stitched together
+      maxContinuations: 0
+    }
+  };
+}
+
+class LlmClient {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    const { providers, tasks, circuitBreaker } = this.load();
+    this.providers = providers;
+    this.tasks = tasks;
+    this.circuitBreaker = circuitBreaker;
+  }
+
+  /**
+   * Add a provider type usable from config/llm.json
+   */
+  static registerProvider(type, Provider) {
+    PROVIDER_TYPES[type] = Provider;
+  }
+
+  /**
+   * Load providers and task settings (unknown provider types and tasks are skipped with a warning)
+   */
+  load() {
+    const configPath = this.config.LLM_CONFIG_PATH || path.join(__dirname, '..', '..', 'config', 'llm.json');
+
+    let settings = {};
+    if (fs.existsSync(configPath)) {
+      try {
+        settings = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      } catch (error) {
+        this.logger.error('Failed to load LLM config', { configPath, error: error.message });
+      }
+    }
+
+    const providers = {};
+    for (const [name, definition] of Object.entries({ ...DEFAULT_PROVIDERS, ...settings.providers })) {
+      // "type" defaults to the name ({ "gemini": { "model": "..." } })
+      const Provider = PROVIDER_TYPES[definition?.type || name];
+      if (!Provider) {
+        this.logger.warn('Skipping unknown LLM provider', { provider: name, type: definition?.type });
+        continue;
+      }
+      providers[name] = new Provider(this.config, this.logger, definition);
+    }
+
+    for (const task of Object.keys(settings.tasks || {})) {
+      if (!TASKS.includes(task)) this.logger.warn('Skipping unknown LLM task', { task });
+    }
+    // Precedence: task entry, then "default", then the built-in settings
+    const builtIn = defaultTasks(this.config);
+    const tasks = Object.fromEntries(TASKS.map(task =>
+      [task, { ...builtIn[task], ...settings.default, ...settings.tasks?.[task] }]));
+
+    return { providers, tasks, circuitBreaker: settings.circuitBreaker || {} };
+  }
+
+  /**
+   * Effective settings of a task: { provider, model, fallbacks, temperature, maxTokens, timeoutMs, maxContinuations }
+   * LLM_PROVIDER drops the fallbacks (only the forced provider is called)
+   */
+  resolve(task) {
+    if (!this.tasks[task]) throw new Error(`Unknown LLM task: ${task} (expected ${TASKS.join(', ')})`);
+    const settings = { ...this.tasks[task] };
+
+    if (this.config.LLM_PROVIDER) {
+      settings.provider = this.config.LLM_PROVIDER;
+      settings.model = undefined;
+      settings.fallbacks = [];
+    }
+    if (this.config.LLM_MODEL) settings.model = this.config.LLM_MODEL;
+
+    const provider = this.providers[settings.provider];
+    if (!provider) {
+      throw new Error(`Unknown LLM provider: ${settings.provider} (expected ${Object.keys(this.providers).join(', ')})`);
+    }
+    return { ...settings, model: settings.model || provider.defaultModel };
+  }
+
+  /**
+   * Providers to try for a task, in order: [{ provider, model }]
+   */
+  chain(settings) {
+    const chain = [{ provider: settings.provider, model: settings.model }];
+    for (const entry of settings.fallbacks || []) {
+      const fallback = typeof entry === 'string' ? { provider: entry } : entry || {};
+      const provider = this.providers[fallback.provider];
+      if (!provider) {
+        this.logger.warn('Skipping unknown LLM fallback provider', { provider: fallback.provider });
+        continue;
+      }
+      chain.push({ provider: fallback.provider, model: fallback.model || provider.defaultModel });
+    }
+    return chain;
+  }
+
+  /**
+   * Circuit breaker of a provider and model (created with this client's settings on first use)
+   * Keyed per model so a fallback to another model of the same provider keeps its own count
+   */
+  breakerFor(provider, model) {
+    const key = `${provider}:${model}`;
+    if (!BREAKERS.has(key)) BREAKERS.set(key, new CircuitBreaker(this.circuitBreaker));
+    return BREAKERS.get(key);
+  }
+
+  /**
+   * Generate text for a task, falling back along the chain
+   * Returns { text, finishReason, provider, model, task, attempts, continuations, failures }
+   * (attempts counts the providers called; failures lists the ones that failed)
+   * Throws when every provider fails or has an open circuit
+   */
+  async generate(task, { prompt, system = null, json = false }) {
+    const settings = this.resolve(task);
+    const failures = [];
+    const skipped = [];
+
+    for (const { provider, model } of this.chain(settings)) {
+      const breaker = this.breakerFor(provider, model);
+      if (!breaker.canRequest()) {
+        skipped.push({ provider, model });
+        this.logger.warn('Skipping LLM provider with open circuit', { task, provider, model });
+        continue;
+      }
+
+      try {
+        const result = await this.complete(provider, { ...settings, model }, { prompt, system, json, task });
+        breaker.recordSuccess();
+        return {
+          ...result,
+          provider,
+          model: result.model || model,
+          task,
+          attempts: failures.length + 1,
+          failures
+        };
+      } catch (error) {
+        if (breaker.recordFailure()) {
+          this.logger.warn('LLM circuit opened', { provider, model, failures: breaker.failures, cooldownMs: breaker.cooldownMs });
+        }
+        failures.push({ provider, model, error: error.message });
+        this.logger.warn('LLM provider failed', { task, provider, model, error: error.message, status: error.status });
+      }
+    }
+
+    const reasons = [
+      ...failures.map(f => `${f.provider}/${f.model}: ${f.error}`),
+      ...skipped.map(s => `${s.provider}/${s.model}: circuit open`)
+    ];
+    const error = new Error(`No LLM provider could complete task ${task} (${reasons.join('; ')})`);
+    error.failures = failures;
+    throw error;
+  }
+
+  /**
+   * One provider's answer, continued while it stops at the token limit
+   * Empty answers count as failures so the next provider gets a turn
+   */
+  async complete(name, settings, { prompt, system, json, task }) {
+    const provider = this.providers[name];
+    const call = (text) => provider.generate({
+      prompt: text,
+      system,
+      json,
+      task,
+      model: settings.model,
+      temperature: settings.temperature,
+      maxTokens: settings.maxTokens,
+      timeoutMs: settings.timeoutMs
+    });
+
+    const result = await call(prompt);
+    let text = String(result.text || '');
+    if (!text.trim()) throw new Error(`Empty response (finishReason ${result.finishReason || 'unknown'})`);
+
+    let finishReason = result.finishReason;
+    let continuations = 0;
+    while (finishReason === 'MAX_TOKENS' && !json && continuations < (settings.maxContinuations || 0)) {
+      let next;
+      try {
+        next = await call(`${prompt}
+
+Your previous answer was cut off by the length limit. This is what you wrote so far:
+<<<
+${text}
+>>>
+Continue exactly where it stopped. Return ONLY the missing rest, without repeating anything.`);
+      } catch (error) {
+        this.logger.warn('LLM continuation failed; keeping the partial answer', { task, provider: name, error: error.message });
+        break;
+      }
+      continuations++;
+      text += String(next.text || '');
+      finishReason = next.finishReason;
+    }
+
+    return { ...result, text, finishReason, continuations };
+  }
+}
+
+module.exports = LlmClient;
+module.exports.PROVIDER_TYPES = PROVIDER_TYPES;
+module.exports.TASKS = TASKS;
+module.exports.BREAKERS = BREAKERS;
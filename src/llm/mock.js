@@ -0,0 +1,37 @@
+/**
+ * Mock Provider
+ * Deterministic offline LLM provider for development and tests
+ *
+ * The same prompt always gets the same answer. settings.responses maps a
+ * task to a fixed reply; otherwise text tasks get a short placeholder email
+ * and JSON tasks "{}" (every field then comes from the regex extractors).
+ */
+
+const crypto = require('crypto');
+
+class MockProvider {
+  constructor(config, logger, settings = {}) {
+    this.config = config;
+    this.logger = logger;
+    this.settings = settings;
+    this.name = 'mock';
+  }
+
+  get defaultModel() {
+    return this.settings.model || 'mock';
+  }
+
+  async generate({ prompt, json, task }) {
+    const responses = this.settings.responses || {};
+    if (responses[task] !== undefined) return { text: String(responses[task]), finishReason: 'STOP' };
+    if (json) return { text: '{}', finishReason: 'STOP' };
+
+    const digest = crypto.createHash('sha1').update(String(prompt)).digest('hex').slice(0, 8);
+    return {
+      text: `Hello,\n\nThank you for your message. This reply was written by the mock LLM provider (task ${task}, prompt ${digest}).\n\nBest regards,`,
+      finishReason: 'STOP'
+    };
+  }
+}
+
+module.exports = MockProvider;
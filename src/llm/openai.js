@@ -0,0 +1,73 @@
+/**
+ * OpenAI-compatible Provider
+ * LLM provider for any /chat/completions endpoint: OpenAI, or local servers
+ * such as Ollama (http://localhost:11434/v1) and llama.cpp
+ *
+ * settings: { baseUrl, model, apiKeyEnv } (apiKeyEnv names the env var holding the key;
+ * local servers need none)
+ */
+
+const axios = require('axios');
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+const DEFAULT_MODEL = 'gpt-4o-mini';
+
+// finish_reason -> the Gemini names used across providers
+const FINISH_REASONS = { stop: 'STOP', length: 'MAX_TOKENS', content_filter: 'SAFETY' };
+
+class OpenAiProvider {
+  constructor(config, logger, settings = {}) {
+    this.config = config;
+    this.logger = logger;
+    this.settings = settings;
+    this.name = 'openai';
+  }
+
+  get defaultModel() {
+    return this.settings.model || DEFAULT_MODEL;
+  }
+
+  get baseUrl() {
+    return String(this.settings.baseUrl || this.config.OPENAI_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  }
+
+  get apiKey() {
+    if (this.settings.apiKeyEnv) return process.env[this.settings.apiKeyEnv];
+    return this.config.OPENAI_API_KEY || process.env.OPENAI_API_KEY;
+  }
+
+  /**
+   * Extra request fields (the model router adds its own)
+   */
+  extraBody() {
+    return {};
+  }
+
+  async generate({ prompt, system, model, temperature, maxTokens, json, timeoutMs, task }) {
+    const messages = [];
+    if (system) messages.push({ role: 'system', content: system });
+    messages.push({ role: 'user', content: prompt });
+
+    const body = { model, messages, temperature, max_tokens: maxTokens, ...this.extraBody({ task }) };
+    if (json) body.response_format = { type: 'json_object' };
+
+    const headers = this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {};
+    let response;
+    try {
+      response = await axios.post(`${this.baseUrl}/chat/completions`, body, { headers, timeout: timeoutMs });
+    } catch (error) {
+      const details = error.response?.data || error.message;
+      throw Object.assign(new Error(`${this.name} API error: ${JSON.stringify(details)}`), { status: error.response?.status });
+    }
+
+    const choice = response.data?.choices?.[0];
+    const reason = choice?.finish_reason;
+    return {
+      text: choice?.message?.content || '',
+      finishReason: FINISH_REASONS[reason] || (reason ? String(reason).toUpperCase() : null),
+      model: response.data?.model || model
+    };
+  }
+}
+
+module.exports = OpenAiProvider;
@@ -0,0 +1,34 @@
+/**
+ * Model Router Provider
+ * LLM provider for the model router at MODEL_ROUTER_URL
+ *
+ * The router speaks the OpenAI chat completions protocol; the task name is
+ * sent in `metadata` and the model "auto" lets the router pick one.
+ */
+
+const OpenAiProvider = require('./openai');
+
+class RouterProvider extends OpenAiProvider {
+  constructor(config, logger, settings = {}) {
+    super(config, logger, settings);
+    this.name = 'router';
+  }
+
+  get defaultModel() {
+    return this.settings.model || 'auto';
+  }
+
+  get baseUrl() {
+    return `${String(this.settings.baseUrl || this.config.MODEL_ROUTER_URL || 'http://localhost:8080').replace(/\/+$/, '')}/v1`;
+  }
+
+  get apiKey() {
+    return this.settings.apiKeyEnv ? process.env[this.settings.apiKeyEnv] : null;
+  }
+
+  extraBody({ task }) {
+    return { metadata: { task } };
+  }
+}
+
+module.exports = RouterProvider;
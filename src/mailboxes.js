@@ -0,0 +1,190 @@
+/**
+ * Mailboxes Module
+ * Registry of the inboxes EmailBot works on (hello@, sales@, other brands)
+ *
+ * Mailboxes come from config/mailboxes.json (or MAILBOXES_PATH). Without that
+ * file there is a single "default" mailbox built from the GMAIL_* / IMAP_* env
+ * vars, so single-inbox deployments keep working unchanged.
+ *
+ * Modules stay mailbox-agnostic: configFor(id) returns the base config with
+ * the mailbox's settings laid over it (address, provider credentials, filter,
+ * system prompt, signature, Notion databases, state directory).
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_ID = 'default';
+
+/**
+ * Whether a stored record (draft, lead) belongs to the mailbox of a config
+ * Records from before mailboxes existed have none and belong to the default one
+ */
+function belongsTo(record, config) {
+  if (!config.MAILBOX_ID) return true;
+  return record?.mailbox ? record.mailbox === config.MAILBOX_ID : !!config.MAILBOX_DEFAULT;
+}
+
+class MailboxRegistry {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.mailboxes = this.load();
+    this.configs = new Map();
+  }
+
+  /**
+   * Load mailbox definitions, falling back to the env-configured inbox
+   */
+  load() {
+    const configPath = this.config.MAILBOXES_PATH ||
+      path.join(__dirname, '..', 'config', 'mailboxes.json');
+
+    let defined = [];
+    if (fs.existsSync(configPath)) {
+      try {
+        defined = JSON.parse(fs.readFileSync(configPath, 'utf8')).mailboxes || [];
+      } catch (error) {
+        this.logger.error('Failed to load mailboxes', { configPath, error: error.message });
+      }
+    }
+
+    const mailboxes = [];
+    for (const def of defined) {
+      if (!def?.id || !/^[a-z0-9_-]+$/i.test(def.id)) {
+        this.logger.warn('Skipping mailbox without a valid id', { id: def?.id });
+        continue;
+      }
+      if (mailboxes.some(m => m.id === def.id)) {
+        this.logger.warn('Skipping duplicate mailbox', { id: def.id });
+        continue;
+      }
+      mailboxes.push({ ...def });
+    }
+
+    if (mailboxes.length === 0) {
+      return [{ ...this.fromEnv(), default: true }];
+    }
+
+    // The first mailbox is the default unless one says otherwise
+    const defaultId = (mailboxes.find(m => m.default) || mailboxes[0]).id;
+    return mailboxes.map(m => ({ ...m, default: m.id === defaultId }));
+  }
+
+  /**
+   * The single mailbox described by env vars
+   */
+  fromEnv() {
+    const c = this.config;
+    return {
+      id: DEFAULT_ID,
+      address: c.GMAIL_USER || c.IMAP_USER,
+      provider: c.MAIL_PROVIDER,
+      delegatedUser: c.GMAIL_DELEGATED_USER,
+      from: c.MAIL_FROM,
+      filter: c.INGEST_FILTER,
+      processedLabel: c.GMAIL_PROCESSED_LABEL,
+      notionLeadsDbId: c.NOTION_LEADS_DB_ID,
+      notionFollowupsDbId: c.NOTION_FOLLOWUPS_DB_ID,
+      imap: {
+        user: c.IMAP_USER,
+        password: c.IMAP_PASSWORD,
+        mailbox: c.IMAP_MAILBOX,
+        sentMailbox: c.IMAP_SENT_MAILBOX
+      },
+      smtp: {
+        user: c.SMTP_USER,
+        password: c.SMTP_PASSWORD
+      }
+    };
+  }
+
+  list() {
+    return this.mailboxes;
+  }
+
+  get defaultId() {
+    return this.mailboxes.find(m => m.default).id;
+  }
+
+  has(id) {
+    return this.mailboxes.some(m => m.id === id);
+  }
+
+  /**
+   * Mailbox by id (the default one when id is empty)
+   */
+  get(id) {
+    if (!id) return this.mailboxes.find(m => m.default);
+
+    const mailbox = this.mailboxes.find(m => m.id === id);
+    if (!mailbox) {
+      throw new Error(`Unknown mailbox: ${id}`);
+    }
+    return mailbox;
+  }
+
+  /**
+   * Mailbox receiving mail for an address (push notifications carry it)
+   */
+  findByAddress(address) {
+    const wanted = String(address || '').toLowerCase();
+    return this.mailboxes.find(m =>
+      [m.address, m.delegatedUser].some(a => a && a.toLowerCase() === wanted)
+    ) || null;
+  }
+
+  /**
+   * Base config with a mailbox's settings applied
+   */
+  configFor(id) {
+    const mailbox = this.get(id);
+    if (this.configs.has(mailbox.id)) return this.configs.get(mailbox.id);
+
+    const base = this.config;
+    const imap = mailbox.imap || {};
+    const smtp = mailbox.smtp || {};
+    // Secrets can be kept out of the JSON file: { "passwordEnv": "SALES_IMAP_PASSWORD" }
+    const secret = (section) => section.password ?? (section.passwordEnv ? process.env[section.passwordEnv] : undefined);
+
+    const config = {
+      ...base,
+      MAILBOX_ID: mailbox.id,
+      MAILBOX_DEFAULT: !!mailbox.default,
+      GMAIL_USER: mailbox.address,
+      GMAIL_DELEGATED_USER: mailbox.delegatedUser || mailbox.address,
+      MAIL_PROVIDER: mailbox.provider || base.MAIL_PROVIDER,
+      MAIL_FROM: mailbox.from || mailbox.address,
+      GMAIL_PROCESSED_LABEL: mailbox.processedLabel ?? base.GMAIL_PROCESSED_LABEL,
+      INGEST_FILTER: mailbox.filter,
+      SYSTEM_PROMPT: mailbox.systemPrompt,
+      SYSTEM_PROMPT_PATH: mailbox.systemPromptPath &&
+        path.resolve(__dirname, '..', mailbox.systemPromptPath),
+      DRAFT_SIGNATURE: mailbox.signature,
+      NOTION_LEADS_DB_ID: mailbox.notionLeadsDbId || base.NOTION_LEADS_DB_ID,
+      NOTION_FOLLOWUPS_DB_ID: mailbox.notionFollowupsDbId || mailbox.notionLeadsDbId || base.NOTION_FOLLOWUPS_DB_ID,
+      // Server settings are shared; accounts are per mailbox
+      IMAP_HOST: imap.host || base.IMAP_HOST,
+      IMAP_PORT: imap.port || base.IMAP_PORT,
+      IMAP_SECURE: imap.secure ?? base.IMAP_SECURE,
+      IMAP_USER: imap.user || mailbox.address,
+      IMAP_PASSWORD: secret(imap),
+      IMAP_MAILBOX: imap.mailbox,
+      IMAP_SENT_MAILBOX: imap.sentMailbox,
+      SMTP_HOST: smtp.host || base.SMTP_HOST,
+      SMTP_PORT: smtp.port || base.SMTP_PORT,
+      SMTP_SECURE: smtp.secure ?? base.SMTP_SECURE,
+      SMTP_USER: smtp.user,
+      SMTP_PASSWORD: secret(smtp),
+      // Checkpoints, watch state and the file ledger are per mailbox
+      statePath: mailbox.default ? base.statePath : path.join(base.statePath, 'mailboxes', mailbox.id)
+    };
+
+    this.configs.set(mailbox.id, config);
+    return config;
+  }
+}
+
+module.exports = MailboxRegistry;
+module.exports.belongsTo = belongsTo;
+module.exports.DEFAULT_ID = DEFAULT_ID;
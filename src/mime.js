@@ -0,0 +1,335 @@
+/**
+ * MIME Module
+ * Shared decoding of message bodies: charsets, transfer encodings, HTML -> text
+ *
+ * Works on Gmail API payloads ({ mimeType, headers, body: { data }, parts })
+ * and can turn a raw RFC 822 message into the same shape (parseRawMessage),
+ * so every source goes through one decoder.
+ */
+
+// HTML 4 Latin-1 entities, in code point order from U+00A0
+const LATIN1_ENTITIES = [
+  'nbsp', 'iexcl', 'cent', 'pound', 'curren', 'yen', 'brvbar', 'sect', 'uml', 'copy', 'ordf', 'laquo',
+  'not', 'shy', 'reg', 'macr', 'deg', 'plusmn', 'sup2', 'sup3', 'acute', 'micro', 'para', 'middot',
+  'cedil', 'sup1', 'ordm', 'raquo', 'frac14', 'frac12', 'frac34', 'iquest', 'Agrave', 'Aacute', 'Acirc',
+  'Atilde', 'Auml', 'Aring', 'AElig', 'Ccedil', 'Egrave', 'Eacute', 'Ecirc', 'Euml', 'Igrave', 'Iacute',
+  'Icirc', 'Iuml', 'ETH', 'Ntilde', 'Ograve', 'Oacute', 'Ocirc', 'Otilde', 'Ouml', 'times', 'Oslash',
+  'Ugrave', 'Uacute', 'Ucirc', 'Uuml', 'Yacute', 'THORN', 'szlig', 'agrave', 'aacute', 'acirc', 'atilde',
+  'auml', 'aring', 'aelig', 'ccedil', 'egrave', 'eacute', 'ecirc', 'euml', 'igrave', 'iacute', 'icirc',
+  'iuml', 'eth', 'ntilde', 'ograve', 'oacute', 'ocirc', 'otilde', 'ouml', 'divide', 'oslash', 'ugrave',
+  'uacute', 'ucirc', 'uuml', 'yacute', 'thorn', 'yuml'
+];
+
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'",
+  ndash: '–', mdash: '—', lsquo: '‘', rsquo: '’', sbquo: '‚',
+  ldquo: '“', rdquo: '”', bdquo: '„', bull: '•', hellip: '…',
+  prime: '′', Prime: '″', lsaquo: '‹', rsaquo: '›', euro: '€',
+  trade: '™', dagger: '†', Dagger: '‡', permil: '‰', OElig: 'Œ',
+  oelig: 'œ', Scaron: 'Š', scaron: 'š', Yuml: 'Ÿ', fnof: 'ƒ',
+  circ: 'ˆ', tilde: '˜', ensp: ' ', emsp: ' ', thinsp: ' ',
+  zwnj: '‌', zwj: '‍', lrm: '‎', rlm: '‏', larr: '←', rarr: '→',
+  uarr: '↑', darr: '↓', check: '✓', hearts: '♥', star: '☆'
+};
+LATIN1_ENTITIES.forEach((name, i) => { NAMED_ENTITIES[name] = String.fromCharCode(0xA0 + i); });
+
+/**
+ * Decode HTML entities (named, decimal and hex)
+ */
+function decodeEntities(text) {
+  return String(text || '').replace(/&(#\d+|#x[0-9a-f]+|[a-z][a-z0-9]*);?/gi, (match, entity) => {
+    if (entity[0] === '#') {
+      const code = entity[1] === 'x' || entity[1] === 'X'
+        ? parseInt(entity.slice(2), 16)
+        : parseInt(entity.slice(1), 10);
+      if (!Number.isFinite(code) || code <= 0 || code > 0x10FFFF) return match;
+      // Browsers map C1 code points to Windows-1252 (&#150; is an en dash)
+      if (code >= 0x80 && code <= 0x9F) return decodeWindows1252(Buffer.from([code]));
+      return String.fromCodePoint(code);
+    }
+    return Object.prototype.hasOwnProperty.call(NAMED_ENTITIES, entity) ? NAMED_ENTITIES[entity] : match;
+  });
+}
+
+/**
+ * HTML to readable plain text (keeps links, lists and paragraph breaks)
+ */
+function htmlToText(html) {
+  let text = String(html || '')
+    .replace(/<!--[\s\S]*?-->/g, ' ')
+    .replace(/<(head|style|script|title)\b[\s\S]*?<\/\1\s*>/gi, ' ')
+    .replace(/\r?\n/g, ' ');
+
+  // Links: "text (url)" unless the text already is the url
+  text = text.replace(/<a\b[^>]*?href\s*=\s*(["'])(.*?)\1[^>]*>([\s\S]*?)<\/a\s*>/gi, (m, q, href, inner) => {
+    const label = inner.replace(/<[^>]+>/g, '').trim();
+    const url = decodeEntities(href).trim();
+    if (!url || url.startsWith('#') || /^javascript:/i.test(url)) return label;
+    const shown = url.replace(/^mailto:/i, '');
+    if (!label || decodeEntities(label) === shown || decodeEntities(label) === url) return shown;
+    return `${label} (${shown})`;
+  });
+
+  text = text
+    .replace(/<li\b[^>]*>/gi, '\n- ')
+    .replace(/<br\s*\/?\s*>/gi, '\n')
+    .replace(/<hr\b[^>]*>/gi, '\n---\n')
+    .replace(/<\/?(p|div|h[1-6]|ul|ol|table|tr|blockquote|section|article|header|footer)\b[^>]*>/gi, '\n')
+    .replace(/<\/(td|th)\s*>/gi, '\t')
+    .replace(/<[^>]+>/g, '');
+
+  return decodeEntities(text)
+    .replace(/\u00A0/g, ' ')
+    .split('\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').trim())
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
+
+// Windows-1252 characters for bytes 0x80-0x9F (undefined bytes stay as-is)
+const CP1252_C1 = '€\u0081‚ƒ„…†‡ˆ‰Š‹Œ\u008DŽ\u008F\u0090‘’“”•–—˜™š›œ\u009DžŸ';
+
+/**
+ * Windows-1252 (and ISO-8859-1, which mail clients use interchangeably).
+ * Done by hand: Node's TextDecoder treats windows-1252 as plain Latin-1.
+ */
+function decodeWindows1252(buffer) {
+  return Buffer.from(buffer).toString('latin1')
+    .replace(/[\u0080-\u009F]/g, ch => CP1252_C1[ch.charCodeAt(0) - 0x80]);
+}
+
+/**
+ * Decode bytes with a MIME charset; bad or unknown labels fall back to UTF-8,
+ * and invalid UTF-8 (mislabelled Latin-1 mail) falls back to Windows-1252
+ */
+function decodeCharset(buffer, charset) {
+  const label = String(charset || 'utf-8').trim().replace(/^["']|["']$/g, '').toLowerCase();
+
+  // us-ascii labels are often wrong about 8-bit UTF-8 content; treat them like UTF-8
+  if (!['utf-8', 'utf8', 'us-ascii', 'ascii'].includes(label)) {
+    try {
+      const decoder = new TextDecoder(label);
+      return decoder.encoding === 'windows-1252' ? decodeWindows1252(buffer) : decoder.decode(buffer);
+    } catch {
+      // Unknown label: try UTF-8 below
+    }
+  }
+
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch {
+    return decodeWindows1252(buffer);
+  }
+}
+
+/**
+ * Gmail uses base64url for body data
+ */
+function decodeBase64Url(data) {
+  if (!data) return Buffer.alloc(0);
+  return Buffer.from(String(data).replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+}
+
+/**
+ * Quoted-printable to bytes
+ */
+function decodeQuotedPrintable(input) {
+  const text = Buffer.isBuffer(input) ? input.toString('latin1') : String(input || '');
+  const cleaned = text.replace(/[ \t]+(\r?\n)/g, '$1').replace(/=\r?\n/g, '');
+  const bytes = [];
+  for (let i = 0; i < cleaned.length; i++) {
+    const ch = cleaned[i];
+    if (ch === '=' && /^[0-9A-F]{2}$/i.test(cleaned.substr(i + 1, 2))) {
+      bytes.push(parseInt(cleaned.substr(i + 1, 2), 16));
+      i += 2;
+    } else {
+      bytes.push(cleaned.charCodeAt(i) & 0xFF);
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+/**
+ * RFC 2047 encoded words in headers (=?ISO-8859-1?Q?Jos=E9?=)
+ */
+function decodeEncodedWords(value) {
+  if (!value || !String(value).includes('=?')) return value || '';
+  return String(value)
+    // Whitespace between adjacent encoded words is not significant
+    .replace(/(\?=)\s+(?==\?)/g, '$1')
+    .replace(/=\?([^?]+)\?([bq])\?([^?]*)\?=/gi, (match, charset, encoding, text) => {
+      try {
+        const bytes = encoding.toUpperCase() === 'B'
+          ? Buffer.from(text, 'base64')
+          : decodeQuotedPrintable(text.replace(/_/g, ' '));
+        return decodeCharset(bytes, charset.split('*')[0]);
+      } catch {
+        return match;
+      }
+    });
+}
+
+/**
+ * Case-insensitive header lookup on [{ name, value }]
+ */
+function getHeader(headers, name) {
+  const wanted = String(name).toLowerCase();
+  return (headers || []).find(h => String(h.name).toLowerCase() === wanted)?.value || '';
+}
+
+/**
+ * Parse "text/plain; charset=ISO-8859-1" into { mimeType, params }
+ */
+function parseContentType(value) {
+  const [type, ...rest] = String(value || '').split(';');
+  const params = {};
+  for (const param of rest) {
+    const eq = param.indexOf('=');
+    if (eq < 0) continue;
+    const key = param.slice(0, eq).trim().toLowerCase();
+    params[key] = param.slice(eq + 1).trim().replace(/^"|"$/g, '');
+  }
+  return { mimeType: type.trim().toLowerCase() || 'text/plain', params };
+}
+
+/**
+ * Decode a single Gmail-shaped part to text (honours its charset)
+ */
+function decodePart(part) {
+  if (!part?.body?.data) return '';
+  const { params } = parseContentType(getHeader(part.headers, 'Content-Type'));
+  const text = decodeCharset(decodeBase64Url(part.body.data), params.charset);
+  return (part.mimeType || '').toLowerCase() === 'text/html' ? htmlToText(text) : text;
+}
+
+function isAttachment(part) {
+  return !!part.filename || /^\s*attachment/i.test(getHeader(part.headers, 'Content-Disposition'));
+}
+
+/**
+ * Best plain-text rendering of a message: text/plain, else text/html, else snippet
+ */
+function extractText(message) {
+  const payload = message?.payload;
+
+  const parts = [];
+  const walk = (node) => {
+    if (!node) return;
+    if (Array.isArray(node.parts)) node.parts.forEach(walk);
+    else if (node.body?.data && !isAttachment(node)) parts.push(node);
+  };
+  walk(payload);
+
+  for (const mime of ['text/plain', 'text/html']) {
+    for (const part of parts.filter(p => (p.mimeType || '').toLowerCase() === mime)) {
+      const txt = decodePart(part);
+      if (txt && txt.trim()) return txt;
+    }
+  }
+
+  // Single-part messages without an explicit text/* type
+  if (payload?.body?.data && !payload.parts) {
+    const txt = decodePart(payload);
+    if (txt && txt.trim()) return txt;
+  }
+
+  const snip = message?.snippet;
+  if (snip && String(snip).trim()) return decodeEntities(String(snip));
+
+  return '';
+}
+
+/**
+ * Transfer-decode a raw part body (latin1 string) to bytes
+ */
+function decodeTransfer(body, encoding) {
+  const enc = String(encoding || '').trim().toLowerCase();
+  if (enc === 'base64') return Buffer.from(body.replace(/[^A-Za-z0-9+/=]/g, ''), 'base64');
+  if (enc === 'quoted-printable') return decodeQuotedPrintable(body);
+  return Buffer.from(body, 'latin1');
+}
+
+function parseHeaderBlock(block) {
+  const headers = [];
+  // Unfold continuation lines
+  for (const line of block.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/)) {
+    const colon = line.indexOf(':');
+    if (colon <= 0) continue;
+    headers.push({
+      name: line.slice(0, colon).trim(),
+      value: decodeEncodedWords(decodeCharset(Buffer.from(line.slice(colon + 1).trim(), 'latin1'), 'utf-8'))
+    });
+  }
+  return headers;
+}
+
+function parseEntity(raw, partId = '') {
+  // A part may start with the blank line directly (no headers of its own)
+  const split = /^\r?\n/.test(raw) ? 0 : raw.search(/\r?\n\r?\n/);
+  const headerBlock = split >= 0 ? raw.slice(0, split) : raw;
+  const body = split >= 0 ? raw.slice(split).replace(/^\r?\n(\r?\n)?/, '') : '';
+
+  const headers = parseHeaderBlock(headerBlock);
+  const { mimeType, params } = parseContentType(getHeader(headers, 'Content-Type') || 'text/plain');
+  const disposition = parseContentType(getHeader(headers, 'Content-Disposition'));
+  const filename = decodeEncodedWords(disposition.params.filename || params.name || '');
+
+  const part = { partId, mimeType, filename, headers, body: { size: 0 } };
+
+  if (mimeType.startsWith('multipart/') && params.boundary) {
+    const delimiter = `--${params.boundary}`;
+    const sections = body.split(delimiter).slice(1);
+    part.parts = [];
+    for (const section of sections) {
+      if (section.startsWith('--')) break;
+      part.parts.push(parseEntity(section.replace(/^[ \t]*\r?\n/, ''), partId ? `${partId}.${part.parts.length}` : String(part.parts.length)));
+    }
+    return part;
+  }
+
+  if (mimeType === 'message/rfc822') {
+    part.parts = [parseEntity(body, partId ? `${partId}.0` : '0')];
+    return part;
+  }
+
+  const bytes = decodeTransfer(body, getHeader(headers, 'Content-Transfer-Encoding'));
+  part.body = {
+    size: bytes.length,
+    data: bytes.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+  };
+  return part;
+}
+
+/**
+ * Parse a raw RFC 822 message (string or Buffer) into a Gmail-shaped message
+ */
+function parseRawMessage(raw) {
+  const source = Buffer.isBuffer(raw) ? raw.toString('latin1') : Buffer.from(String(raw), 'utf8').toString('latin1');
+  const payload = parseEntity(source);
+
+  const dateHeader = getHeader(payload.headers, 'Date');
+  const dateMs = dateHeader ? Date.parse(dateHeader) : NaN;
+
+  const message = {
+    payload,
+    internalDate: Number.isFinite(dateMs) ? String(dateMs) : undefined,
+    labelIds: []
+  };
+  message.snippet = extractText(message).replace(/\s+/g, ' ').trim().substring(0, 200);
+  return message;
+}
+
+module.exports = {
+  decodeEntities,
+  htmlToText,
+  decodeCharset,
+  decodeBase64Url,
+  decodeQuotedPrintable,
+  decodeEncodedWords,
+  getHeader,
+  parseContentType,
+  decodePart,
+  extractText,
+  parseRawMessage
+};
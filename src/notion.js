@@ -5,6 +5,7 @@
 
 const axios = require('axios');
 const jsonfile = require('jsonfile');
+const { belongsTo } = require('./mailboxes');
 
 class NotionSync {
   constructor(config, logger) {
@@ -35,7 +36,8 @@ class NotionSync {
 
     const Approver = require('./approver');
     const approver = new Approver(this.config, this.logger);
-    const drafts = await approver.loadAllDrafts();
+    // Each mailbox syncs its own drafts into its own database
+    const drafts = (await approver.loadAllDrafts()).filter(d => belongsTo(d, this.config));
 
     let updated = 0;
     for (const draft of drafts) {
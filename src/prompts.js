@@ -0,0 +1,369 @@
+/**
+ * Prompts Module
+ * Named, versioned prompt templates for the model calls (draft, regenerate, followup)
+ *
+ * Version 1 of each prompt is built in; new versions are added through
+ * POST /api/prompts and kept in the prompt_versions table when Postgres is
+ * configured (state/prompts.json otherwise). Templates use {{variable}}
+ * placeholders from a fixed list per prompt. Each prompt has an active
+ * version, or an A/B test that splits leads between two versions (the same
+ * lead always gets the same one) so approval rates can be compared.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const jsonfile = require('jsonfile');
+const db = require('./db');
+
+/**
+ * Built-in prompts: variables every version may use (required ones must appear) and version 1
+ */
+const PROMPTS = {
+  draft: {
+    description: 'First reply to a lead',
+    variables: ['systemPrompt', 'language', 'name', 'company', 'subject', 'message', 'senderContext', 'knowledge', 'redactionRules'],
+    required: ['message'],
+    template: `{{systemPrompt}}
+
+Write a reply to the email below.
+
+Hard rules:
+- Reply in the SAME language as the original message ({{language}}).
+- Use only the context from the original message.
+- Be specific: reference at least 2 concrete details from the message.
+- DO NOT use generic filler like "We specialize in our services".
+- If the message asks for a website, propose a next step and ask 3 targeted questions (scope/pages, features, timeline/budget).
+- Keep it concise and helpful.
+- Do not mention policies, training, or that you are an AI.
+- Return ONLY the email body (no subject line).
+{{redactionRules}}{{senderContext}}{{knowledge}}
+Original message:
+{{message}}
+`
+  },
+  regenerate: {
+    description: 'Rewrite of an existing draft (rewrite, shorten, expand or a free instruction)',
+    variables: ['systemPrompt', 'language', 'name', 'company', 'subject', 'message', 'previousDraft', 'instruction', 'knowledge', 'redactionRules'],
+    required: ['message'],
+    template: `{{systemPrompt}}
+
+Write the reply in {{language}}.
+
+Customer name: {{name}}
+Company: {{company}}
+Original message:
+{{message}}
+
+(For reference only) Previous draft:
+{{previousDraft}}
+{{knowledge}}
+Task: {{instruction}}
+{{redactionRules}}
+Return ONLY the email body.`
+  },
+  followup: {
+    description: 'Follow-up to a lead who has not answered (FOLLOWUP_MODE=llm)',
+    variables: ['number', 'language', 'name', 'company', 'message', 'previousDraft', 'finalNote', 'redactionRules'],
+    required: ['number'],
+    template: `Write follow-up email number {{number}} of 3 to a lead who has not answered our reply.
+
+Rules:
+- Write in {{language}}.
+- Keep it short (2-4 sentences), friendly and specific to their request; no pressure.
+- Do not repeat the previous reply; offer one clear next step.
+{{finalNote}}- Return ONLY the email body (no subject line).
+{{redactionRules}}
+Customer name: {{name}}
+Company: {{company}}
+Their original message:
+{{message}}
+
+Our previous reply:
+{{previousDraft}}
+`
+  }
+};
+
+const PLACEHOLDER = /\{\{\s*(\w+)\s*\}\}/g;
+
+/**
+ * Fill {{variable}} placeholders (missing values render as '')
+ */
+function render(template, variables = {}) {
+  return template.replace(PLACEHOLDER, (match, name) => {
+    const value = variables[name];
+    return value === undefined || value === null ? '' : String(value);
+  });
+}
+
+/**
+ * Error for invalid prompt input (the API answers 400/404 with error.status)
+ */
+function promptError(message, status = 400) {
+  return Object.assign(new Error(message), { code: 'INVALID_PROMPT', status });
+}
+
+/**
+ * Approval rate of the drafts written with each version of a prompt
+ * Approved or sent count as approved; pending drafts are counted but not rated
+ */
+function approvalStats(drafts, name) {
+  const byVersion = {};
+  for (const draft of drafts) {
+    if (draft?.prompt?.name !== name) continue;
+    const version = draft.prompt.version;
+    const stats = byVersion[version] || (byVersion[version] = { version, drafts: 0, approved: 0, rejected: 0, pending: 0 });
+    stats.drafts++;
+    if (['approved', 'sent'].includes(draft.status)) stats.approved++;
+    else if (draft.status === 'rejected') stats.rejected++;
+    else stats.pending++;
+  }
+
+  return Object.values(byVersion)
+    .sort((a, b) => a.version - b.version)
+    .map(stats => ({
+      ...stats,
+      approvalRate: stats.approved + stats.rejected > 0
+        ? Math.round(stats.approved / (stats.approved + stats.rejected) * 1000) / 1000
+        : null
+    }));
+}
+
+class PromptLibrary {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.statePath = config.statePath;
+  }
+
+  has(name) {
+    return Object.prototype.hasOwnProperty.call(PROMPTS, name);
+  }
+
+  /**
+   * Every prompt with its variables, settings and versions (without the templates)
+   */
+  async list() {
+    const prompts = [];
+    for (const name of Object.keys(PROMPTS)) {
+      const { versions, ...prompt } = await this.get(name);
+      prompts.push({ ...prompt, versions: versions.map(({ template, ...version }) => version) });
+    }
+    return prompts;
+  }
+
+  /**
+   * One prompt: { name, description, variables, required, activeVersion, abTest, versions }
+   */
+  async get(name) {
+    if (!this.has(name)) throw promptError(`Unknown prompt: ${name}`, 404);
+    const { description, variables, required, template } = PROMPTS[name];
+    const settings = await this.loadSettings(name);
+
+    return {
+      name,
+      description,
+      variables,
+      required,
+      activeVersion: settings.activeVersion || 1,
+      abTest: settings.abTest || null,
+      versions: [
+        { version: 1, description: 'Built-in', template, builtIn: true, createdAt: null },
+        ...await this.loadVersions(name)
+      ]
+    };
+  }
+
+  /**
+   * Add a version; activate makes it the active one (and ends an A/B test)
+   */
+  async create(name, { template, description = null, activate = false } = {}) {
+    if (!this.has(name)) throw promptError(`Unknown prompt: ${name}`, 404);
+    this.validate(name, template);
+
+    const versions = await this.loadVersions(name);
+    const version = Math.max(1, ...versions.map(v => v.version)) + 1;
+    const entry = { version, description, template, builtIn: false, createdAt: new Date().toISOString() };
+
+    if (db.getPool()) {
+      await db.query(
+        'INSERT INTO prompt_versions (name, version, template, description) VALUES ($1, $2, $3, $4)',
+        [name, version, template, description]
+      );
+    } else {
+      const state = this.loadFile();
+      state.versions[name] = [...versions, entry];
+      this.saveFile(state);
+    }
+    this.logger.info('Prompt version created', { name, version });
+
+    if (activate) await this.configure(name, { activeVersion: version, abTest: null });
+    return entry;
+  }
+
+  /**
+   * Set the active version and/or the A/B test ({ versions: [a, b], split } or null)
+   * split is the share of leads that get the first version (default 0.5)
+   */
+  async configure(name, { activeVersion, abTest } = {}) {
+    const prompt = await this.get(name);
+    const exists = (version) => prompt.versions.some(v => v.version === version);
+    const settings = { activeVersion: prompt.activeVersion, abTest: prompt.abTest };
+
+    if (activeVersion !== undefined) {
+      if (!exists(activeVersion)) throw promptError(`Unknown version of ${name}: ${activeVersion}`);
+      settings.activeVersion = activeVersion;
+    }
+
+    if (abTest !== undefined) {
+      if (abTest === null) {
+        settings.abTest = null;
+      } else {
+        const versions = abTest.versions || [];
+        const split = abTest.split === undefined ? 0.5 : Number(abTest.split);
+        if (versions.length !== 2 || versions[0] === versions[1] || !versions.every(exists)) {
+          throw promptError(`An A/B test needs two different existing versions of ${name}`);
+        }
+        if (!(split > 0 && split < 1)) throw promptError('split must be between 0 and 1');
+        settings.abTest = { versions, split, startedAt: new Date().toISOString() };
+      }
+    }
+
+    if (db.getPool()) {
+      await db.query(
+        `INSERT INTO prompt_settings (name, active_version, ab_test, updated_at)
+         VALUES ($1, $2, $3, now())
+         ON CONFLICT (name) DO UPDATE SET
+           active_version = EXCLUDED.active_version,
+           ab_test = EXCLUDED.ab_test,
+           updated_at = now()`,
+        [name, settings.activeVersion, settings.abTest ? JSON.stringify(settings.abTest) : null]
+      );
+    } else {
+      const state = this.loadFile();
+      state.settings[name] = settings;
+      this.saveFile(state);
+    }
+    this.logger.info('Prompt settings updated', { name, activeVersion: settings.activeVersion, abTest: settings.abTest });
+
+    return settings;
+  }
+
+  /**
+   * Version to use for a lead: { name, version, template, variant }
+   * key identifies the lead (thread id, email) so it always lands in the same A/B arm;
+   * variant is 'A' or 'B' during an A/B test, null otherwise
+   */
+  async select(name, key = '') {
+    const prompt = await this.get(name);
+    let version = prompt.activeVersion;
+    let variant = null;
+
+    if (prompt.abTest) {
+      const bucket = parseInt(crypto.createHash('sha1').update(`${name}:${key}`).digest('hex').slice(0, 8), 16) / 0x100000000;
+      variant = bucket < prompt.abTest.split ? 'A' : 'B';
+      version = prompt.abTest.versions[variant === 'A' ? 0 : 1];
+    }
+
+    const entry = prompt.versions.find(v => v.version === version) || prompt.versions[0];
+    return { name, version: entry.version, template: entry.template, variant };
+  }
+
+  /**
+   * Rendered prompt for a lead: { text, name, version, variant }
+   * Falls back to the built-in version when the store can't be read
+   */
+  async build(name, key, variables) {
+    let selected;
+    try {
+      selected = await this.select(name, key);
+    } catch (error) {
+      this.logger.warn('Prompt store unavailable; using the built-in prompt', { name, error: error.message });
+      selected = { name, version: 1, template: PROMPTS[name].template, variant: null };
+    }
+
+    const { template, ...provenance } = selected;
+    return { text: render(template, variables), ...provenance };
+  }
+
+  /**
+   * Reject templates with unknown variables or without the required ones
+   */
+  validate(name, template) {
+    if (typeof template !== 'string' || !template.trim()) throw promptError('template is required');
+
+    const { variables, required } = PROMPTS[name];
+    const used = new Set([...template.matchAll(PLACEHOLDER)].map(match => match[1]));
+    const unknown = [...used].filter(variable => !variables.includes(variable));
+    if (unknown.length > 0) {
+      throw promptError(`Unknown variables in ${name} template: ${unknown.join(', ')} (available: ${variables.join(', ')})`);
+    }
+    const missing = required.filter(variable => !used.has(variable));
+    if (missing.length > 0) {
+      throw promptError(`The ${name} template must use: ${missing.map(v => `{{${v}}}`).join(', ')}`);
+    }
+  }
+
+  async loadVersions(name) {
+    if (db.getPool()) {
+      const result = await db.query(
+        `SELECT version, template, description, created_at
+         FROM prompt_versions WHERE name = $1 ORDER BY version`,
+        [name]
+      );
+      return result.rows.map(r => ({
+        version: r.version,
+        description: r.description,
+        template: r.template,
+        builtIn: false,
+        createdAt: r.created_at
+      }));
+    }
+    return this.loadFile().versions[name] || [];
+  }
+
+  async loadSettings(name) {
+    if (db.getPool()) {
+      const result = await db.query(
+        'SELECT active_version, ab_test FROM prompt_settings WHERE name = $1',
+        [name]
+      );
+      const row = result.rows[0];
+      return row ? { activeVersion: row.active_version, abTest: row.ab_test } : {};
+    }
+    return this.loadFile().settings[name] || {};
+  }
+
+  /**
+   * Load the JSON fallback
+   */
+  loadFile() {
+    const empty = { versions: {}, settings: {} };
+    if (!this.statePath) return empty;
+    const file = path.join(this.statePath, 'prompts.json');
+    if (!fs.existsSync(file)) return empty;
+
+    try {
+      return { ...empty, ...jsonfile.readFileSync(file) };
+    } catch {
+      return empty;
+    }
+  }
+
+  /**
+   * Persist the JSON fallback
+   */
+  saveFile(state) {
+    if (!fs.existsSync(this.statePath)) {
+      fs.mkdirSync(this.statePath, { recursive: true });
+    }
+
+    jsonfile.writeFileSync(path.join(this.statePath, 'prompts.json'), state, { spaces: 2 });
+  }
+}
+
+module.exports = PromptLibrary;
+module.exports.render = render;
+module.exports.approvalStats = approvalStats;
+module.exports.PROMPTS = PROMPTS;
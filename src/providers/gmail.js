@@ -0,0 +1,391 @@
+/**
+ * Gmail Provider
+ * Mailbox provider backed by the Gmail API (service account with domain-wide delegation)
+ *
+ * Every API call goes through callGmail (retry with backoff on 429/5xx, metrics).
+ * getMessages fetches with bounded concurrency or, with GMAIL_BATCH_REQUESTS,
+ * through the Gmail batch endpoint (up to 50 messages per HTTP request).
+ */
+
+const crypto = require('crypto');
+const { google } = require('googleapis');
+const { callGmail, mapLimit, isRetryable, DEFAULT_CONCURRENCY } = require('../gmail-call');
+
+const BATCH_URL = 'https://gmail.googleapis.com/batch/gmail/v1';
+const BATCH_SIZE = 50;
+
+class GmailProvider {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.name = 'gmail';
+    this.client = null;
+    this.auth = null;
+    this.labelIds = {};
+  }
+
+  /**
+   * Run a Gmail API call through the shared retry/metrics wrapper
+   */
+  call(method, fn, { idempotent = true } = {}) {
+    return callGmail(method, fn, {
+      maxRetries: this.config.GMAIL_MAX_RETRIES,
+      baseMs: this.config.GMAIL_RETRY_BASE_MS,
+      idempotent,
+      logger: this.logger
+    });
+  }
+
+  /**
+   * Initialize Gmail API client with Service Account
+   */
+  async getClient() {
+    if (this.client) return this.client;
+
+    this.logger.info('Initializing Gmail client - USING ENV VARS AUTH');
+
+    // Always use credentials from env vars (GOOGLE_PRIVATE_KEY and GOOGLE_SERVICE_ACCOUNT_EMAIL)
+    // Skip GOOGLE_APPLICATION_CREDENTIALS to avoid file-based auth issues in production
+    console.log('=== AUTH CHECK ===');
+    console.log('GOOGLE_SERVICE_ACCOUNT_EMAIL:', process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL ? 'SET' : 'NOT SET');
+    console.log('GOOGLE_PRIVATE_KEY:', process.env.GOOGLE_PRIVATE_KEY ? 'SET' : 'NOT SET');
+    console.log('GOOGLE_APPLICATION_CREDENTIALS:', process.env.GOOGLE_APPLICATION_CREDENTIALS ? 'SET' : 'NOT SET');
+    console.log('==================');
+    const clientEmail = process.env.SERVICE_ACCOUNT_EMAIL ||
+                        process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL ||
+                        this.config.SERVICE_ACCOUNT_EMAIL;
+    let privateKey = process.env.GOOGLE_PRIVATE_KEY;
+
+    if (privateKey && privateKey.includes('\\n')) {
+      privateKey = privateKey.replace(/\\\\n/g, '\n');
+    }
+
+    if (!clientEmail || !privateKey) {
+      throw new Error('Missing GOOGLE_SERVICE_ACCOUNT_EMAIL or GOOGLE_PRIVATE_KEY');
+    }
+
+    const auth = new google.auth.GoogleAuth({
+      credentials: {
+        client_email: clientEmail,
+        private_key: privateKey
+      },
+      scopes: ['https://www.googleapis.com/auth/gmail.modify'],
+      clientOptions: {
+        subject: this.config.GMAIL_DELEGATED_USER
+      }
+    });
+
+    // Retries are done by callGmail; the client's own would multiply attempts
+    this.auth = auth;
+    this.client = google.gmail({ version: 'v1', auth, retry: false });
+    return this.client;
+  }
+
+  /**
+   * List messages matching a Gmail search query (newest first)
+   * Returns { messages: [{ id, threadId }], total }
+   */
+  async listMessages({ query = '', limit = 50 } = {}) {
+    const gmail = await this.getClient();
+    const messages = [];
+    let pageToken = undefined;
+    let total = 0;
+
+    while (messages.length < limit) {
+      const resp = await this.call('messages.list', () => gmail.users.messages.list({
+        userId: 'me',
+        q: query || undefined,
+        maxResults: Math.min(500, limit - messages.length),
+        pageToken
+      }));
+
+      const batch = resp.data.messages || [];
+      messages.push(...batch);
+      total = total || resp.data.resultSizeEstimate || 0;
+
+      pageToken = resp.data.nextPageToken;
+      if (!pageToken || batch.length === 0) break;
+    }
+
+    return { messages, total: Math.max(total, messages.length) };
+  }
+
+  /**
+   * Count unread messages (Gmail estimate)
+   */
+  async countUnread() {
+    const gmail = await this.getClient();
+    const resp = await this.call('messages.list', () =>
+      gmail.users.messages.list({ userId: 'me', q: 'is:unread', maxResults: 1 })
+    );
+    return resp.data.resultSizeEstimate || 0;
+  }
+
+  /**
+   * Current mailbox position (historyId)
+   */
+  async getCheckpoint() {
+    const gmail = await this.getClient();
+    const profile = await this.call('getProfile', () => gmail.users.getProfile({ userId: 'me' }));
+    return String(profile.data.historyId);
+  }
+
+  /**
+   * List messages added since a historyId.
+   * Returns { messages, checkpoint }, or null when Gmail no longer has history that old (404).
+   */
+  async listChangesSince(startHistoryId, { limit = 50 } = {}) {
+    const gmail = await this.getClient();
+    const seen = new Set();
+    const messages = [];
+    let pageToken = undefined;
+    let historyId = null;
+
+    try {
+      do {
+        const resp = await this.call('history.list', () => gmail.users.history.list({
+          userId: 'me',
+          startHistoryId,
+          historyTypes: ['messageAdded'],
+          maxResults: 500,
+          pageToken
+        }));
+
+        for (const record of resp.data.history || []) {
+          for (const added of record.messagesAdded || []) {
+            const msg = added.message;
+            if (!msg?.id || seen.has(msg.id)) continue;
+            // Our own replies and drafts also show up as "added"; they are never leads.
+            const labels = msg.labelIds || [];
+            if (labels.includes('SENT') || labels.includes('DRAFT')) continue;
+            seen.add(msg.id);
+            messages.push({ id: msg.id, threadId: msg.threadId });
+          }
+
+          // Stop at a record boundary so the checkpoint never skips unprocessed messages
+          if (messages.length >= limit) {
+            return { messages, checkpoint: record.id };
+          }
+        }
+
+        historyId = resp.data.historyId || historyId;
+        pageToken = resp.data.nextPageToken;
+      } while (pageToken);
+    } catch (error) {
+      const status = error.code || error.response?.status;
+      if (Number(status) === 404) return null;
+      throw error;
+    }
+
+    return { messages, checkpoint: String(historyId || startHistoryId) };
+  }
+
+  /**
+   * Fetch a single message in Gmail API shape
+   * format: 'full' | 'metadata' | 'minimal'
+   */
+  async getMessage(id, { format = 'full' } = {}) {
+    const gmail = await this.getClient();
+    const params = { userId: 'me', id, format };
+    if (format === 'metadata') {
+      params.metadataHeaders = ['From', 'To', 'Subject', 'Date'];
+    }
+
+    const resp = await this.call('messages.get', () => gmail.users.messages.get(params));
+    return resp.data;
+  }
+
+  /**
+   * Fetch several messages; results keep the order of ids
+   * Returns [{ id, message }] or [{ id, error }] per id, so one failure doesn't sink the rest
+   */
+  async getMessages(ids, { format = 'full' } = {}) {
+    if (this.config.GMAIL_BATCH_REQUESTS && ids.length > 1) {
+      const results = [];
+      for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+        results.push(...await this.batchGetMessages(ids.slice(i, i + BATCH_SIZE), format));
+      }
+      return results;
+    }
+
+    return mapLimit(ids, this.config.GMAIL_CONCURRENCY || DEFAULT_CONCURRENCY, id =>
+      this.getMessage(id, { format }).then(message => ({ id, message }), error => ({ id, error }))
+    );
+  }
+
+  /**
+   * Fetch up to BATCH_SIZE messages in one batch request
+   * Parts that fail with a retryable status are fetched again one by one
+   */
+  async batchGetMessages(ids, format) {
+    await this.getClient();
+
+    const boundary = `batch_${crypto.randomBytes(8).toString('hex')}`;
+    const query = new URLSearchParams({ format });
+    if (format === 'metadata') {
+      for (const header of ['From', 'To', 'Subject', 'Date']) query.append('metadataHeaders', header);
+    }
+
+    const resp = await this.call('messages.batchGet', () => this.auth.request({
+      url: BATCH_URL,
+      method: 'POST',
+      headers: { 'Content-Type': `multipart/mixed; boundary=${boundary}` },
+      data: buildBatchBody(ids.map(id => `/gmail/v1/users/me/messages/${encodeURIComponent(id)}?${query}`), boundary),
+      responseType: 'text'
+    }));
+
+    const parts = parseBatchResponse(resp.data, resp.headers?.['content-type']);
+
+    return mapLimit(ids, this.config.GMAIL_CONCURRENCY || DEFAULT_CONCURRENCY, async (id, index) => {
+      const part = parts.get(index);
+      if (part?.body && part.status < 300) return { id, message: part.body };
+
+      const error = Object.assign(
+        new Error(part?.body?.error?.message || `Batch part ${index} missing`),
+        { code: part?.status || 500 }
+      );
+      if (!isRetryable(error)) return { id, error };
+
+      return this.getMessage(id, { format }).then(message => ({ id, message }), error => ({ id, error }));
+    });
+  }
+
+  /**
+   * Fetch a thread with all its messages
+   */
+  async getThread(threadId) {
+    const gmail = await this.getClient();
+    const resp = await this.call('threads.get', () => gmail.users.threads.get({ userId: 'me', id: threadId }));
+    return { id: resp.data.id, messages: resp.data.messages || [] };
+  }
+
+  /**
+   * Add/remove labels on a message
+   */
+  async modifyMessage(id, { addLabelIds, removeLabelIds } = {}) {
+    const gmail = await this.getClient();
+    const requestBody = {};
+    if (addLabelIds?.length) requestBody.addLabelIds = addLabelIds;
+    if (removeLabelIds?.length) requestBody.removeLabelIds = removeLabelIds;
+
+    await this.call('messages.modify', () => gmail.users.messages.modify({ userId: 'me', id, requestBody }));
+  }
+
+  /**
+   * Resolve (or create) a user label by name and return its id
+   */
+  async ensureLabel(name) {
+    const key = name.toLowerCase();
+    if (this.labelIds[key]) return this.labelIds[key];
+
+    const gmail = await this.getClient();
+    const resp = await this.call('labels.list', () => gmail.users.labels.list({ userId: 'me' }));
+    const existing = (resp.data.labels || []).find(l => l.name.toLowerCase() === key);
+
+    if (existing) {
+      this.labelIds[key] = existing.id;
+    } else {
+      const created = await this.call('labels.create', () => gmail.users.labels.create({
+        userId: 'me',
+        requestBody: { name, labelListVisibility: 'labelShow', messageListVisibility: 'show' }
+      }));
+      this.labelIds[key] = created.data.id;
+    }
+
+    return this.labelIds[key];
+  }
+
+  /**
+   * Send a plain-text message
+   * message: { from, to, subject, text, threadId, inReplyTo, references }
+   */
+  async sendMessage(message) {
+    const gmail = await this.getClient();
+
+    const resp = await this.call('messages.send', () => gmail.users.messages.send({
+      userId: 'me',
+      requestBody: {
+        raw: Buffer.from(this.buildRaw(message)).toString('base64'),
+        threadId: message.threadId || undefined
+      }
+    }), { idempotent: false });
+
+    return { id: resp.data.id, threadId: resp.data.threadId };
+  }
+
+  /**
+   * Build an RFC 2822 message
+   */
+  buildRaw(message) {
+    // Non-ASCII subjects must be sent as an encoded-word
+    const subject = /^[\x20-\x7e]*$/.test(message.subject || '')
+      ? message.subject
+      : `=?UTF-8?B?${Buffer.from(message.subject).toString('base64')}?=`;
+
+    const headers = [
+      `To: ${message.to}`,
+      `From: ${message.from}`,
+      `Subject: ${subject}`,
+      `Content-Type: text/plain; charset=UTF-8`,
+      `MIME-Version: 1.0`
+    ];
+
+    if (message.inReplyTo) headers.push(`In-Reply-To: ${message.inReplyTo}`);
+    if (message.references) headers.push(`References: ${message.references}`);
+
+    return headers.join('\r\n') + '\r\n\r\n' + (message.text || '');
+  }
+
+  /**
+   * Nothing to release for the HTTP API
+   */
+  async close() {}
+}
+
+/**
+ * multipart/mixed body for a batch of GET requests; Content-IDs are the indexes
+ */
+function buildBatchBody(paths, boundary) {
+  const parts = paths.map((p, index) => [
+    `--${boundary}`,
+    'Content-Type: application/http',
+    `Content-ID: <item-${index}>`,
+    '',
+    `GET ${p}`,
+    ''
+  ].join('\r\n'));
+
+  return `${parts.join('\r\n')}\r\n--${boundary}--`;
+}
+
+/**
+ * Parse a batch response into Map(index -> { status, body })
+ */
+function parseBatchResponse(text, contentType = '') {
+  const results = new Map();
+  const boundary = /boundary=("?)([^";]+)\1/i.exec(contentType)?.[2];
+  if (!boundary) return results;
+
+  for (const part of String(text).split(`--${boundary}`)) {
+    const id = /Content-ID:\s*<response-item-(\d+)>/i.exec(part);
+    const status = /HTTP\/[\d.]+\s+(\d{3})/.exec(part);
+    if (!id || !status) continue;
+
+    // Part headers, then the embedded HTTP response headers, then its JSON body
+    const start = part.indexOf('{');
+    let body = null;
+    try {
+      body = start >= 0 ? JSON.parse(part.slice(start, part.lastIndexOf('}') + 1)) : null;
+    } catch {
+      body = null;
+    }
+
+    results.set(Number(id[1]), { status: Number(status[1]), body });
+  }
+
+  return results;
+}
+
+module.exports = GmailProvider;
+module.exports.buildBatchBody = buildBatchBody;
+module.exports.parseBatchResponse = parseBatchResponse;
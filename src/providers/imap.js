@@ -0,0 +1,466 @@
+/**
+ * IMAP Provider
+ * Mailbox provider for plain IMAP/SMTP accounts (imapflow + nodemailer)
+ *
+ * Messages are returned in Gmail API shape (payload/headers/parts, labelIds,
+ * internalDate) so the rest of the pipeline does not care where they came from.
+ * Ids are IMAP UIDs of IMAP_MAILBOX; messages from IMAP_SENT_MAILBOX are
+ * prefixed with "sent:". Threads are keyed by the root Message-ID.
+ */
+
+const crypto = require('crypto');
+const { ImapFlow } = require('imapflow');
+const nodemailer = require('nodemailer');
+const MailComposer = require('nodemailer/lib/mail-composer');
+const { parseRawMessage, getHeader } = require('../mime');
+
+const SENT_PREFIX = 'sent:';
+const FETCH_QUERY = { uid: true, source: true, flags: true, internalDate: true };
+
+/**
+ * Label name -> IMAP keyword (same slug Gmail search uses for label names)
+ */
+function toKeyword(label) {
+  return String(label).trim().toLowerCase().replace(/[\s/]+/g, '-').replace(/[(){}%*"\\\]]/g, '');
+}
+
+/**
+ * Thread id for a message: base64url of the first Message-ID in References
+ * (the thread root), falling back to In-Reply-To and the message's own id
+ */
+function threadIdFor(headers) {
+  const refs = `${getHeader(headers, 'References')} ${getHeader(headers, 'In-Reply-To')}`.match(/<[^>]+>/g) || [];
+  const root = refs[0] || getHeader(headers, 'Message-ID').trim();
+  return root ? Buffer.from(root).toString('base64url') : null;
+}
+
+/**
+ * Add a criterion to an IMAP search object.
+ * SEARCH keys are ANDed; a repeated key goes into a nested single-item `or` group,
+ * which imapflow compiles as a plain AND.
+ */
+function addCriterion(search, criterion) {
+  const [key] = Object.keys(criterion);
+  let target = search;
+  while (key in target) {
+    if (!target.or) target.or = [{}];
+    target = target.or[0];
+  }
+  Object.assign(target, criterion);
+}
+
+/**
+ * Parse a Gmail search date (unix seconds or YYYY/MM/DD)
+ */
+function parseSearchDate(value) {
+  if (/^\d+$/.test(value)) return new Date(Number(value) * 1000);
+  const date = new Date(value.replace(/\//g, '-'));
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Translate the Gmail search subset used by EmailBot into an imapflow search object.
+ * Supports is:unread|read|starred, from:, to:, subject:, label:, after:, before:,
+ * "-" negation and bare words (full text). Parentheses are flattened (AND only).
+ */
+function toSearch(query) {
+  const search = {};
+  const tokens = String(query || '').match(/-?[\w]+:"[^"]*"|-?"[^"]*"|[^\s()]+/g) || [];
+
+  for (const token of tokens) {
+    const negated = token.startsWith('-');
+    const term = negated ? token.slice(1) : token;
+    const match = term.match(/^(\w+):(.*)$/);
+    const op = match ? match[1].toLowerCase() : null;
+    const value = (match ? match[2] : term).replace(/^"|"$/g, '');
+    if (!value) continue;
+
+    let criterion = null;
+    switch (op) {
+      case 'is':
+        if (value === 'unread') criterion = { seen: negated };
+        else if (value === 'read') criterion = { seen: !negated };
+        else if (value === 'starred') criterion = { flagged: !negated };
+        break;
+      case 'from':
+      case 'to':
+      case 'subject':
+        criterion = { [op]: value };
+        break;
+      case 'label':
+        criterion = negated ? { unKeyword: toKeyword(value) } : { keyword: toKeyword(value) };
+        break;
+      case 'after':
+      case 'before': {
+        const date = parseSearchDate(value);
+        if (date) criterion = { [op === 'after' ? 'since' : 'before']: date };
+        break;
+      }
+      case 'in':
+        // The mailbox is fixed per provider
+        break;
+      case null:
+        criterion = { text: value };
+        break;
+      default:
+        break;
+    }
+
+    if (!criterion) continue;
+    const negatable = !['is', 'label'].includes(op);
+    addCriterion(search, negated && negatable ? { not: criterion } : criterion);
+  }
+
+  return Object.keys(search).length > 0 ? search : { all: true };
+}
+
+class ImapProvider {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.name = 'imap';
+    this.mailbox = config.IMAP_MAILBOX || 'INBOX';
+    this.sentMailbox = config.IMAP_SENT_MAILBOX || null;
+    this.client = null;
+    this.transport = null;
+  }
+
+  /**
+   * Connected IMAP client (reconnects when the previous connection dropped)
+   */
+  async getClient() {
+    if (this.client?.usable) return this.client;
+
+    const { IMAP_HOST, IMAP_USER, IMAP_PASSWORD } = this.config;
+    if (!IMAP_HOST || !IMAP_USER || !IMAP_PASSWORD) {
+      throw new Error('Missing IMAP_HOST, IMAP_USER or IMAP_PASSWORD');
+    }
+
+    const port = Number(this.config.IMAP_PORT) || 993;
+    this.client = new ImapFlow({
+      host: IMAP_HOST,
+      port,
+      secure: this.config.IMAP_SECURE ?? port === 993,
+      auth: { user: IMAP_USER, pass: IMAP_PASSWORD },
+      logger: false
+    });
+    await this.client.connect();
+    return this.client;
+  }
+
+  /**
+   * SMTP transport for sending
+   */
+  getTransport() {
+    if (this.transport) return this.transport;
+
+    if (!this.config.SMTP_HOST) {
+      throw new Error('Missing SMTP_HOST');
+    }
+
+    const port = Number(this.config.SMTP_PORT) || 465;
+    this.transport = nodemailer.createTransport({
+      host: this.config.SMTP_HOST,
+      port,
+      secure: this.config.SMTP_SECURE ?? port === 465,
+      auth: {
+        user: this.config.SMTP_USER || this.config.IMAP_USER,
+        pass: this.config.SMTP_PASSWORD || this.config.IMAP_PASSWORD
+      }
+    });
+    return this.transport;
+  }
+
+  /**
+   * Run fn with a mailbox selected
+   */
+  async withMailbox(path, fn) {
+    const client = await this.getClient();
+    const lock = await client.getMailboxLock(path);
+    try {
+      return await fn(client);
+    } finally {
+      lock.release();
+    }
+  }
+
+  /**
+   * Split a provider message id into mailbox path and UID
+   */
+  parseId(id) {
+    const value = String(id);
+    if (value.startsWith(SENT_PREFIX)) {
+      if (!this.sentMailbox) throw new Error('IMAP_SENT_MAILBOX is not set');
+      return { path: this.sentMailbox, uid: value.slice(SENT_PREFIX.length) };
+    }
+    return { path: this.mailbox, uid: value };
+  }
+
+  formatId(path, uid) {
+    return path === this.mailbox ? String(uid) : `${SENT_PREFIX}${uid}`;
+  }
+
+  /**
+   * Convert an imapflow fetch result into a Gmail-shaped message
+   */
+  toMessage(fetched, path) {
+    const message = parseRawMessage(fetched.source);
+    const flags = fetched.flags || new Set();
+
+    const labelIds = [path === this.mailbox ? 'INBOX' : 'SENT'];
+    if (path === this.mailbox && !flags.has('\\Seen')) labelIds.push('UNREAD');
+    if (flags.has('\\Flagged')) labelIds.push('STARRED');
+    for (const flag of flags) {
+      if (!flag.startsWith('\\') && !flag.startsWith('$')) labelIds.push(flag);
+    }
+
+    const internalMs = fetched.internalDate ? new Date(fetched.internalDate).getTime() : NaN;
+
+    return {
+      id: this.formatId(path, fetched.uid),
+      threadId: threadIdFor(message.payload.headers) || this.formatId(path, fetched.uid),
+      labelIds,
+      internalDate: Number.isFinite(internalMs) ? String(internalMs) : message.internalDate,
+      snippet: message.snippet,
+      payload: message.payload
+    };
+  }
+
+  /**
+   * List messages matching a Gmail-style query (newest first)
+   */
+  async listMessages({ query = '', limit = 50 } = {}) {
+    return this.withMailbox(this.mailbox, async (client) => {
+      const uids = ((await client.search(toSearch(query), { uid: true })) || []).sort((a, b) => a - b);
+      const newest = uids.slice(-limit).reverse();
+      return { messages: newest.map(uid => ({ id: String(uid) })), total: uids.length };
+    });
+  }
+
+  /**
+   * Count unseen messages in the mailbox
+   */
+  async countUnread() {
+    const client = await this.getClient();
+    const status = await client.status(this.mailbox, { unseen: true });
+    return status?.unseen || 0;
+  }
+
+  /**
+   * Current mailbox position: "<uidValidity>:<uidNext>"
+   */
+  async getCheckpoint() {
+    const client = await this.getClient();
+    const status = await client.status(this.mailbox, { uidNext: true, uidValidity: true });
+    return `${status.uidValidity}:${status.uidNext}`;
+  }
+
+  /**
+   * List messages that arrived since a checkpoint (oldest first).
+   * Returns null when the checkpoint is unusable (other provider, UIDVALIDITY changed).
+   */
+  async listChangesSince(checkpoint, { limit = 50 } = {}) {
+    const match = String(checkpoint || '').match(/^(\d+):(\d+)$/);
+    if (!match) return null;
+    const [, uidValidity, uidNext] = match;
+    const start = Number(uidNext);
+
+    return this.withMailbox(this.mailbox, async (client) => {
+      if (String(client.mailbox.uidValidity) !== uidValidity) return null;
+
+      // "n:*" always includes the highest UID, even when it is below n
+      const uids = ((await client.search({ uid: `${start}:*` }, { uid: true })) || [])
+        .filter(uid => uid >= start)
+        .sort((a, b) => a - b);
+
+      if (uids.length > limit) {
+        const batch = uids.slice(0, limit);
+        return {
+          messages: batch.map(uid => ({ id: String(uid) })),
+          checkpoint: `${uidValidity}:${batch[batch.length - 1] + 1}`
+        };
+      }
+
+      const next = Math.max(Number(client.mailbox.uidNext) || 0, start, uids.length ? uids[uids.length - 1] + 1 : 0);
+      return { messages: uids.map(uid => ({ id: String(uid) })), checkpoint: `${uidValidity}:${next}` };
+    });
+  }
+
+  /**
+   * Fetch a single message in Gmail API shape
+   */
+  async getMessage(id) {
+    const { path, uid } = this.parseId(id);
+
+    const fetched = await this.withMailbox(path, client => client.fetchOne(uid, FETCH_QUERY, { uid: true }));
+    if (!fetched) {
+      throw Object.assign(new Error(`Message ${id} not found`), { code: 404 });
+    }
+    return this.toMessage(fetched, path);
+  }
+
+  /**
+   * Fetch several messages with one FETCH per folder; results keep the order of ids
+   * Returns [{ id, message }] or [{ id, error }] per id
+   */
+  async getMessages(ids) {
+    const byPath = new Map();
+    const found = new Map();
+    const failed = new Map();
+
+    for (const id of ids) {
+      let parsed;
+      try {
+        parsed = this.parseId(id);
+      } catch (error) {
+        failed.set(String(id), error);
+        continue;
+      }
+      if (!byPath.has(parsed.path)) byPath.set(parsed.path, []);
+      byPath.get(parsed.path).push(Number(parsed.uid));
+    }
+
+    for (const [path, uids] of byPath) {
+      try {
+        const fetched = await this.withMailbox(path, client => client.fetchAll(uids, FETCH_QUERY, { uid: true }));
+        for (const item of fetched || []) {
+          found.set(this.formatId(path, item.uid), this.toMessage(item, path));
+        }
+      } catch (error) {
+        for (const uid of uids) failed.set(this.formatId(path, uid), error);
+      }
+    }
+
+    return ids.map(id => {
+      const key = String(id);
+      if (found.has(key)) return { id, message: found.get(key) };
+      return {
+        id,
+        error: failed.get(key) || Object.assign(new Error(`Message ${id} not found`), { code: 404 })
+      };
+    });
+  }
+
+  /**
+   * Fetch all messages of a thread from the mailbox (and the sent folder when configured)
+   */
+  async getThread(threadId) {
+    const root = Buffer.from(String(threadId), 'base64url').toString();
+    const criteria = {
+      or: [
+        { header: { 'message-id': root } },
+        { header: { references: root } },
+        { header: { 'in-reply-to': root } }
+      ]
+    };
+
+    const messages = [];
+    for (const path of [this.mailbox, this.sentMailbox].filter(Boolean)) {
+      await this.withMailbox(path, async (client) => {
+        const uids = (await client.search(criteria, { uid: true })) || [];
+        if (uids.length === 0) return;
+        for (const fetched of await client.fetchAll(uids, FETCH_QUERY, { uid: true })) {
+          messages.push(this.toMessage(fetched, path));
+        }
+      });
+    }
+
+    if (messages.length === 0) {
+      throw Object.assign(new Error(`Thread ${threadId} not found`), { code: 404 });
+    }
+
+    messages.sort((a, b) => Number(a.internalDate) - Number(b.internalDate));
+    return { id: threadId, messages };
+  }
+
+  /**
+   * Apply Gmail-style label changes as IMAP flags
+   * UNREAD <-> \Seen (inverted), STARRED <-> \Flagged, user labels <-> keywords
+   */
+  async modifyMessage(id, { addLabelIds = [], removeLabelIds = [] } = {}) {
+    const { path, uid } = this.parseId(id);
+    const add = [];
+    const remove = [];
+
+    const flagFor = (label) => {
+      if (label === 'STARRED') return '\\Flagged';
+      // INBOX, IMPORTANT, CATEGORY_* ... have no IMAP equivalent
+      if (/^[A-Z_]+$/.test(label)) return null;
+      return toKeyword(label);
+    };
+
+    for (const label of addLabelIds) {
+      if (label === 'UNREAD') remove.push('\\Seen');
+      else if (flagFor(label)) add.push(flagFor(label));
+    }
+    for (const label of removeLabelIds) {
+      if (label === 'UNREAD') add.push('\\Seen');
+      else if (flagFor(label)) remove.push(flagFor(label));
+    }
+
+    await this.withMailbox(path, async (client) => {
+      if (add.length) await client.messageFlagsAdd(uid, add, { uid: true });
+      if (remove.length) await client.messageFlagsRemove(uid, remove, { uid: true });
+    });
+  }
+
+  /**
+   * Labels are IMAP keywords; nothing to create up front
+   */
+  async ensureLabel(name) {
+    return toKeyword(name);
+  }
+
+  /**
+   * Send a plain-text message over SMTP and keep a copy in the sent folder
+   * message: { from, to, subject, text, threadId, inReplyTo, references }
+   */
+  async sendMessage(message) {
+    const from = message.from || this.config.MAIL_FROM || this.config.IMAP_USER;
+    const domain = (from.match(/@([^>\s]+)/) || [])[1] || 'localhost';
+    const messageId = `<${crypto.randomUUID()}@${domain}>`;
+
+    const raw = await new MailComposer({
+      from,
+      to: message.to,
+      subject: message.subject,
+      text: message.text || '',
+      messageId,
+      inReplyTo: message.inReplyTo || undefined,
+      references: message.references || undefined
+    }).compile().build();
+
+    const address = (value) => (String(value).match(/<([^>]+)>/) || [])[1] || String(value).trim();
+    await this.getTransport().sendMail({
+      envelope: { from: address(from), to: [address(message.to)] },
+      raw
+    });
+
+    let id = messageId;
+    if (this.sentMailbox) {
+      const client = await this.getClient();
+      const appended = await client.append(this.sentMailbox, raw, ['\\Seen']);
+      if (appended?.uid) id = this.formatId(this.sentMailbox, appended.uid);
+    }
+
+    return { id, threadId: message.threadId || Buffer.from(messageId).toString('base64url') };
+  }
+
+  /**
+   * Close the IMAP connection and SMTP transport
+   */
+  async close() {
+    if (this.client) {
+      await this.client.logout().catch(() => {});
+      this.client = null;
+    }
+    if (this.transport) {
+      this.transport.close();
+      this.transport = null;
+    }
+  }
+}
+
+module.exports = ImapProvider;
+module.exports.toSearch = toSearch;
+module.exports.threadIdFor = threadIdFor;
@@ -0,0 +1,42 @@
+/**
+ * Mailbox Providers
+ * Selects the mailbox backend for a mailbox config (MAIL_PROVIDER, default "gmail")
+ *
+ * Every provider exposes the same interface and returns Gmail API shaped messages:
+ *   listMessages({ query, limit })        -> { messages: [{ id, threadId? }], total }
+ *   countUnread()                          -> number
+ *   getCheckpoint()                        -> opaque cursor string
+ *   listChangesSince(cursor, { limit })    -> { messages, checkpoint } | null when expired
+ *   getMessage(id, { format })             -> { id, threadId, labelIds, internalDate, snippet, payload }
+ *   getMessages(ids, { format })           -> [{ id, message } | { id, error }] in the order of ids
+ *   getThread(threadId)                    -> { id, messages }
+ *   modifyMessage(id, { addLabelIds, removeLabelIds })
+ *   ensureLabel(name)                      -> label id
+ *   sendMessage({ from, to, subject, text, threadId, inReplyTo, references }) -> { id, threadId }
+ *   close()
+ * Queries use Gmail search syntax; non-Gmail providers translate the subset they support.
+ */
+
+const GmailProvider = require('./gmail');
+const ImapProvider = require('./imap');
+
+const PROVIDERS = {
+  gmail: GmailProvider,
+  imap: ImapProvider
+};
+
+/**
+ * Create the provider configured for a mailbox
+ */
+function createProvider(config, logger) {
+  const name = String(config.MAIL_PROVIDER || 'gmail').toLowerCase();
+  const Provider = PROVIDERS[name];
+
+  if (!Provider) {
+    throw new Error(`Unknown mail provider: ${name} (expected ${Object.keys(PROVIDERS).join(', ')})`);
+  }
+
+  return new Provider(config, logger);
+}
+
+module.exports = { createProvider, PROVIDERS };
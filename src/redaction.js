@@ -0,0 +1,238 @@
+/**
+ * Redaction Module
+ * Swaps personal data for placeholders before text reaches a model, and back
+ *
+ * Entity types (email, phone, card, bank_account, id, address) are switched
+ * on and off in config/redaction.json (or REDACTION_CONFIG_PATH); all are on
+ * by default. A session gives each distinct value a stable placeholder
+ * ("[PHONE_1]" every time the same number appears, in the message and in a
+ * previous draft alike) and restores the originals in the model's answer.
+ * Only the counts per type are logged, never the values.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { phoneCandidates, normalizePhone } = require('./entities');
+
+/**
+ * Luhn checksum (payment card numbers)
+ */
+function luhn(digits) {
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+const matchesOf = (patterns) => (text) => patterns.flatMap(re =>
+  [...text.matchAll(re)].map(match => ({ index: match.index, text: match[0] })));
+
+const STREET = 'calle|c/|avenida|av\\.|avda\\.|blvd\\.?|bulevar|boulevard|calzada|carrera|cra\\.|camino|paseo|rua|rue|via|viale|piazza';
+
+/**
+ * Entity types, in priority order: where matches overlap the earlier type wins
+ * find(text, config) -> [{ index, text }]; key(value) identifies equal values written differently
+ */
+const ENTITIES = [
+  {
+    type: 'email',
+    placeholder: 'EMAIL',
+    find: matchesOf([/[a-z0-9._%+-]+@[a-z0-9.-]+\.[a-z]{2,}/gi]),
+    key: value => value.toLowerCase()
+  },
+  {
+    type: 'id',
+    placeholder: 'ID',
+    find: matchesOf([
+      /\b[A-Z][AEIOUX][A-Z]{2}\d{6}[HM][A-Z]{5}[A-Z0-9]\d\b/g, // CURP
+      /\b[A-ZÑ&]{3,4}\d{6}[A-Z0-9]{3}\b/g, // RFC
+      /\b\d{8}-?[A-Z]\b/g, // DNI
+      /\b[XYZ]-?\d{7}-?[A-Z]\b/g, // NIE
+      /\b\d{3}-\d{2}-\d{4}\b/g, // SSN
+      /\b\d{3}\.\d{3}\.\d{3}-\d{2}\b/g, // CPF
+      /\b\d{2}\.\d{3}\.\d{3}\/\d{4}-\d{2}\b/g, // CNPJ
+      // Any number introduced as an identity document ("DNI 12.345.678", "pasaporte: G1234567")
+      /(?<=\b(?:DNI|INE|CURP|RFC|NIF|NIE|CPF|RUT|CUIT|SSN|c[ée]dula|pasaporte|passport|passaporte|identificaci[oó]n)\s*(?:n[°º.o]\s*)?[:#]?\s*)(?=[A-Z.-]*\d)[A-Z0-9][A-Z0-9.-]{4,}[A-Z0-9]/gi
+    ]),
+    key: value => value.replace(/[\s.-]/g, '').toUpperCase()
+  },
+  {
+    type: 'bank_account',
+    placeholder: 'ACCOUNT',
+    find: matchesOf([
+      /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]{4}){3,7}(?: ?[A-Z0-9]{1,3})?\b/g, // IBAN
+      /\b\d{18}\b/g // CLABE
+    ]),
+    key: value => value.replace(/\s/g, '').toUpperCase()
+  },
+  {
+    type: 'card',
+    placeholder: 'CARD',
+    find: (text) => matchesOf([/\b\d(?:[ -]?\d){12,18}\b/g])(text)
+      .filter(({ text: value }) => luhn(value.replace(/\D/g, ''))),
+    key: value => value.replace(/\D/g, '')
+  },
+  {
+    type: 'phone',
+    placeholder: 'PHONE',
+    // Only numbers that make a valid phone for the default country
+    find: (text, config) => phoneCandidates(text)
+      .filter(({ text: value }) => normalizePhone(value, config.PHONE_DEFAULT_COUNTRY)),
+    key: value => value.replace(/[^\d+]/g, '')
+  },
+  {
+    type: 'address',
+    placeholder: 'ADDRESS',
+    find: matchesOf([
+      // "Av. Reforma 222 int. 5, Col. Juárez, C.P. 06600", "Rua Augusta 1500", "Via Roma 10"
+      new RegExp(`(?<![\\w/])(?:${STREET})\\s+[\\p{L}\\d .'-]{2,40}?\\s(?:#\\s?|n[°º.o]\\s?)?\\d{1,5}[a-z]?\\b` +
+        '(?:,?\\s*(?:int\\.?|interior|piso|dpto\\.?|depto\\.?|apt\\.?|oficina)\\s*[\\w-]+)?' +
+        '(?:,?\\s*(?:col\\.?|colonia)\\s+[\\p{L} ]{2,40}?(?=[,\\n]|$))?' +
+        '(?:,?\\s*c\\.?\\s?p\\.?\\s*\\d{4,5})?', 'giu'),
+      // "1200 Market Street, Suite 4"
+      /\b\d{1,5}\s+(?:[A-Z][\w.'-]*\s+){1,4}(?:Street|St\.|Avenue|Ave\.|Road|Rd\.|Boulevard|Blvd\.|Lane|Ln\.|Drive|Dr\.|Way|Court|Ct\.)(?:,?\s*(?:Suite|Apt\.?|Unit)\s*[\w-]+)?/g,
+      // "Hauptstraße 5"
+      /\b[A-ZÄÖÜ][a-zäöüß]+(?:straße|strasse|str\.|weg|platz|allee|gasse)\s+\d{1,4}[a-z]?\b/g
+    ]),
+    key: value => value.replace(/\s+/g, ' ').trim().toLowerCase()
+  }
+];
+
+const PLACEHOLDER = /\[\s*([A-Z]+)_(\d+)\s*\]/gi;
+
+class RedactionSession {
+  constructor(entities, config = {}) {
+    this.entities = entities;
+    this.config = config;
+    this.byKey = new Map();
+    this.values = new Map();
+    this.counts = {};
+  }
+
+  /**
+   * Number of distinct values redacted so far
+   */
+  get size() {
+    return this.values.size;
+  }
+
+  /**
+   * Text with every enabled entity replaced by its placeholder
+   */
+  redact(text) {
+    const source = String(text || '');
+    const spans = [];
+    for (const entity of this.entities) {
+      for (const { index, text: value } of entity.find(source, this.config)) {
+        const end = index + value.length;
+        if (spans.some(span => index < span.end && end > span.index)) continue;
+        spans.push({ index, end, value, entity });
+      }
+    }
+    spans.sort((a, b) => a.index - b.index);
+
+    let result = '';
+    let last = 0;
+    for (const { index, end, value, entity } of spans) {
+      result += source.slice(last, index) + this.placeholderFor(entity, value);
+      last = end;
+    }
+    return result + source.slice(last);
+  }
+
+  placeholderFor(entity, value) {
+    const key = `${entity.type}:${entity.key(value)}`;
+    if (!this.byKey.has(key)) {
+      this.counts[entity.type] = (this.counts[entity.type] || 0) + 1;
+      const placeholder = `${entity.placeholder}_${this.counts[entity.type]}`;
+      this.byKey.set(key, placeholder);
+      this.values.set(placeholder, value);
+    }
+    return `[${this.byKey.get(key)}]`;
+  }
+
+  /**
+   * Put the original values back (strings, or the strings inside arrays and objects)
+   * Placeholders the session didn't create are left as they are
+   */
+  restore(value) {
+    if (typeof value === 'string') {
+      return value.replace(PLACEHOLDER, (match, name, n) => {
+        const original = this.values.get(`${name.toUpperCase()}_${n}`);
+        return original === undefined ? match : original;
+      });
+    }
+    if (Array.isArray(value)) return value.map(item => this.restore(item));
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, this.restore(v)]));
+    }
+    return value;
+  }
+
+  /**
+   * Prompt line asking the model to keep placeholders ('' when nothing was redacted)
+   */
+  instructions() {
+    if (this.size === 0) return '';
+    return '- Placeholders in square brackets (e.g. [PHONE_1]) stand for personal details removed for privacy: copy them exactly when needed, never invent the values.\n';
+  }
+}
+
+class Redactor {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.entities = this.load();
+  }
+
+  /**
+   * Load the enabled entity types (unknown ones are skipped with a warning)
+   */
+  load() {
+    const configPath = this.config.REDACTION_CONFIG_PATH ||
+      path.join(__dirname, '..', 'config', 'redaction.json');
+
+    let settings = {};
+    if (fs.existsSync(configPath)) {
+      try {
+        settings = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      } catch (error) {
+        this.logger.error('Failed to load redaction config', { configPath, error: error.message });
+      }
+    }
+    if (settings.enabled === false) return [];
+
+    const switches = settings.entities || {};
+    for (const type of Object.keys(switches)) {
+      if (!ENTITIES.some(entity => entity.type === type)) {
+        this.logger.warn('Skipping unknown redaction entity', { entity: type });
+      }
+    }
+    return ENTITIES.filter(entity => switches[entity.type] !== false);
+  }
+
+  /**
+   * New set of placeholders; use one per model call so values map consistently
+   */
+  session() {
+    return new RedactionSession(this.entities, this.config);
+  }
+
+  /**
+   * Log what a session redacted (counts per type only)
+   */
+  report(session, context = {}) {
+    if (session.size === 0) return;
+    this.logger.info('Personal data redacted before model call', { ...context, redacted: { ...session.counts } });
+  }
+}
+
+module.exports = Redactor;
+module.exports.RedactionSession = RedactionSession;
+module.exports.ENTITY_TYPES = ENTITIES.map(entity => entity.type);
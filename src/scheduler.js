@@ -0,0 +1,186 @@
+/**
+ * Scheduler Module
+ * Runs named jobs (ingest, sendPending, followups, notionSync, watchRenewal)
+ * on cron expressions from config/scheduler.json
+ *
+ * Every run takes a lease in the job store first, so with several replicas
+ * only one of them runs a given job; the others skip that tick. The lease is
+ * extended every third of its TTL while the job runs, so long jobs keep it.
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const cron = require('node-cron');
+
+const DEFAULT_LOCK_TTL_MINUTES = 30;
+
+class Scheduler {
+  /**
+   * deps: { handlers: { name: async (options) => result }, store (JobStore), onRun(run) }
+   */
+  constructor(config, logger, deps) {
+    this.config = config;
+    this.logger = logger;
+    this.handlers = deps.handlers;
+    this.store = deps.store;
+    this.onRun = deps.onRun || (() => {});
+    this.owner = `${os.hostname()}:${process.pid}`;
+    this.tasks = new Map();
+    this.running = new Set();
+    this.settings = this.load();
+  }
+
+  /**
+   * Load job definitions: { timezone, jobs: { name: { enabled, schedule, options, lockTtlMinutes } } }
+   */
+  load() {
+    const configPath = this.config.SCHEDULER_CONFIG_PATH ||
+      path.join(__dirname, '..', 'config', 'scheduler.json');
+
+    let settings = {};
+    if (fs.existsSync(configPath)) {
+      try {
+        settings = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+      } catch (error) {
+        this.logger.error('Failed to load scheduler config', { configPath, error: error.message });
+      }
+    }
+
+    const jobs = {};
+    for (const [name, job] of Object.entries(settings.jobs || {})) {
+      if (!this.handlers[name]) {
+        this.logger.warn('Skipping unknown scheduled job', { job: name });
+        continue;
+      }
+      if (job.schedule && !cron.validate(job.schedule)) {
+        this.logger.warn('Skipping job with invalid cron expression', { job: name, schedule: job.schedule });
+        continue;
+      }
+      jobs[name] = { enabled: false, options: {}, ...job };
+    }
+
+    // Jobs without config can still be run by hand
+    for (const name of Object.keys(this.handlers)) {
+      if (!jobs[name]) jobs[name] = { enabled: false, schedule: null, options: {} };
+    }
+
+    return { timezone: settings.timezone || null, jobs };
+  }
+
+  has(name) {
+    return !!this.handlers[name];
+  }
+
+  /**
+   * Schedule every enabled job
+   */
+  start() {
+    if (this.tasks.size > 0) return;
+
+    for (const [name, job] of Object.entries(this.settings.jobs)) {
+      if (!job.enabled || !job.schedule) continue;
+
+      const task = cron.schedule(job.schedule, () => {
+        this.run(name, { trigger: 'cron' }).catch(error => {
+          this.logger.error('Scheduled job crashed', { job: name, error: error.message });
+        });
+      }, this.settings.timezone ? { timezone: this.settings.timezone } : {});
+      this.tasks.set(name, task);
+    }
+
+    this.logger.info('Scheduler started', { jobs: [...this.tasks.keys()], owner: this.owner });
+  }
+
+  stop() {
+    for (const task of this.tasks.values()) task.stop();
+    this.tasks.clear();
+  }
+
+  /**
+   * Run a job now
+   * Returns the run record, or { status: 'skipped', reason } when the job is
+   * already running here or locked by another replica
+   */
+  async run(name, { trigger = 'manual', options = {} } = {}) {
+    if (!this.has(name)) {
+      throw new Error(`Unknown job: ${name}`);
+    }
+
+    const job = this.settings.jobs[name];
+    if (this.running.has(name)) {
+      return { job: name, trigger, status: 'skipped', reason: 'running' };
+    }
+
+    this.running.add(name);
+    try {
+      const ttlMs = (job.lockTtlMinutes || DEFAULT_LOCK_TTL_MINUTES) * 60 * 1000;
+      if (!(await this.store.acquire(name, this.owner, ttlMs))) {
+        this.logger.info('Job locked by another replica, skipping', { job: name, trigger });
+        return { job: name, trigger, status: 'skipped', reason: 'locked' };
+      }
+
+      const run = { job: name, trigger, owner: this.owner, startedAt: new Date().toISOString() };
+      const heartbeat = setInterval(() => this.extendLease(name, ttlMs), ttlMs / 3);
+      heartbeat.unref();
+      try {
+        run.result = await this.handlers[name]({ ...job.options, ...options });
+        run.status = 'success';
+      } catch (error) {
+        run.status = 'failed';
+        run.error = error.message;
+        this.logger.error('Job failed', { job: name, trigger, error: error.message });
+      } finally {
+        run.finishedAt = new Date().toISOString();
+        run.durationMs = new Date(run.finishedAt) - new Date(run.startedAt);
+        clearInterval(heartbeat);
+        await this.store.release(name, this.owner);
+      }
+
+      // The job already ran: a history failure is logged, never reported as the job's
+      try {
+        await this.store.recordRun(run);
+      } catch (error) {
+        this.logger.error('Failed to record job run', { job: name, trigger, error: error.message });
+      }
+      this.logger.info('Job finished', { job: name, trigger, status: run.status, durationMs: run.durationMs });
+      this.onRun(run);
+      return run;
+    } finally {
+      this.running.delete(name);
+    }
+  }
+
+  /**
+   * Heartbeat: keep the lease of a running job (best effort; a lost lease is only logged)
+   */
+  async extendLease(name, ttlMs) {
+    try {
+      if (!(await this.store.extend(name, this.owner, ttlMs))) {
+        this.logger.warn('Job lease lost while running', { job: name, owner: this.owner });
+      }
+    } catch (error) {
+      this.logger.warn('Failed to extend job lease', { job: name, error: error.message });
+    }
+  }
+
+  /**
+   * Jobs with their schedule and last run
+   */
+  async list() {
+    return Promise.all(Object.entries(this.settings.jobs).map(async ([name, job]) => {
+      const [lastRun = null] = await this.store.recentRuns({ job: name, limit: 1 });
+      return {
+        name,
+        enabled: !!job.enabled,
+        schedule: job.schedule,
+        scheduled: this.tasks.has(name),
+        running: this.running.has(name),
+        options: job.options,
+        lastRun
+      };
+    }));
+  }
+}
+
+module.exports = Scheduler;
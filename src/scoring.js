@@ -0,0 +1,122 @@
+/**
+ * Scoring Module
+ * Turns Analyzer signals into a 0-100 lead score with a per-factor explanation
+ *
+ * Factors and weights come from config/scoring.json (or SCORING_CONFIG_PATH).
+ * Each factor yields a value between 0 and 1; the score is the weighted
+ * average of those values scaled to 100. A weight of 0 disables a factor.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { domainOf, isFreeEmailDomain } = require('./domains');
+
+const escapeRegex = (s) => String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const clamp = (n) => Math.max(0, Math.min(1, n));
+
+/**
+ * Factor evaluators: (lead, settings) -> { value (0..1), detail }
+ * lead carries the email data plus the Analyzer's classification and extractedData
+ */
+const FACTORS = {
+  classification(lead, { values = {} }) {
+    const type = lead.classification?.type || 'unknown';
+    return { value: clamp(values[type] ?? 0.5), detail: type };
+  },
+
+  budget(lead) {
+    const budget = lead.extractedData?.budget;
+    return { value: budget?.mentioned ? 1 : 0, detail: budget?.value || null };
+  },
+
+  timeline(lead) {
+    const timeline = lead.extractedData?.timeline;
+    return { value: timeline?.mentioned ? 1 : 0, detail: timeline?.value || null };
+  },
+
+  corporateDomain(lead) {
+    const domain = domainOf(lead.email);
+    if (!domain) return { value: 0, detail: null };
+    return { value: isFreeEmailDomain(domain) ? 0 : 1, detail: domain };
+  },
+
+  company(lead) {
+    const company = String(lead.company || '').trim();
+    return { value: company ? 1 : 0, detail: company || null };
+  },
+
+  messageLength(lead, { min = 40, ideal = 300 }) {
+    const length = String(lead.message || '').trim().length;
+    return { value: ideal > min ? clamp((length - min) / (ideal - min)) : Number(length >= min), detail: length };
+  },
+
+  serviceMatch(lead, { services = [] }) {
+    const text = `${lead.service || ''}\n${lead.message || ''}`;
+    const matched = services.find(s =>
+      new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegex(s)}(?![\\p{L}\\p{N}])`, 'iu').test(text)
+    );
+    return { value: matched ? 1 : 0, detail: matched || null };
+  }
+};
+
+class LeadScorer {
+  constructor(config, logger) {
+    this.config = config;
+    this.logger = logger;
+    this.factors = this.load();
+  }
+
+  /**
+   * Load factor settings: { factors: { name: { weight, ...settings } } }
+   */
+  load() {
+    const configPath = this.config.SCORING_CONFIG_PATH ||
+      path.join(__dirname, '..', 'config', 'scoring.json');
+
+    let defined = {};
+    if (fs.existsSync(configPath)) {
+      try {
+        defined = JSON.parse(fs.readFileSync(configPath, 'utf8')).factors || {};
+      } catch (error) {
+        this.logger.error('Failed to load scoring config', { configPath, error: error.message });
+      }
+    }
+
+    const factors = {};
+    for (const [name, settings] of Object.entries(defined)) {
+      if (!FACTORS[name]) {
+        this.logger.warn('Skipping unknown scoring factor', { factor: name });
+        continue;
+      }
+      const weight = Number(settings?.weight);
+      if (!Number.isFinite(weight) || weight < 0) {
+        this.logger.warn('Skipping scoring factor without a valid weight', { factor: name });
+        continue;
+      }
+      factors[name] = { ...settings, weight };
+    }
+
+    return factors;
+  }
+
+  /**
+   * Score an analyzed lead
+   * Returns { score, factors: [{ factor, weight, value, points, detail }], scoredAt }
+   */
+  score(lead) {
+    const totalWeight = Object.values(this.factors).reduce((sum, f) => sum + f.weight, 0);
+
+    const factors = Object.entries(this.factors).map(([name, settings]) => {
+      const { value, detail } = FACTORS[name](lead, settings);
+      const points = totalWeight ? (settings.weight * value * 100) / totalWeight : 0;
+      return { factor: name, weight: settings.weight, value, points: Math.round(points * 10) / 10, detail };
+    });
+
+    const score = Math.round(factors.reduce((sum, f) => sum + f.points, 0));
+
+    return { score: Math.max(0, Math.min(100, score)), factors, scoredAt: new Date().toISOString() };
+  }
+}
+
+module.exports = LeadScorer;
+module.exports.FACTORS = FACTORS;
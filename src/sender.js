@@ -1,33 +1,26 @@
 /**
  * Sender Module
- * Sends approved drafts via Gmail API
+ * Sends approved drafts through the provider of the mailbox they belong to
  */
 
-const { google } = require('googleapis');
 const path = require('path');
 const jsonfile = require('jsonfile');
+const { createProvider } = require('./providers');
+const MailboxRegistry = require('./mailboxes');
 
 class Sender {
   constructor(config, logger) {
     this.config = config;
     this.logger = logger;
     this.draftsPath = config.draftsPath;
+    this.mailboxes = new MailboxRegistry(config, logger);
   }
 
   /**
-   * Initialize Gmail API client
+   * Config of the mailbox a draft was generated for (drafts without one use the default)
    */
-  async getGmailClient() {
-    // Use JWT client instead of GoogleAuth to avoid OpenSSL issues
-    const auth = new google.auth.JWT(
-      this.config.SERVICE_ACCOUNT_EMAIL,
-      null,
-      process.env.GOOGLE_PRIVATE_KEY?.replace(/\\n/g, '\n'),
-      ['https://www.googleapis.com/auth/gmail.send'],
-      this.config.GMAIL_DELEGATED_USER
-    );
-
-    return google.gmail({ version: 'v1', auth });
+  configFor(draft) {
+    return this.mailboxes.configFor(draft.mailbox);
   }
 
   /**
@@ -122,51 +115,48 @@ class Sender {
    * Send single draft
    */
   async send(draft) {
-    const gmail = await this.getGmailClient();
+    const config = this.configFor(draft);
+    const provider = createProvider(config, this.logger);
 
     // Build email content
-    const emailContent = this.buildEmail(draft);
-
-    // Send via Gmail API
-    const response = await gmail.users.messages.send({
-      userId: 'me',
-      requestBody: {
-        raw: Buffer.from(emailContent).toString('base64'),
-        threadId: draft.emailData.threadId || undefined
-      }
-    });
+    const message = this.buildEmail(draft, config, provider.name);
 
-    this.logger.info('Email sent', {
-      gmailId: response.data.id,
-      to: draft.client.email
-    });
+    try {
+      const response = await provider.sendMessage(message);
+
+      this.logger.info('Email sent', {
+        gmailId: response.id,
+        mailbox: config.MAILBOX_ID,
+        to: draft.client.email
+      });
 
-    return response.data;
+      return response;
+    } finally {
+      await provider.close();
+    }
   }
 
   /**
-   * Build RFC 2822 email
+   * Build the reply for a draft
    */
-  buildEmail(draft) {
-    const to = draft.client.email;
-    const subject = `Re: ${draft.emailData.subject || 'Consulta'}`;
-    const content = draft.draft;
-
-    // Include In-Reply-To header for threading
-    const headers = [
-      `To: ${to}`,
-      `From: ${this.config.GMAIL_USER}`,
-      `Subject: ${subject}`,
-      `Content-Type: text/plain; charset=UTF-8`,
-      `MIME-Version: 1.0`
-    ];
-
-    if (draft.emailData.threadId) {
-      headers.push(`In-Reply-To: <${draft.emailData.threadId}@gmail.com>`);
-      headers.push(`References: <${draft.emailData.threadId}@gmail.com>`);
+  buildEmail(draft, config = this.configFor(draft), providerName = config.MAIL_PROVIDER || 'gmail') {
+    const { threadId, rfcMessageId } = draft.emailData;
+
+    // In-Reply-To/References keep the reply threaded; older drafts predate rfcMessageId
+    let inReplyTo = rfcMessageId || null;
+    if (!inReplyTo && threadId && providerName === 'gmail') {
+      inReplyTo = `<${threadId}@gmail.com>`;
     }
 
-    return headers.join('\r\n') + '\r\n\r\n' + content;
+    return {
+      from: config.MAIL_FROM || config.GMAIL_USER,
+      to: draft.client.email,
+      subject: `Re: ${draft.emailData.subject || 'Consulta'}`,
+      text: draft.draft,
+      threadId: threadId || null,
+      inReplyTo,
+      references: inReplyTo
+    };
   }
 
   /**
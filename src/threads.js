@@ -0,0 +1,101 @@
+/**
+ * Thread State Module
+ * Works out where a message sits in its thread: whether it is the latest
+ * inbound message, whether we already replied after it and whether a draft
+ * is already open for it (the flags Analyzer.checkEligibility reads)
+ */
+
+const { getHeader } = require('./mime');
+
+const EMAIL_PATTERN = /[^\s<>"',;:]+@[^\s<>"',;:]+\.[^\s<>"',;:]+/g;
+
+/**
+ * Lowercased email addresses found in a header value
+ */
+function addresses(value) {
+  return (value || '').match(EMAIL_PATTERN)?.map(a => a.toLowerCase()) || [];
+}
+
+class ThreadState {
+  /**
+   * deps: { provider, drafts } (mailbox provider and DraftStore)
+   */
+  constructor(config, logger, deps) {
+    this.config = config;
+    this.logger = logger;
+    this.provider = deps.provider;
+    this.drafts = deps.drafts;
+  }
+
+  /**
+   * Our own addresses; mail from them counts as outbound even without the SENT label
+   */
+  get ownAddresses() {
+    const { MAIL_FROM, GMAIL_USER, GMAIL_DELEGATED_USER, IMAP_USER } = this.config;
+    return new Set([MAIL_FROM, GMAIL_USER, GMAIL_DELEGATED_USER, IMAP_USER].flatMap(addresses));
+  }
+
+  /**
+   * Thread flags for an email: { isLatest, alreadyReplied, draftExists }
+   *
+   * standalone: the message is a form notification. Platforms send every
+   * submission from the same address and subject, so Gmail groups unrelated
+   * leads into one thread; those are judged on their own, not by thread position.
+   */
+  async inspect(emailData, { standalone = false } = {}) {
+    const state = { isLatest: true, alreadyReplied: false, draftExists: false };
+
+    state.draftExists = await this.drafts.exists({
+      gmailId: emailData.gmailId,
+      threadId: standalone ? null : emailData.threadId,
+      mailbox: emailData.mailbox
+    });
+
+    if (standalone || !emailData.threadId) return state;
+
+    let thread;
+    try {
+      thread = await this.provider.getThread(emailData.threadId);
+    } catch (error) {
+      // Without the thread we can't tell; let the message through rather than drop a lead
+      this.logger.warn('Failed to load thread, assuming latest', {
+        threadId: emailData.threadId,
+        error: error.message
+      });
+      return state;
+    }
+
+    const own = this.ownAddresses;
+    const messages = (thread?.messages || [])
+      .map(message => {
+        const headers = message.payload?.headers || [];
+        const labels = message.labelIds || [];
+        return {
+          id: message.id,
+          at: Number(message.internalDate) || 0,
+          draft: labels.includes('DRAFT'),
+          outbound: labels.includes('SENT') || addresses(getHeader(headers, 'From')).some(a => own.has(a)),
+          recipients: addresses(`${getHeader(headers, 'To')},${getHeader(headers, 'Cc')}`)
+        };
+      })
+      .sort((a, b) => a.at - b.at);
+
+    const current = messages.find(m => m.id === emailData.gmailId);
+    if (!current) return state;
+
+    const later = messages.filter(m => m !== current && m.at >= current.at);
+    const leadEmail = (emailData.email || '').toLowerCase();
+
+    state.isLatest = !later.some(m => !m.outbound && !m.draft);
+    state.alreadyReplied = later.some(m =>
+      m.outbound && !m.draft && (!leadEmail || m.recipients.includes(leadEmail))
+    );
+    // A mailbox draft in the thread means someone is already answering it by hand
+    state.draftExists = state.draftExists || messages.some(m => m.draft);
+
+    return state;
+  }
+}
+
+module.exports = ThreadState;
+module.exports.addresses = addresses;
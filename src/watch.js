@@ -0,0 +1,225 @@
+/**
+ * Watch Module
+ * Registers Gmail push notifications (users.watch) and handles Pub/Sub pushes
+ */
+
+const fs = require('fs');
+const path = require('path');
+const jsonfile = require('jsonfile');
+const Ingestor = require('./ingestor');
+
+// Gmail watches expire after 7 days; renew once less than a day is left
+const RENEW_BEFORE_MS = 24 * 60 * 60 * 1000;
+
+const isHistoryId = (value) => /^\d+$/.test(String(value ?? ''));
+
+class GmailWatch {
+  /**
+   * deps: { ingestor } (shared with the mailbox's other modules; created when omitted)
+   */
+  constructor(config, logger, deps = {}) {
+    this.config = config;
+    this.logger = logger;
+    this.statePath = config.statePath;
+    this.ingestor = deps.ingestor || new Ingestor(config, logger);
+    // Pushes can arrive in bursts; run their ingests one after another
+    this.queue = Promise.resolve();
+  }
+
+  get topicName() {
+    return this.config.GMAIL_PUBSUB_TOPIC;
+  }
+
+  /**
+   * Gmail API client of the mailbox (push needs the Gmail provider)
+   */
+  async getGmailClient() {
+    if (this.ingestor.provider.name !== 'gmail') {
+      throw new Error(`Push notifications require the gmail provider (configured: ${this.ingestor.provider.name})`);
+    }
+    return this.ingestor.provider.getClient();
+  }
+
+  /**
+   * Register (or re-register) the Gmail watch
+   */
+  async start() {
+    if (!this.topicName) {
+      throw new Error('GMAIL_PUBSUB_TOPIC is not set');
+    }
+
+    const gmail = await this.getGmailClient();
+    const labelIds = this.config.GMAIL_WATCH_LABELS || ['INBOX'];
+
+    const resp = await this.ingestor.provider.call('watch', () => gmail.users.watch({
+      userId: 'me',
+      requestBody: {
+        topicName: this.topicName,
+        labelIds,
+        labelFilterAction: 'include'
+      }
+    }));
+
+    const state = {
+      topicName: this.topicName,
+      labelIds,
+      historyId: String(resp.data.historyId),
+      expiration: new Date(Number(resp.data.expiration)).toISOString(),
+      renewedAt: new Date().toISOString()
+    };
+    this.saveState(state);
+
+    // Without a checkpoint the first push would fall back to a full list;
+    // start the incremental cursor where the watch starts instead.
+    if (!this.ingestor.loadCheckpoint()) {
+      this.ingestor.saveCheckpoint(state.historyId);
+    }
+
+    this.logger.info('Gmail watch registered', state);
+    return state;
+  }
+
+  /**
+   * Stop push notifications for the mailbox
+   */
+  async stop() {
+    const gmail = await this.getGmailClient();
+    await this.ingestor.provider.call('stop', () => gmail.users.stop({ userId: 'me' }));
+
+    this.saveState(null);
+    this.logger.info('Gmail watch stopped');
+  }
+
+  /**
+   * Renew the watch when it is missing or about to expire
+   */
+  async renewIfNeeded() {
+    if (!this.topicName) return { renewed: false, reason: 'not_configured' };
+
+    const state = this.getState();
+    const expiresAt = state?.expiration ? new Date(state.expiration).getTime() : 0;
+    const topicChanged = state && state.topicName !== this.topicName;
+
+    if (!topicChanged && expiresAt - Date.now() > RENEW_BEFORE_MS) {
+      return { renewed: false, expiration: state.expiration };
+    }
+
+    const renewed = await this.start();
+    return { renewed: true, expiration: renewed.expiration };
+  }
+
+  /**
+   * Run an incremental ingest for a decoded push notification
+   */
+  handleNotification(notification, options = {}) {
+    const run = this.queue.then(() => this.ingestNotification(notification, options));
+    this.queue = run.catch(() => {});
+    return run;
+  }
+
+  async ingestNotification(notification, options) {
+    const mailbox = this.config.GMAIL_DELEGATED_USER || this.config.GMAIL_USER;
+    if (mailbox && notification.emailAddress &&
+        notification.emailAddress.toLowerCase() !== mailbox.toLowerCase()) {
+      this.logger.warn('Push notification for another mailbox ignored', {
+        emailAddress: notification.emailAddress
+      });
+      return { success: true, processed: [], ignored: 'other_mailbox' };
+    }
+
+    // Only Gmail history ids compare; other checkpoints (IMAP uidValidity:uidNext, a
+    // corrupted state file) fall through to a normal incremental run
+    const checkpoint = this.ingestor.loadCheckpoint();
+    if (isHistoryId(checkpoint?.historyId) && isHistoryId(notification.historyId) &&
+        BigInt(notification.historyId) <= BigInt(checkpoint.historyId)) {
+      // Already covered by an earlier run (Pub/Sub redelivery or out-of-order push)
+      return { success: true, processed: [], ignored: 'up_to_date' };
+    }
+
+    this.logger.info('Gmail push received', {
+      historyId: notification.historyId,
+      messageId: notification.messageId
+    });
+
+    // Without GMAIL_WATCH_FILTER the Ingestor uses the mailbox filter (INGEST_FILTER), like the CLI and API
+    return this.ingestor.run({
+      filter: this.config.GMAIL_WATCH_FILTER || undefined,
+      trigger: 'push',
+      ...options
+    });
+  }
+
+  /**
+   * Get persisted watch state
+   */
+  getState() {
+    const stateFile = path.join(this.statePath, 'gmail_watch.json');
+    if (!fs.existsSync(stateFile)) return null;
+
+    try {
+      return jsonfile.readFileSync(stateFile);
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Persist watch state (null clears it)
+   */
+  saveState(state) {
+    const stateFile = path.join(this.statePath, 'gmail_watch.json');
+
+    if (!state) {
+      if (fs.existsSync(stateFile)) fs.unlinkSync(stateFile);
+      return;
+    }
+
+    if (!fs.existsSync(this.statePath)) {
+      fs.mkdirSync(this.statePath, { recursive: true });
+    }
+    jsonfile.writeFileSync(stateFile, state, { spaces: 2 });
+  }
+
+  /**
+   * Decode a Pub/Sub push envelope into a Gmail notification
+   * Envelope: { message: { data: base64(JSON{ emailAddress, historyId }), messageId, publishTime }, subscription }
+   */
+  static decodeNotification(body) {
+    const message = body?.message;
+    if (!message?.data) {
+      throw new Error('Invalid Pub/Sub envelope: missing message.data');
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(Buffer.from(String(message.data), 'base64').toString('utf8'));
+    } catch {
+      throw new Error('Invalid Pub/Sub envelope: message.data is not base64 JSON');
+    }
+
+    if (!payload?.historyId || !/^\d+$/.test(String(payload.historyId))) {
+      throw new Error('Invalid Gmail notification: missing historyId');
+    }
+
+    return {
+      emailAddress: payload.emailAddress || null,
+      historyId: String(payload.historyId),
+      messageId: message.messageId || message.message_id || null,
+      publishTime: message.publishTime || message.publish_time || null,
+      subscription: body.subscription || null
+    };
+  }
+
+  /**
+   * Build a Pub/Sub push envelope (used to simulate pushes locally)
+   */
+  static encodeNotification({ emailAddress, historyId }, messageId = String(Date.now())) {
+    const data = Buffer.from(JSON.stringify({ emailAddress, historyId: Number(historyId) })).toString('base64');
+    return {
+      message: { data, messageId, publishTime: new Date().toISOString() },
+      subscription: 'projects/local/subscriptions/emailbot-simulated'
+    };
+  }
+}
+
+module.exports = GmailWatch;